@@ -14,6 +14,17 @@ import categoryRoutes from './routes/categoryRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
 import menuItemRoutes from './routes/menuItemRoutes.js'; 
 import uploadRoutes from './routes/uploadRoutes.js'; 
+import kitchenRoutes from './routes/kitchenRoutes.js';
+import deliveryZoneRoutes from './routes/deliveryZoneRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import loyaltyRoutes from './routes/loyaltyRoutes.js';
+import timeSlotRoutes from './routes/timeSlotRoutes.js';
+import bundleRoutes from './routes/bundleRoutes.js';
+import inventoryRoutes from './routes/inventoryRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import taxRoutes from './routes/taxRoutes.js';
+import deliveryRoutes from './routes/deliveryRoutes.js';
+import tableRoutes from './routes/tableRoutes.js';
 
 // Import your custom error middleware
 import errorMiddleware from './middlewares/errorMiddleware.js';
@@ -28,7 +39,12 @@ const __dirname = path.dirname(__filename);
 app.use(cors({
     origin: process.env.FRONTEND_URL 
 }));
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw payload around: payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true })); 
 
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -42,6 +58,17 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/admin/dashboard', dashboardRoutes);
 app.use('/api/menu-items', menuItemRoutes); 
 app.use('/api/upload', uploadRoutes); 
+app.use('/api/kitchen', kitchenRoutes);
+app.use('/api/delivery-zones', deliveryZoneRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/time-slots', timeSlotRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/deliveries', deliveryRoutes);
+app.use('/api/tables', tableRoutes);
 
 app.use(errorMiddleware);
 
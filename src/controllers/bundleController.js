@@ -0,0 +1,239 @@
+// backend/src/controllers/bundleController.js
+import supabase from '../config/supabase.js';
+import { BUNDLE_SELECT, formatBundle, normalizeBundleComponents, saveBundleComponents } from '../services/bundleService.js';
+
+/**
+ * Validate a bundle payload and pick the columns to write.
+ * @returns {{ fields?: object, error?: string }}
+ */
+const buildBundleFields = (body, { partial }) => {
+    const fields = {};
+    const { name, description, price, image_url, category_id, is_active } = body;
+
+    if (!partial && (!name || price === undefined)) {
+        return { error: 'Bundle name and price are required.' };
+    }
+    if (name !== undefined) fields.name = name;
+    if (description !== undefined) fields.description = description;
+    if (price !== undefined) {
+        if (isNaN(price) || parseFloat(price) <= 0) {
+            return { error: 'Price must be a positive number.' };
+        }
+        fields.price = parseFloat(price);
+    }
+    if (image_url !== undefined) fields.image_url = image_url || null;
+    if (category_id !== undefined) fields.category_id = category_id || null;
+    if (is_active !== undefined) fields.is_active = is_active === true || is_active === 'true';
+
+    return { fields };
+};
+
+const fetchBundle = async (id) => {
+    const { data: bundle, error } = await supabase
+        .from('bundles')
+        .select(BUNDLE_SELECT)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching bundle: ${error.message}`);
+    }
+    return bundle ? formatBundle(bundle) : null;
+};
+
+/**
+ * List active bundles with their components. `is_available` is false while any required
+ * component is unavailable.
+ * @route GET /api/bundles
+ * @access Public
+ */
+export const getBundles = async (req, res) => {
+    try {
+        const { data: bundles, error } = await supabase
+            .from('bundles')
+            .select(BUNDLE_SELECT)
+            .eq('is_active', true)
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching bundles:', error.message);
+            return res.status(500).json({ error: 'Database error fetching bundles.' });
+        }
+
+        res.status(200).json(bundles.map(formatBundle));
+    } catch (error) {
+        console.error('Error in getBundles:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching bundles.' });
+    }
+};
+
+/**
+ * List every bundle, including inactive ones.
+ * @route GET /api/bundles/all
+ * @access Private (Admin Only)
+ */
+export const getAllBundles = async (req, res) => {
+    try {
+        const { data: bundles, error } = await supabase
+            .from('bundles')
+            .select(BUNDLE_SELECT)
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching all bundles:', error.message);
+            return res.status(500).json({ error: 'Database error fetching bundles.' });
+        }
+
+        res.status(200).json(bundles.map(formatBundle));
+    } catch (error) {
+        console.error('Error in getAllBundles:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching bundles.' });
+    }
+};
+
+/**
+ * Get a single bundle with its components and swap choices.
+ * @route GET /api/bundles/:id
+ * @access Public
+ */
+export const getBundleById = async (req, res) => {
+    try {
+        const bundle = await fetchBundle(req.params.id);
+        if (!bundle) {
+            return res.status(404).json({ error: 'Bundle not found.' });
+        }
+
+        res.status(200).json(bundle);
+    } catch (error) {
+        console.error('Error in getBundleById:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching bundle.' });
+    }
+};
+
+/**
+ * Create a bundle with its components.
+ * Body: { name, price, description?, image_url?, category_id?, is_active?,
+ *         components: [{ menu_item_id, quantity?, is_required?, swaps?: [{ menu_item_id, price_delta? }] }] }
+ * @route POST /api/bundles
+ * @access Private (Admin Only)
+ */
+export const createBundle = async (req, res) => {
+    try {
+        const { fields, error: validationError } = buildBundleFields(req.body, { partial: false });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const { components, error: componentsError } = normalizeBundleComponents(req.body.components);
+        if (componentsError) {
+            return res.status(400).json({ error: componentsError });
+        }
+
+        const { data: bundle, error } = await supabase
+            .from('bundles')
+            .insert([fields])
+            .select('id')
+            .single();
+
+        if (error) {
+            console.error('Supabase error creating bundle:', error.message);
+            if (error.code === '23505') return res.status(409).json({ error: 'A bundle with this name already exists.' });
+            if (error.code === '23503') return res.status(400).json({ error: 'Invalid category ID provided.' });
+            return res.status(500).json({ error: 'Database error creating bundle.' });
+        }
+
+        try {
+            await saveBundleComponents(bundle.id, components);
+        } catch (saveError) {
+            // Don't leave behind a bundle with no components
+            await supabase.from('bundles').delete().eq('id', bundle.id);
+            return res.status(saveError.statusCode || 500).json({ error: saveError.message });
+        }
+
+        res.status(201).json(await fetchBundle(bundle.id));
+    } catch (error) {
+        console.error('Error in createBundle:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error creating bundle.' });
+    }
+};
+
+/**
+ * Update a bundle. Only the fields provided are changed; `components`, when sent,
+ * replaces the bundle's components.
+ * @route PUT /api/bundles/:id
+ * @access Private (Admin Only)
+ */
+export const updateBundle = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fields, error: validationError } = buildBundleFields(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        let components;
+        if (req.body.components !== undefined) {
+            const normalized = normalizeBundleComponents(req.body.components);
+            if (normalized.error) {
+                return res.status(400).json({ error: normalized.error });
+            }
+            components = normalized.components;
+        }
+        if (Object.keys(fields).length === 0 && !components) {
+            return res.status(400).json({ error: 'No bundle fields to update.' });
+        }
+
+        const { data: bundle, error } = await supabase
+            .from('bundles')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select('id')
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating bundle:', error.message);
+            if (error.code === 'PGRST116') return res.status(404).json({ error: 'Bundle not found.' });
+            if (error.code === '23505') return res.status(409).json({ error: 'A bundle with this name already exists.' });
+            if (error.code === '23503') return res.status(400).json({ error: 'Invalid category ID provided.' });
+            return res.status(500).json({ error: 'Database error updating bundle.' });
+        }
+
+        if (components) {
+            try {
+                await saveBundleComponents(bundle.id, components);
+            } catch (saveError) {
+                return res.status(saveError.statusCode || 500).json({ error: saveError.message });
+            }
+        }
+
+        res.status(200).json(await fetchBundle(bundle.id));
+    } catch (error) {
+        console.error('Error in updateBundle:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating bundle.' });
+    }
+};
+
+/**
+ * Delete a bundle. Past orders keep their bundle snapshot.
+ * @route DELETE /api/bundles/:id
+ * @access Private (Admin Only)
+ */
+export const deleteBundle = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error } = await supabase
+            .from('bundles')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            console.error('Supabase error deleting bundle:', error.message);
+            return res.status(500).json({ error: 'Database error deleting bundle.' });
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error in deleteBundle:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error deleting bundle.' });
+    }
+};
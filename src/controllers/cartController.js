@@ -0,0 +1,344 @@
+// backend/src/controllers/cartController.js
+import supabase from '../config/supabase.js';
+import {
+    getOrCreateCart,
+    getCartItems,
+    getCartItem,
+    getPricedCart,
+    touchCart,
+    clearCart,
+    toOrderItems
+} from '../services/cartService.js';
+import { priceOrder } from '../services/pricingService.js';
+import { placeOrder } from '../services/orderPlacement.js';
+
+const DEFAULT_ABANDONED_AFTER_HOURS = 24;
+
+const sameSelection = (a, b) => JSON.stringify([...(a || [])].map(JSON.stringify).sort()) === JSON.stringify([...(b || [])].map(JSON.stringify).sort());
+
+/**
+ * Check a single cart entry can be ordered as chosen (exists, available, valid options/swaps).
+ * Stock is left to the cart read and checkout, since it can change before then.
+ * @returns {Promise<object[]>} Problems, empty when the entry is fine.
+ */
+const validateEntry = async (userId, entry) => {
+    const { problems } = await priceOrder({ userId, items: toOrderItems([entry]), is_pickup: true });
+    return problems.filter(problem => problem.code !== 'insufficient_stock');
+};
+
+/**
+ * Get the authenticated user's cart, re-priced against the current menu.
+ * @route GET /api/cart
+ * @access Private (Authenticated User)
+ */
+export const getCart = async (req, res) => {
+    try {
+        res.status(200).json(await getPricedCart(req.user.id));
+    } catch (error) {
+        console.error('Error in getCart:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching cart.' });
+    }
+};
+
+/**
+ * Add a menu item ({ menu_item_id, options? }) or bundle ({ bundle_id, swaps? }) to the cart.
+ * Adding something already in the cart with the same choices increases its quantity.
+ * @route POST /api/cart/items
+ * @access Private (Authenticated User)
+ */
+export const addCartItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { menu_item_id, bundle_id, quantity = 1, options = [], swaps = [], special_instructions } = req.body;
+
+        if (!menu_item_id === !bundle_id) {
+            return res.status(400).json({ error: 'Provide either menu_item_id or bundle_id.' });
+        }
+        if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+            return res.status(400).json({ error: 'Quantity must be a positive whole number.' });
+        }
+        if (!Array.isArray(options) || !Array.isArray(swaps)) {
+            return res.status(400).json({ error: 'options and swaps must be arrays.' });
+        }
+
+        const entry = {
+            menu_item_id: menu_item_id || null,
+            bundle_id: bundle_id || null,
+            quantity: Number(quantity),
+            options: bundle_id ? [] : options,
+            swaps: bundle_id ? swaps : [],
+            special_instructions: special_instructions || null
+        };
+
+        const problems = await validateEntry(userId, entry);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems[0].message, problems });
+        }
+
+        const cart = await getOrCreateCart(userId);
+        const existing = (await getCartItems(cart.id)).find(item => item.menu_item_id === entry.menu_item_id
+            && item.bundle_id === entry.bundle_id
+            && (item.special_instructions || null) === entry.special_instructions
+            && sameSelection(item.options, entry.options)
+            && sameSelection(item.swaps, entry.swaps));
+
+        const { error } = existing
+            ? await supabase
+                .from('cart_items')
+                .update({ quantity: existing.quantity + entry.quantity, updated_at: new Date().toISOString() })
+                .eq('id', existing.id)
+            : await supabase
+                .from('cart_items')
+                .insert([{ cart_id: cart.id, ...entry }]);
+
+        if (error) {
+            console.error('Supabase error adding cart item:', error.message);
+            return res.status(500).json({ error: 'Database error adding item to cart.' });
+        }
+
+        await touchCart(cart.id);
+        res.status(existing ? 200 : 201).json(await getPricedCart(userId));
+    } catch (error) {
+        console.error('Error in addCartItem:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error adding item to cart.' });
+    }
+};
+
+/**
+ * Change a cart item's quantity, instructions, options or swaps.
+ * @route PUT /api/cart/items/:itemId
+ * @access Private (Authenticated User)
+ */
+export const updateCartItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { quantity, special_instructions, options, swaps } = req.body;
+
+        const cart = await getOrCreateCart(userId);
+        const item = await getCartItem(cart.id, req.params.itemId);
+
+        const fields = {};
+        if (quantity !== undefined) {
+            if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+                return res.status(400).json({ error: 'Quantity must be a positive whole number. Remove the item to take it out of the cart.' });
+            }
+            fields.quantity = Number(quantity);
+        }
+        if (special_instructions !== undefined) fields.special_instructions = special_instructions || null;
+        if (options !== undefined && !item.bundle_id) {
+            if (!Array.isArray(options)) return res.status(400).json({ error: 'options must be an array.' });
+            fields.options = options;
+        }
+        if (swaps !== undefined && item.bundle_id) {
+            if (!Array.isArray(swaps)) return res.status(400).json({ error: 'swaps must be an array.' });
+            fields.swaps = swaps;
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No cart item fields to update.' });
+        }
+
+        if (fields.options || fields.swaps) {
+            const problems = await validateEntry(userId, { ...item, ...fields });
+            if (problems.length > 0) {
+                return res.status(400).json({ error: problems[0].message, problems });
+            }
+        }
+
+        const { error } = await supabase
+            .from('cart_items')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', item.id);
+
+        if (error) {
+            console.error('Supabase error updating cart item:', error.message);
+            return res.status(500).json({ error: 'Database error updating cart item.' });
+        }
+
+        await touchCart(cart.id);
+        res.status(200).json(await getPricedCart(userId));
+    } catch (error) {
+        console.error('Error in updateCartItem:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error updating cart item.' });
+    }
+};
+
+/**
+ * Remove an item from the cart.
+ * @route DELETE /api/cart/items/:itemId
+ * @access Private (Authenticated User)
+ */
+export const removeCartItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const cart = await getOrCreateCart(userId);
+        const item = await getCartItem(cart.id, req.params.itemId);
+
+        const { error } = await supabase
+            .from('cart_items')
+            .delete()
+            .eq('id', item.id);
+
+        if (error) {
+            console.error('Supabase error removing cart item:', error.message);
+            return res.status(500).json({ error: 'Database error removing cart item.' });
+        }
+
+        await touchCart(cart.id);
+        res.status(200).json(await getPricedCart(userId));
+    } catch (error) {
+        console.error('Error in removeCartItem:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error removing cart item.' });
+    }
+};
+
+/**
+ * Save checkout choices on the cart: address_id, is_pickup, coupon_code, delivery_notes.
+ * @route PUT /api/cart
+ * @access Private (Authenticated User)
+ */
+export const updateCartSettings = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { address_id, is_pickup, coupon_code, delivery_notes } = req.body;
+        const fields = {};
+
+        if (address_id !== undefined) {
+            if (address_id) {
+                // Security: the address must belong to the current user
+                const { data: address, error } = await supabase
+                    .from('user_addresses')
+                    .select('id')
+                    .eq('id', address_id)
+                    .eq('user_id', userId)
+                    .maybeSingle();
+
+                if (error) {
+                    console.error('Supabase error checking cart address:', error.message);
+                    return res.status(500).json({ error: 'Database error checking delivery address.' });
+                }
+                if (!address) {
+                    return res.status(404).json({ error: 'Delivery address not found or does not belong to your account.' });
+                }
+            }
+            fields.address_id = address_id || null;
+        }
+        if (is_pickup !== undefined) fields.is_pickup = is_pickup === true || is_pickup === 'true';
+        if (coupon_code !== undefined) fields.coupon_code = coupon_code || null; // Validated when the cart is priced
+        if (delivery_notes !== undefined) fields.delivery_notes = delivery_notes || null;
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No cart fields to update.' });
+        }
+
+        const cart = await getOrCreateCart(userId);
+        await touchCart(cart.id, fields);
+
+        res.status(200).json(await getPricedCart(userId));
+    } catch (error) {
+        console.error('Error in updateCartSettings:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error updating cart.' });
+    }
+};
+
+/**
+ * Empty the cart.
+ * @route DELETE /api/cart
+ * @access Private (Authenticated User)
+ */
+export const emptyCart = async (req, res) => {
+    try {
+        const cart = await getOrCreateCart(req.user.id);
+        await clearCart(cart.id);
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error in emptyCart:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error emptying cart.' });
+    }
+};
+
+/**
+ * Place the cart as an order through the same checkout as POST /api/orders, then empty it.
+ * Body (all optional): payment_provider, redeem_points, scheduled_for, and address_id /
+ * is_pickup / coupon_code / delivery_notes to override what is saved on the cart.
+ * @route POST /api/cart/checkout
+ * @access Private (Authenticated User)
+ */
+export const checkoutCart = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const cart = await getOrCreateCart(userId);
+        const cartItems = await getCartItems(cart.id);
+
+        if (cartItems.length === 0) {
+            return res.status(400).json({ error: 'Your cart is empty.' });
+        }
+
+        const body = req.body || {};
+        const is_pickup = body.is_pickup !== undefined ? body.is_pickup === true || body.is_pickup === 'true' : cart.is_pickup;
+
+        const { order, problems } = await placeOrder({
+            user: { id: userId, role: req.user.role },
+            items: toOrderItems(cartItems),
+            is_pickup,
+            address_id: body.address_id || cart.address_id,
+            delivery_notes: body.delivery_notes !== undefined ? body.delivery_notes : cart.delivery_notes,
+            coupon_code: body.coupon_code !== undefined ? body.coupon_code : cart.coupon_code,
+            payment_provider: body.payment_provider,
+            redeem_points: body.redeem_points,
+            scheduled_for: body.scheduled_for,
+            table_token: body.table_token // Checking out at a table makes it a dine-in order
+        });
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems[0].message, problems });
+        }
+
+        // The order is placed: a failure to empty the cart must not turn this into an error,
+        // or a retry with the same Idempotency-Key would place the order again
+        try {
+            await clearCart(cart.id);
+        } catch (clearError) {
+            console.error(`Order ${order.order_number} was placed but cart ${cart.id} could not be cleared:`, clearError.message);
+        }
+        res.status(201).json(order);
+    } catch (error) {
+        console.error('Error in checkoutCart:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error during checkout.' });
+    }
+};
+
+/**
+ * Carts with items and no activity for a while (default 24 hours, ?older_than_hours=).
+ * @route GET /api/cart/abandoned
+ * @access Private (Admin Only)
+ */
+export const getAbandonedCarts = async (req, res) => {
+    try {
+        const hours = Number(req.query.older_than_hours) > 0 ? Number(req.query.older_than_hours) : DEFAULT_ABANDONED_AFTER_HOURS;
+        const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+        const { data: carts, error } = await supabase
+            .from('carts')
+            .select('id, user_id, updated_at, cart_items!inner ( id, quantity, menu_items ( name, price ), bundles ( name, price ) )')
+            .lt('updated_at', cutoff)
+            .order('updated_at', { ascending: false });
+
+        if (error) {
+            console.error('Supabase error fetching abandoned carts:', error.message);
+            return res.status(500).json({ error: 'Database error fetching abandoned carts.' });
+        }
+
+        const abandoned = carts.map(({ cart_items, ...cart }) => ({
+            ...cart,
+            item_count: cart_items.reduce((sum, item) => sum + item.quantity, 0),
+            // At current menu prices, before delivery and discounts
+            estimated_value: cart_items.reduce((sum, item) => sum + Number((item.menu_items || item.bundles)?.price || 0) * item.quantity, 0),
+            items: cart_items.map(item => ({ name: (item.menu_items || item.bundles)?.name, quantity: item.quantity }))
+        }));
+
+        res.status(200).json({ older_than_hours: hours, count: abandoned.length, carts: abandoned });
+    } catch (error) {
+        console.error('Error in getAbandonedCarts:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching abandoned carts.' });
+    }
+};
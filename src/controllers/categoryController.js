@@ -23,7 +23,7 @@ export const getCategories = async (req, res) => {
 
 // --- Add Category (Admin Only) ---
 export const createCategory = async (req, res) => {
-    const { name, description, image_url } = req.body;
+    const { name, description, image_url, station_id } = req.body; // station_id routes the category's items to a kitchen station
 
     if (!name) {
         return res.status(400).json({ error: 'Category name is required.' });
@@ -32,7 +32,7 @@ export const createCategory = async (req, res) => {
     try {
         const { data: newCategory, error } = await supabase // Renamed data to newCategory for clarity
             .from('categories')
-            .insert([{ name, description, image_url }])
+            .insert([{ name, description, image_url, station_id: station_id || null }])
             .select() // Select the inserted row to return it
             .single(); // Use .single() if you're inserting one row and expect one back
 
@@ -56,7 +56,7 @@ export const createCategory = async (req, res) => {
 export const updateCategory = async (req, res) => {
     try {
         const { id } = req.params; // Category ID from URL
-        const { name, description, image_url } = req.body; // Updated data
+        const { name, description, image_url, station_id } = req.body; // Updated data
 
         if (!name) { // Name is typically mandatory for a category update
             return res.status(400).json({ error: 'Category name is required for update.' });
@@ -64,7 +64,7 @@ export const updateCategory = async (req, res) => {
 
         const { data: updatedCategory, error } = await supabase
             .from('categories')
-            .update({ name, description, image_url })
+            .update({ name, description, image_url, station_id: station_id === undefined ? undefined : station_id || null }) // Leave station unchanged if not sent
             .eq('id', id) // Identify the record to update by its ID
             .select() // Select the updated row to return it
             .single(); // Expecting one updated record
@@ -0,0 +1,233 @@
+// backend/src/controllers/couponController.js
+import supabase from '../config/supabase.js';
+import { COUPON_DISCOUNT_TYPES, normalizeCouponCode } from '../services/couponService.js';
+
+const toIdArray = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+/**
+ * Validate a coupon payload and pick the columns to write.
+ * @returns {{ fields?: object, error?: string }}
+ */
+const buildCouponFields = (body, { partial }) => {
+    const fields = {};
+    const {
+        code, description, discount_type, discount_value, max_discount_amount, min_order_value,
+        starts_at, expires_at, usage_limit, usage_limit_per_user,
+        applicable_category_ids, applicable_menu_item_ids, is_active
+    } = body;
+
+    if (!partial && (!code || !discount_type)) {
+        return { error: 'Coupon code and discount_type are required.' };
+    }
+    if (code !== undefined) fields.code = normalizeCouponCode(code);
+    if (description !== undefined) fields.description = description;
+    if (discount_type !== undefined) {
+        if (!COUPON_DISCOUNT_TYPES.includes(discount_type)) {
+            return { error: `Invalid discount_type. Valid types are: ${COUPON_DISCOUNT_TYPES.join(', ')}.` };
+        }
+        fields.discount_type = discount_type;
+    }
+
+    const amounts = { discount_value, max_discount_amount, min_order_value };
+    for (const [key, value] of Object.entries(amounts)) {
+        if (value === undefined) continue;
+        if (value === null && key === 'max_discount_amount') {
+            fields[key] = null;
+            continue;
+        }
+        if (isNaN(value) || parseFloat(value) < 0) {
+            return { error: `${key} must be a non-negative number.` };
+        }
+        fields[key] = parseFloat(value);
+    }
+    if (fields.discount_type === 'percentage' && fields.discount_value > 100) {
+        return { error: 'Percentage discounts cannot exceed 100.' };
+    }
+    if (!partial && fields.discount_type !== 'free_delivery' && !(fields.discount_value > 0)) {
+        return { error: 'discount_value must be greater than zero.' };
+    }
+
+    const limits = { usage_limit, usage_limit_per_user };
+    for (const [key, value] of Object.entries(limits)) {
+        if (value === undefined) continue;
+        if (value === null) {
+            fields[key] = null;
+            continue;
+        }
+        if (!Number.isInteger(Number(value)) || Number(value) <= 0) {
+            return { error: `${key} must be a positive whole number (or null for unlimited).` };
+        }
+        fields[key] = Number(value);
+    }
+
+    for (const [key, value] of Object.entries({ starts_at, expires_at })) {
+        if (value === undefined) continue;
+        if (value !== null && isNaN(new Date(value).getTime())) {
+            return { error: `${key} must be a valid date.` };
+        }
+        fields[key] = value === null ? null : new Date(value).toISOString();
+    }
+
+    if (applicable_category_ids !== undefined) fields.applicable_category_ids = toIdArray(applicable_category_ids);
+    if (applicable_menu_item_ids !== undefined) fields.applicable_menu_item_ids = toIdArray(applicable_menu_item_ids);
+    if (is_active !== undefined) fields.is_active = is_active === true || is_active === 'true';
+
+    return { fields };
+};
+
+/**
+ * List all coupons with how often each has been redeemed.
+ * @route GET /api/coupons
+ * @access Private (Admin Only)
+ */
+export const getCoupons = async (req, res) => {
+    try {
+        const { data: coupons, error } = await supabase
+            .from('coupons')
+            .select('*, coupon_redemptions(count)')
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Supabase error fetching coupons:', error.message);
+            return res.status(500).json({ error: 'Database error fetching coupons.' });
+        }
+
+        const formatted = coupons.map(({ coupon_redemptions, ...coupon }) => ({
+            ...coupon,
+            redemption_count: coupon_redemptions?.[0]?.count || 0
+        }));
+
+        res.status(200).json(formatted);
+    } catch (error) {
+        console.error('Error in getCoupons:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching coupons.' });
+    }
+};
+
+/**
+ * Get a coupon with its redemptions.
+ * @route GET /api/coupons/:id
+ * @access Private (Admin Only)
+ */
+export const getCouponById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: coupon, error } = await supabase
+            .from('coupons')
+            .select('*, coupon_redemptions(*, orders(order_number, status), users(full_name, email))')
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return res.status(404).json({ error: 'Coupon not found.' });
+            console.error('Supabase error fetching coupon:', error.message);
+            return res.status(500).json({ error: 'Database error fetching coupon.' });
+        }
+
+        res.status(200).json(coupon);
+    } catch (error) {
+        console.error('Error in getCouponById:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching coupon.' });
+    }
+};
+
+/**
+ * Create a coupon.
+ * @route POST /api/coupons
+ * @access Private (Admin Only)
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const { fields, error: validationError } = buildCouponFields(req.body, { partial: false });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data: coupon, error } = await supabase
+            .from('coupons')
+            .insert([fields])
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error creating coupon:', error.message);
+            if (error.code === '23505') return res.status(409).json({ error: 'A coupon with this code already exists.' });
+            if (error.code === '23514') return res.status(400).json({ error: 'Coupon settings are invalid: ' + error.message });
+            return res.status(500).json({ error: 'Database error creating coupon.' });
+        }
+
+        res.status(201).json(coupon);
+    } catch (error) {
+        console.error('Error in createCoupon:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error creating coupon.' });
+    }
+};
+
+/**
+ * Update a coupon. Only the fields provided are changed.
+ * @route PUT /api/coupons/:id
+ * @access Private (Admin Only)
+ */
+export const updateCoupon = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fields, error: validationError } = buildCouponFields(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No coupon fields to update.' });
+        }
+
+        const { data: coupon, error } = await supabase
+            .from('coupons')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating coupon:', error.message);
+            if (error.code === 'PGRST116') return res.status(404).json({ error: 'Coupon not found.' });
+            if (error.code === '23505') return res.status(409).json({ error: 'A coupon with this code already exists.' });
+            if (error.code === '23514') return res.status(400).json({ error: 'Coupon settings are invalid: ' + error.message });
+            return res.status(500).json({ error: 'Database error updating coupon.' });
+        }
+
+        res.status(200).json(coupon);
+    } catch (error) {
+        console.error('Error in updateCoupon:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating coupon.' });
+    }
+};
+
+/**
+ * Delete a coupon that has never been redeemed. Redeemed coupons must be deactivated instead,
+ * so order history keeps its discounts.
+ * @route DELETE /api/coupons/:id
+ * @access Private (Admin Only)
+ */
+export const deleteCoupon = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error } = await supabase
+            .from('coupons')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            console.error('Supabase error deleting coupon:', error.message);
+            if (error.code === '23503') {
+                return res.status(409).json({ error: 'Cannot delete a coupon that has been redeemed. Deactivate it instead.' });
+            }
+            return res.status(500).json({ error: 'Database error deleting coupon.' });
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error in deleteCoupon:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error deleting coupon.' });
+    }
+};
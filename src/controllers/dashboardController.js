@@ -1,5 +1,6 @@
 // backend/controllers/dashboardController.js
 import supabase from '../config/supabase.js';
+import { roundMoney } from '../utils/money.js';
 
 export const getDashboardStats = async (req, res) => {
   try {
@@ -16,14 +17,19 @@ export const getDashboardStats = async (req, res) => {
 
     if (ordersCountError) throw ordersCountError;
 
-    // 2. Fetch Total Revenue (only from PAID orders)
+    // 2. Fetch Total Revenue (only from PAID orders). total_amount is already net of discounts
+    // and includes service charges and tax.
     const { data: revenueData, error: revenueError } = await supabase
       .from('orders')
-      .select('total_amount')
+      .select('total_amount, discount_amount, tax_total, charge_total')
       .eq('payment_status', 'paid'); // CRITICAL: Filter by 'paid' payment status
 
     if (revenueError) throw revenueError;
     const totalRevenue = revenueData.reduce((sum, order) => sum + parseFloat(order.total_amount), 0); // Use parseFloat for safety
+    const totalDiscounts = revenueData.reduce((sum, order) => sum + parseFloat(order.discount_amount || 0), 0);
+    // Tax is collected on behalf of the tax authority, so it is reported apart from net revenue
+    const totalTax = revenueData.reduce((sum, order) => sum + parseFloat(order.tax_total || 0), 0);
+    const totalServiceCharges = revenueData.reduce((sum, order) => sum + parseFloat(order.charge_total || 0), 0);
 
     // 3. Fetch Pending Orders
     const { count: pendingOrders, error: pendingOrdersError } = await supabase
@@ -59,6 +65,10 @@ export const getDashboardStats = async (req, res) => {
     const stats = [
       { title: 'Total Orders', value: totalOrders, icon: '📦' },
       { title: 'Total Revenue', value: totalRevenue, icon: '💰' },
+      { title: 'Net Revenue (excl. tax)', value: roundMoney(totalRevenue - totalTax), icon: '💵' },
+      { title: 'Tax Collected', value: roundMoney(totalTax), icon: '🧾' },
+      { title: 'Service Charges', value: roundMoney(totalServiceCharges), icon: '🛎️' },
+      { title: 'Discounts Given', value: totalDiscounts, icon: '🏷️' },
       { title: 'Pending Orders', value: pendingOrders, icon: '⏱️' },
       { title: 'Menu Items', value: totalMenuItems, icon: '🍔' }
     ];
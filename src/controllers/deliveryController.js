@@ -0,0 +1,240 @@
+// backend/src/controllers/deliveryController.js
+import supabase from '../config/supabase.js';
+import { parseDateBoundary } from '../services/orderQueries.js';
+import {
+    ASSIGNMENT_STATUSES,
+    ACTIVE_ASSIGNMENT_STATUSES,
+    RIDER_ASSIGNMENT_SELECT,
+    assignRider,
+    unassignRider,
+    markPickedUp,
+    markDelivered,
+    getRiderHistory
+} from '../services/deliveryService.js';
+
+// Comma-separated ?status=, defaulting to the open assignments
+const parseStatuses = (value) => {
+    if (!value) return ACTIVE_ASSIGNMENT_STATUSES;
+    const statuses = String(value).split(',').map(status => status.trim()).filter(Boolean);
+    const invalid = statuses.filter(status => !ASSIGNMENT_STATUSES.includes(status));
+    return invalid.length > 0 ? null : statuses;
+};
+
+const parsePeriod = (query) => ({
+    from: parseDateBoundary(query.from, 'from'),
+    to: parseDateBoundary(query.to, 'to', { endOfDay: true })
+});
+
+const withoutPin = ({ delivery_pin, pin_attempts, ...assignment }) => assignment;
+
+/**
+ * List delivery assignments, open ones by default. Filter with ?status= (comma-separated)
+ * and ?rider_id=.
+ * @route GET /api/deliveries
+ * @access Private (Admin Only)
+ */
+export const getAssignments = async (req, res) => {
+    try {
+        const statuses = parseStatuses(req.query.status);
+        if (!statuses) {
+            return res.status(400).json({ error: `Invalid status. Valid statuses are: ${ASSIGNMENT_STATUSES.join(', ')}.` });
+        }
+
+        let query = supabase
+            .from('delivery_assignments')
+            .select(`${RIDER_ASSIGNMENT_SELECT}, rider:users!delivery_assignments_rider_id_fkey ( full_name, phone_number )`)
+            .in('status', statuses);
+        if (req.query.rider_id) query = query.eq('rider_id', req.query.rider_id);
+
+        const { data: assignments, error } = await query.order('assigned_at', { ascending: false });
+
+        if (error) {
+            console.error('Supabase error fetching delivery assignments:', error.message);
+            return res.status(500).json({ error: 'Database error fetching delivery assignments.' });
+        }
+
+        res.status(200).json(assignments);
+    } catch (error) {
+        console.error('Error in getAssignments:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching delivery assignments.' });
+    }
+};
+
+/**
+ * List riders with how many deliveries each is currently carrying.
+ * @route GET /api/deliveries/riders
+ * @access Private (Admin Only)
+ */
+export const getRiders = async (req, res) => {
+    try {
+        const { data: riders, error } = await supabase
+            .from('users')
+            .select('id, full_name, email, phone_number')
+            .eq('role', 'rider')
+            .order('full_name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching riders:', error.message);
+            return res.status(500).json({ error: 'Database error fetching riders.' });
+        }
+
+        const { data: open, error: openError } = await supabase
+            .from('delivery_assignments')
+            .select('rider_id')
+            .in('status', ACTIVE_ASSIGNMENT_STATUSES);
+
+        if (openError) {
+            console.error('Supabase error counting open deliveries:', openError.message);
+            return res.status(500).json({ error: 'Database error fetching riders.' });
+        }
+
+        const openCounts = open.reduce((counts, { rider_id }) => counts.set(rider_id, (counts.get(rider_id) || 0) + 1), new Map());
+        res.status(200).json(riders.map(rider => ({ ...rider, open_deliveries: openCounts.get(rider.id) || 0 })));
+    } catch (error) {
+        console.error('Error in getRiders:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching riders.' });
+    }
+};
+
+/**
+ * Assign a delivery order to a rider, or move it to another rider.
+ * @route POST /api/deliveries
+ * @access Private (Admin Only)
+ */
+export const createAssignment = async (req, res) => {
+    try {
+        const { order_id, rider_id } = req.body;
+        if (!order_id || !rider_id) {
+            return res.status(400).json({ error: 'order_id and rider_id are required.' });
+        }
+
+        const assignment = await assignRider({ orderId: order_id, riderId: rider_id, actor: { id: req.user.id, role: req.user.role } });
+
+        res.status(201).json({ message: 'Rider assigned.', assignment });
+    } catch (error) {
+        console.error('Error in createAssignment:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error assigning rider.' });
+    }
+};
+
+/**
+ * Take a rider off a delivery.
+ * @route DELETE /api/deliveries/:id
+ * @access Private (Admin Only)
+ */
+export const deleteAssignment = async (req, res) => {
+    try {
+        const assignment = await unassignRider(req.params.id);
+        res.status(200).json({ message: 'Rider unassigned.', assignment });
+    } catch (error) {
+        console.error('Error in deleteAssignment:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error unassigning rider.' });
+    }
+};
+
+/**
+ * A rider's delivered orders and delivery fees in a period (?from= and ?to=), for payouts.
+ * @route GET /api/deliveries/riders/:riderId/history
+ * @access Private (Admin Only)
+ */
+export const getRiderDeliveryHistory = async (req, res) => {
+    try {
+        const history = await getRiderHistory({ riderId: req.params.riderId, ...parsePeriod(req.query) });
+        res.status(200).json(history);
+    } catch (error) {
+        console.error('Error in getRiderDeliveryHistory:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching delivery history.' });
+    }
+};
+
+/**
+ * The authenticated rider's deliveries with the address and customer's phone; open ones by
+ * default, or filter with ?status=.
+ * @route GET /api/deliveries/mine
+ * @access Private (Rider)
+ */
+export const getMyAssignments = async (req, res) => {
+    try {
+        const statuses = parseStatuses(req.query.status);
+        if (!statuses) {
+            return res.status(400).json({ error: `Invalid status. Valid statuses are: ${ASSIGNMENT_STATUSES.join(', ')}.` });
+        }
+
+        const { data: assignments, error } = await supabase
+            .from('delivery_assignments')
+            .select(RIDER_ASSIGNMENT_SELECT)
+            .eq('rider_id', req.user.id)
+            .in('status', statuses)
+            .order('assigned_at', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching rider deliveries:', error.message);
+            return res.status(500).json({ error: 'Database error fetching your deliveries.' });
+        }
+
+        res.status(200).json(assignments);
+    } catch (error) {
+        console.error('Error in getMyAssignments:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching your deliveries.' });
+    }
+};
+
+/**
+ * The authenticated rider's delivered orders and delivery fees in a period (?from= and ?to=).
+ * @route GET /api/deliveries/mine/history
+ * @access Private (Rider)
+ */
+export const getMyDeliveryHistory = async (req, res) => {
+    try {
+        const history = await getRiderHistory({ riderId: req.user.id, ...parsePeriod(req.query) });
+        res.status(200).json(history);
+    } catch (error) {
+        console.error('Error in getMyDeliveryHistory:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching your delivery history.' });
+    }
+};
+
+/**
+ * Mark a delivery as collected from the restaurant.
+ * @route POST /api/deliveries/:id/pickup
+ * @access Private (Rider)
+ */
+export const pickUpDelivery = async (req, res) => {
+    try {
+        const assignment = await markPickedUp({ assignmentId: req.params.id, rider: { id: req.user.id, role: req.user.role } });
+        res.status(200).json({ message: 'Delivery picked up.', assignment: withoutPin(assignment) });
+    } catch (error) {
+        console.error('Error in pickUpDelivery:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error recording pickup.' });
+    }
+};
+
+/**
+ * Mark a delivery as made, with proof: a `note`, a `photo` (multipart upload) and/or the
+ * customer's `pin`. For pay-on-delivery orders send payment_collected=true once paid.
+ * @route POST /api/deliveries/:id/deliver
+ * @access Private (Rider)
+ */
+export const completeDelivery = async (req, res) => {
+    try {
+        const { note, pin, payment_collected } = req.body;
+
+        const { assignment, order } = await markDelivered({
+            assignmentId: req.params.id,
+            rider: { id: req.user.id, role: req.user.role },
+            note,
+            photoUrl: req.file ? `/uploads/${req.file.filename}` : null,
+            pin,
+            paymentCollected: payment_collected === true || payment_collected === 'true'
+        });
+
+        res.status(200).json({
+            message: 'Delivery completed.',
+            assignment: withoutPin(assignment),
+            order: { id: order.id, order_number: order.order_number, status: order.status, payment_status: order.payment_status }
+        });
+    } catch (error) {
+        console.error('Error in completeDelivery:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error completing delivery.' });
+    }
+};
@@ -0,0 +1,200 @@
+// backend/src/controllers/deliveryZoneController.js
+import supabase from '../config/supabase.js';
+
+const MATCH_TYPES = ['area', 'radius'];
+
+const toStringArray = (value) => (Array.isArray(value) ? value : [value])
+    .filter(entry => entry !== undefined && entry !== null && String(entry).trim() !== '')
+    .map(entry => String(entry).trim());
+
+/**
+ * Validate a zone payload and pick the columns to write.
+ * @returns {{ fields?: object, error?: string }}
+ */
+const buildZoneFields = (body, { partial }) => {
+    const fields = {};
+    const { name, match_type, cities, states, radius_km, base_fee, free_delivery_threshold, min_order_value, is_serviceable, priority } = body;
+
+    if (!partial && (!name || !match_type)) {
+        return { error: 'Zone name and match_type are required.' };
+    }
+    if (name !== undefined) fields.name = name;
+    if (match_type !== undefined) {
+        if (!MATCH_TYPES.includes(match_type)) {
+            return { error: `Invalid match_type. Valid types are: ${MATCH_TYPES.join(', ')}.` };
+        }
+        fields.match_type = match_type;
+    }
+    if (cities !== undefined) fields.cities = toStringArray(cities);
+    if (states !== undefined) fields.states = toStringArray(states);
+
+    const numericFields = { radius_km, base_fee, free_delivery_threshold, min_order_value, priority };
+    for (const [key, value] of Object.entries(numericFields)) {
+        if (value === undefined) continue;
+        if (value === null && (key === 'free_delivery_threshold' || key === 'radius_km')) {
+            fields[key] = null;
+            continue;
+        }
+        if (isNaN(value) || (key !== 'priority' && parseFloat(value) < 0)) {
+            return { error: `${key} must be a non-negative number.` };
+        }
+        fields[key] = key === 'priority' ? parseInt(value, 10) : parseFloat(value);
+    }
+    if (is_serviceable !== undefined) fields.is_serviceable = is_serviceable === true || is_serviceable === 'true';
+
+    if (fields.match_type === 'radius' && !(fields.radius_km > 0) && !partial) {
+        return { error: 'radius_km must be greater than zero for radius zones.' };
+    }
+    if (fields.match_type === 'area' && !partial && !(fields.cities?.length || fields.states?.length)) {
+        return { error: 'Area zones need at least one city or state.' };
+    }
+
+    return { fields };
+};
+
+/**
+ * List the serviceable delivery zones, highest priority first. Admins see every zone with
+ * GET /api/delivery-zones/all.
+ * @route GET /api/delivery-zones
+ * @access Public
+ */
+export const getDeliveryZones = async (req, res) => {
+    try {
+        const { data: zones, error } = await supabase
+            .from('delivery_zones')
+            .select('*')
+            .order('priority', { ascending: false })
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching delivery zones:', error.message);
+            return res.status(500).json({ error: 'Database error fetching delivery zones.' });
+        }
+
+        res.status(200).json(zones.filter(zone => zone.is_serviceable));
+    } catch (error) {
+        console.error('Error in getDeliveryZones:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching delivery zones.' });
+    }
+};
+
+/**
+ * List every delivery zone, including non-serviceable ones.
+ * @route GET /api/delivery-zones/all
+ * @access Private (Admin Only)
+ */
+export const getAllDeliveryZones = async (req, res) => {
+    try {
+        const { data: zones, error } = await supabase
+            .from('delivery_zones')
+            .select('*')
+            .order('priority', { ascending: false })
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching all delivery zones:', error.message);
+            return res.status(500).json({ error: 'Database error fetching delivery zones.' });
+        }
+
+        res.status(200).json(zones);
+    } catch (error) {
+        console.error('Error in getAllDeliveryZones:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching delivery zones.' });
+    }
+};
+
+/**
+ * Create a delivery zone.
+ * @route POST /api/delivery-zones
+ * @access Private (Admin Only)
+ */
+export const createDeliveryZone = async (req, res) => {
+    try {
+        const { fields, error: validationError } = buildZoneFields(req.body, { partial: false });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data: zone, error } = await supabase
+            .from('delivery_zones')
+            .insert([fields])
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error creating delivery zone:', error.message);
+            if (error.code === '23505') return res.status(409).json({ error: 'A delivery zone with this name already exists.' });
+            if (error.code === '23514') return res.status(400).json({ error: 'Zone settings are invalid: ' + error.message });
+            return res.status(500).json({ error: 'Database error creating delivery zone.' });
+        }
+
+        res.status(201).json(zone);
+    } catch (error) {
+        console.error('Error in createDeliveryZone:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error creating delivery zone.' });
+    }
+};
+
+/**
+ * Update a delivery zone. Only the fields provided are changed.
+ * @route PUT /api/delivery-zones/:id
+ * @access Private (Admin Only)
+ */
+export const updateDeliveryZone = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fields, error: validationError } = buildZoneFields(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No delivery zone fields to update.' });
+        }
+
+        const { data: zone, error } = await supabase
+            .from('delivery_zones')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating delivery zone:', error.message);
+            if (error.code === 'PGRST116') return res.status(404).json({ error: 'Delivery zone not found.' });
+            if (error.code === '23505') return res.status(409).json({ error: 'A delivery zone with this name already exists.' });
+            if (error.code === '23514') return res.status(400).json({ error: 'Zone settings are invalid: ' + error.message });
+            return res.status(500).json({ error: 'Database error updating delivery zone.' });
+        }
+
+        res.status(200).json(zone);
+    } catch (error) {
+        console.error('Error in updateDeliveryZone:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating delivery zone.' });
+    }
+};
+
+/**
+ * Delete a delivery zone.
+ * @route DELETE /api/delivery-zones/:id
+ * @access Private (Admin Only)
+ */
+export const deleteDeliveryZone = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error } = await supabase
+            .from('delivery_zones')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            console.error('Supabase error deleting delivery zone:', error.message);
+            return res.status(500).json({ error: 'Database error deleting delivery zone.' });
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error in deleteDeliveryZone:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error deleting delivery zone.' });
+    }
+};
@@ -0,0 +1,165 @@
+// backend/src/controllers/inventoryController.js
+import supabase from '../config/supabase.js';
+import { adjustStock, isLowStock, getDefaultLowStockThreshold } from '../services/inventoryService.js';
+
+const STOCK_FIELDS = 'id, name, is_available, stock_quantity, low_stock_threshold, stock_auto_disabled, categories ( name )';
+const MOVEMENTS_LIMIT = 200;
+
+const formatStockItem = (item) => ({
+    ...item,
+    category_name: item.categories ? item.categories.name : 'Uncategorized',
+    categories: undefined,
+    effective_low_stock_threshold: item.low_stock_threshold ?? getDefaultLowStockThreshold(),
+    is_low_stock: isLowStock(item)
+});
+
+const fetchTrackedItems = async () => {
+    const { data: items, error } = await supabase
+        .from('menu_items')
+        .select(STOCK_FIELDS)
+        .not('stock_quantity', 'is', null)
+        .order('stock_quantity', { ascending: true });
+
+    if (error) {
+        throw new Error(`Database error fetching stock levels: ${error.message}`);
+    }
+    return items.map(formatStockItem);
+};
+
+/**
+ * Stock levels of every stock-tracked menu item, lowest first.
+ * @route GET /api/inventory
+ * @access Private (Admin or Staff)
+ */
+export const getStockLevels = async (req, res) => {
+    try {
+        res.status(200).json(await fetchTrackedItems());
+    } catch (error) {
+        console.error('Error in getStockLevels:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching stock levels.' });
+    }
+};
+
+/**
+ * Low-stock alerts: tracked items at or below their threshold (out-of-stock items included).
+ * @route GET /api/inventory/low-stock
+ * @access Private (Admin or Staff)
+ */
+export const getLowStockAlerts = async (req, res) => {
+    try {
+        const items = (await fetchTrackedItems()).filter(item => item.is_low_stock);
+
+        res.status(200).json({
+            count: items.length,
+            out_of_stock: items.filter(item => item.stock_quantity <= 0).length,
+            items
+        });
+    } catch (error) {
+        console.error('Error in getLowStockAlerts:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching low-stock alerts.' });
+    }
+};
+
+/**
+ * Change a menu item's stock-tracking settings. Sending track_stock: false stops tracking
+ * (stock_quantity becomes null); tracking starts with the first adjustment.
+ * @route PUT /api/inventory/:menuItemId
+ * @access Private (Admin Only)
+ */
+export const updateStockSettings = async (req, res) => {
+    try {
+        const { menuItemId } = req.params;
+        const { low_stock_threshold, track_stock } = req.body;
+        const fields = {};
+
+        if (low_stock_threshold !== undefined) {
+            if (low_stock_threshold !== null && (!Number.isInteger(Number(low_stock_threshold)) || Number(low_stock_threshold) < 0)) {
+                return res.status(400).json({ error: 'low_stock_threshold must be a whole number of 0 or more, or null for the default.' });
+            }
+            fields.low_stock_threshold = low_stock_threshold === null ? null : Number(low_stock_threshold);
+        }
+        if (track_stock === false || track_stock === 'false') {
+            fields.stock_quantity = null;
+            fields.stock_auto_disabled = false;
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No stock settings to update. To set a quantity, record an adjustment.' });
+        }
+
+        const { data: item, error } = await supabase
+            .from('menu_items')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', menuItemId)
+            .select(STOCK_FIELDS)
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating stock settings:', error.message);
+            if (error.code === 'PGRST116') return res.status(404).json({ error: 'Menu item not found.' });
+            return res.status(500).json({ error: 'Database error updating stock settings.' });
+        }
+
+        res.status(200).json(formatStockItem(item));
+    } catch (error) {
+        console.error('Error in updateStockSettings:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating stock settings.' });
+    }
+};
+
+/**
+ * Record a stock adjustment: { change } for a relative change (e.g. +20 restock, -3 waste)
+ * or { set_to } for a stocktake count, with a reason and optional note.
+ * @route POST /api/inventory/:menuItemId/adjustments
+ * @access Private (Admin Only)
+ */
+export const createStockAdjustment = async (req, res) => {
+    try {
+        const { change, set_to, reason, note } = req.body;
+
+        const item = await adjustStock({
+            menuItemId: req.params.menuItemId,
+            change,
+            setTo: set_to,
+            reason,
+            note,
+            actorId: req.user.id
+        });
+
+        res.status(201).json(item);
+    } catch (error) {
+        console.error('Error in createStockAdjustment:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error adjusting stock.' });
+    }
+};
+
+/**
+ * Stock movement log, newest first. Filter with ?menu_item_id= and/or ?reason=.
+ * @route GET /api/inventory/movements
+ * @access Private (Admin Only)
+ */
+export const getStockMovements = async (req, res) => {
+    try {
+        const { menu_item_id, reason } = req.query;
+
+        let query = supabase
+            .from('stock_movements')
+            .select('*, menu_items ( name ), orders ( order_number )')
+            .order('created_at', { ascending: false })
+            .limit(MOVEMENTS_LIMIT);
+
+        if (menu_item_id) query = query.eq('menu_item_id', menu_item_id);
+        if (reason) query = query.eq('reason', reason);
+
+        const { data: movements, error } = await query;
+
+        if (error) {
+            console.error('Supabase error fetching stock movements:', error.message);
+            return res.status(500).json({ error: 'Database error fetching stock movements.' });
+        }
+
+        res.status(200).json(movements);
+    } catch (error) {
+        console.error('Error in getStockMovements:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching stock movements.' });
+    }
+};
@@ -0,0 +1,208 @@
+// backend/src/controllers/kitchenController.js
+import supabase from '../config/supabase.js';
+import { getKitchenTickets, startTicket, bumpItems } from '../services/kitchenService.js';
+
+// --- Kitchen Stations ---
+
+/**
+ * List kitchen stations in display order.
+ * @route GET /api/kitchen/stations
+ * @access Private (Staff or Admin)
+ */
+export const getStations = async (req, res) => {
+    try {
+        const { data: stations, error } = await supabase
+            .from('kitchen_stations')
+            .select('*, categories(id, name)')
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching kitchen stations:', error.message);
+            return res.status(500).json({ error: 'Database error fetching kitchen stations.' });
+        }
+
+        res.status(200).json(stations);
+    } catch (error) {
+        console.error('Error in getStations:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching kitchen stations.' });
+    }
+};
+
+/**
+ * Create a kitchen station (e.g. grill, drinks). Categories are routed to it via categories.station_id.
+ * @route POST /api/kitchen/stations
+ * @access Private (Admin Only)
+ */
+export const createStation = async (req, res) => {
+    try {
+        const { name, sort_order, is_active } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: 'Station name is required.' });
+        }
+
+        const { data: station, error } = await supabase
+            .from('kitchen_stations')
+            .insert([{
+                name,
+                sort_order: sort_order !== undefined ? Number(sort_order) : 0,
+                is_active: is_active !== undefined ? Boolean(is_active) : true
+            }])
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error creating kitchen station:', error.message);
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'A kitchen station with this name already exists.' });
+            }
+            return res.status(500).json({ error: 'Database error creating kitchen station.' });
+        }
+
+        res.status(201).json(station);
+    } catch (error) {
+        console.error('Error in createStation:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error creating kitchen station.' });
+    }
+};
+
+/**
+ * Update a kitchen station.
+ * @route PUT /api/kitchen/stations/:id
+ * @access Private (Admin Only)
+ */
+export const updateStation = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, sort_order, is_active } = req.body;
+
+        const updates = { updated_at: new Date().toISOString() };
+        if (name !== undefined) updates.name = name;
+        if (sort_order !== undefined) updates.sort_order = Number(sort_order);
+        if (is_active !== undefined) updates.is_active = Boolean(is_active);
+
+        if (Object.keys(updates).length === 1) {
+            return res.status(400).json({ error: 'No station fields to update. Provide name, sort_order or is_active.' });
+        }
+
+        const { data: station, error } = await supabase
+            .from('kitchen_stations')
+            .update(updates)
+            .eq('id', id)
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating kitchen station:', error.message);
+            if (error.code === 'PGRST116') return res.status(404).json({ error: 'Kitchen station not found.' });
+            if (error.code === '23505') return res.status(409).json({ error: 'A kitchen station with this name already exists.' });
+            return res.status(500).json({ error: 'Database error updating kitchen station.' });
+        }
+
+        res.status(200).json(station);
+    } catch (error) {
+        console.error('Error in updateStation:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating kitchen station.' });
+    }
+};
+
+/**
+ * Delete a kitchen station. Its categories fall back to the unassigned queue.
+ * @route DELETE /api/kitchen/stations/:id
+ * @access Private (Admin Only)
+ */
+export const deleteStation = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error } = await supabase
+            .from('kitchen_stations')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            console.error('Supabase error deleting kitchen station:', error.message);
+            return res.status(500).json({ error: 'Database error deleting kitchen station.' });
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error in deleteStation:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error deleting kitchen station.' });
+    }
+};
+
+// --- Tickets ---
+
+/**
+ * Active orders as kitchen tickets, oldest first, with a prep timer per ticket.
+ * Pass ?station=<station id> (or 'unassigned') for a single station's queue.
+ * @route GET /api/kitchen/tickets
+ * @access Private (Staff or Admin)
+ */
+export const getTickets = async (req, res) => {
+    try {
+        const tickets = await getKitchenTickets({ stationId: req.query.station });
+        res.status(200).json(tickets);
+    } catch (error) {
+        console.error('Error in getTickets:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching kitchen tickets.' });
+    }
+};
+
+/**
+ * Start a confirmed ticket (moves the order to 'preparing').
+ * @route POST /api/kitchen/tickets/:orderId/start
+ * @access Private (Staff or Admin)
+ */
+export const startKitchenTicket = async (req, res) => {
+    try {
+        const ticket = await startTicket({
+            orderId: req.params.orderId,
+            actor: { id: req.user.id, role: req.user.role }
+        });
+        res.status(200).json(ticket);
+    } catch (error) {
+        console.error('Error in startKitchenTicket:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error starting ticket.' });
+    }
+};
+
+/**
+ * Bump a single item on a ticket.
+ * @route POST /api/kitchen/tickets/:orderId/items/:itemId/bump
+ * @access Private (Staff or Admin)
+ */
+export const bumpTicketItem = async (req, res) => {
+    try {
+        const ticket = await bumpItems({
+            orderId: req.params.orderId,
+            itemIds: [req.params.itemId],
+            actor: { id: req.user.id, role: req.user.role }
+        });
+        res.status(200).json(ticket);
+    } catch (error) {
+        console.error('Error in bumpTicketItem:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error bumping item.' });
+    }
+};
+
+/**
+ * Bump every remaining item on a ticket, moving the order to 'ready'.
+ * @route POST /api/kitchen/tickets/:orderId/bump
+ * @access Private (Staff or Admin)
+ */
+export const bumpTicket = async (req, res) => {
+    try {
+        const ticket = await bumpItems({
+            orderId: req.params.orderId,
+            itemIds: null,
+            actor: { id: req.user.id, role: req.user.role }
+        });
+        res.status(200).json(ticket);
+    } catch (error) {
+        console.error('Error in bumpTicket:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error bumping ticket.' });
+    }
+};
@@ -0,0 +1,171 @@
+// backend/src/controllers/loyaltyController.js
+import supabase from '../config/supabase.js';
+import { getLoyaltySettings, getPointsBalance, adjustPoints } from '../services/loyaltyService.js';
+
+const HISTORY_LIMIT = 100;
+
+const fetchHistory = async (userId) => {
+    const { data: transactions, error } = await supabase
+        .from('loyalty_transactions')
+        .select('id, points, type, reason, created_at, orders(order_number)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(HISTORY_LIMIT);
+
+    if (error) {
+        throw new Error(`Database error fetching loyalty history: ${error.message}`);
+    }
+    return transactions;
+};
+
+/**
+ * Get the authenticated user's points balance, what a point is worth, and recent history.
+ * @route GET /api/users/me/loyalty
+ * @access Private (Authenticated User)
+ */
+export const getMyLoyalty = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const [balance, settings, history] = await Promise.all([
+            getPointsBalance(userId),
+            getLoyaltySettings(),
+            fetchHistory(userId)
+        ]);
+
+        res.status(200).json({
+            balance,
+            balance_value: balance > 0 ? balance * Number(settings.naira_per_point) : 0,
+            program: {
+                is_enabled: settings.is_enabled,
+                points_per_naira: Number(settings.points_per_naira),
+                naira_per_point: Number(settings.naira_per_point),
+                min_redeem_points: settings.min_redeem_points,
+                max_redeem_percent: Number(settings.max_redeem_percent)
+            },
+            history
+        });
+    } catch (error) {
+        console.error('Error in getMyLoyalty:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching loyalty points.' });
+    }
+};
+
+/**
+ * Get the loyalty earn/burn settings.
+ * @route GET /api/loyalty/settings
+ * @access Private (Admin Only)
+ */
+export const getSettings = async (req, res) => {
+    try {
+        const settings = await getLoyaltySettings();
+        res.status(200).json(settings);
+    } catch (error) {
+        console.error('Error in getSettings (loyalty):', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching loyalty settings.' });
+    }
+};
+
+/**
+ * Update the loyalty earn/burn settings. Only the fields provided are changed.
+ * @route PUT /api/loyalty/settings
+ * @access Private (Admin Only)
+ */
+export const updateSettings = async (req, res) => {
+    try {
+        const { is_enabled, points_per_naira, naira_per_point, min_redeem_points, max_redeem_percent } = req.body;
+
+        const updates = { updated_by: req.user.id, updated_at: new Date().toISOString() };
+        if (is_enabled !== undefined) updates.is_enabled = is_enabled === true || is_enabled === 'true';
+
+        const numericFields = { points_per_naira, naira_per_point, min_redeem_points, max_redeem_percent };
+        for (const [key, value] of Object.entries(numericFields)) {
+            if (value === undefined) continue;
+            if (isNaN(value) || parseFloat(value) < 0) {
+                return res.status(400).json({ error: `${key} must be a non-negative number.` });
+            }
+            updates[key] = key === 'min_redeem_points' ? parseInt(value, 10) : parseFloat(value);
+        }
+        if (updates.naira_per_point === 0) {
+            return res.status(400).json({ error: 'naira_per_point must be greater than zero.' });
+        }
+        if (updates.max_redeem_percent > 100) {
+            return res.status(400).json({ error: 'max_redeem_percent cannot exceed 100.' });
+        }
+        if (Object.keys(updates).length === 2) {
+            return res.status(400).json({ error: 'No loyalty settings to update.' });
+        }
+
+        const { data: settings, error } = await supabase
+            .from('loyalty_settings')
+            .update(updates)
+            .eq('id', 1)
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating loyalty settings:', error.message);
+            return res.status(500).json({ error: 'Database error updating loyalty settings.' });
+        }
+
+        res.status(200).json(settings);
+    } catch (error) {
+        console.error('Error in updateSettings (loyalty):', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating loyalty settings.' });
+    }
+};
+
+/**
+ * Get any user's points balance and history.
+ * @route GET /api/loyalty/users/:userId
+ * @access Private (Admin Only)
+ */
+export const getUserLoyalty = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const [balance, history] = await Promise.all([getPointsBalance(userId), fetchHistory(userId)]);
+
+        res.status(200).json({ user_id: userId, balance, history });
+    } catch (error) {
+        console.error('Error in getUserLoyalty:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching loyalty points.' });
+    }
+};
+
+/**
+ * Manually add (positive) or remove (negative) points for a user, with a reason.
+ * @route POST /api/loyalty/adjustments
+ * @access Private (Admin Only)
+ */
+export const createAdjustment = async (req, res) => {
+    try {
+        const { user_id, points, reason } = req.body;
+
+        if (!user_id) {
+            return res.status(400).json({ error: 'user_id is required.' });
+        }
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('id')
+            .eq('id', user_id)
+            .maybeSingle();
+
+        if (userError) {
+            console.error('Supabase error fetching user for loyalty adjustment:', userError.message);
+            return res.status(500).json({ error: 'Database error fetching user.' });
+        }
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        const adjustment = await adjustPoints({ userId: user_id, points, reason, actorId: req.user.id });
+        const balance = await getPointsBalance(user_id);
+
+        res.status(201).json({ adjustment, balance });
+    } catch (error) {
+        console.error('Error in createAdjustment (loyalty):', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error adjusting loyalty points.' });
+    }
+};
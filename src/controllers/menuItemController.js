@@ -2,6 +2,13 @@ import supabase from '../config/supabase.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+    OPTION_GROUPS_SELECT,
+    formatOptionGroups,
+    normalizeOptionGroups,
+    createMenuItemWithOptionGroups,
+    updateMenuItemWithOptionGroups
+} from '../services/menuOptions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +24,19 @@ const getDatabaseImageUrl = (filename) => {
     return `/uploads/${filename}`;
 };
 
+const fetchOptionGroups = async (menuItemId) => {
+    const { data, error } = await supabase
+        .from('menu_items')
+        .select(OPTION_GROUPS_SELECT)
+        .eq('id', menuItemId)
+        .single();
+
+    if (error) {
+        throw new Error(`Database error fetching option groups: ${error.message}`);
+    }
+    return formatOptionGroups(data.menu_option_groups);
+};
+
 export const uploadMenuItemImage = (req, res) => {
     try {
         if (!req.file) {
@@ -43,7 +63,8 @@ export const getMenuItems = async (req, res) => {
                 is_available,
                 created_at,
                 updated_at,
-                categories ( name )
+                categories ( name ),
+                ${OPTION_GROUPS_SELECT}
             `)
             .order('created_at', { ascending: false });
 
@@ -54,7 +75,9 @@ export const getMenuItems = async (req, res) => {
         const formattedData = data.map(item => ({
             ...item,
             category_name: item.categories ? item.categories.name : 'Uncategorized',
-            categories: undefined
+            categories: undefined,
+            option_groups: formatOptionGroups(item.menu_option_groups),
+            menu_option_groups: undefined
         }));
 
         res.status(200).json(formattedData);
@@ -71,7 +94,8 @@ export const getMenuItemById = async (req, res) => {
             .from('menu_items')
             .select(`
                 *,
-                categories ( name )
+                categories ( name ),
+                ${OPTION_GROUPS_SELECT}
             `)
             .eq('id', id)
             .single();
@@ -90,7 +114,9 @@ export const getMenuItemById = async (req, res) => {
         const formattedItem = {
             ...menuItem,
             category_name: menuItem.categories ? menuItem.categories.name : 'Uncategorized',
-            categories: undefined
+            categories: undefined,
+            option_groups: formatOptionGroups(menuItem.menu_option_groups),
+            menu_option_groups: undefined
         };
 
         res.status(200).json(formattedItem);
@@ -102,7 +128,7 @@ export const getMenuItemById = async (req, res) => {
 
 export const createMenuItem = async (req, res) => {
     try {
-        const { category_id, name, description, price, is_available, image_url } = req.body;
+        const { category_id, name, description, price, is_available, image_url, option_groups } = req.body;
 
         if (!name || !price || !category_id) {
             return res.status(400).json({ error: 'Name, price, and category are required for a menu item.' });
@@ -111,40 +137,43 @@ export const createMenuItem = async (req, res) => {
             return res.status(400).json({ error: 'Price must be a positive number.' });
         }
 
-        const { data: newMenuItem, error } = await supabase
-            .from('menu_items')
-            .insert([{
+        const { groups, error: optionsError } = option_groups === undefined ? { groups: [] } : normalizeOptionGroups(option_groups);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        let menuItemId;
+        try {
+            menuItemId = await createMenuItemWithOptionGroups({
                 category_id,
                 name,
                 description,
                 price: parseFloat(price),
                 image_url,
                 is_available: is_available !== undefined ? (is_available === 'true' || is_available === true) : true
-            }])
+            }, groups);
+        } catch (createError) {
+            return res.status(createError.statusCode || 500).json({ error: createError.message });
+        }
+
+        const { data: newMenuItem, error } = await supabase
+            .from('menu_items')
             .select(`
                 *,
                 categories ( name )
             `)
+            .eq('id', menuItemId)
             .single();
 
-        if (error) {
-            if (error.code === '23505') {
-                return res.status(409).json({ error: 'Menu item with this name already exists.' });
-            }
-            if (error.code === '23503') {
-                return res.status(400).json({ error: 'Invalid category ID provided.' });
-            }
-            return res.status(500).json({ error: 'Failed to create menu item in database.' });
-        }
-
-        if (!newMenuItem) {
-            throw new Error('Menu item creation failed: No data returned.');
+        if (error || !newMenuItem) {
+            return res.status(500).json({ error: 'Menu item was created but could not be fetched.' });
         }
 
         const formattedNewItem = {
             ...newMenuItem,
             category_name: newMenuItem.categories ? newMenuItem.categories.name : 'Uncategorized',
-            categories: undefined
+            categories: undefined,
+            option_groups: await fetchOptionGroups(newMenuItem.id)
         };
 
         res.status(201).json(formattedNewItem);
@@ -157,7 +186,7 @@ export const createMenuItem = async (req, res) => {
 export const updateMenuItem = async (req, res) => {
     try {
         const { id } = req.params;
-        const { category_id, name, description, price, is_available, image_url } = req.body;
+        const { category_id, name, description, price, is_available, image_url, option_groups } = req.body;
 
         if (!name || !price || !category_id) {
             return res.status(400).json({ error: 'Name, price, and category are required for a menu item update.' });
@@ -166,6 +195,12 @@ export const updateMenuItem = async (req, res) => {
             return res.status(400).json({ error: 'Price must be a positive number.' });
         }
 
+        // option_groups is optional on update; when sent it replaces the item's groups
+        const { groups, error: optionsError } = option_groups === undefined ? {} : normalizeOptionGroups(option_groups);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
         const { data: currentMenuItem, error: fetchError } = await supabase
             .from('menu_items')
             .select('image_url')
@@ -176,6 +211,20 @@ export const updateMenuItem = async (req, res) => {
             return res.status(404).json({ error: 'Menu item not found.' });
         }
 
+        try {
+            await updateMenuItemWithOptionGroups(id, {
+                category_id,
+                name,
+                description,
+                price: parseFloat(price),
+                image_url,
+                is_available: is_available !== undefined ? (is_available === 'true' || is_available === true) : undefined
+            }, groups);
+        } catch (updateError) {
+            return res.status(updateError.statusCode || 500).json({ error: updateError.message });
+        }
+
+        // Only once the update has gone through, so a failed update keeps its image
         const oldImageUrl = currentMenuItem.image_url;
         
         if (image_url && oldImageUrl && image_url !== oldImageUrl) {
@@ -196,40 +245,22 @@ export const updateMenuItem = async (req, res) => {
 
         const { data: updatedMenuItem, error } = await supabase
             .from('menu_items')
-            .update({
-                category_id,
-                name,
-                description,
-                price: parseFloat(price),
-                image_url,
-                is_available: is_available !== undefined ? (is_available === 'true' || is_available === true) : undefined,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', id)
             .select(`
                 *,
                 categories ( name )
             `)
+            .eq('id', id)
             .single();
 
-        if (error) {
-            if (error.code === '23505') {
-                return res.status(409).json({ error: 'Menu item with this name already exists.' });
-            }
-            if (error.code === '23503') {
-                return res.status(400).json({ error: 'Invalid category ID provided.' });
-            }
-            return res.status(500).json({ error: 'Failed to update menu item.' });
-        }
-
-        if (!updatedMenuItem) {
-            return res.status(404).json({ error: 'Menu item not found.' });
+        if (error || !updatedMenuItem) {
+            return res.status(500).json({ error: 'Menu item was updated but could not be fetched.' });
         }
 
         const formattedUpdatedItem = {
             ...updatedMenuItem,
             category_name: updatedMenuItem.categories ? updatedMenuItem.categories.name : 'Uncategorized',
-            categories: undefined
+            categories: undefined,
+            option_groups: await fetchOptionGroups(id)
         };
 
         res.status(200).json(formattedUpdatedItem);
@@ -248,9 +279,22 @@ export const toggleMenuItemAvailability = async (req, res) => {
     }
 
     try {
+        if (is_available) {
+            const { data: stock } = await supabase
+                .from('menu_items')
+                .select('stock_quantity')
+                .eq('id', id)
+                .maybeSingle();
+
+            if (stock && stock.stock_quantity !== null && stock.stock_quantity <= 0) {
+                return res.status(400).json({ error: 'This item is out of stock. Record a restock before making it available.' });
+            }
+        }
+
+        // A manual toggle overrides the automatic out-of-stock switch-off
         const { data, error } = await supabase
             .from('menu_items')
-            .update({ is_available, updated_at: new Date().toISOString() })
+            .update({ is_available, stock_auto_disabled: false, updated_at: new Date().toISOString() })
             .eq('id', id)
             .select(`
                 *,
@@ -297,6 +341,9 @@ export const deleteMenuItem = async (req, res) => {
             .eq('id', id);
 
         if (deleteError) {
+            if (deleteError.code === '23503') {
+                return res.status(409).json({ error: 'This menu item is a component of a bundle. Remove it from the bundle first.' });
+            }
             return res.status(500).json({ error: 'Failed to delete menu item.' });
         }
 
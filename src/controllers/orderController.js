@@ -1,7 +1,54 @@
 // backend/src/controllers/orderController.js
 import supabase from '../config/supabase.js';
-import { v4 as uuidv4 } from 'uuid'; // For generating unique order numbers
-import axios from 'axios'; // Import axios for external API calls like Paystack
+import { getPaymentProvider, assertProviderFitsOrderType } from '../services/payments/index.js';
+import { issueRefund, recordProcessedRefund, getRefundedTotal } from '../services/refundService.js';
+import { placeOrder, buildCartFromOrder } from '../services/orderPlacement.js';
+import { parseOrderListQuery, listOrders } from '../services/orderQueries.js';
+import { getOrderDelivery } from '../services/deliveryService.js';
+import { resolveTableToken } from '../services/tableService.js';
+import { priceOrder } from '../services/pricingService.js';
+import {
+    applyPaymentStatus,
+    recordPaymentInitiation,
+    findOrderByPaymentReference,
+    findOrderPaymentAttempt,
+    SETTLEABLE_PAYMENT_STATUSES,
+    CLOSED_ORDER_STATUSES
+} from '../services/orderPayments.js';
+import {
+    transitionOrderStatus,
+    CUSTOMER_CANCELLABLE_STATUSES,
+    getCancellationWindowMinutes
+} from '../services/orderLifecycle.js';
+
+/**
+ * Price a cart exactly as createOrder would, without creating anything.
+ * @route POST /api/orders/quote
+ * @access Private (Authenticated User)
+ */
+export const quoteOrder = async (req, res) => {
+    try {
+        const { items, address_id, is_pickup, coupon_code, redeem_points, table_token } = req.body;
+
+        // Dine-in carts are priced without delivery and may attract a service charge
+        const table = table_token ? await resolveTableToken(table_token) : null;
+
+        const quote = await priceOrder({
+            userId: req.user.id,
+            items,
+            address_id,
+            is_pickup: Boolean(table || is_pickup),
+            coupon_code,
+            redeem_points,
+            is_dine_in: Boolean(table)
+        });
+
+        res.status(200).json({ ...quote, can_checkout: quote.problems.length === 0 });
+    } catch (error) {
+        console.error('Error in quoteOrder:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error pricing order.' });
+    }
+};
 
 /**
  * Creates a new order and its associated order items.
@@ -11,136 +58,119 @@ import axios from 'axios'; // Import axios for external API calls like Paystack
 export const createOrder = async (req, res) => {
     try {
         const userId = req.user.id; // User ID from authenticated session
-        const { items, address_id, delivery_notes, is_pickup } = req.body; // Added is_pickup
+        const { items, address_id, delivery_notes, is_pickup, payment_provider, coupon_code, redeem_points, scheduled_for, table_token } = req.body; // Added is_pickup
 
         if (!userId) {
             return res.status(401).json({ error: 'Authentication required. User ID not found.' });
         }
-        if (!items || items.length === 0) {
-            return res.status(400).json({ error: 'Order must contain at least one item.' });
-        }
-        // Address ID is required only if it's a delivery order
-        if (!is_pickup && !address_id) {
-            console.error('createOrder: Triggered "Delivery address is required" error. is_pickup was', is_pickup, 'and address_id was', address_id);
-            return res.status(400).json({ error: 'Delivery address is required for delivery orders.' });
-        }
 
-        // Calculate subtotal from items
-        let subtotal = 0;
-        // Fetch actual prices from menu_items to prevent client-side price manipulation
-        const itemIds = items.map(item => item.id);
-        const { data: menuItemsData, error: menuItemsError } = await supabase
-            .from('menu_items')
-            .select('id, price')
-            .in('id', itemIds);
-
-        if (menuItemsError) {
-            console.error('Supabase error fetching menu item prices:', menuItemsError.message);
-            return res.status(500).json({ error: 'Database error fetching menu item prices.' });
+        const { order: newOrder, problems } = await placeOrder({
+            user: { id: userId, role: req.user.role },
+            items,
+            address_id,
+            is_pickup,
+            delivery_notes,
+            payment_provider,
+            coupon_code,
+            redeem_points,
+            scheduled_for,
+            table_token // Set when ordering from a table's QR code
+        });
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems[0].message, problems });
         }
 
-        const menuItemPrices = new Map(menuItemsData.map(item => [item.id, item.price]));
+        // Return the created order details along with its items
+        res.status(201).json(newOrder);
 
-        const orderItemsToInsert = [];
-        for (const item of items) {
-            const actualPrice = menuItemPrices.get(item.id);
-            if (actualPrice === undefined) {
-                return res.status(400).json({ error: `Menu item with ID ${item.id} not found or invalid.` });
-            }
-            subtotal += actualPrice * item.quantity;
-            orderItemsToInsert.push({
-                menu_item_id: item.id,
-                quantity: item.quantity,
-                price_at_order: actualPrice, // Store the actual price at the time of order
-                special_instructions: item.special_instructions || null,
-                created_at: new Date().toISOString()
-            });
-        }
+    } catch (error) {
+        console.error('Error in createOrder:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error during order creation.' });
+    }
+};
 
-        // Calculate delivery fee conditionally - SYNCHRONIZED WITH FRONTEND
-        let delivery_fee = 0; // Default to 0 for pickup or if no delivery is selected
+// Item-level problems a reorder skips over instead of failing
+const REORDER_SKIPPABLE_PROBLEMS = ['unknown_item', 'unavailable', 'invalid_options', 'insufficient_stock'];
 
-        if (!is_pickup) { // If it's a delivery order
-            // Fetch address details to calculate delivery fee based on city
-            const { data: address, error: addressError } = await supabase
-                .from('user_addresses')
-                .select('id, city')
-                .eq('id', address_id)
-                .eq('user_id', userId) // Security: Ensure address belongs to the current user
-                .single();
+/**
+ * Place a new order with the same items as a past one, at current menu prices. Items that are
+ * no longer available (or were deleted) are skipped and listed in `skipped_items`.
+ * The address or pickup choice, delivery notes and payment provider are reused unless the
+ * request body overrides them; coupon_code, redeem_points and scheduled_for can also be sent.
+ * @route POST /api/orders/:id/reorder
+ * @access Private (Authenticated User or Admin)
+ */
+export const reorderOrder = async (req, res) => {
+    try {
+        const { id: orderId } = req.params;
+        const userId = req.user.id;
+        const userRole = req.user.role;
 
-            if (addressError || !address) {
-                console.error("Supabase error fetching delivery address for fee calculation:", addressError?.message);
-                return res.status(404).json({ error: 'Delivery address not found or does not belong to your account.' });
-            }
+        const { data: pastOrder, error } = await supabase
+            .from('orders')
+            .select('*, order_items(*, menu_items(name)), order_bundles(*)')
+            .eq('id', orderId)
+            .single();
 
-            // Apply the delivery fee logic to match the frontend (Zaria vs. Others)
-            if (address.city.toLowerCase() === 'zaria') { // Matching frontend: Zaria logic
-                delivery_fee = subtotal >= 5000 ? 0 : 500;
-            } else { // Matching frontend: All other cities logic
-                delivery_fee = 1000;
+        if (error || !pastOrder) {
+            if (error?.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Order not found.' });
             }
+            console.error('Supabase error fetching order to reorder:', error?.message);
+            return res.status(500).json({ error: 'Database error fetching order.' });
         }
-        // If is_pickup is true, delivery_fee remains 0 as initialized
-
-        const total_amount = subtotal + delivery_fee;
-        const order_number = `ORD-${uuidv4().substring(0, 8).toUpperCase()}`; // Generate a unique order number
-
-        // 1. Insert into 'orders' table
-        const { data: newOrder, error: orderError } = await supabase
-            .from('orders')
-            .insert([{
-                user_id: userId,
-                address_id: is_pickup ? null : address_id, // Store address_id only if it's a delivery
-                order_number: order_number,
-                status: 'pending', // Initial status
-                subtotal: subtotal,
-                delivery_fee: delivery_fee, // Store the calculated delivery fee
-                total_amount: total_amount,
-                payment_status: 'pending', // Initialize payment status
-                delivery_notes: delivery_notes || null,
-                is_pickup: is_pickup, // Store the pickup status
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            }])
-            .select('*') // Select the newly created order
-            .single();
 
-        if (orderError) {
-            console.error('Supabase error creating order:', orderError.message);
-            console.error('   Code:', orderError.code);
-            console.error('   Details:', orderError.details);
-            console.error('   Hint:', orderError.hint);
-            return res.status(500).json({ error: 'Database error creating order.' });
+        // Same ownership rule as getOrderById
+        if (pastOrder.user_id !== userId && userRole !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. You are not authorized to view this order.' });
         }
 
-        // 2. Insert into 'order_items' table, linking to the new order
-        const orderItemsWithOrderId = orderItemsToInsert.map(item => ({
-            ...item,
-            order_id: newOrder.id // Link each item to the newly created order
-        }));
+        const overrides = req.body || {};
+        const is_pickup = overrides.is_pickup !== undefined ? overrides.is_pickup === true || overrides.is_pickup === 'true' : pastOrder.is_pickup;
+        const checkout = {
+            user: { id: userId, role: userRole },
+            is_pickup,
+            address_id: is_pickup ? null : (overrides.address_id || pastOrder.address_id),
+            delivery_notes: overrides.delivery_notes !== undefined ? overrides.delivery_notes : pastOrder.delivery_notes,
+            // A past dine-in order's bill is closed; ordering at a table again needs a fresh table_token
+            payment_provider: overrides.payment_provider || (pastOrder.is_dine_in ? undefined : pastOrder.payment_provider),
+            coupon_code: overrides.coupon_code,
+            redeem_points: overrides.redeem_points,
+            scheduled_for: overrides.scheduled_for,
+            table_token: overrides.table_token
+        };
+
+        const cart = buildCartFromOrder(pastOrder);
+        const skipped_items = cart.missing.map(entry => ({ ...entry, reason: 'This item is no longer on the menu.' }));
+
+        // Price once to find what can no longer be ordered, then place the order without it
+        let items = cart.items;
+        if (items.length > 0) {
+            const { problems } = await priceOrder({ userId, items, address_id: checkout.address_id, is_pickup, coupon_code: checkout.coupon_code, redeem_points: checkout.redeem_points });
+            const skipped = new Map(); // cart index -> first problem with that item
+            for (const problem of problems) {
+                if (problem.index !== null && REORDER_SKIPPABLE_PROBLEMS.includes(problem.code) && !skipped.has(problem.index)) {
+                    skipped.set(problem.index, problem);
+                }
+            }
 
-        const { data: insertedOrderItems, error: orderItemsError } = await supabase
-            .from('order_items')
-            .insert(orderItemsWithOrderId)
-            .select('*'); // Select the inserted order items
+            skipped.forEach((problem, index) => skipped_items.push({ name: cart.names[index], quantity: items[index].quantity, reason: problem.message }));
+            items = items.filter((item, index) => !skipped.has(index));
+        }
 
-        if (orderItemsError) {
-            console.error('Supabase error inserting order items:', orderItemsError.message);
-            console.error('   Code:', orderItemsError.code);
-            console.error('   Details:', orderItemsError.details);
-            console.error('   Hint:', orderItemsError.hint);
-            // Optional: Rollback the main order if order items insertion fails
-            await supabase.from('orders').delete().eq('id', newOrder.id);
-            return res.status(500).json({ error: 'Database error creating order items. Order rolled back.' });
+        if (items.length === 0) {
+            return res.status(400).json({ error: 'None of the items from this order can be ordered right now.', skipped_items });
         }
 
-        // Return the created order details along with its items
-        res.status(201).json({ ...newOrder, items: insertedOrderItems });
+        const { order: newOrder, problems } = await placeOrder({ ...checkout, items });
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems[0].message, problems, skipped_items });
+        }
 
+        res.status(201).json({ ...newOrder, reordered_from: pastOrder.id, skipped_items });
     } catch (error) {
-        console.error('Error in createOrder:', error.message);
-        res.status(500).json({ error: error.message || 'Internal server error during order creation.' });
+        console.error('Error in reorderOrder:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error during reorder.' });
     }
 };
 
@@ -157,8 +187,9 @@ export const getOrderById = async (req, res) => {
 
         const { data: order, error } = await supabase
             .from('orders')
-            .select('*, order_items(*, menu_items(name, price, image_url)), user_addresses(*)')
+            .select('*, order_items(*, menu_items(name, price, image_url)), order_bundles(*), user_addresses(*), order_refunds(*), order_status_history(*)')
             .eq('id', orderId)
+            .order('created_at', { referencedTable: 'order_status_history', ascending: true })
             .single();
 
         if (error || !order) {
@@ -174,7 +205,10 @@ export const getOrderById = async (req, res) => {
             return res.status(403).json({ error: 'Access denied. You are not authorized to view this order.' });
         }
 
-        res.status(200).json(order);
+        // Rider, progress and the PIN the customer gives the rider on arrival
+        const delivery = order.is_pickup ? null : await getOrderDelivery(order.id);
+
+        res.status(200).json({ ...order, delivery });
     } catch (error) {
         console.error('Error in getOrderById:', error.message);
         res.status(500).json({ error: error.message || 'Internal server error fetching order.' });
@@ -182,34 +216,30 @@ export const getOrderById = async (req, res) => {
 };
 
 /**
- * Get all orders for the authenticated user.
+ * Get the authenticated user's orders, newest first, one page at a time.
+ * Supports the same filters as getAllOrders except `customer`. Items and addresses are
+ * left out of the list; fetch a single order for full detail.
  * @route GET /api/orders/my-orders
  * @access Private (Authenticated User)
  */
 export const getMyOrders = async (req, res) => {
     try {
-        const userId = req.user.id;
-
-        const { data: orders, error } = await supabase
-            .from('orders')
-            .select('*, order_items(*, menu_items(name, price, image_url)), user_addresses(street_address, city, state, country)')
-            .eq('user_id', userId)
-            .order('created_at', { ascending: false });
-
-        if (error) {
-            console.error('Supabase error fetching user orders:', error.message);
-            return res.status(500).json({ error: 'Database error fetching user orders.' });
-        }
+        const listQuery = parseOrderListQuery(req.query);
+        const result = await listOrders({ listQuery, userId: req.user.id });
 
-        res.status(200).json(orders);
+        res.status(200).json(result);
     } catch (error) {
         console.error('Error in getMyOrders:', error.message);
-        res.status(500).json({ error: error.message || 'Internal server error fetching user orders.' });
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching user orders.' });
     }
 };
 
 /**
- * Get all orders (Admin only).
+ * Get all orders (Admin only), one page at a time.
+ * Query: status and payment_status (comma-separated), fulfillment (pickup|delivery|dine_in),
+ * from / to (YYYY-MM-DD in restaurant time, or ISO date-time), order_number, customer
+ * (name or email), min_total / max_total, sort (created_at|total_amount|scheduled_for),
+ * order (asc|desc), page and limit (max 100).
  * @route GET /api/orders
  * @access Private (Admin Only)
  */
@@ -219,20 +249,13 @@ export const getAllOrders = async (req, res) => {
             return res.status(403).json({ error: 'Access denied. Only administrators can view all orders.' });
         }
 
-        const { data: orders, error } = await supabase
-            .from('orders')
-            .select('*, users(full_name, email), user_addresses(street_address, city, state, country), order_items(*, menu_items(name, price, image_url))')
-            .order('created_at', { ascending: false });
+        const listQuery = parseOrderListQuery(req.query, { allowCustomerSearch: true });
+        const result = await listOrders({ listQuery, includeCustomer: true });
 
-        if (error) {
-            console.error('Supabase error fetching all orders (admin):', error.message);
-            return res.status(500).json({ error: 'Database error fetching all orders.' });
-        }
-
-        res.status(200).json(orders);
+        res.status(200).json(result);
     } catch (error) {
         console.error('Error in getAllOrders (admin):', error.message);
-        res.status(500).json({ error: error.message || 'Internal server error fetching all orders.' });
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching all orders.' });
     }
 };
 
@@ -244,48 +267,120 @@ export const getAllOrders = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
     try {
         const { id: orderId } = req.params;
-        const { status } = req.body;
+        const { status, note } = req.body;
 
         if (req.user.role !== 'admin') {
             return res.status(403).json({ error: 'Access denied. Only administrators can update order status.' });
         }
 
-        const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
-        if (!status || !validStatuses.includes(status)) {
-            return res.status(400).json({ error: `Invalid status provided. Valid statuses are: ${validStatuses.join(', ')}.` });
+        const { data: order, error: orderFetchError } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (orderFetchError || !order) {
+            return res.status(404).json({ error: 'Order not found.' });
         }
 
-        const { data: updatedOrder, error } = await supabase
+        // Legal transitions depend on the current status and on pickup vs. delivery
+        const updatedOrder = await transitionOrderStatus({
+            order,
+            toStatus: status,
+            actor: { id: req.user.id, role: req.user.role },
+            note
+        });
+
+        res.status(200).json({ message: 'Order status updated successfully.', order: updatedOrder });
+    } catch (error) {
+        console.error('Error in updateOrderStatus:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error updating order status.' });
+    }
+};
+
+/**
+ * Cancel the authenticated user's own order. Only allowed while the order is in an early
+ * status and within ORDER_CANCELLATION_WINDOW_MINUTES of being placed. Paid orders are
+ * refunded in full through the payment provider.
+ * @route POST /api/orders/:id/cancel
+ * @access Private (Order Owner)
+ */
+export const cancelOrder = async (req, res) => {
+    try {
+        const { id: orderId } = req.params;
+        const { reason } = req.body;
+        const userId = req.user.id;
+
+        const { data: order, error: orderFetchError } = await supabase
             .from('orders')
-            .update({ status: status, updated_at: new Date().toISOString() })
-            .eq('id', orderId)
             .select('*')
+            .eq('id', orderId)
             .single();
 
-        if (error) {
-            console.error('Supabase error updating order status:', error.message);
-            return res.status(500).json({ error: 'Database error updating order status.' });
+        if (orderFetchError || !order) {
+            return res.status(404).json({ error: 'Order not found.' });
         }
-        if (!updatedOrder) {
-            return res.status(404).json({ error: 'Order not found or no changes made.' });
+
+        if (order.user_id !== userId) {
+            return res.status(403).json({ error: 'Access denied. You can only cancel your own orders.' });
         }
 
-        res.status(200).json({ message: 'Order status updated successfully.', order: updatedOrder });
+        if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ error: `Orders can no longer be cancelled once they are '${order.status}'.` });
+        }
+
+        const windowMinutes = getCancellationWindowMinutes();
+        const cancellableUntil = new Date(new Date(order.created_at).getTime() + windowMinutes * 60 * 1000);
+        if (new Date() > cancellableUntil) {
+            return res.status(400).json({ error: `Orders can only be cancelled within ${windowMinutes} minutes of being placed.` });
+        }
+
+        const cancelledOrder = await transitionOrderStatus({
+            order,
+            toStatus: 'cancelled',
+            actor: { id: userId, role: req.user.role },
+            note: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer.'
+        });
+
+        if (cancelledOrder.payment_status !== 'paid') {
+            return res.status(200).json({ message: 'Order cancelled successfully.', order: cancelledOrder, refund: null });
+        }
+
+        // The order is already cancelled, so a gateway failure here must not undo that;
+        // it is logged for staff to retry from the admin refunds endpoint.
+        try {
+            const refundedTotal = await getRefundedTotal(cancelledOrder.id);
+            const { refund, order: refundedOrder } = await issueRefund({
+                order: cancelledOrder,
+                amount: Number(cancelledOrder.total_amount) - refundedTotal,
+                reason: 'Order cancelled by customer.',
+                actorId: userId
+            });
+
+            res.status(200).json({ message: 'Order cancelled and refund initiated.', order: refundedOrder, refund });
+        } catch (refundError) {
+            console.error(`Automatic refund failed for cancelled order ${cancelledOrder.order_number}:`, refundError.message);
+            res.status(200).json({
+                message: 'Order cancelled. Your refund could not be started automatically; our team will process it shortly.',
+                order: cancelledOrder,
+                refund: null
+            });
+        }
     } catch (error) {
-        console.error('Error in updateOrderStatus:', error.message);
-        res.status(500).json({ error: error.message || 'Internal server error updating order status.' });
+        console.error('Error in cancelOrder:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error cancelling order.' });
     }
 };
 
 /**
- * Initiate payment for an order (e.g., Paystack integration).
+ * Initiate payment for an order through the order's payment provider.
  * @route POST /api/orders/:id/initiate-payment
  * @access Private (Authenticated User)
  */
 export const initiatePayment = async (req, res) => {
     try {
         const { id: orderId } = req.params;
-        const { email } = req.body; // Email for payment gateway
+        const { email, payment_provider } = req.body; // Email for payment gateway, optional provider switch
 
         const userId = req.user.id;
 
@@ -305,77 +400,58 @@ export const initiatePayment = async (req, res) => {
             return res.status(403).json({ error: 'Access denied. You are not authorized to initiate payment for this order.' });
         }
 
+        if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+            return res.status(400).json({ error: `This order is ${order.status} and can no longer be paid.` });
+        }
+
         if (order.payment_status === 'paid') {
             return res.status(400).json({ error: 'Payment for this order has already been completed.' });
         }
-
-        // --- Paystack Integration (Example) ---
-        // You would typically use a library like 'node-paystack' or 'axios' to make a request to Paystack's API
-        // For demonstration, this is a placeholder. Replace with actual Paystack API calls.
-        const paystackSecretKey = process.env.PAYSTACK_SECRET_KEY; // Ensure this env var is set on Render
-
-        if (!paystackSecretKey) {
-            console.error('PAYSTACK_SECRET_KEY is not set.');
-            return res.status(500).json({ error: 'Payment gateway not configured. Please contact support.' });
-        }
-
-        const paystackResponse = await axios.post(
-            'https://api.paystack.co/transaction/initialize',
-            {
-                email: email,
-                amount: order.total_amount * 100, // Amount in kobo (for NGN)
-                order_id: order.id, // Custom data to link payment to order
-                callback_url: `${process.env.FRONTEND_URL}/order-confirmation/${order.id}` // Redirect after payment
-            },
-            {
-                headers: {
-                    Authorization: `Bearer ${paystackSecretKey}`,
-                    'Content-Type': 'application/json',
-                },
-            }
-        );
-
-        if (paystackResponse.data && paystackResponse.data.status) {
-            // Update order with payment reference and status (e.g., 'initiated')
-            await supabase
-                .from('orders')
-                .update({
-                    payment_reference: paystackResponse.data.data.reference,
-                    payment_status: 'initiated',
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', order.id);
-
-            res.status(200).json(paystackResponse.data.data); // Return authorization_url
-        } else {
-            console.error('Paystack initialization failed:', paystackResponse.data);
-            return res.status(500).json({ error: paystackResponse.data.message || 'Failed to initiate payment with Paystack.' });
+        // Refunded orders have been paid before; starting again would charge the customer twice
+        if (!SETTLEABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+            return res.status(400).json({ error: `Payment cannot be started while payment status is '${order.payment_status}'.` });
         }
 
+        // The customer may switch provider (e.g. to pay on delivery) until the order is paid
+        const provider = getPaymentProvider(payment_provider || order.payment_provider);
+        assertProviderFitsOrderType(provider, order.is_dine_in);
+
+        const payment = await provider.initialize({
+            order,
+            email: email || req.user.email,
+            callbackUrl: `${process.env.FRONTEND_URL}/order-confirmation/${order.id}` // Redirect after payment
+        });
+
+        // Update order with payment reference and status (e.g., 'initiated')
+        await recordPaymentInitiation(order, {
+            providerName: provider.name,
+            reference: payment.reference,
+            paymentStatus: payment.payment_status
+        });
+
+        res.status(200).json({
+            provider: provider.name,
+            reference: payment.reference,
+            authorization_url: payment.authorization_url, // Where to send the customer, if anywhere
+            access_code: payment.access_code
+        });
     } catch (error) {
         console.error('Error initiating payment:', error.message);
-        // If it's an Axios error from Paystack API call
-        if (error.response) {
-            console.error('Paystack API Error Response:', error.response.data);
-            return res.status(error.response.status).json({ error: error.response.data.message || 'Payment initiation failed.' });
-        }
-        res.status(500).json({ error: error.message || 'Internal server error initiating payment.' });
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error initiating payment.' });
     }
 };
 
 /**
- * Verify payment status (Paystack webhook or manual verification).
+ * Verify payment status with the order's payment provider (e.g. after the Paystack redirect).
  * @route GET /api/orders/:id/verify-payment
- * @access Private (Authenticated User or Webhook)
+ * @access Private (Authenticated User or Admin)
  */
 export const verifyPayment = async (req, res) => {
     try {
         const { id: orderId } = req.params;
-        // In a real scenario, you'd get the reference from Paystack webhook or query params
-        // For manual verification, you might pass the reference or fetch it from the order
-        const { reference } = req.query; // Assuming reference is passed as a query param
+        const { reference } = req.query; // Optional: the current or an earlier payment of this order
 
-        const userId = req.user.id; // For authorization if manual verification
+        const userId = req.user.id;
 
         // Fetch order details
         const { data: order, error: orderFetchError } = await supabase
@@ -388,58 +464,229 @@ export const verifyPayment = async (req, res) => {
             return res.status(404).json({ error: 'Order not found.' });
         }
 
-        // Authorization: Only owner or admin can verify payment, or if it's a webhook (no userId)
-        if (userId && order.user_id !== userId && req.user.role !== 'admin') {
+        // Authorization: Only owner or admin can verify payment
+        if (order.user_id !== userId && req.user.role !== 'admin') {
             return res.status(403).json({ error: 'Access denied. You are not authorized to verify payment for this order.' });
         }
 
-        const paystackSecretKey = process.env.PAYSTACK_SECRET_KEY;
-        if (!paystackSecretKey) {
-            console.error('PAYSTACK_SECRET_KEY is not set.');
-            return res.status(500).json({ error: 'Payment gateway not configured.' });
+        const paymentReference = reference || order.payment_reference;
+        if (!paymentReference) {
+            return res.status(400).json({ error: 'Payment has not been initiated for this order.' });
         }
 
-        const paystackVerificationResponse = await axios.get(
-            `https://api.paystack.co/transaction/verify/${reference || order.payment_reference}`,
-            {
-                headers: {
-                    Authorization: `Bearer ${paystackSecretKey}`,
-                    'Content-Type': 'application/json',
-                },
+        // Only references issued for this order may settle it, never another order's payment
+        const attempt = await findOrderPaymentAttempt(order, paymentReference);
+        if (!attempt) {
+            return res.status(400).json({ error: 'This payment reference does not belong to this order.' });
+        }
+
+        const provider = getPaymentProvider(attempt.providerName);
+        const result = await provider.verify({ order, reference: paymentReference });
+
+        if (String(result.order_id) !== String(order.id)) {
+            console.error(`Payment ${paymentReference} was made for order ${result.order_id}, not ${order.id}.`);
+            return res.status(400).json({ error: 'This payment reference does not belong to this order.' });
+        }
+
+        if (result.status === 'success') {
+            if (result.amount < Number(order.total_amount)) {
+                console.error(`Payment ${paymentReference} amount ${result.amount} is less than order total ${order.total_amount}.`);
+                return res.status(400).json({ error: 'Paid amount does not match the order total.' });
             }
-        );
-
-        if (paystackVerificationResponse.data && paystackVerificationResponse.data.data.status === 'success') {
-            // Update order payment status to 'paid'
-            await supabase
-                .from('orders')
-                .update({
-                    payment_status: 'paid',
-                    status: 'processing', // Move order to processing after successful payment
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', order.id);
+            // Update order payment status to 'paid' (no-op if a webhook already settled it). The
+            // attempt that was paid becomes the order's payment, so refunds go back through it.
+            await applyPaymentStatus(order, 'paid', SETTLEABLE_PAYMENT_STATUSES, attempt.isCurrent
+                ? {}
+                : { payment_provider: provider.name, payment_reference: paymentReference });
 
             res.status(200).json({ message: 'Payment verified successfully.', orderId: order.id, paymentStatus: 'paid' });
+        } else if (result.status === 'pending') {
+            res.status(200).json({ message: result.message || 'Payment is still pending.', orderId: order.id, paymentStatus: order.payment_status });
         } else {
-            console.error('Paystack verification failed:', paystackVerificationResponse.data);
-            // Update order payment status to 'failed' or 'pending' if not successful
-            await supabase
-                .from('orders')
-                .update({
-                    payment_status: paystackVerificationResponse.data.data.status || 'failed',
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', order.id);
-            return res.status(400).json({ error: paystackVerificationResponse.data.message || 'Payment verification failed.' });
+            console.error(`Payment verification failed for ${paymentReference}:`, result.message);
+            // Record the failure without overwriting a result a webhook may have already recorded;
+            // a replaced attempt failing says nothing about the current one
+            if (attempt.isCurrent) {
+                await applyPaymentStatus(order, result.status || 'failed', ['pending', 'initiated']);
+            }
+            return res.status(400).json({ error: result.message || 'Payment verification failed.' });
         }
-
     } catch (error) {
         console.error('Error verifying payment:', error.message);
-        if (error.response) {
-            console.error('Paystack API Error Response:', error.response.data);
-            return res.status(error.response.status).json({ error: error.response.data.message || 'Payment verification failed.' });
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error verifying payment.' });
+    }
+};
+
+/**
+ * Refund all or part of a paid order through its payment provider (Admin only).
+ * @route POST /api/orders/:id/refunds
+ * @access Private (Admin Only)
+ */
+export const createRefund = async (req, res) => {
+    try {
+        const { id: orderId } = req.params;
+        const { amount, reason } = req.body;
+
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. Only administrators can issue refunds.' });
         }
-        res.status(500).json({ error: error.message || 'Internal server error verifying payment.' });
+
+        const { data: order, error: orderFetchError } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (orderFetchError || !order) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+
+        const { refund, order: updatedOrder } = await issueRefund({
+            order,
+            amount,
+            reason,
+            actorId: req.user.id
+        });
+
+        res.status(201).json({ message: 'Refund issued successfully.', refund, order: updatedOrder });
+    } catch (error) {
+        console.error('Error in createRefund:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error issuing refund.' });
+    }
+};
+
+/**
+ * List the refunds recorded against an order (Admin only).
+ * @route GET /api/orders/:id/refunds
+ * @access Private (Admin Only)
+ */
+export const getOrderRefunds = async (req, res) => {
+    try {
+        const { id: orderId } = req.params;
+
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. Only administrators can view refunds.' });
+        }
+
+        const { data: refunds, error } = await supabase
+            .from('order_refunds')
+            .select('*, users(full_name, email)')
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching order refunds:', error.message);
+            return res.status(500).json({ error: 'Database error fetching refunds.' });
+        }
+
+        res.status(200).json(refunds);
+    } catch (error) {
+        console.error('Error in getOrderRefunds:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching refunds.' });
+    }
+};
+
+/**
+ * Record that a pay-on-delivery order's cash or transfer has been collected (Admin only).
+ * @route POST /api/orders/:id/collect-payment
+ * @access Private (Admin Only)
+ */
+export const collectPayment = async (req, res) => {
+    try {
+        const { id: orderId } = req.params;
+
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. Only administrators can record collected payments.' });
+        }
+
+        const { data: order, error: orderFetchError } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (orderFetchError || !order) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+
+        if (order.payment_provider !== 'pay_on_delivery') {
+            return res.status(400).json({ error: 'Only pay-on-delivery orders can be marked as collected.' });
+        }
+
+        const updatedOrder = await applyPaymentStatus(order, 'paid', SETTLEABLE_PAYMENT_STATUSES);
+        if (!updatedOrder) {
+            return res.status(400).json({ error: `Payment cannot be collected while payment status is '${order.payment_status}'.` });
+        }
+
+        res.status(200).json({ message: 'Payment recorded as collected.', order: updatedOrder });
+    } catch (error) {
+        console.error('Error in collectPayment:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error recording payment.' });
+    }
+};
+
+/**
+ * Handle payment gateway webhook events (charge.success, charge.failed, refund.processed).
+ * Each provider authenticates its own requests (Paystack signs the raw body with our secret key),
+ * so no user session is involved.
+ * @route POST /api/orders/webhook/:provider
+ * @access Public (Signed by the payment provider)
+ */
+export const handlePaymentWebhook = async (req, res) => {
+    try {
+        const provider = getPaymentProvider(req.params.provider);
+        const { event, reference, refund_reference, amount } = provider.parseWebhook(req);
+
+        if (!reference) {
+            console.warn(`${provider.name} webhook ${event} received without a transaction reference.`);
+            return res.status(200).json({ received: true });
+        }
+
+        const order = await findOrderByPaymentReference(provider.name, reference);
+        if (!order) {
+            // Acknowledge so the gateway stops retrying; the reference is not one of ours.
+            console.warn(`${provider.name} webhook ${event}: no order found for reference ${reference}.`);
+            return res.status(200).json({ received: true });
+        }
+
+        // Events can still arrive for an attempt the customer replaced by retrying or switching provider
+        const isCurrentAttempt = order.payment_provider === provider.name && order.payment_reference === reference;
+
+        switch (event) {
+            case 'charge.success': {
+                if (amount < Number(order.total_amount)) {
+                    console.error(`${provider.name} webhook: amount ${amount} for ${reference} is less than order total ${order.total_amount}.`);
+                    break;
+                }
+                // The attempt that was paid becomes the order's payment, so refunds go back through it
+                const paidOrder = await applyPaymentStatus(order, 'paid', SETTLEABLE_PAYMENT_STATUSES, isCurrentAttempt
+                    ? {}
+                    : { payment_provider: provider.name, payment_reference: reference });
+                if (!paidOrder && !isCurrentAttempt) {
+                    console.error(`${provider.name} webhook: order ${order.order_number} was already paid, but earlier attempt ${reference} was also charged ${amount}. Refund it manually.`);
+                }
+                break;
+            }
+            case 'charge.failed':
+                if (isCurrentAttempt) {
+                    await applyPaymentStatus(order, 'failed', ['pending', 'initiated']);
+                }
+                break;
+            case 'refund.processed':
+                await recordProcessedRefund({
+                    order,
+                    providerName: provider.name,
+                    refundReference: refund_reference,
+                    amount
+                });
+                break;
+            default:
+                console.warn(`${provider.name} webhook: ignoring unhandled event ${event}.`);
+        }
+
+        res.status(200).json({ received: true });
+    } catch (error) {
+        console.error('Error handling payment webhook:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error handling webhook.' });
     }
 };
@@ -0,0 +1,64 @@
+// backend/src/controllers/orderEventsController.js
+import supabase from '../config/supabase.js';
+import { subscribeToOrderEvents } from '../services/orderEvents.js';
+import { openEventStream } from '../utils/sse.js';
+
+/**
+ * Stream status and payment changes for a single order as Server-Sent Events.
+ * The first event is a snapshot of the order's current state.
+ * @route GET /api/orders/:id/events
+ * @access Private (Order Owner, Staff or Admin)
+ */
+export const streamOrderEvents = async (req, res) => {
+    try {
+        const { id: orderId } = req.params;
+        const { id: userId, role: userRole } = req.user;
+
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('id, order_number, user_id, status, payment_status, is_pickup, total_amount, created_at, updated_at')
+            .eq('id', orderId)
+            .single();
+
+        if (error || !order) {
+            if (error && error.code !== 'PGRST116') {
+                console.error('Supabase error fetching order for event stream:', error.message);
+                return res.status(500).json({ error: 'Database error fetching order.' });
+            }
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+
+        // Same rule as getOrderById, with kitchen staff also allowed to follow an order
+        if (order.user_id !== userId && !['admin', 'staff'].includes(userRole)) {
+            return res.status(403).json({ error: 'Access denied. You are not authorized to view this order.' });
+        }
+
+        let unsubscribe = () => {};
+        const send = openEventStream(req, res, () => unsubscribe());
+
+        send('order.snapshot', { type: 'order.snapshot', order, at: new Date().toISOString() });
+        unsubscribe = subscribeToOrderEvents((event) => {
+            if (event.order.id === order.id) {
+                send(event.type, event);
+            }
+        });
+    } catch (error) {
+        console.error('Error in streamOrderEvents:', error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message || 'Internal server error opening order stream.' });
+        }
+    }
+};
+
+/**
+ * Stream every new and updated order as Server-Sent Events, for staff screens.
+ * @route GET /api/orders/stream
+ * @access Private (Staff or Admin)
+ */
+export const streamAllOrderEvents = (req, res) => {
+    let unsubscribe = () => {};
+    const send = openEventStream(req, res, () => unsubscribe());
+
+    send('ready', { type: 'ready', at: new Date().toISOString() });
+    unsubscribe = subscribeToOrderEvents((event) => send(event.type, event));
+};
@@ -0,0 +1,39 @@
+// backend/src/controllers/orderExportController.js
+import { parseExportQuery, writeOrderExport, getExportContentType } from '../services/orderExport.js';
+import { getRestaurantTimeZone, toZonedDateString } from '../utils/timezone.js';
+
+/**
+ * Download orders for accounting as CSV or XLSX, streamed as it is read.
+ * Takes the same filters as GET /api/orders, plus ?format=csv|xlsx (default csv) and
+ * ?rows=orders|items (default orders; items gives one row per item or bundle).
+ * @route GET /api/orders/export
+ * @access Private (Admin Only)
+ */
+export const exportOrders = async (req, res) => {
+    let exportQuery;
+    try {
+        exportQuery = parseExportQuery(req.query);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+
+    const { format, rowType } = exportQuery;
+    const { contentType, extension } = getExportContentType(format);
+    const date = toZonedDateString(new Date(), getRestaurantTimeZone());
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${rowType === 'items' ? 'order-items' : 'orders'}-${date}.${extension}"`);
+    res.set('Cache-Control', 'no-store');
+
+    try {
+        await writeOrderExport({ output: res, ...exportQuery });
+    } catch (error) {
+        console.error('Error in exportOrders:', error.message);
+        if (!res.headersSent) {
+            return res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error exporting orders.' });
+        }
+        // Part of the file has already been sent, so the client must see a failed download
+        // rather than a truncated file that looks complete.
+        res.destroy(error);
+    }
+};
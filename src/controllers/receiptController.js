@@ -0,0 +1,61 @@
+// backend/src/controllers/receiptController.js
+import supabase from '../config/supabase.js';
+import { renderReceipt, RECEIPT_ORDER_SELECT } from '../services/receipts/index.js';
+
+/**
+ * Download an order's receipt.
+ * ?format=pdf (default) for an A4 PDF, or text / escpos for a receipt printer, with
+ * ?width=58 or 80 (mm, default 80).
+ * @route GET /api/orders/:id/receipt
+ * @access Private (Authenticated User or Admin)
+ */
+export const getOrderReceipt = async (req, res) => {
+    try {
+        const { id: orderId } = req.params;
+        const userId = req.user.id;
+        const userRole = req.user.role;
+
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select(RECEIPT_ORDER_SELECT)
+            .eq('id', orderId)
+            .single();
+
+        if (error || !order) {
+            if (error?.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Order not found.' });
+            }
+            console.error('Supabase error fetching order for receipt:', error?.message);
+            return res.status(500).json({ error: 'Database error fetching order.' });
+        }
+
+        // Same rule as getOrderById: users only get their own receipts unless they are an admin
+        if (order.user_id !== userId && userRole !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. You are not authorized to view this order.' });
+        }
+
+        const { data: customer, error: customerError } = await supabase
+            .from('users')
+            .select('full_name, email, phone_number')
+            .eq('id', order.user_id)
+            .maybeSingle();
+
+        if (customerError) {
+            console.error('Supabase error fetching customer for receipt:', customerError.message);
+        }
+
+        const { body, contentType, extension } = await renderReceipt({
+            order,
+            customer,
+            format: req.query.format || 'pdf',
+            paperWidth: req.query.width ? Number(req.query.width) : 80
+        });
+
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `${extension === 'pdf' ? 'inline' : 'attachment'}; filename="receipt-${order.order_number}.${extension}"`);
+        res.status(200).send(body);
+    } catch (error) {
+        console.error('Error in getOrderReceipt:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error generating receipt.' });
+    }
+};
@@ -0,0 +1,378 @@
+// backend/src/controllers/tableController.js
+import supabase from '../config/supabase.js';
+import {
+    resolveTableToken,
+    renderTableQr,
+    getTableUrl,
+    getOpenBill,
+    buildBillSummary,
+    settleBill
+} from '../services/tableService.js';
+
+const validateTableFields = ({ name, seats }, { partial = false } = {}) => {
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'Table name is required.';
+        }
+    }
+    if (seats !== undefined && seats !== null && (!Number.isInteger(Number(seats)) || Number(seats) <= 0)) {
+        return 'seats must be a positive whole number.';
+    }
+    return null;
+};
+
+/**
+ * List dining tables, with the total of each table's open bill.
+ * @route GET /api/tables
+ * @access Private (Staff or Admin)
+ */
+export const getTables = async (req, res) => {
+    try {
+        const { data: tables, error } = await supabase
+            .from('dining_tables')
+            .select('*, table_bills ( id, status, opened_at )')
+            .eq('table_bills.status', 'open')
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching tables:', error.message);
+            return res.status(500).json({ error: 'Database error fetching tables.' });
+        }
+
+        res.status(200).json(tables.map(({ table_bills, ...table }) => ({ ...table, open_bill: table_bills[0] || null })));
+    } catch (error) {
+        console.error('Error in getTables:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching tables.' });
+    }
+};
+
+/**
+ * Add a dining table.
+ * @route POST /api/tables
+ * @access Private (Admin Only)
+ */
+export const createTable = async (req, res) => {
+    try {
+        const validationError = validateTableFields(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, seats, is_active } = req.body;
+        const { data: table, error } = await supabase
+            .from('dining_tables')
+            .insert([{
+                name: name.trim(),
+                seats: seats ? Number(seats) : null,
+                is_active: is_active === undefined ? true : is_active === true || is_active === 'true'
+            }])
+            .select('*')
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A table named ${name.trim()} already exists.` });
+            }
+            console.error('Supabase error creating table:', error.message);
+            return res.status(500).json({ error: 'Database error creating table.' });
+        }
+
+        res.status(201).json(table);
+    } catch (error) {
+        console.error('Error in createTable:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error creating table.' });
+    }
+};
+
+/**
+ * Update a dining table. Deactivating it stops new orders from its QR code.
+ * @route PUT /api/tables/:id
+ * @access Private (Admin Only)
+ */
+export const updateTable = async (req, res) => {
+    try {
+        const validationError = validateTableFields(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, seats, is_active } = req.body;
+        const updates = { updated_at: new Date().toISOString() };
+        if (name !== undefined) updates.name = name.trim();
+        if (seats !== undefined) updates.seats = seats ? Number(seats) : null;
+        if (is_active !== undefined) updates.is_active = is_active === true || is_active === 'true';
+
+        const { data: table, error } = await supabase
+            .from('dining_tables')
+            .update(updates)
+            .eq('id', req.params.id)
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A table named ${updates.name} already exists.` });
+            }
+            console.error('Supabase error updating table:', error.message);
+            return res.status(500).json({ error: 'Database error updating table.' });
+        }
+        if (!table) {
+            return res.status(404).json({ error: 'Table not found.' });
+        }
+
+        res.status(200).json(table);
+    } catch (error) {
+        console.error('Error in updateTable:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating table.' });
+    }
+};
+
+/**
+ * Delete a dining table that has never had a bill. Tables with order history should be
+ * deactivated instead.
+ * @route DELETE /api/tables/:id
+ * @access Private (Admin Only)
+ */
+export const deleteTable = async (req, res) => {
+    try {
+        const { data: deleted, error } = await supabase
+            .from('dining_tables')
+            .delete()
+            .eq('id', req.params.id)
+            .select('id');
+
+        if (error) {
+            if (error.code === '23503') {
+                return res.status(409).json({ error: 'This table has order history. Deactivate it instead.' });
+            }
+            console.error('Supabase error deleting table:', error.message);
+            return res.status(500).json({ error: 'Database error deleting table.' });
+        }
+        if (deleted.length === 0) {
+            return res.status(404).json({ error: 'Table not found.' });
+        }
+
+        res.status(200).json({ message: 'Table deleted successfully.' });
+    } catch (error) {
+        console.error('Error in deleteTable:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error deleting table.' });
+    }
+};
+
+/**
+ * Download a table's QR code as an image (?format=png, the default, or svg) to print.
+ * @route GET /api/tables/:id/qr
+ * @access Private (Admin Only)
+ */
+export const getTableQr = async (req, res) => {
+    try {
+        const { data: table, error } = await supabase
+            .from('dining_tables')
+            .select('*')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Supabase error fetching table for QR code:', error.message);
+            return res.status(500).json({ error: 'Database error fetching table.' });
+        }
+        if (!table) {
+            return res.status(404).json({ error: 'Table not found.' });
+        }
+
+        const { body, contentType, extension } = await renderTableQr(table, req.query.format || 'png');
+
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `inline; filename="table-${table.name.replace(/[^\w-]+/g, '_')}.${extension}"`);
+        res.set('X-Table-Url', getTableUrl(table));
+        res.status(200).send(body);
+    } catch (error) {
+        console.error('Error in getTableQr:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error generating QR code.' });
+    }
+};
+
+/**
+ * Issue a new QR code for a table; the printed old one stops working.
+ * @route POST /api/tables/:id/rotate-qr
+ * @access Private (Admin Only)
+ */
+export const rotateTableQr = async (req, res) => {
+    try {
+        const { data: current, error: fetchError } = await supabase
+            .from('dining_tables')
+            .select('id, qr_version')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error('Supabase error fetching table:', fetchError.message);
+            return res.status(500).json({ error: 'Database error fetching table.' });
+        }
+        if (!current) {
+            return res.status(404).json({ error: 'Table not found.' });
+        }
+
+        const { data: table, error } = await supabase
+            .from('dining_tables')
+            .update({ qr_version: current.qr_version + 1, updated_at: new Date().toISOString() })
+            .eq('id', current.id)
+            .eq('qr_version', current.qr_version)
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Supabase error rotating table QR code:', error.message);
+            return res.status(500).json({ error: 'Database error rotating QR code.' });
+        }
+        if (!table) {
+            return res.status(409).json({ error: 'The QR code was rotated by someone else meanwhile.' });
+        }
+
+        res.status(200).json({ message: 'QR code rotated. Print the new code for this table.', table, url: getTableUrl(table) });
+    } catch (error) {
+        console.error('Error in rotateTableQr:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error rotating QR code.' });
+    }
+};
+
+/**
+ * The table a scanned QR code belongs to. Order with the same token as `table_token`.
+ * @route GET /api/tables/scan/:token
+ * @access Public (Holder of the table's QR code)
+ */
+export const scanTable = async (req, res) => {
+    try {
+        const table = await resolveTableToken(req.params.token);
+        res.status(200).json({ id: table.id, name: table.name, seats: table.seats });
+    } catch (error) {
+        console.error('Error in scanTable:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error reading table code.' });
+    }
+};
+
+/**
+ * What the table has ordered so far and what is due, for diners at the table.
+ * @route GET /api/tables/scan/:token/bill
+ * @access Public (Holder of the table's QR code)
+ */
+export const getScannedTableBill = async (req, res) => {
+    try {
+        const table = await resolveTableToken(req.params.token);
+        const bill = await getOpenBill(table.id);
+        if (!bill) {
+            return res.status(404).json({ error: 'Nothing has been ordered at this table yet.' });
+        }
+
+        // Diners share the bill but not who placed each order
+        res.status(200).json({
+            ...bill,
+            table: { id: table.id, name: table.name },
+            orders: bill.orders.map(({ user_id, ...order }) => order)
+        });
+    } catch (error) {
+        console.error('Error in getScannedTableBill:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching bill.' });
+    }
+};
+
+/**
+ * A table's open bill with its orders and totals.
+ * @route GET /api/tables/:id/bill
+ * @access Private (Staff or Admin)
+ */
+export const getTableBill = async (req, res) => {
+    try {
+        const bill = await getOpenBill(req.params.id);
+        if (!bill) {
+            return res.status(404).json({ error: 'This table has no open bill.' });
+        }
+        res.status(200).json(bill);
+    } catch (error) {
+        console.error('Error in getTableBill:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching bill.' });
+    }
+};
+
+/**
+ * List bills, open ones by default (?status=open|settled), newest first.
+ * @route GET /api/tables/bills
+ * @access Private (Staff or Admin)
+ */
+export const getBills = async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        if (!['open', 'settled'].includes(status)) {
+            return res.status(400).json({ error: "status must be 'open' or 'settled'." });
+        }
+
+        const { data: bills, error } = await supabase
+            .from('table_bills')
+            .select('*, dining_tables ( name )')
+            .eq('status', status)
+            .order('opened_at', { ascending: false })
+            .limit(100);
+
+        if (error) {
+            console.error('Supabase error fetching bills:', error.message);
+            return res.status(500).json({ error: 'Database error fetching bills.' });
+        }
+
+        res.status(200).json(bills);
+    } catch (error) {
+        console.error('Error in getBills:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching bills.' });
+    }
+};
+
+/**
+ * A bill with its orders and totals, open or settled.
+ * @route GET /api/tables/bills/:billId
+ * @access Private (Staff or Admin)
+ */
+export const getBillById = async (req, res) => {
+    try {
+        const { data: bill, error } = await supabase
+            .from('table_bills')
+            .select('*, dining_tables ( name )')
+            .eq('id', req.params.billId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Supabase error fetching bill:', error.message);
+            return res.status(500).json({ error: 'Database error fetching bill.' });
+        }
+        if (!bill) {
+            return res.status(404).json({ error: 'Bill not found.' });
+        }
+
+        res.status(200).json(await buildBillSummary(bill));
+    } catch (error) {
+        console.error('Error in getBillById:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching bill.' });
+    }
+};
+
+/**
+ * Settle a table's bill once the diners have paid; all its orders are marked paid together.
+ * Body: payment_method (cash, card or transfer) and an optional payment_reference.
+ * @route POST /api/tables/bills/:billId/settle
+ * @access Private (Staff or Admin)
+ */
+export const settleTableBill = async (req, res) => {
+    try {
+        const { payment_method, payment_reference } = req.body;
+
+        const bill = await settleBill({
+            billId: req.params.billId,
+            paymentMethod: payment_method,
+            paymentReference: payment_reference,
+            actor: { id: req.user.id, role: req.user.role }
+        });
+
+        res.status(200).json({ message: 'Bill settled.', bill });
+    } catch (error) {
+        console.error('Error in settleTableBill:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error settling bill.' });
+    }
+};
@@ -0,0 +1,175 @@
+// backend/src/controllers/taxController.js
+import supabase from '../config/supabase.js';
+import { getTaxSettings } from '../services/taxService.js';
+
+const BOOLEAN_FIELDS = ['is_enabled', 'prices_include_tax', 'tax_delivery', 'service_charge_enabled', 'service_charge_dine_in', 'service_charge_taxable'];
+const PERCENT_FIELDS = ['default_rate', 'service_charge_rate'];
+const TEXT_FIELDS = ['label', 'service_charge_label'];
+
+const isValidPercent = (value) => !isNaN(value) && value !== '' && parseFloat(value) >= 0 && parseFloat(value) <= 100;
+
+/**
+ * Get the tax and service charge settings.
+ * @route GET /api/tax/settings
+ * @access Private (Admin Only)
+ */
+export const getSettings = async (req, res) => {
+    try {
+        const settings = await getTaxSettings();
+        res.status(200).json(settings);
+    } catch (error) {
+        console.error('Error in getSettings (tax):', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching tax settings.' });
+    }
+};
+
+/**
+ * Update the tax and service charge settings. Only the fields provided are changed.
+ * Orders already placed keep the amounts they were priced with.
+ * @route PUT /api/tax/settings
+ * @access Private (Admin Only)
+ */
+export const updateSettings = async (req, res) => {
+    try {
+        const updates = { updated_by: req.user.id, updated_at: new Date().toISOString() };
+
+        for (const key of BOOLEAN_FIELDS) {
+            if (req.body[key] !== undefined) updates[key] = req.body[key] === true || req.body[key] === 'true';
+        }
+        for (const key of PERCENT_FIELDS) {
+            if (req.body[key] === undefined) continue;
+            if (!isValidPercent(req.body[key])) {
+                return res.status(400).json({ error: `${key} must be a percentage between 0 and 100.` });
+            }
+            updates[key] = parseFloat(req.body[key]);
+        }
+        for (const key of TEXT_FIELDS) {
+            if (req.body[key] === undefined) continue;
+            if (typeof req.body[key] !== 'string' || !req.body[key].trim()) {
+                return res.status(400).json({ error: `${key} must be a non-empty string.` });
+            }
+            updates[key] = req.body[key].trim();
+        }
+
+        const { service_charge_min_subtotal } = req.body;
+        if (service_charge_min_subtotal !== undefined) {
+            if (service_charge_min_subtotal === null || service_charge_min_subtotal === '') {
+                updates.service_charge_min_subtotal = null; // Only dine-in orders are charged
+            } else if (isNaN(service_charge_min_subtotal) || parseFloat(service_charge_min_subtotal) < 0) {
+                return res.status(400).json({ error: 'service_charge_min_subtotal must be a non-negative number, or null.' });
+            } else {
+                updates.service_charge_min_subtotal = parseFloat(service_charge_min_subtotal);
+            }
+        }
+
+        if (Object.keys(updates).length === 2) {
+            return res.status(400).json({ error: 'No tax settings to update.' });
+        }
+
+        const { data: settings, error } = await supabase
+            .from('tax_settings')
+            .update(updates)
+            .eq('id', 1)
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating tax settings:', error.message);
+            return res.status(500).json({ error: 'Database error updating tax settings.' });
+        }
+
+        res.status(200).json(settings);
+    } catch (error) {
+        console.error('Error in updateSettings (tax):', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating tax settings.' });
+    }
+};
+
+/**
+ * List categories taxed at their own rate instead of the default.
+ * @route GET /api/tax/category-rates
+ * @access Private (Admin Only)
+ */
+export const getCategoryRates = async (req, res) => {
+    try {
+        const { data: rates, error } = await supabase
+            .from('category_tax_rates')
+            .select('category_id, rate, updated_at, categories ( name )')
+            .order('updated_at', { ascending: false });
+
+        if (error) {
+            console.error('Supabase error fetching category tax rates:', error.message);
+            return res.status(500).json({ error: 'Database error fetching category tax rates.' });
+        }
+
+        res.status(200).json(rates);
+    } catch (error) {
+        console.error('Error in getCategoryRates:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching category tax rates.' });
+    }
+};
+
+/**
+ * Set a category's tax rate (0 makes it exempt).
+ * @route PUT /api/tax/category-rates/:categoryId
+ * @access Private (Admin Only)
+ */
+export const setCategoryRate = async (req, res) => {
+    try {
+        const { categoryId } = req.params;
+        const { rate } = req.body;
+
+        if (rate === undefined || !isValidPercent(rate)) {
+            return res.status(400).json({ error: 'rate must be a percentage between 0 and 100.' });
+        }
+
+        const { data: categoryRate, error } = await supabase
+            .from('category_tax_rates')
+            .upsert({ category_id: categoryId, rate: parseFloat(rate), updated_at: new Date().toISOString() })
+            .select('category_id, rate, updated_at')
+            .single();
+
+        if (error) {
+            if (error.code === '23503') {
+                return res.status(404).json({ error: 'Category not found.' });
+            }
+            console.error('Supabase error setting category tax rate:', error.message);
+            return res.status(500).json({ error: 'Database error setting category tax rate.' });
+        }
+
+        res.status(200).json(categoryRate);
+    } catch (error) {
+        console.error('Error in setCategoryRate:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error setting category tax rate.' });
+    }
+};
+
+/**
+ * Remove a category's own rate, so it is taxed at the default rate again.
+ * @route DELETE /api/tax/category-rates/:categoryId
+ * @access Private (Admin Only)
+ */
+export const deleteCategoryRate = async (req, res) => {
+    try {
+        const { categoryId } = req.params;
+
+        const { data: deleted, error } = await supabase
+            .from('category_tax_rates')
+            .delete()
+            .eq('category_id', categoryId)
+            .select('category_id');
+
+        if (error) {
+            console.error('Supabase error deleting category tax rate:', error.message);
+            return res.status(500).json({ error: 'Database error deleting category tax rate.' });
+        }
+        if (deleted.length === 0) {
+            return res.status(404).json({ error: 'This category has no tax rate of its own.' });
+        }
+
+        res.status(200).json({ message: 'Category tax rate removed; the default rate now applies.' });
+    } catch (error) {
+        console.error('Error in deleteCategoryRate:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error deleting category tax rate.' });
+    }
+};
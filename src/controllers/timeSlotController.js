@@ -0,0 +1,192 @@
+// backend/src/controllers/timeSlotController.js
+import supabase from '../config/supabase.js';
+import { getSlotsForDate, FULFILLMENT_TYPES } from '../services/timeSlots.js';
+import { getRestaurantTimeZone, toZonedDateString } from '../utils/timezone.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Validate a time slot rule payload and pick the columns to write.
+ * @returns {{ fields?: object, error?: string }}
+ */
+const buildRuleFields = (body, { partial }) => {
+    const fields = {};
+    const { day_of_week, opens_at, closes_at, slot_minutes, max_orders_per_slot, fulfillment_type, is_active } = body;
+
+    if (!partial && (day_of_week === undefined || !opens_at || !closes_at || max_orders_per_slot === undefined)) {
+        return { error: 'day_of_week, opens_at, closes_at and max_orders_per_slot are required.' };
+    }
+    if (day_of_week !== undefined) {
+        const day = parseInt(day_of_week, 10);
+        if (isNaN(day) || day < 0 || day > 6) {
+            return { error: 'day_of_week must be between 0 (Sunday) and 6 (Saturday).' };
+        }
+        fields.day_of_week = day;
+    }
+    for (const [key, value] of Object.entries({ opens_at, closes_at })) {
+        if (value === undefined) continue;
+        if (!TIME_PATTERN.test(value)) {
+            return { error: `${key} must be a time in HH:MM format.` };
+        }
+        fields[key] = value;
+    }
+    if (fields.opens_at && fields.closes_at && fields.opens_at >= fields.closes_at) {
+        return { error: 'closes_at must be later than opens_at.' };
+    }
+    for (const [key, value] of Object.entries({ slot_minutes, max_orders_per_slot })) {
+        if (value === undefined) continue;
+        const number = parseInt(value, 10);
+        if (isNaN(number) || number <= 0) {
+            return { error: `${key} must be a positive whole number.` };
+        }
+        fields[key] = number;
+    }
+    if (fulfillment_type !== undefined) {
+        if (!FULFILLMENT_TYPES.includes(fulfillment_type)) {
+            return { error: `Invalid fulfillment_type. Valid types are: ${FULFILLMENT_TYPES.join(', ')}.` };
+        }
+        fields.fulfillment_type = fulfillment_type;
+    }
+    if (is_active !== undefined) fields.is_active = is_active === true || is_active === 'true';
+
+    return { fields };
+};
+
+/**
+ * Bookable time slots for a date, so the frontend only offers times that can be scheduled.
+ * Defaults to today in the restaurant's time zone.
+ * @route GET /api/time-slots/availability?date=YYYY-MM-DD&is_pickup=true
+ * @access Public
+ */
+export const getAvailability = async (req, res) => {
+    try {
+        const date = req.query.date || toZonedDateString(new Date(), getRestaurantTimeZone());
+        const isPickup = req.query.is_pickup === 'true';
+
+        const slots = await getSlotsForDate({ date, isPickup });
+
+        res.status(200).json({ date, time_zone: getRestaurantTimeZone(), is_pickup: isPickup, slots });
+    } catch (error) {
+        console.error('Error in getAvailability:', error.message);
+        res.status(error.statusCode || 500).json({ error: error.message || 'Internal server error fetching time slots.' });
+    }
+};
+
+/**
+ * List every time slot rule.
+ * @route GET /api/time-slots/rules
+ * @access Private (Admin Only)
+ */
+export const getRules = async (req, res) => {
+    try {
+        const { data: rules, error } = await supabase
+            .from('time_slot_rules')
+            .select('*')
+            .order('day_of_week', { ascending: true })
+            .order('opens_at', { ascending: true });
+
+        if (error) {
+            console.error('Supabase error fetching time slot rules:', error.message);
+            return res.status(500).json({ error: 'Database error fetching time slot rules.' });
+        }
+
+        res.status(200).json(rules);
+    } catch (error) {
+        console.error('Error in getRules:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error fetching time slot rules.' });
+    }
+};
+
+/**
+ * Create a time slot rule (opening hours for one weekday, split into slots).
+ * @route POST /api/time-slots/rules
+ * @access Private (Admin Only)
+ */
+export const createRule = async (req, res) => {
+    try {
+        const { fields, error: validationError } = buildRuleFields(req.body, { partial: false });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data: rule, error } = await supabase
+            .from('time_slot_rules')
+            .insert([fields])
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error creating time slot rule:', error.message);
+            if (error.code === '23514') return res.status(400).json({ error: 'Time slot rule is invalid: ' + error.message });
+            return res.status(500).json({ error: 'Database error creating time slot rule.' });
+        }
+
+        res.status(201).json(rule);
+    } catch (error) {
+        console.error('Error in createRule:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error creating time slot rule.' });
+    }
+};
+
+/**
+ * Update a time slot rule. Only the fields provided are changed.
+ * @route PUT /api/time-slots/rules/:id
+ * @access Private (Admin Only)
+ */
+export const updateRule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fields, error: validationError } = buildRuleFields(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No time slot rule fields to update.' });
+        }
+
+        const { data: rule, error } = await supabase
+            .from('time_slot_rules')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Supabase error updating time slot rule:', error.message);
+            if (error.code === 'PGRST116') return res.status(404).json({ error: 'Time slot rule not found.' });
+            if (error.code === '23514') return res.status(400).json({ error: 'Time slot rule is invalid: ' + error.message });
+            return res.status(500).json({ error: 'Database error updating time slot rule.' });
+        }
+
+        res.status(200).json(rule);
+    } catch (error) {
+        console.error('Error in updateRule:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error updating time slot rule.' });
+    }
+};
+
+/**
+ * Delete a time slot rule. Orders already scheduled in its slots are kept.
+ * @route DELETE /api/time-slots/rules/:id
+ * @access Private (Admin Only)
+ */
+export const deleteRule = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { error } = await supabase
+            .from('time_slot_rules')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            console.error('Supabase error deleting time slot rule:', error.message);
+            return res.status(500).json({ error: 'Database error deleting time slot rule.' });
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error in deleteRule:', error.message);
+        res.status(500).json({ error: error.message || 'Internal server error deleting time slot rule.' });
+    }
+};
@@ -232,7 +232,7 @@ export const updateUserRole = async (req, res) => {
         }
 
         // Validation: Check if the provided role is valid
-        const validRoles = ['admin', 'customer', 'driver', 'staff']; // Define your valid roles
+        const validRoles = ['admin', 'customer', 'rider', 'staff']; // Define your valid roles
         if (!newRole || !validRoles.includes(newRole)) {
             return res.status(400).json({ error: `Invalid role provided. Valid roles are: ${validRoles.join(', ')}.` });
         }
@@ -292,6 +292,18 @@ export const updateUserRole = async (req, res) => {
 
 // --- User Address Management Functions (for authenticated user to manage their OWN addresses) ---
 
+// Latitude/longitude are optional, but when one is sent both must be valid
+const validateCoordinates = (latitude, longitude) => {
+    if (latitude === undefined && longitude === undefined) return null;
+    if (latitude === null && longitude === null) return null;
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return 'Latitude and longitude must both be valid coordinates.';
+    }
+    return null;
+};
+
 /**
  * Get all addresses for the currently authenticated user.
  * @route GET /api/users/me/addresses
@@ -335,12 +347,17 @@ export const addUserAddress = async (req, res) => {
             return res.status(401).json({ error: 'Authentication required. User ID not found in session.' });
         }
 
-        const { street_address, city, state, postal_code, country, is_default } = req.body;
+        const { street_address, city, state, postal_code, country, is_default, latitude, longitude } = req.body;
 
         // Backend validation for required fields
         if (!street_address || !city || !country) {
             return res.status(400).json({ error: 'Street address, city, and country are required.' });
         }
+        // Coordinates are optional (used for radius-based delivery zones) but must be valid if sent
+        const coordinatesError = validateCoordinates(latitude, longitude);
+        if (coordinatesError) {
+            return res.status(400).json({ error: coordinatesError });
+        }
 
         // If the new address is set as default, unset previous default for this user
         if (is_default) {
@@ -362,6 +379,8 @@ export const addUserAddress = async (req, res) => {
                 state: state || '', // Changed from `state || null` to `state || ''`
                 postal_code: postal_code || null, // Allow postal_code to be null
                 country,
+                latitude: latitude ?? null,
+                longitude: longitude ?? null,
                 is_default: is_default || false, // Default to false if not explicitly true
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
@@ -410,7 +429,12 @@ export const updateAddress = async (req, res) => {
     try {
         const userId = req.user.id;
         const { id: addressId } = req.params; // Address ID from URL
-        const { street_address, city, state, postal_code, country, is_default } = req.body;
+        const { street_address, city, state, postal_code, country, is_default, latitude, longitude } = req.body;
+
+        const coordinatesError = validateCoordinates(latitude, longitude);
+        if (coordinatesError) {
+            return res.status(400).json({ error: coordinatesError });
+        }
 
         const updates = { updated_at: new Date().toISOString() };
         if (street_address !== undefined) updates.street_address = street_address;
@@ -418,6 +442,8 @@ export const updateAddress = async (req, res) => {
         if (state !== undefined) updates.state = state;
         if (postal_code !== undefined) updates.postal_code = postal_code;
         if (country !== undefined) updates.country = country;
+        if (latitude !== undefined) updates.latitude = latitude;
+        if (longitude !== undefined) updates.longitude = longitude;
 
         // If setting as default, unset others first
         if (is_default === true) {
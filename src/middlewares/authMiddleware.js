@@ -53,4 +53,31 @@ export const adminMiddleware = (req, res, next) => {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
-};
\ No newline at end of file
+};
+
+// Staff (kitchen/counter) and admins can see operational order data
+export const staffMiddleware = (req, res, next) => {
+  if (!req.user || !['admin', 'staff'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Staff access required' });
+  }
+  next();
+};
+
+// Riders only reach their own delivery endpoints; what they may see is checked per assignment
+export const riderMiddleware = (req, res, next) => {
+  if (!req.user || req.user.role !== 'rider') {
+    return res.status(403).json({ error: 'Rider access required' });
+  }
+  next();
+};
+
+// Browsers' EventSource cannot send an Authorization header, so stream routes may pass the
+// same JWT as ?access_token=. Use only in front of authMiddleware on streaming routes: a token
+// in a URL ends up in proxy logs and browser history, so downloads (receipts, exports, QR codes)
+// must send the Authorization header and be fetched by the client.
+export const queryTokenMiddleware = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
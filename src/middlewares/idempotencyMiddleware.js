@@ -0,0 +1,141 @@
+// backend/middlewares/idempotencyMiddleware.js
+import crypto from 'crypto';
+import supabase from '../config/supabase.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// How long a key is remembered (IDEMPOTENCY_KEY_TTL_HOURS, default 24)
+const getKeyTtlMs = () => {
+    const hours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+    return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+// How long a key may stay 'processing' before a retry can take it over, e.g. after the server
+// crashed mid-request (IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS, default 60)
+const getProcessingTimeoutMs = () => {
+    const seconds = Number(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 60) * 1000;
+};
+
+const fingerprintRequest = (req) => {
+    const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+    return crypto
+        .createHash('sha256')
+        .update(`${req.method}\n${req.originalUrl.split('?')[0]}\n${body}`)
+        .digest('hex');
+};
+
+const claimKey = (req, key, fingerprint) => supabase
+    .from('idempotency_keys')
+    .insert([{
+        user_id: req.user.id,
+        idempotency_key: key,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        request_fingerprint: fingerprint
+    }])
+    .select('id')
+    .single();
+
+/**
+ * Makes retried requests safe: when an `Idempotency-Key` header is sent, the first request
+ * with that key is processed and its response stored; repeats with the same body get the
+ * stored response replayed, and repeats with a different body are rejected with 409.
+ * Must run after authMiddleware, since keys are scoped per user. Requests without the
+ * header are processed normally.
+ */
+export const idempotencyMiddleware = async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.` });
+    }
+
+    try {
+        const fingerprint = fingerprintRequest(req);
+        let { data: claimed, error: claimError } = await claimKey(req, key, fingerprint);
+
+        if (claimError && claimError.code === '23505') { // Key already used by this user
+            const { data: existing, error: fetchError } = await supabase
+                .from('idempotency_keys')
+                .select('*')
+                .eq('user_id', req.user.id)
+                .eq('idempotency_key', key)
+                .single();
+
+            if (fetchError) {
+                throw fetchError;
+            }
+
+            const isExpired = Date.now() - new Date(existing.created_at).getTime() > getKeyTtlMs();
+            const isAbandoned = existing.status !== 'completed'
+                && Date.now() - new Date(existing.updated_at).getTime() > getProcessingTimeoutMs();
+            if (!isExpired) {
+                if (existing.request_fingerprint !== fingerprint) {
+                    return res.status(409).json({ error: 'Idempotency-Key has already been used for a different request.' });
+                }
+                if (existing.status === 'completed') {
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(existing.response_status).json(existing.response_body);
+                }
+                if (!isAbandoned) {
+                    return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed.' });
+                }
+            }
+
+            // Expired and abandoned keys are forgotten and the request is treated as new. The
+            // delete only matches the row as read, so of two concurrent retries only one takes over.
+            await supabase.from('idempotency_keys').delete().eq('id', existing.id).eq('updated_at', existing.updated_at);
+            ({ data: claimed, error: claimError } = await claimKey(req, key, fingerprint));
+        }
+
+        if (claimError?.code === '23505') { // Another retry took the key over first
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed.' });
+        }
+        if (claimError) {
+            throw claimError;
+        }
+
+        // Responses are written to the row claimed here, so a request whose key was taken over
+        // after the processing timeout cannot overwrite the retry's response.
+        let stored = false;
+        // A response sent without res.json stores nothing; release the key so the client can
+        // retry. If the client went away before any response, the handler may still be
+        // running, so the key is left for it (or the processing timeout) to settle.
+        res.on('close', () => {
+            if (stored || !res.headersSent) return;
+            supabase.from('idempotency_keys').delete().eq('id', claimed.id).eq('status', 'processing')
+                .then(({ error }) => {
+                    if (error) console.error('Failed to release Idempotency-Key:', error.message);
+                });
+        });
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            stored = true;
+            // Server errors are not stored, so the client can retry with the same key
+            const persist = res.statusCode >= 500
+                ? supabase.from('idempotency_keys').delete().eq('id', claimed.id)
+                : supabase.from('idempotency_keys').update({
+                    status: 'completed',
+                    response_status: res.statusCode,
+                    response_body: body,
+                    updated_at: new Date().toISOString()
+                }).eq('id', claimed.id);
+
+            persist.then(({ error }) => {
+                if (error) console.error('Failed to store idempotent response:', error.message);
+            });
+
+            return originalJson(body);
+        };
+
+        next();
+    } catch (error) {
+        console.error('Idempotency middleware error:', error.message);
+        res.status(500).json({ error: 'Could not process Idempotency-Key. Please try again.' });
+    }
+};
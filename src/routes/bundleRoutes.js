@@ -0,0 +1,25 @@
+// backend/src/routes/bundleRoutes.js
+import express from 'express';
+import {
+    getBundles,
+    getAllBundles,
+    getBundleById,
+    createBundle,
+    updateBundle,
+    deleteBundle
+} from '../controllers/bundleController.js';
+import { authMiddleware, adminMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes for browsing combos
+router.get('/', getBundles);
+router.get('/all', authMiddleware, adminMiddleware, getAllBundles); // Includes inactive bundles
+router.get('/:id', getBundleById);
+
+// Admin-only routes for managing bundles
+router.post('/', authMiddleware, adminMiddleware, createBundle);
+router.put('/:id', authMiddleware, adminMiddleware, updateBundle);
+router.delete('/:id', authMiddleware, adminMiddleware, deleteBundle);
+
+export default router;
@@ -0,0 +1,32 @@
+// backend/src/routes/cartRoutes.js
+import express from 'express';
+import {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    updateCartSettings,
+    emptyCart,
+    checkoutCart,
+    getAbandonedCarts
+} from '../controllers/cartController.js';
+import { authMiddleware, adminMiddleware } from '../middlewares/authMiddleware.js';
+import { idempotencyMiddleware } from '../middlewares/idempotencyMiddleware.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Admin view of carts people left behind
+router.get('/abandoned', adminMiddleware, getAbandonedCarts);
+
+// The authenticated user's own cart
+router.get('/', getCart);
+router.put('/', updateCartSettings);
+router.delete('/', emptyCart);
+router.post('/items', addCartItem);
+router.put('/items/:itemId', updateCartItem);
+router.delete('/items/:itemId', removeCartItem);
+router.post('/checkout', idempotencyMiddleware, checkoutCart); // Turns the cart into an order
+
+export default router;
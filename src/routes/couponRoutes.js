@@ -0,0 +1,22 @@
+// backend/src/routes/couponRoutes.js
+import express from 'express';
+import {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/couponController.js';
+import { authMiddleware, adminMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin-only routes for managing coupons. Customers apply codes through
+// POST /api/orders/quote and POST /api/orders (coupon_code).
+router.get('/', authMiddleware, adminMiddleware, getCoupons);
+router.get('/:id', authMiddleware, adminMiddleware, getCouponById);
+router.post('/', authMiddleware, adminMiddleware, createCoupon);
+router.put('/:id', authMiddleware, adminMiddleware, updateCoupon);
+router.delete('/:id', authMiddleware, adminMiddleware, deleteCoupon);
+
+export default router;
@@ -0,0 +1,32 @@
+// backend/src/routes/deliveryRoutes.js
+import express from 'express';
+import {
+    getAssignments,
+    getRiders,
+    createAssignment,
+    deleteAssignment,
+    getRiderDeliveryHistory,
+    getMyAssignments,
+    getMyDeliveryHistory,
+    pickUpDelivery,
+    completeDelivery
+} from '../controllers/deliveryController.js';
+import { authMiddleware, adminMiddleware, riderMiddleware } from '../middlewares/authMiddleware.js';
+import upload from '../config/multerConfig.js';
+
+const router = express.Router();
+
+// --- Rider Routes (only the rider's own assignments) ---
+router.get('/mine', authMiddleware, riderMiddleware, getMyAssignments);
+router.get('/mine/history', authMiddleware, riderMiddleware, getMyDeliveryHistory); // Delivered orders and fees, for payouts
+router.post('/:id/pickup', authMiddleware, riderMiddleware, pickUpDelivery);
+router.post('/:id/deliver', authMiddleware, riderMiddleware, upload.single('photo'), completeDelivery); // Optional proof photo
+
+// --- Admin Routes ---
+router.get('/', authMiddleware, adminMiddleware, getAssignments);
+router.get('/riders', authMiddleware, adminMiddleware, getRiders);
+router.get('/riders/:riderId/history', authMiddleware, adminMiddleware, getRiderDeliveryHistory);
+router.post('/', authMiddleware, adminMiddleware, createAssignment); // Assign (or reassign) an order to a rider
+router.delete('/:id', authMiddleware, adminMiddleware, deleteAssignment);
+
+export default router;
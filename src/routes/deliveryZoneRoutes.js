@@ -0,0 +1,23 @@
+// backend/src/routes/deliveryZoneRoutes.js
+import express from 'express';
+import {
+    getDeliveryZones,
+    getAllDeliveryZones,
+    createDeliveryZone,
+    updateDeliveryZone,
+    deleteDeliveryZone
+} from '../controllers/deliveryZoneController.js';
+import { authMiddleware, adminMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Public route so the frontend can show where we deliver and what it costs
+router.get('/', getDeliveryZones);
+
+// Admin-only routes for managing zones
+router.get('/all', authMiddleware, adminMiddleware, getAllDeliveryZones); // Includes non-serviceable zones
+router.post('/', authMiddleware, adminMiddleware, createDeliveryZone);
+router.put('/:id', authMiddleware, adminMiddleware, updateDeliveryZone);
+router.delete('/:id', authMiddleware, adminMiddleware, deleteDeliveryZone);
+
+export default router;
@@ -0,0 +1,25 @@
+// backend/src/routes/inventoryRoutes.js
+import express from 'express';
+import {
+    getStockLevels,
+    getLowStockAlerts,
+    getStockMovements,
+    updateStockSettings,
+    createStockAdjustment
+} from '../controllers/inventoryController.js';
+import { authMiddleware, adminMiddleware, staffMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Kitchen staff can see what is running low
+router.get('/', staffMiddleware, getStockLevels);
+router.get('/low-stock', staffMiddleware, getLowStockAlerts);
+
+// Admin-only stock management
+router.get('/movements', adminMiddleware, getStockMovements);
+router.put('/:menuItemId', adminMiddleware, updateStockSettings);
+router.post('/:menuItemId/adjustments', adminMiddleware, createStockAdjustment);
+
+export default router;
@@ -0,0 +1,32 @@
+// backend/src/routes/kitchenRoutes.js
+import express from 'express';
+import { authMiddleware, adminMiddleware, staffMiddleware } from '../middlewares/authMiddleware.js';
+import {
+    getStations,
+    createStation,
+    updateStation,
+    deleteStation,
+    getTickets,
+    startKitchenTicket,
+    bumpTicketItem,
+    bumpTicket
+} from '../controllers/kitchenController.js';
+
+const router = express.Router();
+
+// Everything here is for kitchen staff and admins
+router.use(authMiddleware, staffMiddleware);
+
+// --- Stations ---
+router.get('/stations', getStations);
+router.post('/stations', adminMiddleware, createStation); // Admin only
+router.put('/stations/:id', adminMiddleware, updateStation); // Admin only
+router.delete('/stations/:id', adminMiddleware, deleteStation); // Admin only
+
+// --- Tickets ---
+router.get('/tickets', getTickets); // ?station=<id|unassigned>
+router.post('/tickets/:orderId/start', startKitchenTicket);
+router.post('/tickets/:orderId/items/:itemId/bump', bumpTicketItem);
+router.post('/tickets/:orderId/bump', bumpTicket); // Bumps every remaining item and marks the order ready
+
+export default router;
@@ -0,0 +1,19 @@
+// backend/src/routes/loyaltyRoutes.js
+import express from 'express';
+import {
+    getSettings,
+    updateSettings,
+    getUserLoyalty,
+    createAdjustment
+} from '../controllers/loyaltyController.js';
+import { authMiddleware, adminMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin-only loyalty management. Customers see their own points at GET /api/users/me/loyalty.
+router.get('/settings', authMiddleware, adminMiddleware, getSettings);
+router.put('/settings', authMiddleware, adminMiddleware, updateSettings);
+router.get('/users/:userId', authMiddleware, adminMiddleware, getUserLoyalty);
+router.post('/adjustments', authMiddleware, adminMiddleware, createAdjustment);
+
+export default router;
@@ -1,35 +1,62 @@
 // backend/src/routes/orderRoutes.js
 import express from 'express';
-import { authMiddleware } from '../middlewares/authMiddleware.js'; // Changed 'protect' to 'authMiddleware'
+import { authMiddleware, adminMiddleware, staffMiddleware, queryTokenMiddleware } from '../middlewares/authMiddleware.js'; // Changed 'protect' to 'authMiddleware'
+import { idempotencyMiddleware } from '../middlewares/idempotencyMiddleware.js';
 import {
+    quoteOrder,
     createOrder,
     getOrderById,
     getMyOrders,      // For authenticated user's orders
     getAllOrders,     // For admin to get all orders
     updateOrderStatus,
+    cancelOrder,
+    reorderOrder,
     initiatePayment,
-    verifyPayment
+    verifyPayment,
+    collectPayment,
+    handlePaymentWebhook,
+    createRefund,
+    getOrderRefunds
 } from '../controllers/orderController.js';
+import { streamOrderEvents, streamAllOrderEvents } from '../controllers/orderEventsController.js';
+import { getOrderReceipt } from '../controllers/receiptController.js';
+import { exportOrders } from '../controllers/orderExportController.js';
 
 const router = express.Router();
 
 // --- Public/Authenticated User Routes for Orders ---
-router.post('/', authMiddleware, createOrder); // Create a new order
+router.post('/quote', authMiddleware, quoteOrder); // Price a cart without creating an order
+router.post('/', authMiddleware, idempotencyMiddleware, createOrder); // Create a new order (honours Idempotency-Key)
 router.get('/my-orders', authMiddleware, getMyOrders); // Get orders for the authenticated user
+
+// --- Live Order Updates (Server-Sent Events; the JWT may be passed as ?access_token=) ---
+router.get('/stream', queryTokenMiddleware, authMiddleware, staffMiddleware, streamAllOrderEvents); // Staff feed of new and updated orders
+router.get('/:id/events', queryTokenMiddleware, authMiddleware, streamOrderEvents); // Status/payment changes for one order
+
+// --- Accounting Export (before /:id so "export" is not taken as an order ID) ---
+router.get('/export', authMiddleware, adminMiddleware, exportOrders); // Admin downloads filtered orders as CSV or XLSX
+
 router.get('/:id', authMiddleware, getOrderById); // Get a single order by ID (accessible by owner or admin)
+router.get('/:id/receipt', authMiddleware, getOrderReceipt); // PDF or receipt-printer text (owner or admin)
+router.post('/:id/cancel', authMiddleware, cancelOrder); // Owner cancels an early-stage order (refunded if paid)
+router.post('/:id/reorder', authMiddleware, idempotencyMiddleware, reorderOrder); // New order from a past order's items
 
 // --- Payment Related Routes ---
-router.post('/:id/initiate-payment', authMiddleware, initiatePayment); // Initiate payment for an order
+router.post('/:id/initiate-payment', authMiddleware, idempotencyMiddleware, initiatePayment); // Initiate payment for an order (honours Idempotency-Key)
 // Note: verify-payment is typically called by a webhook or a redirect after payment,
 // so its middleware might differ based on your payment gateway's setup.
 router.get('/:id/verify-payment', authMiddleware, verifyPayment); // Verify payment status (e.g., after redirect)
-// If you have a dedicated webhook endpoint that doesn't use `authMiddleware` or `adminMiddleware`
-// router.post('/webhook/paystack', handlePaymentWebhook); // Example webhook route (if handlePaymentWebhook is exported)
+router.post('/:id/collect-payment', authMiddleware, collectPayment); // Admin records cash/transfer collected on delivery
+// Payment gateways call this directly (e.g. /webhook/paystack), so it is authenticated by the
+// provider's request signature instead of a JWT.
+router.post('/webhook/:provider', handlePaymentWebhook);
 
 
 // --- Admin Routes for Orders ---
 // These routes require authentication. Authorization is handled within the controller functions.
 router.get('/', authMiddleware, getAllOrders); // Admin gets all orders (authorization checked in controller)
 router.put('/:id/status', authMiddleware, updateOrderStatus); // Admin updates order status (authorization checked in controller)
+router.post('/:id/refunds', authMiddleware, createRefund); // Admin refunds all or part of a paid order
+router.get('/:id/refunds', authMiddleware, getOrderRefunds); // Admin views the refunds ledger for an order
 
 export default router;
@@ -0,0 +1,39 @@
+// backend/src/routes/tableRoutes.js
+import express from 'express';
+import {
+    getTables,
+    createTable,
+    updateTable,
+    deleteTable,
+    getTableQr,
+    rotateTableQr,
+    scanTable,
+    getScannedTableBill,
+    getTableBill,
+    getBills,
+    getBillById,
+    settleTableBill
+} from '../controllers/tableController.js';
+import { authMiddleware, adminMiddleware, staffMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Public: diners scanning a table's QR code (the signed token is the credential) ---
+router.get('/scan/:token', scanTable);
+router.get('/scan/:token/bill', getScannedTableBill);
+
+// --- Staff: bills ---
+router.get('/bills', authMiddleware, staffMiddleware, getBills);
+router.get('/bills/:billId', authMiddleware, staffMiddleware, getBillById);
+router.post('/bills/:billId/settle', authMiddleware, staffMiddleware, settleTableBill); // Mark every order on the bill paid
+
+// --- Tables ---
+router.get('/', authMiddleware, staffMiddleware, getTables);
+router.post('/', authMiddleware, adminMiddleware, createTable);
+router.put('/:id', authMiddleware, adminMiddleware, updateTable);
+router.delete('/:id', authMiddleware, adminMiddleware, deleteTable);
+router.get('/:id/bill', authMiddleware, staffMiddleware, getTableBill);
+router.get('/:id/qr', authMiddleware, adminMiddleware, getTableQr); // PNG or SVG to print
+router.post('/:id/rotate-qr', authMiddleware, adminMiddleware, rotateTableQr); // Revokes the printed code
+
+export default router;
@@ -0,0 +1,22 @@
+// backend/src/routes/taxRoutes.js
+import express from 'express';
+import {
+    getSettings,
+    updateSettings,
+    getCategoryRates,
+    setCategoryRate,
+    deleteCategoryRate
+} from '../controllers/taxController.js';
+import { authMiddleware, adminMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin-only tax (VAT) and service charge configuration. Customers see the resulting
+// amounts in POST /api/orders/quote and on their orders.
+router.get('/settings', authMiddleware, adminMiddleware, getSettings);
+router.put('/settings', authMiddleware, adminMiddleware, updateSettings);
+router.get('/category-rates', authMiddleware, adminMiddleware, getCategoryRates);
+router.put('/category-rates/:categoryId', authMiddleware, adminMiddleware, setCategoryRate);
+router.delete('/category-rates/:categoryId', authMiddleware, adminMiddleware, deleteCategoryRate);
+
+export default router;
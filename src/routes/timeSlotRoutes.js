@@ -0,0 +1,23 @@
+// backend/src/routes/timeSlotRoutes.js
+import express from 'express';
+import {
+    getAvailability,
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule
+} from '../controllers/timeSlotController.js';
+import { authMiddleware, adminMiddleware } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+// Public route so the frontend only offers bookable times
+router.get('/availability', getAvailability);
+
+// Admin-only routes for managing opening hours and slot capacity
+router.get('/rules', authMiddleware, adminMiddleware, getRules);
+router.post('/rules', authMiddleware, adminMiddleware, createRule);
+router.put('/rules/:id', authMiddleware, adminMiddleware, updateRule);
+router.delete('/rules/:id', authMiddleware, adminMiddleware, deleteRule);
+
+export default router;
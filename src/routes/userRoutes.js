@@ -13,6 +13,7 @@ import {
     updateAddress,      // NEW: For updating user addresses
     deleteAddress       // NEW: For deleting user addresses
 } from '../controllers/userController.js';
+import { getMyLoyalty } from '../controllers/loyaltyController.js';
 
 const router = express.Router();
 
@@ -40,6 +41,9 @@ router.put('/me/addresses/:id', authMiddleware, updateAddress);
 // The :id here refers to the address ID
 router.delete('/me/addresses/:id', authMiddleware, deleteAddress);
 
+// Get the authenticated user's loyalty points balance and history
+router.get('/me/loyalty', authMiddleware, getMyLoyalty);
+
 
 // --- Admin User Management Routes ---
 // These routes are specifically for administrators to manage all users.
@@ -0,0 +1,205 @@
+// backend/src/services/bundleService.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+const MENU_ITEM_FIELDS = 'id, name, price, is_available, category_id, stock_quantity';
+
+export const BUNDLE_SELECT = `
+    *,
+    categories ( name ),
+    bundle_components (
+        id,
+        quantity,
+        is_required,
+        sort_order,
+        menu_items ( ${MENU_ITEM_FIELDS} ),
+        bundle_component_swaps ( id, price_delta, menu_items ( ${MENU_ITEM_FIELDS} ) )
+    )
+`;
+
+/**
+ * Shape a bundle row for API responses. A bundle is available only while it is active and
+ * every required component is available; `savings` is what it saves over buying the
+ * default components separately.
+ */
+export const formatBundle = (bundle) => {
+    const components = [...(bundle.bundle_components || [])]
+        .sort((a, b) => a.sort_order - b.sort_order)
+        .map(component => ({
+            id: component.id,
+            quantity: component.quantity,
+            is_required: component.is_required,
+            menu_item: component.menu_items,
+            swaps: (component.bundle_component_swaps || []).map(swap => ({
+                id: swap.id,
+                price_delta: roundMoney(swap.price_delta),
+                menu_item: swap.menu_items
+            }))
+        }));
+
+    const componentsTotal = components.reduce((sum, component) => sum + Number(component.menu_item?.price || 0) * component.quantity, 0);
+    const unavailableComponents = components.filter(component => component.is_required && !component.menu_item?.is_available);
+
+    const { bundle_components, categories, ...fields } = bundle;
+    return {
+        ...fields,
+        category_name: categories ? categories.name : 'Uncategorized',
+        components,
+        is_available: bundle.is_active && components.length > 0 && unavailableComponents.length === 0,
+        unavailable_components: unavailableComponents.map(component => component.menu_item?.name),
+        savings: roundMoney(Math.max(0, componentsTotal - bundle.price))
+    };
+};
+
+/**
+ * Validate the components sent with a bundle create/update.
+ * @returns {{ components?: object[], error?: string }}
+ */
+export const normalizeBundleComponents = (input) => {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'A bundle needs at least one component.' };
+    }
+
+    const components = [];
+    for (const component of input) {
+        if (!component?.menu_item_id) {
+            return { error: 'Every bundle component needs a menu_item_id.' };
+        }
+        const quantity = component.quantity === undefined ? 1 : Number(component.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { error: 'Component quantity must be a positive whole number.' };
+        }
+
+        const swaps = [];
+        for (const swap of Array.isArray(component.swaps) ? component.swaps : []) {
+            const priceDelta = swap?.price_delta === undefined || swap?.price_delta === null ? 0 : Number(swap.price_delta);
+            if (!swap?.menu_item_id || isNaN(priceDelta)) {
+                return { error: 'Every swap needs a menu_item_id and a numeric price_delta.' };
+            }
+            if (swap.menu_item_id === component.menu_item_id) {
+                return { error: 'A component cannot be swapped for itself.' };
+            }
+            swaps.push({ menu_item_id: swap.menu_item_id, price_delta: roundMoney(priceDelta) });
+        }
+
+        components.push({
+            menu_item_id: component.menu_item_id,
+            quantity,
+            is_required: component.is_required === undefined ? true : component.is_required === true || component.is_required === 'true',
+            swaps
+        });
+    }
+
+    return { components };
+};
+
+/**
+ * Replace a bundle's components (see set_bundle_components).
+ * @throws {Error} 400 if a component or swap references a menu item that does not exist.
+ */
+export const saveBundleComponents = async (bundleId, components) => {
+    const { error } = await supabase.rpc('set_bundle_components', {
+        p_bundle_id: bundleId,
+        p_components: components
+    });
+
+    if (error) {
+        console.error('Supabase error saving bundle components:', error.message);
+        if (error.code === '23503' || error.code === '22P02') {
+            throw httpError(400, 'Bundle components reference a menu item that does not exist.');
+        }
+        if (error.code === '23505') {
+            throw httpError(400, 'The same swap is listed more than once for a component.');
+        }
+        throw httpError(500, 'Database error saving bundle components.');
+    }
+};
+
+/**
+ * Fetch bundles by id, keyed by id, for pricing.
+ * @returns {Promise<Map<string, object>>}
+ */
+export const fetchBundlesById = async (bundleIds) => {
+    if (bundleIds.length === 0) {
+        return new Map();
+    }
+
+    const { data: bundles, error } = await supabase
+        .from('bundles')
+        .select(BUNDLE_SELECT)
+        .in('id', bundleIds);
+
+    if (error) {
+        console.error('Supabase error fetching bundles:', error.message);
+        throw httpError(500, 'Database error fetching bundles.');
+    }
+
+    return new Map(bundles.map(bundle => [bundle.id, formatBundle(bundle)]));
+};
+
+/**
+ * Work out what one ordered bundle contains after the customer's swaps. Unavailable optional
+ * components are dropped; swap surcharges are added to the bundle price.
+ * @param {object} bundle - A formatted bundle (see formatBundle).
+ * @param {{ component_id: string, menu_item_id: string }[]} [swaps]
+ * @returns {{ components: object[], selected_swaps: object[], price_delta: number }}
+ *   components are [{ menu_item_id, name, category_id, quantity }] per bundle.
+ * @throws {Error} 400 describing the first invalid swap or unavailable component.
+ */
+export const resolveBundleSelection = (bundle, swaps = []) => {
+    if (!Array.isArray(swaps)) {
+        throw httpError(400, `Swaps for ${bundle.name} must be a list.`);
+    }
+
+    const swapsByComponent = new Map(swaps.map(swap => [swap?.component_id, swap?.menu_item_id]));
+    for (const componentId of swapsByComponent.keys()) {
+        if (!bundle.components.some(component => component.id === componentId)) {
+            throw httpError(400, `Some of the chosen swaps are not offered for ${bundle.name}.`);
+        }
+    }
+
+    const components = [];
+    const selected_swaps = [];
+
+    for (const component of bundle.components) {
+        let menuItem = component.menu_item;
+        const swapTo = swapsByComponent.get(component.id);
+
+        if (swapTo && swapTo !== menuItem.id) {
+            const swap = component.swaps.find(candidate => candidate.menu_item?.id === swapTo);
+            if (!swap) {
+                throw httpError(400, `That swap is not offered for ${menuItem.name} in ${bundle.name}.`);
+            }
+            if (!swap.menu_item.is_available) {
+                throw httpError(400, `${swap.menu_item.name} is currently unavailable.`);
+            }
+            selected_swaps.push({
+                component_id: component.id,
+                from_menu_item_id: menuItem.id,
+                menu_item_id: swap.menu_item.id,
+                name: swap.menu_item.name,
+                price_delta: swap.price_delta
+            });
+            menuItem = swap.menu_item;
+        } else if (!menuItem.is_available) {
+            if (component.is_required) {
+                throw httpError(400, `${bundle.name} is unavailable because ${menuItem.name} is unavailable.`);
+            }
+            continue;
+        }
+
+        components.push({
+            menu_item_id: menuItem.id,
+            name: menuItem.name,
+            category_id: menuItem.category_id,
+            quantity: component.quantity
+        });
+    }
+
+    return {
+        components,
+        selected_swaps,
+        price_delta: roundMoney(selected_swaps.reduce((sum, swap) => sum + swap.price_delta, 0))
+    };
+};
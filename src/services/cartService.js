@@ -0,0 +1,151 @@
+// backend/src/services/cartService.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { priceOrder } from './pricingService.js';
+
+const CART_ITEMS_SELECT = '*, menu_items ( name, image_url ), bundles ( name, image_url )';
+
+/**
+ * The user's cart, created on first use.
+ * @returns {Promise<object>} The carts row.
+ */
+export const getOrCreateCart = async (userId) => {
+    const { data: existing, error } = await supabase
+        .from('carts')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching cart: ${error.message}`);
+    }
+    if (existing) {
+        return existing;
+    }
+
+    // upsert so two devices opening the cart at once still end up with one
+    const { data: cart, error: createError } = await supabase
+        .from('carts')
+        .upsert({ user_id: userId }, { onConflict: 'user_id' })
+        .select('*')
+        .single();
+
+    if (createError) {
+        throw new Error(`Database error creating cart: ${createError.message}`);
+    }
+    return cart;
+};
+
+/**
+ * Record activity on a cart (used to spot abandoned carts).
+ */
+export const touchCart = async (cartId, fields = {}) => {
+    const { data: cart, error } = await supabase
+        .from('carts')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', cartId)
+        .select('*')
+        .single();
+
+    if (error) {
+        throw new Error(`Database error updating cart: ${error.message}`);
+    }
+    return cart;
+};
+
+export const getCartItems = async (cartId) => {
+    const { data: items, error } = await supabase
+        .from('cart_items')
+        .select(CART_ITEMS_SELECT)
+        .eq('cart_id', cartId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Database error fetching cart items: ${error.message}`);
+    }
+    return items;
+};
+
+/**
+ * Cart items in the shape priceOrder and placeOrder accept.
+ */
+export const toOrderItems = (cartItems) => cartItems.map(item => (item.bundle_id
+    ? { bundle_id: item.bundle_id, quantity: item.quantity, swaps: item.swaps, special_instructions: item.special_instructions }
+    : { id: item.menu_item_id, quantity: item.quantity, options: item.options, special_instructions: item.special_instructions }));
+
+/**
+ * A cart with its items re-priced against the current menu. Items that can no longer be
+ * ordered as they are carry their `problems`; `can_checkout` is false while there are any.
+ * @returns {Promise<object>}
+ */
+export const getPricedCart = async (userId) => {
+    const cart = await getOrCreateCart(userId);
+    const cartItems = await getCartItems(cart.id);
+
+    const items = cartItems.map(({ menu_items, bundles, ...item }) => ({
+        ...item,
+        name: (item.bundle_id ? bundles?.name : menu_items?.name) || 'Unknown item',
+        image_url: (item.bundle_id ? bundles?.image_url : menu_items?.image_url) || null,
+        problems: []
+    }));
+
+    if (items.length === 0) {
+        return { ...cart, items, quote: null, can_checkout: false };
+    }
+
+    // A delivery address may not have been chosen yet; price the items regardless
+    const needsAddress = !cart.is_pickup && !cart.address_id;
+    const quote = await priceOrder({
+        userId,
+        items: toOrderItems(cartItems),
+        address_id: cart.address_id,
+        is_pickup: cart.is_pickup || needsAddress,
+        coupon_code: cart.coupon_code
+    });
+
+    if (needsAddress) {
+        quote.delivery_fee = null;
+        quote.problems.push({ index: null, menu_item_id: null, code: 'address_required', message: 'Choose a delivery address or switch to pickup.' });
+    }
+    for (const problem of quote.problems) {
+        if (problem.index !== null) items[problem.index].problems.push(problem);
+    }
+
+    return { ...cart, items, quote, can_checkout: quote.problems.length === 0 };
+};
+
+/**
+ * Remove every item from a cart and forget its coupon, e.g. after checkout.
+ */
+export const clearCart = async (cartId) => {
+    const { error } = await supabase
+        .from('cart_items')
+        .delete()
+        .eq('cart_id', cartId);
+
+    if (error) {
+        throw new Error(`Database error clearing cart: ${error.message}`);
+    }
+    await touchCart(cartId, { coupon_code: null });
+};
+
+/**
+ * Fetch one item from the user's cart.
+ * @throws {Error} 404 if it is not in their cart.
+ */
+export const getCartItem = async (cartId, itemId) => {
+    const { data: item, error } = await supabase
+        .from('cart_items')
+        .select('*')
+        .eq('id', itemId)
+        .eq('cart_id', cartId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching cart item: ${error.message}`);
+    }
+    if (!item) {
+        throw httpError(404, 'Cart item not found.');
+    }
+    return item;
+};
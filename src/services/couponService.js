@@ -0,0 +1,113 @@
+// backend/src/services/couponService.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+export const COUPON_DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'free_delivery'];
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Redemptions on cancelled orders do not count towards usage limits
+const countRedemptions = async ({ couponId, userId }) => {
+    let query = supabase
+        .from('coupon_redemptions')
+        .select('id, orders!inner(status)', { count: 'exact', head: true })
+        .eq('coupon_id', couponId)
+        .neq('orders.status', 'cancelled');
+    if (userId) {
+        query = query.eq('user_id', userId);
+    }
+
+    const { count, error } = await query;
+    if (error) {
+        throw new Error(`Database error counting coupon redemptions: ${error.message}`);
+    }
+    return count;
+};
+
+/**
+ * Subtotal of the lines a coupon applies to. With no category or item restriction,
+ * that is the whole cart.
+ */
+const getEligibleSubtotal = (coupon, lines) => {
+    const categoryIds = coupon.applicable_category_ids || [];
+    const itemIds = coupon.applicable_menu_item_ids || [];
+    if (categoryIds.length === 0 && itemIds.length === 0) {
+        return lines.reduce((sum, line) => sum + line.line_total, 0);
+    }
+
+    return lines
+        .filter(line => itemIds.includes(line.menu_item_id) || categoryIds.includes(line.category_id))
+        .reduce((sum, line) => sum + line.line_total, 0);
+};
+
+/**
+ * Check a coupon code against a priced cart and work out its discount.
+ * Usage limits are checked again, atomically, when the order is written.
+ * @param {object} params
+ * @param {string} params.code - The code entered by the customer.
+ * @param {string} params.userId
+ * @param {object[]} params.lines - Priced cart lines (see pricingService).
+ * @param {number} params.subtotal
+ * @param {number} params.delivery_fee
+ * @returns {Promise<{ coupon: object, discount_amount: number }>}
+ * @throws {Error} 400 with a customer-facing reason if the coupon cannot be applied.
+ */
+export const evaluateCoupon = async ({ code, userId, lines, subtotal, delivery_fee }) => {
+    const normalizedCode = normalizeCouponCode(code);
+
+    const { data: coupon, error } = await supabase
+        .from('coupons')
+        .select('*')
+        .eq('code', normalizedCode)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching coupon: ${error.message}`);
+    }
+    if (!coupon || !coupon.is_active) {
+        throw httpError(400, `Coupon ${normalizedCode} is not valid.`);
+    }
+
+    const now = new Date();
+    if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+        throw httpError(400, `Coupon ${coupon.code} is not active yet.`);
+    }
+    if (coupon.expires_at && now >= new Date(coupon.expires_at)) {
+        throw httpError(400, `Coupon ${coupon.code} has expired.`);
+    }
+    if (subtotal < Number(coupon.min_order_value)) {
+        throw httpError(400, `Coupon ${coupon.code} requires a minimum order of ${Number(coupon.min_order_value).toFixed(2)}.`);
+    }
+
+    if (coupon.usage_limit !== null && await countRedemptions({ couponId: coupon.id }) >= coupon.usage_limit) {
+        throw httpError(400, `Coupon ${coupon.code} has reached its usage limit.`);
+    }
+    if (coupon.usage_limit_per_user !== null && await countRedemptions({ couponId: coupon.id, userId }) >= coupon.usage_limit_per_user) {
+        throw httpError(400, `You have already used coupon ${coupon.code} the maximum number of times.`);
+    }
+
+    let discount_amount = 0;
+    if (coupon.discount_type === 'free_delivery') {
+        if (delivery_fee <= 0) {
+            throw httpError(400, `Coupon ${coupon.code} only applies to orders with a delivery fee.`);
+        }
+        discount_amount = delivery_fee;
+    } else {
+        const eligibleSubtotal = getEligibleSubtotal(coupon, lines);
+        if (eligibleSubtotal <= 0) {
+            throw httpError(400, `Coupon ${coupon.code} does not apply to any item in your order.`);
+        }
+
+        if (coupon.discount_type === 'percentage') {
+            discount_amount = eligibleSubtotal * Number(coupon.discount_value) / 100;
+            if (coupon.max_discount_amount !== null) {
+                discount_amount = Math.min(discount_amount, Number(coupon.max_discount_amount));
+            }
+        } else {
+            discount_amount = Math.min(Number(coupon.discount_value), eligibleSubtotal);
+        }
+    }
+
+    return { coupon, discount_amount: roundMoney(discount_amount) };
+};
@@ -0,0 +1,397 @@
+// backend/src/services/deliveryService.js
+import crypto from 'crypto';
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+import { transitionOrderStatus, assertTransitionAllowed } from './orderLifecycle.js';
+import { applyPaymentStatus, SETTLEABLE_PAYMENT_STATUSES } from './orderPayments.js';
+
+export const ASSIGNMENT_STATUSES = ['assigned', 'picked_up', 'delivered', 'unassigned'];
+export const ACTIVE_ASSIGNMENT_STATUSES = ['assigned', 'picked_up'];
+
+// Orders a rider can be given: ready to leave the kitchen, or already on the road (reassignment)
+const ASSIGNABLE_ORDER_STATUSES = ['ready', 'out_for_delivery'];
+
+// PIN entries allowed before the rider must use a note or photo instead
+export const MAX_PIN_ATTEMPTS = 5;
+
+// What a rider sees of an assignment: where to go and who to call, but never the PIN
+export const RIDER_ASSIGNMENT_SELECT = `
+    id, order_id, rider_id, status, delivery_fee, assigned_at, picked_up_at, delivered_at,
+    proof_note, proof_photo_url, proof_pin_verified,
+    orders (
+        order_number, status, total_amount, payment_provider, payment_status, delivery_notes,
+        users ( full_name, phone_number ),
+        user_addresses ( street_address, city, state, postal_code, country, latitude, longitude )
+    )
+`;
+
+const generateDeliveryPin = () => String(crypto.randomInt(0, 10000)).padStart(4, '0');
+
+const fetchOrder = async (orderId) => {
+    const { data: order, error } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('id', orderId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching order: ${error.message}`);
+    }
+    if (!order) {
+        throw httpError(404, 'Order not found.');
+    }
+    return order;
+};
+
+/**
+ * The assignment currently open for an order (assigned or picked up), if any.
+ * @param {string} orderId
+ * @returns {Promise<object|null>}
+ */
+export const getActiveAssignment = async (orderId) => {
+    const { data: assignment, error } = await supabase
+        .from('delivery_assignments')
+        .select('*')
+        .eq('order_id', orderId)
+        .in('status', ACTIVE_ASSIGNMENT_STATUSES)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching delivery assignment: ${error.message}`);
+    }
+    return assignment;
+};
+
+/**
+ * Delivery details to show on an order: the latest assignment with its rider's name and phone.
+ * The PIN is included, so only pass this to the order's customer or an admin.
+ * @param {string} orderId
+ * @returns {Promise<object|null>}
+ */
+export const getOrderDelivery = async (orderId) => {
+    const { data: assignment, error } = await supabase
+        .from('delivery_assignments')
+        .select('status, assigned_at, picked_up_at, delivered_at, delivery_pin, proof_note, proof_photo_url, proof_pin_verified, rider:users!delivery_assignments_rider_id_fkey ( full_name, phone_number )')
+        .eq('order_id', orderId)
+        .neq('status', 'unassigned')
+        .order('assigned_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching order delivery: ${error.message}`);
+    }
+    return assignment;
+};
+
+/**
+ * Give a delivery order to a rider. An order that already has a rider is moved to the new one
+ * (the old assignment is closed as 'unassigned'); the customer's PIN stays the same.
+ * @param {object} params
+ * @param {string} params.orderId
+ * @param {string} params.riderId - A user with the 'rider' role.
+ * @param {{ id: string, role: string }} params.actor - The admin making the assignment.
+ * @returns {Promise<object>} The new assignment.
+ * @throws {Error} 400 for a pickup order, wrong status or non-rider, 404 if not found, 409 on a conflicting change.
+ */
+export const assignRider = async ({ orderId, riderId, actor }) => {
+    const order = await fetchOrder(orderId);
+    if (order.is_pickup) {
+        throw httpError(400, 'Pickup orders are not delivered by riders.');
+    }
+    if (!ASSIGNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw httpError(400, `Only orders that are ${ASSIGNABLE_ORDER_STATUSES.join(' or ')} can be assigned to a rider (this order is '${order.status}').`);
+    }
+
+    const { data: rider, error: riderError } = await supabase
+        .from('users')
+        .select('id, role')
+        .eq('id', riderId)
+        .maybeSingle();
+
+    if (riderError) {
+        throw new Error(`Database error fetching rider: ${riderError.message}`);
+    }
+    if (!rider || rider.role !== 'rider') {
+        throw httpError(400, 'The selected user is not a rider.');
+    }
+
+    const current = await getActiveAssignment(orderId);
+    if (current?.rider_id === riderId) {
+        throw httpError(409, 'This order is already assigned to that rider.');
+    }
+    if (current) {
+        const { data: closed, error: closeError } = await supabase
+            .from('delivery_assignments')
+            .update({ status: 'unassigned', unassigned_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+            .eq('id', current.id)
+            .eq('status', current.status)
+            .select('id');
+
+        if (closeError) {
+            throw new Error(`Database error reassigning delivery: ${closeError.message}`);
+        }
+        if (closed.length === 0) {
+            throw httpError(409, 'The delivery was updated by its rider meanwhile. Please refresh and try again.');
+        }
+    }
+
+    const { data: assignment, error } = await supabase
+        .from('delivery_assignments')
+        .insert([{
+            order_id: orderId,
+            rider_id: riderId,
+            assigned_by: actor.id,
+            delivery_fee: roundMoney(order.delivery_fee || 0),
+            delivery_pin: current?.delivery_pin || generateDeliveryPin()
+        }])
+        .select('*')
+        .single();
+
+    if (error) {
+        if (error.code === '23505') { // Another admin assigned the order at the same time
+            throw httpError(409, 'This order was just assigned to another rider. Please refresh and try again.');
+        }
+        throw new Error(`Database error assigning rider: ${error.message}`);
+    }
+
+    return assignment;
+};
+
+/**
+ * Take a rider off an order without giving it to anyone else.
+ * @param {string} assignmentId
+ * @returns {Promise<object>} The closed assignment.
+ * @throws {Error} 404 if there is no such open assignment.
+ */
+export const unassignRider = async (assignmentId) => {
+    const { data: closed, error } = await supabase
+        .from('delivery_assignments')
+        .update({ status: 'unassigned', unassigned_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', assignmentId)
+        .in('status', ACTIVE_ASSIGNMENT_STATUSES)
+        .select('*');
+
+    if (error) {
+        throw new Error(`Database error unassigning rider: ${error.message}`);
+    }
+    if (closed.length === 0) {
+        throw httpError(404, 'No open delivery assignment with this ID.');
+    }
+    return closed[0];
+};
+
+// An assignment that belongs to the rider and is in the expected status, with its order
+const fetchRiderAssignment = async ({ assignmentId, riderId, status }) => {
+    const { data: assignment, error } = await supabase
+        .from('delivery_assignments')
+        .select('*')
+        .eq('id', assignmentId)
+        .eq('rider_id', riderId) // Riders only ever see their own assignments
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching delivery assignment: ${error.message}`);
+    }
+    if (!assignment) {
+        throw httpError(404, 'Delivery not found.');
+    }
+    if (assignment.status !== status) {
+        throw httpError(400, `This delivery is '${assignment.status}', not '${status}'.`);
+    }
+
+    return { assignment, order: await fetchOrder(assignment.order_id) };
+};
+
+/**
+ * Record that the rider has collected the order from the restaurant. A 'ready' order moves to
+ * 'out_for_delivery'.
+ * @param {object} params
+ * @param {string} params.assignmentId
+ * @param {{ id: string, role: string }} params.rider
+ * @returns {Promise<object>} The updated assignment.
+ */
+export const markPickedUp = async ({ assignmentId, rider }) => {
+    const { assignment, order } = await fetchRiderAssignment({ assignmentId, riderId: rider.id, status: 'assigned' });
+    if (!ASSIGNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw httpError(409, `Order ${order.order_number} is '${order.status}' and can no longer be picked up.`);
+    }
+
+    if (order.status === 'ready') {
+        await transitionOrderStatus({ order, toStatus: 'out_for_delivery', actor: rider, note: 'Picked up by rider.' });
+    }
+
+    const { data: updated, error } = await supabase
+        .from('delivery_assignments')
+        .update({ status: 'picked_up', picked_up_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', assignment.id)
+        .eq('status', 'assigned')
+        .select('*');
+
+    if (error) {
+        throw new Error(`Database error recording pickup: ${error.message}`);
+    }
+    if (updated.length === 0) {
+        throw httpError(409, 'This delivery was changed meanwhile. Please refresh and try again.');
+    }
+    return updated[0];
+};
+
+// Check the customer's PIN. Each check first claims one of the attempts with a conditional
+// update, so guesses sent in parallel cannot get past MAX_PIN_ATTEMPTS.
+const verifyPin = async (assignment, pin) => {
+    if (assignment.pin_attempts >= MAX_PIN_ATTEMPTS) {
+        throw httpError(429, 'Too many wrong PINs. Record a note or photo as proof of delivery instead.');
+    }
+
+    const { data: claimed, error } = await supabase
+        .from('delivery_assignments')
+        .update({ pin_attempts: assignment.pin_attempts + 1, updated_at: new Date().toISOString() })
+        .eq('id', assignment.id)
+        .eq('pin_attempts', assignment.pin_attempts)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Database error recording PIN attempt: ${error.message}`);
+    }
+    if (claimed.length === 0) {
+        throw httpError(409, 'Another PIN was entered for this delivery at the same time. Please try again.');
+    }
+
+    const expected = Buffer.from(assignment.delivery_pin);
+    const given = Buffer.from(String(pin).trim());
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return;
+
+    const remaining = MAX_PIN_ATTEMPTS - assignment.pin_attempts - 1;
+    throw httpError(400, `Incorrect delivery PIN. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`);
+};
+
+/**
+ * Record a delivery as made and complete the order. At least one proof is required: a note,
+ * a photo, or the PIN the customer was given. A pay-on-delivery order must have its payment
+ * collected, which the rider confirms with paymentCollected.
+ * @param {object} params
+ * @param {string} params.assignmentId
+ * @param {{ id: string, role: string }} params.rider
+ * @param {string} [params.note]
+ * @param {string} [params.photoUrl] - URL of the uploaded photo.
+ * @param {string} [params.pin]
+ * @param {boolean} [params.paymentCollected]
+ * @returns {Promise<{ assignment: object, order: object }>}
+ * @throws {Error} 400 for missing proof, a wrong PIN or uncollected payment; 429 after too many wrong PINs.
+ */
+export const markDelivered = async ({ assignmentId, rider, note, photoUrl, pin, paymentCollected }) => {
+    const { assignment, order: fetchedOrder } = await fetchRiderAssignment({ assignmentId, riderId: rider.id, status: 'picked_up' });
+    let order = fetchedOrder;
+    if (order.status !== 'out_for_delivery') {
+        throw httpError(409, `Order ${order.order_number} is '${order.status}' and can no longer be delivered.`);
+    }
+
+    const proofNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+    const hasPin = pin !== undefined && pin !== null && String(pin).trim() !== '';
+    if (!proofNote && !photoUrl && !hasPin) {
+        throw httpError(400, 'Proof of delivery is required: a note, a photo or the customer\'s PIN.');
+    }
+    if (hasPin) {
+        await verifyPin(assignment, pin);
+    }
+
+    if (order.payment_provider === 'pay_on_delivery' && order.payment_status !== 'paid') {
+        if (!paymentCollected) {
+            throw httpError(400, 'Collect the payment for this pay-on-delivery order and confirm it with payment_collected.');
+        }
+        order = await applyPaymentStatus(order, 'paid', SETTLEABLE_PAYMENT_STATUSES);
+        if (!order) {
+            throw httpError(409, 'The order\'s payment status changed meanwhile. Please refresh and try again.');
+        }
+    }
+
+    assertTransitionAllowed(order, 'completed');
+
+    // Closing the assignment first means a repeated or concurrent request cannot record a second delivery
+    const { data: closed, error } = await supabase
+        .from('delivery_assignments')
+        .update({
+            status: 'delivered',
+            delivered_at: new Date().toISOString(),
+            proof_note: proofNote,
+            proof_photo_url: photoUrl || null,
+            proof_pin_verified: hasPin,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', assignment.id)
+        .eq('status', 'picked_up')
+        .select('*');
+
+    if (error) {
+        throw new Error(`Database error recording delivery: ${error.message}`);
+    }
+    if (closed.length === 0) {
+        throw httpError(409, 'This delivery was changed meanwhile. Please refresh and try again.');
+    }
+    const updated = closed[0];
+
+    let completedOrder;
+    try {
+        completedOrder = await transitionOrderStatus({
+            order,
+            toStatus: 'completed',
+            actor: rider,
+            note: `Delivered by rider (proof: ${[hasPin && 'PIN', photoUrl && 'photo', proofNote && 'note'].filter(Boolean).join(', ')}).`
+        });
+    } catch (transitionError) {
+        // Reopen the assignment so the rider can try again rather than leave the order stuck
+        const { error: reopenError } = await supabase
+            .from('delivery_assignments')
+            .update({
+                status: 'picked_up',
+                delivered_at: null,
+                proof_note: null,
+                proof_photo_url: null,
+                proof_pin_verified: false,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', assignment.id)
+            .eq('status', 'delivered');
+        if (reopenError) {
+            console.error(`Could not reopen delivery assignment ${assignment.id} of order ${order.order_number}:`, reopenError.message);
+        }
+        throw transitionError;
+    }
+
+    return { assignment: updated, order: completedOrder };
+};
+
+/**
+ * Delivered assignments of a rider in a period, with totals for working out their payout.
+ * @param {object} params
+ * @param {string} params.riderId
+ * @param {string} [params.from] - ISO timestamp, inclusive.
+ * @param {string} [params.to] - ISO timestamp, exclusive.
+ * @returns {Promise<{ deliveries: object[], summary: { delivery_count: number, delivery_fee_total: number } }>}
+ */
+export const getRiderHistory = async ({ riderId, from, to }) => {
+    let query = supabase
+        .from('delivery_assignments')
+        .select(RIDER_ASSIGNMENT_SELECT)
+        .eq('rider_id', riderId)
+        .eq('status', 'delivered');
+
+    if (from) query = query.gte('delivered_at', from);
+    if (to) query = query.lt('delivered_at', to);
+
+    const { data: deliveries, error } = await query.order('delivered_at', { ascending: false });
+
+    if (error) {
+        throw new Error(`Database error fetching delivery history: ${error.message}`);
+    }
+
+    return {
+        deliveries,
+        summary: {
+            delivery_count: deliveries.length,
+            delivery_fee_total: roundMoney(deliveries.reduce((sum, delivery) => sum + Number(delivery.delivery_fee), 0))
+        }
+    };
+};
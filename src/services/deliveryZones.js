@@ -0,0 +1,85 @@
+// backend/src/services/deliveryZones.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two coordinates, in kilometres.
+ */
+export const distanceKm = (fromLat, fromLng, toLat, toLng) => {
+    const dLat = toRadians(toLat - fromLat);
+    const dLng = toRadians(toLng - fromLng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Restaurant location used as the centre of radius zones
+const getRestaurantLocation = () => {
+    const latitude = parseFloat(process.env.RESTAURANT_LATITUDE);
+    const longitude = parseFloat(process.env.RESTAURANT_LONGITUDE);
+    return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+const zoneMatchesAddress = (zone, address) => {
+    if (zone.match_type === 'area') {
+        const cities = (zone.cities || []).map(normalize);
+        const states = (zone.states || []).map(normalize);
+        return cities.includes(normalize(address.city)) || states.includes(normalize(address.state));
+    }
+
+    const restaurant = getRestaurantLocation();
+    if (!restaurant || address.latitude == null || address.longitude == null) {
+        return false;
+    }
+    const distance = distanceKm(restaurant.latitude, restaurant.longitude, Number(address.latitude), Number(address.longitude));
+    return distance <= Number(zone.radius_km);
+};
+
+/**
+ * Find the delivery zone for an address: the highest-priority zone that matches it.
+ * @param {{ city: string, state: string, latitude?: number, longitude?: number }} address
+ * @returns {Promise<object|null>} The matching zone (which may be non-serviceable), or null.
+ */
+export const findDeliveryZone = async (address) => {
+    const { data: zones, error } = await supabase
+        .from('delivery_zones')
+        .select('*')
+        .order('priority', { ascending: false })
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Database error fetching delivery zones: ${error.message}`);
+    }
+
+    return zones.find(zone => zoneMatchesAddress(zone, address)) || null;
+};
+
+/**
+ * Delivery fee for an order to an address, according to the zone it falls in.
+ * @param {object} params
+ * @param {object} params.address - The user_addresses row being delivered to.
+ * @param {number} params.subtotal - The order subtotal the fee rules apply to.
+ * @returns {Promise<{ zone: object, delivery_fee: number }>}
+ * @throws {Error} 400 if the address is outside every serviceable zone or below its minimum order.
+ */
+export const calculateDeliveryFee = async ({ address, subtotal }) => {
+    const zone = await findDeliveryZone(address);
+
+    if (!zone || !zone.is_serviceable) {
+        throw httpError(400, `Sorry, we do not currently deliver to ${address.city || 'this address'}.`);
+    }
+
+    if (subtotal < Number(zone.min_order_value)) {
+        throw httpError(400, `The minimum order for delivery to ${zone.name} is ${Number(zone.min_order_value).toFixed(2)}.`);
+    }
+
+    const isFree = zone.free_delivery_threshold !== null && subtotal >= Number(zone.free_delivery_threshold);
+
+    return { zone, delivery_fee: isFree ? 0 : Number(zone.base_fee) };
+};
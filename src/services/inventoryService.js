@@ -0,0 +1,95 @@
+// backend/src/services/inventoryService.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+
+// Reasons an admin can give for a manual adjustment (orders use order_confirmed / order_cancelled)
+export const ADJUSTMENT_REASONS = ['restock', 'waste', 'correction', 'stocktake'];
+
+/**
+ * Stock level at or below which an item counts as low, for items without their own
+ * low_stock_threshold (LOW_STOCK_THRESHOLD, default 5).
+ */
+export const getDefaultLowStockThreshold = () => {
+    const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+    return Number.isInteger(threshold) && threshold >= 0 ? threshold : 5;
+};
+
+export const isLowStock = (item) => item.stock_quantity !== null
+    && item.stock_quantity <= (item.low_stock_threshold ?? getDefaultLowStockThreshold());
+
+const warnAboutLowStock = (items, orderNumber) => {
+    for (const item of items.filter(isLowStock)) {
+        const state = item.stock_quantity <= 0 ? 'is out of stock and was made unavailable' : `is low on stock (${item.stock_quantity} left)`;
+        console.warn(`Inventory: ${item.name} ${state} after order ${orderNumber}.`);
+    }
+};
+
+/**
+ * Take a confirmed order's items out of stock. Does nothing if already done.
+ * @returns {Promise<object[]>} Tracked menu items after the change.
+ */
+export const commitOrderStock = async (order) => {
+    const { data: items, error } = await supabase.rpc('commit_order_stock', { p_order_id: order.id });
+    if (error) {
+        throw new Error(`Database error committing stock for order ${order.order_number}: ${error.message}`);
+    }
+
+    warnAboutLowStock(items || [], order.order_number);
+    return items || [];
+};
+
+/**
+ * Put a cancelled order's items back into stock. Does nothing if they were never taken out.
+ * @returns {Promise<object[]>} Tracked menu items after the change.
+ */
+export const releaseOrderStock = async (order) => {
+    const { data: items, error } = await supabase.rpc('release_order_stock', { p_order_id: order.id });
+    if (error) {
+        throw new Error(`Database error releasing stock for order ${order.order_number}: ${error.message}`);
+    }
+    return items || [];
+};
+
+/**
+ * Manually change an item's stock and log why. Adjusting an untracked item starts tracking it.
+ * @param {object} params
+ * @param {string} params.menuItemId
+ * @param {number} [params.change] - Relative change (non-zero whole number).
+ * @param {number} [params.setTo] - Absolute count from a stocktake; takes precedence over change.
+ * @param {string} params.reason - One of ADJUSTMENT_REASONS.
+ * @param {string} [params.note]
+ * @param {string} params.actorId - The admin making the adjustment.
+ * @returns {Promise<object>} The updated menu item.
+ * @throws {Error} 400 for invalid input, 404 if the item does not exist.
+ */
+export const adjustStock = async ({ menuItemId, change, setTo, reason, note, actorId }) => {
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+        throw httpError(400, `Invalid reason. Valid reasons are: ${ADJUSTMENT_REASONS.join(', ')}.`);
+    }
+
+    const hasSetTo = setTo !== undefined && setTo !== null;
+    if (hasSetTo && (!Number.isInteger(Number(setTo)) || Number(setTo) < 0)) {
+        throw httpError(400, 'set_to must be a whole number of 0 or more.');
+    }
+    if (!hasSetTo && (!Number.isInteger(Number(change)) || Number(change) === 0)) {
+        throw httpError(400, 'Provide a non-zero whole-number change, or set_to for a stock count.');
+    }
+
+    const { data: item, error } = await supabase.rpc('adjust_menu_item_stock', {
+        p_menu_item_id: menuItemId,
+        p_change: hasSetTo ? null : Number(change),
+        p_set_to: hasSetTo ? Number(setTo) : null,
+        p_reason: reason,
+        p_note: note || null,
+        p_actor: actorId
+    });
+
+    if (error) {
+        if (error.code === 'P0001' || error.code === '22P02') {
+            throw httpError(404, 'Menu item not found.');
+        }
+        throw new Error(`Database error adjusting stock: ${error.message}`);
+    }
+
+    return item;
+};
@@ -0,0 +1,222 @@
+// backend/src/services/kitchenService.js
+import supabase from '../config/supabase.js';
+import { transitionOrderStatus } from './orderLifecycle.js';
+import { httpError } from '../utils/httpError.js';
+
+// Orders the kitchen is working on. 'ready' and later are off the screen.
+export const KITCHEN_ACTIVE_STATUSES = ['confirmed', 'preparing'];
+
+// Tickets for items whose category has no station
+export const UNASSIGNED_STATION = 'unassigned';
+
+// Scheduled orders join the queue this many minutes before their slot starts
+export const getScheduledLeadMinutes = () => parseInt(process.env.KITCHEN_SCHEDULED_LEAD_MINUTES, 10) || 30;
+
+const TICKET_SELECT = `
+    id,
+    order_number,
+    status,
+    is_pickup,
+    is_dine_in,
+    dining_tables ( name ),
+    delivery_notes,
+    scheduled_for,
+    created_at,
+    order_items (
+        id,
+        quantity,
+        special_instructions,
+        selected_options,
+        prep_status,
+        bumped_at,
+        order_bundles ( name ),
+        menu_items (
+            name,
+            categories ( station_id, kitchen_stations ( name ) )
+        )
+    ),
+    order_status_history ( to_status, created_at )
+`;
+
+/**
+ * Shape an order row into a kitchen ticket. The prep timer starts when the order
+ * was confirmed (falling back to when it was placed).
+ */
+const toTicket = (order, now = new Date()) => {
+    const confirmedEntry = (order.order_status_history || []).find(entry => entry.to_status === 'confirmed');
+    const startedAt = confirmedEntry ? confirmedEntry.created_at : order.created_at;
+
+    const items = (order.order_items || []).map(item => {
+        const category = item.menu_items?.categories;
+        return {
+            id: item.id,
+            name: item.menu_items?.name || 'Unknown item',
+            quantity: item.quantity,
+            options: (item.selected_options || []).map(option => option.name),
+            bundle_name: item.order_bundles?.name || null, // Set when the item is part of a combo
+            special_instructions: item.special_instructions,
+            station_id: category?.station_id || UNASSIGNED_STATION,
+            station_name: category?.kitchen_stations?.name || 'Unassigned',
+            prep_status: item.prep_status,
+            bumped_at: item.bumped_at
+        };
+    });
+
+    return {
+        order_id: order.id,
+        order_number: order.order_number,
+        status: order.status,
+        is_pickup: order.is_pickup,
+        table_name: order.is_dine_in ? order.dining_tables?.name || null : null, // Where to serve dine-in orders
+        delivery_notes: order.delivery_notes,
+        placed_at: order.created_at,
+        scheduled_for: order.scheduled_for,
+        started_at: startedAt,
+        elapsed_seconds: Math.max(0, Math.floor((now - new Date(startedAt)) / 1000)),
+        items
+    };
+};
+
+/**
+ * Active kitchen tickets, oldest first. Scheduled orders are held back until they are
+ * due within KITCHEN_SCHEDULED_LEAD_MINUTES. When a station is given, each ticket only lists
+ * that station's items and tickets with nothing for the station are left out.
+ * @param {object} [options]
+ * @param {string} [options.stationId] - A kitchen_stations id, or 'unassigned'.
+ * @returns {Promise<object[]>}
+ */
+export const getKitchenTickets = async ({ stationId } = {}) => {
+    const dueBy = new Date(Date.now() + getScheduledLeadMinutes() * 60 * 1000).toISOString();
+
+    const { data: orders, error } = await supabase
+        .from('orders')
+        .select(TICKET_SELECT)
+        .in('status', KITCHEN_ACTIVE_STATUSES)
+        .or(`scheduled_for.is.null,scheduled_for.lte.${dueBy}`)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Database error fetching kitchen tickets: ${error.message}`);
+    }
+
+    const tickets = orders.map(order => toTicket(order));
+    if (!stationId) {
+        return tickets;
+    }
+
+    return tickets
+        .map(ticket => ({ ...ticket, items: ticket.items.filter(item => item.station_id === stationId) }))
+        .filter(ticket => ticket.items.length > 0);
+};
+
+/**
+ * A single kitchen ticket.
+ * @throws {Error} 404 if the order does not exist.
+ */
+export const getKitchenTicket = async (orderId) => {
+    const { data: order, error } = await supabase
+        .from('orders')
+        .select(TICKET_SELECT)
+        .eq('id', orderId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching kitchen ticket: ${error.message}`);
+    }
+    if (!order) {
+        throw httpError(404, 'Order not found.');
+    }
+
+    return { order, ticket: toTicket(order) };
+};
+
+const fetchOrderRow = async (orderId) => {
+    const { data: order, error } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('id', orderId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching order: ${error.message}`);
+    }
+    if (!order) {
+        throw httpError(404, 'Order not found.');
+    }
+    return order;
+};
+
+/**
+ * Mark a ticket as started: moves a confirmed order to 'preparing'.
+ * @returns {Promise<object>} The updated ticket.
+ */
+export const startTicket = async ({ orderId, actor }) => {
+    const order = await fetchOrderRow(orderId);
+    if (order.status !== 'confirmed') {
+        throw httpError(400, `Only confirmed orders can be started; this order is '${order.status}'.`);
+    }
+
+    await transitionOrderStatus({ order, toStatus: 'preparing', actor, note: 'Started in kitchen.' });
+
+    return (await getKitchenTicket(orderId)).ticket;
+};
+
+/**
+ * Bump items off the kitchen screen. The first bump on a confirmed order moves it to
+ * 'preparing'; once every item is bumped the order moves to 'ready'.
+ * @param {object} params
+ * @param {string} params.orderId
+ * @param {string[]|null} params.itemIds - Items to bump, or null to bump the whole ticket.
+ * @param {{ id: string, role: string }} params.actor - The staff member bumping.
+ * @returns {Promise<object>} The updated ticket.
+ * @throws {Error} 400 if the order is not in the kitchen, 404 for unknown items.
+ */
+export const bumpItems = async ({ orderId, itemIds, actor }) => {
+    const { order, ticket } = await getKitchenTicket(orderId);
+    if (!KITCHEN_ACTIVE_STATUSES.includes(order.status)) {
+        throw httpError(400, `Order is '${order.status}' and no longer on the kitchen screen.`);
+    }
+
+    if (itemIds) {
+        const ticketItemIds = new Set(ticket.items.map(item => item.id));
+        const unknownId = itemIds.find(id => !ticketItemIds.has(id));
+        if (unknownId) {
+            throw httpError(404, `Item ${unknownId} is not part of this order.`);
+        }
+    }
+
+    let currentOrder = await fetchOrderRow(orderId);
+    if (currentOrder.status === 'confirmed') {
+        currentOrder = await transitionOrderStatus({ order: currentOrder, toStatus: 'preparing', actor, note: 'Started in kitchen.' });
+    }
+
+    let bumpQuery = supabase
+        .from('order_items')
+        .update({ prep_status: 'bumped', bumped_at: new Date().toISOString(), bumped_by: actor.id })
+        .eq('order_id', orderId)
+        .eq('prep_status', 'queued');
+    if (itemIds) {
+        bumpQuery = bumpQuery.in('id', itemIds);
+    }
+
+    const { error: bumpError } = await bumpQuery;
+    if (bumpError) {
+        throw new Error(`Database error bumping items: ${bumpError.message}`);
+    }
+
+    const { count: queuedCount, error: countError } = await supabase
+        .from('order_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('order_id', orderId)
+        .eq('prep_status', 'queued');
+
+    if (countError) {
+        throw new Error(`Database error counting queued items: ${countError.message}`);
+    }
+
+    if (queuedCount === 0) {
+        await transitionOrderStatus({ order: currentOrder, toStatus: 'ready', actor, note: 'All items bumped in kitchen.' });
+    }
+
+    return (await getKitchenTicket(orderId)).ticket;
+};
@@ -0,0 +1,223 @@
+// backend/src/services/loyaltyService.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+/**
+ * The loyalty earn/burn configuration (single row).
+ * @returns {Promise<object>}
+ */
+export const getLoyaltySettings = async () => {
+    const { data: settings, error } = await supabase
+        .from('loyalty_settings')
+        .select('*')
+        .eq('id', 1)
+        .single();
+
+    if (error) {
+        throw new Error(`Database error fetching loyalty settings: ${error.message}`);
+    }
+    return settings;
+};
+
+/**
+ * A user's current points balance (sum of their ledger).
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+export const getPointsBalance = async (userId) => {
+    const { data: transactions, error } = await supabase
+        .from('loyalty_transactions')
+        .select('points')
+        .eq('user_id', userId);
+
+    if (error) {
+        throw new Error(`Database error fetching loyalty balance: ${error.message}`);
+    }
+    return transactions.reduce((sum, transaction) => sum + transaction.points, 0);
+};
+
+/**
+ * Work out the discount for spending points on an order. Points are capped so they never
+ * pay for more than max_redeem_percent of `eligibleAmount`. The balance is checked again,
+ * under a lock, when the order is written.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.points - Points the customer asked to spend.
+ * @param {number} params.eligibleAmount - Order value points may pay towards.
+ * @returns {Promise<{ points: number, amount: number }>}
+ * @throws {Error} 400 with a customer-facing reason if the points cannot be spent.
+ */
+export const quoteRedemption = async ({ userId, points, eligibleAmount }) => {
+    const requestedPoints = Number(points);
+    if (!Number.isInteger(requestedPoints) || requestedPoints <= 0) {
+        throw httpError(400, 'Points to redeem must be a positive whole number.');
+    }
+
+    const settings = await getLoyaltySettings();
+    if (!settings.is_enabled) {
+        throw httpError(400, 'Loyalty points cannot be redeemed at the moment.');
+    }
+    if (requestedPoints < settings.min_redeem_points) {
+        throw httpError(400, `A minimum of ${settings.min_redeem_points} points is required to redeem.`);
+    }
+
+    const balance = await getPointsBalance(userId);
+    if (requestedPoints > balance) {
+        throw httpError(400, `Not enough loyalty points: ${balance} available, ${requestedPoints} requested.`);
+    }
+
+    const nairaPerPoint = Number(settings.naira_per_point);
+    const maxAmount = eligibleAmount * Number(settings.max_redeem_percent) / 100;
+    const usablePoints = Math.min(requestedPoints, Math.floor(maxAmount / nairaPerPoint));
+    if (usablePoints <= 0) {
+        throw httpError(400, 'Loyalty points cannot be applied to this order.');
+    }
+
+    return { points: usablePoints, amount: roundMoney(usablePoints * nairaPerPoint) };
+};
+
+// Inserts a ledger row; the unique index makes per-order earn/redeem/reversal rows idempotent.
+const insertTransaction = async (transaction) => {
+    const { data, error } = await supabase
+        .from('loyalty_transactions')
+        .insert([transaction])
+        .select('*')
+        .single();
+
+    if (error) {
+        if (error.code === '23505') return null; // Already recorded for this order
+        throw new Error(`Database error recording loyalty points: ${error.message}`);
+    }
+    return data;
+};
+
+/**
+ * The net goods value of an order: its item subtotal less the discounts on items (an item coupon
+ * and points spent). Delivery, service charge and tax earn no points, so a free-delivery coupon
+ * does not reduce it either.
+ * @param {object} order
+ * @param {string|null} couponType - discount_type of the order's coupon, if any.
+ * @returns {number}
+ */
+export const getNetGoodsAmount = (order, couponType = null) => {
+    const itemDiscount = couponType === 'free_delivery'
+        ? Number(order.loyalty_discount_amount || 0)
+        : Number(order.discount_amount || 0);
+    return roundMoney(Math.max(0, Number(order.subtotal) - itemDiscount));
+};
+
+const getCouponType = async (couponId) => {
+    if (!couponId) return null;
+    const { data: coupon, error } = await supabase
+        .from('coupons')
+        .select('discount_type')
+        .eq('id', couponId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching order coupon: ${error.message}`);
+    }
+    return coupon?.discount_type || null;
+};
+
+// Points an order earned: customers earn on the food they paid for
+const pointsForOrder = async (order, settings) =>
+    Math.floor(getNetGoodsAmount(order, await getCouponType(order.coupon_id)) * Number(settings.points_per_naira));
+
+/**
+ * Award points for a paid order. Safe to call more than once for the same order.
+ * @returns {Promise<object|null>} The ledger entry, or null if nothing was awarded.
+ */
+export const awardPointsForOrder = async (order) => {
+    const settings = await getLoyaltySettings();
+    if (!settings.is_enabled) return null;
+
+    const points = await pointsForOrder(order, settings);
+    if (points <= 0) return null;
+
+    return insertTransaction({
+        user_id: order.user_id,
+        order_id: order.id,
+        points,
+        type: 'earn',
+        reason: `Earned on order ${order.order_number}`
+    });
+};
+
+/**
+ * Take back points earned on an order in proportion to how much of it has been refunded.
+ * Each call only claws back the difference from earlier clawbacks, so it can run after
+ * every partial refund.
+ * @param {object} order - The order (total_amount is the amount originally paid).
+ * @param {number} refundedTotal - Total refunded so far.
+ */
+export const clawBackPointsForRefund = async (order, refundedTotal) => {
+    const { data: transactions, error } = await supabase
+        .from('loyalty_transactions')
+        .select('points, type')
+        .eq('order_id', order.id)
+        .in('type', ['earn', 'clawback']);
+
+    if (error) {
+        throw new Error(`Database error fetching order loyalty points: ${error.message}`);
+    }
+
+    const earned = transactions.filter(t => t.type === 'earn').reduce((sum, t) => sum + t.points, 0);
+    const alreadyClawedBack = -transactions.filter(t => t.type === 'clawback').reduce((sum, t) => sum + t.points, 0);
+    if (earned <= 0) return null;
+
+    const refundedShare = Math.min(1, refundedTotal / Number(order.total_amount));
+    const toClawBack = Math.ceil(earned * refundedShare) - alreadyClawedBack;
+    if (toClawBack <= 0) return null;
+
+    return insertTransaction({
+        user_id: order.user_id,
+        order_id: order.id,
+        points: -toClawBack,
+        type: 'clawback',
+        reason: `Refund on order ${order.order_number}`
+    });
+};
+
+/**
+ * Give back points a customer spent on an order that was cancelled. Safe to call more than once.
+ */
+export const restoreRedeemedPoints = async (order) => {
+    if (!order.loyalty_points_redeemed) return null;
+
+    return insertTransaction({
+        user_id: order.user_id,
+        order_id: order.id,
+        points: order.loyalty_points_redeemed,
+        type: 'redeem_reversal',
+        reason: `Order ${order.order_number} cancelled`
+    });
+};
+
+/**
+ * Manually add or remove points (admin).
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.points - Non-zero whole number; negative removes points.
+ * @param {string} params.reason - Required explanation, kept on the ledger.
+ * @param {string} params.actorId - The admin making the adjustment.
+ * @returns {Promise<object>} The ledger entry.
+ */
+export const adjustPoints = async ({ userId, points, reason, actorId }) => {
+    const delta = Number(points);
+    if (!Number.isInteger(delta) || delta === 0) {
+        throw httpError(400, 'Points must be a non-zero whole number.');
+    }
+    if (!reason || !String(reason).trim()) {
+        throw httpError(400, 'A reason is required for every adjustment.');
+    }
+
+    return insertTransaction({
+        user_id: userId,
+        points: delta,
+        type: 'adjustment',
+        reason: String(reason).trim(),
+        created_by: actorId
+    });
+};
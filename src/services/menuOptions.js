@@ -0,0 +1,228 @@
+// backend/src/services/menuOptions.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+// Embedded select for a menu item's option groups and their options
+export const OPTION_GROUPS_SELECT = `
+    menu_option_groups (
+        id,
+        name,
+        is_required,
+        min_selections,
+        max_selections,
+        sort_order,
+        menu_options ( id, name, price_delta, is_available, sort_order )
+    )
+`;
+
+const bySortOrder = (a, b) => a.sort_order - b.sort_order;
+
+/**
+ * Shape embedded option groups for API responses: sorted, with options under `options`.
+ * @param {object[]|null} groups - menu_option_groups rows with embedded menu_options.
+ * @returns {object[]}
+ */
+export const formatOptionGroups = (groups) => [...(groups || [])]
+    .sort(bySortOrder)
+    .map(({ menu_options, ...group }) => ({
+        ...group,
+        options: [...(menu_options || [])].sort(bySortOrder)
+    }));
+
+/**
+ * Validate option groups sent with a menu item create/update. Accepts an array or a JSON
+ * string (menu item forms are multipart because of the image upload).
+ * @returns {{ groups?: object[], error?: string }}
+ */
+export const normalizeOptionGroups = (input) => {
+    let groups = input;
+    if (typeof input === 'string') {
+        try {
+            groups = JSON.parse(input);
+        } catch {
+            return { error: 'option_groups must be valid JSON.' };
+        }
+    }
+    if (!Array.isArray(groups)) {
+        return { error: 'option_groups must be an array.' };
+    }
+
+    const normalized = [];
+    for (const group of groups) {
+        if (!group?.name || !String(group.name).trim()) {
+            return { error: 'Every option group needs a name.' };
+        }
+        const name = String(group.name).trim();
+        const options = Array.isArray(group.options) ? group.options : [];
+        if (options.length === 0) {
+            return { error: `Option group '${name}' needs at least one option.` };
+        }
+
+        const isRequired = group.is_required === true || group.is_required === 'true';
+        const minSelections = group.min_selections === undefined ? (isRequired ? 1 : 0) : Number(group.min_selections);
+        const maxSelections = group.max_selections === undefined ? Math.max(1, minSelections) : Number(group.max_selections);
+
+        if (!Number.isInteger(minSelections) || minSelections < 0 || !Number.isInteger(maxSelections) || maxSelections < 1) {
+            return { error: `Option group '${name}' needs whole-number min_selections (0 or more) and max_selections (1 or more).` };
+        }
+        if (minSelections > maxSelections) {
+            return { error: `Option group '${name}' has min_selections greater than max_selections.` };
+        }
+        if (isRequired && minSelections < 1) {
+            return { error: `Required option group '${name}' must have min_selections of at least 1.` };
+        }
+        if (minSelections > options.length) {
+            return { error: `Option group '${name}' requires more selections than it has options.` };
+        }
+
+        const normalizedOptions = [];
+        for (const option of options) {
+            if (!option?.name || !String(option.name).trim()) {
+                return { error: `Every option in '${name}' needs a name.` };
+            }
+            const priceDelta = option.price_delta === undefined || option.price_delta === null ? 0 : Number(option.price_delta);
+            if (isNaN(priceDelta)) {
+                return { error: `price_delta for '${option.name}' must be a number.` };
+            }
+            normalizedOptions.push({
+                id: option.id || null,
+                name: String(option.name).trim(),
+                price_delta: roundMoney(priceDelta),
+                is_available: option.is_available === undefined ? true : option.is_available === true || option.is_available === 'true'
+            });
+        }
+
+        normalized.push({
+            id: group.id || null,
+            name,
+            is_required: isRequired,
+            min_selections: minSelections,
+            max_selections: maxSelections,
+            options: normalizedOptions
+        });
+    }
+
+    return { groups: normalized };
+};
+
+/**
+ * Create a menu item and its option groups in one transaction
+ * (see create_menu_item_with_option_groups).
+ * @param {object} fields - menu_items columns of the new item.
+ * @param {object[]} [groups] - Output of normalizeOptionGroups.
+ * @returns {Promise<string>} The new item's id.
+ * @throws {Error} 409 for a duplicate name, 400 for an invalid category or option groups.
+ */
+export const createMenuItemWithOptionGroups = async (fields, groups) => {
+    const { data: menuItemId, error } = await supabase.rpc('create_menu_item_with_option_groups', {
+        p_item: fields,
+        p_groups: groups && groups.length > 0 ? groups : null
+    });
+
+    if (error) {
+        console.error('Supabase error creating menu item:', error.message);
+        if (error.code === '23505') {
+            throw httpError(409, 'Menu item with this name already exists.');
+        }
+        if (error.code === '23503') {
+            throw httpError(400, 'Invalid category ID provided.');
+        }
+        if (error.code === 'P0001' || error.code === '23514' || error.code === '22P02') {
+            throw httpError(400, `Menu item was not created: ${error.message}`);
+        }
+        throw httpError(500, 'Failed to create menu item in database.');
+    }
+    return menuItemId;
+};
+
+/**
+ * Update a menu item's fields and, when groups are given, replace its option groups, all in one
+ * transaction (see update_menu_item_with_option_groups). Fields left undefined are not changed.
+ * @param {string} menuItemId
+ * @param {object} fields - menu_items columns to update.
+ * @param {object[]} [groups] - Output of normalizeOptionGroups; omit to keep the current groups.
+ * @throws {Error} 404 if the item does not exist, 409 for a duplicate name, 400 for an invalid
+ *   category or option groups.
+ */
+export const updateMenuItemWithOptionGroups = async (menuItemId, fields, groups) => {
+    const { error } = await supabase.rpc('update_menu_item_with_option_groups', {
+        p_menu_item_id: menuItemId,
+        p_item: fields,
+        p_groups: groups || null
+    });
+
+    if (error) {
+        console.error('Supabase error updating menu item:', error.message);
+        if (error.code === 'P0002') {
+            throw httpError(404, 'Menu item not found.');
+        }
+        if (error.code === '23505') {
+            throw httpError(409, 'Menu item with this name already exists.');
+        }
+        if (error.code === '23503') {
+            throw httpError(400, 'Invalid category ID provided.');
+        }
+        if (error.code === 'P0001' || error.code === '23514' || error.code === '22P02') {
+            throw httpError(400, `Menu item was not updated: ${error.message}`);
+        }
+        throw httpError(500, 'Failed to update menu item.');
+    }
+};
+
+/**
+ * Check a customer's option choices against a menu item's groups and price them.
+ * @param {object} menuItem - Menu item with embedded menu_option_groups.
+ * @param {string[]} [optionIds] - Chosen menu_options ids.
+ * @returns {{ selected_options: object[], price_delta: number }} Snapshot of the choices
+ *   ({ group_id, group_name, option_id, name, price_delta }) and their combined price.
+ * @throws {Error} 400 describing the first invalid choice.
+ */
+export const resolveOptionSelections = (menuItem, optionIds = []) => {
+    if (!Array.isArray(optionIds)) {
+        throw httpError(400, `Options for ${menuItem.name} must be a list of option IDs.`);
+    }
+    if (new Set(optionIds).size !== optionIds.length) {
+        throw httpError(400, `The same option was chosen more than once for ${menuItem.name}.`);
+    }
+
+    const groups = formatOptionGroups(menuItem.menu_option_groups);
+    const chosen = new Set(optionIds);
+    const selected_options = [];
+
+    for (const group of groups) {
+        const picks = group.options.filter(option => chosen.has(option.id));
+        picks.forEach(option => chosen.delete(option.id));
+
+        if (picks.length < group.min_selections) {
+            throw httpError(400, group.min_selections === 1
+                ? `Please choose an option for '${group.name}' on ${menuItem.name}.`
+                : `Please choose at least ${group.min_selections} options for '${group.name}' on ${menuItem.name}.`);
+        }
+        if (picks.length > group.max_selections) {
+            throw httpError(400, `You can choose at most ${group.max_selections} option(s) for '${group.name}' on ${menuItem.name}.`);
+        }
+
+        for (const option of picks) {
+            if (!option.is_available) {
+                throw httpError(400, `${option.name} is currently unavailable for ${menuItem.name}.`);
+            }
+            selected_options.push({
+                group_id: group.id,
+                group_name: group.name,
+                option_id: option.id,
+                name: option.name,
+                price_delta: roundMoney(option.price_delta)
+            });
+        }
+    }
+
+    if (chosen.size > 0) {
+        throw httpError(400, `Some of the chosen options are not offered for ${menuItem.name}.`);
+    }
+
+    return {
+        selected_options,
+        price_delta: roundMoney(selected_options.reduce((sum, option) => sum + option.price_delta, 0))
+    };
+};
@@ -0,0 +1,45 @@
+// backend/src/services/orderEvents.js
+import { EventEmitter } from 'events';
+
+// In-process event bus. Every write to an order's status or payment status publishes here,
+// and the SSE endpoints fan the events out to connected customers and staff.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+export const ORDER_EVENT_TYPES = {
+    CREATED: 'order.created',
+    STATUS_CHANGED: 'order.status_changed',
+    PAYMENT_UPDATED: 'order.payment_updated'
+};
+
+// Only what clients need to update their view; full details stay behind getOrderById
+const toEventPayload = (order) => ({
+    id: order.id,
+    order_number: order.order_number,
+    user_id: order.user_id,
+    status: order.status,
+    payment_status: order.payment_status,
+    is_pickup: order.is_pickup,
+    total_amount: order.total_amount,
+    created_at: order.created_at,
+    updated_at: order.updated_at
+});
+
+/**
+ * Publish a change to an order to all subscribers.
+ * @param {string} type - One of ORDER_EVENT_TYPES.
+ * @param {object} order - The order row after the change.
+ */
+export const publishOrderEvent = (type, order) => {
+    emitter.emit('order', { type, order: toEventPayload(order), at: new Date().toISOString() });
+};
+
+/**
+ * Subscribe to order events.
+ * @param {(event: { type: string, order: object, at: string }) => void} listener
+ * @returns {() => void} Call to unsubscribe.
+ */
+export const subscribeToOrderEvents = (listener) => {
+    emitter.on('order', listener);
+    return () => emitter.off('order', listener);
+};
@@ -0,0 +1,242 @@
+// backend/src/services/orderExport.js
+import ExcelJS from 'exceljs';
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+import { getRestaurantTimeZone, getZonedParts } from '../utils/timezone.js';
+import { parseOrderListQuery, applyOrderFilters } from './orderQueries.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_ROW_TYPES = ['orders', 'items'];
+
+// Orders fetched per database round trip; only one batch is held in memory at a time
+const BATCH_SIZE = 500;
+
+const EXPORT_ORDER_SELECT = `
+    *,
+    users ( full_name, email ),
+    dining_tables ( name ),
+    order_items ( quantity, price_at_order, selected_options, order_bundle_id, menu_items ( name ) ),
+    order_bundles ( id, name, quantity, price_at_order, selected_swaps )
+`;
+
+const formatTimestamp = (value) => {
+    if (!value) return '';
+    const { year, month, day, hour, minute } = getZonedParts(new Date(value), getRestaurantTimeZone());
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+};
+
+const amount = (value) => roundMoney(value || 0);
+
+// Columns shared by both row types, identifying the order a row belongs to
+const ORDER_IDENTITY_COLUMNS = [
+    { header: 'Order number', key: 'order_number', width: 22, value: order => order.order_number },
+    { header: 'Placed at', key: 'placed_at', width: 18, value: order => formatTimestamp(order.created_at) },
+    { header: 'Last updated', key: 'updated_at', width: 18, value: order => formatTimestamp(order.updated_at) },
+    { header: 'Scheduled for', key: 'scheduled_for', width: 18, value: order => formatTimestamp(order.scheduled_for) },
+    { header: 'Customer', key: 'customer_name', width: 24, value: order => order.users?.full_name || '' },
+    { header: 'Customer email', key: 'customer_email', width: 28, value: order => order.users?.email || '' },
+    { header: 'Fulfilment', key: 'fulfillment', width: 10, value: order => (order.is_dine_in ? 'dine-in' : order.is_pickup ? 'pickup' : 'delivery') },
+    { header: 'Table', key: 'table', width: 10, value: order => order.dining_tables?.name || '' },
+    { header: 'Status', key: 'status', width: 16, value: order => order.status },
+    { header: 'Payment method', key: 'payment_provider', width: 14, value: order => order.payment_provider || '' },
+    { header: 'Payment status', key: 'payment_status', width: 16, value: order => order.payment_status },
+    { header: 'Payment reference', key: 'payment_reference', width: 28, value: order => order.payment_reference || '' }
+];
+
+const ORDER_COLUMNS = [
+    ...ORDER_IDENTITY_COLUMNS,
+    { header: 'Coupon', key: 'coupon_code', width: 14, value: order => order.coupon_code || '' },
+    { header: 'Subtotal', key: 'subtotal', width: 12, money: true, value: order => amount(order.subtotal) },
+    { header: 'Delivery fee', key: 'delivery_fee', width: 12, money: true, value: order => amount(order.delivery_fee) },
+    // discount_amount includes the loyalty discount
+    { header: 'Coupon discount', key: 'coupon_discount', width: 14, money: true, value: order => amount((order.discount_amount || 0) - (order.loyalty_discount_amount || 0)) },
+    { header: 'Loyalty discount', key: 'loyalty_discount', width: 14, money: true, value: order => amount(order.loyalty_discount_amount) },
+    { header: 'Total discount', key: 'discount_total', width: 14, money: true, value: order => amount(order.discount_amount) },
+    { header: 'Service charge', key: 'charge_total', width: 14, money: true, value: order => amount(order.charge_total) },
+    { header: 'Tax', key: 'tax_total', width: 12, money: true, value: order => amount(order.tax_total) },
+    { header: 'Tax included in prices', key: 'prices_include_tax', width: 12, value: order => (order.prices_include_tax ? 'yes' : 'no') },
+    { header: 'Total', key: 'total_amount', width: 12, money: true, value: order => amount(order.total_amount) },
+    { header: 'Items', key: 'item_count', width: 8, value: order => (order.order_items || []).filter(item => !item.order_bundle_id).length + (order.order_bundles || []).length }
+];
+
+// Item rows carry line amounts only; order-level totals would be double counted when summed
+const ITEM_COLUMNS = [
+    ...ORDER_IDENTITY_COLUMNS,
+    { header: 'Line type', key: 'line_type', width: 10, value: (order, line) => line.type },
+    { header: 'Item', key: 'item_name', width: 28, value: (order, line) => line.name },
+    { header: 'Options', key: 'item_options', width: 36, value: (order, line) => line.options },
+    { header: 'Quantity', key: 'quantity', width: 10, value: (order, line) => line.quantity },
+    { header: 'Unit price', key: 'unit_price', width: 12, money: true, value: (order, line) => amount(line.unit_price) },
+    { header: 'Line total', key: 'line_total', width: 12, money: true, value: (order, line) => amount(line.unit_price * line.quantity) }
+];
+
+// Billed lines of an order: loose items, and bundles with their components as options
+const getOrderLines = (order) => {
+    const items = order.order_items || [];
+
+    const itemLines = items
+        .filter(item => !item.order_bundle_id)
+        .map(item => ({
+            type: 'item',
+            name: item.menu_items?.name || '',
+            options: (item.selected_options || []).map(option => option.name).join('; '),
+            quantity: item.quantity,
+            unit_price: item.price_at_order
+        }));
+
+    const bundleLines = (order.order_bundles || []).map(bundle => ({
+        type: 'bundle',
+        name: bundle.name,
+        options: [
+            ...items
+                .filter(item => item.order_bundle_id === bundle.id)
+                .map(item => `${item.quantity}x ${item.menu_items?.name || ''}`),
+            ...(bundle.selected_swaps || []).map(swap => `swap: ${swap.name}`)
+        ].join('; '),
+        quantity: bundle.quantity,
+        unit_price: bundle.price_at_order
+    }));
+
+    return [...itemLines, ...bundleLines];
+};
+
+const toRows = (order, rowType) => (rowType === 'items'
+    ? getOrderLines(order).map(line => ITEM_COLUMNS.map(column => column.value(order, line)))
+    : [ORDER_COLUMNS.map(column => column.value(order))]);
+
+/**
+ * Validate export query parameters: the order list filters plus ?format=csv|xlsx and
+ * ?rows=orders|items.
+ * @throws {Error} 400 for invalid values.
+ */
+export const parseExportQuery = (query) => {
+    const format = query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw httpError(400, `Invalid export format. Valid formats are: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    const rowType = query.rows || 'orders';
+    if (!EXPORT_ROW_TYPES.includes(rowType)) {
+        throw httpError(400, `Invalid rows. Valid values are: ${EXPORT_ROW_TYPES.join(', ')}.`);
+    }
+
+    // Paging does not apply to exports
+    const { page, limit, ...listQuery } = query;
+    const { filters } = parseOrderListQuery(listQuery, { allowCustomerSearch: true });
+
+    return { format, rowType, filters };
+};
+
+/**
+ * Yield matching orders oldest first in batches, paging by (created_at, id) so that
+ * orders placed during the export cannot shift or repeat rows.
+ */
+async function* fetchOrderBatches(filters) {
+    const select = filters.customer
+        ? EXPORT_ORDER_SELECT.replace('users (', 'users!inner (')
+        : EXPORT_ORDER_SELECT;
+    let cursor = null;
+
+    while (true) {
+        let query = applyOrderFilters(supabase.from('orders').select(select), filters);
+        if (cursor) {
+            query = query.or(`created_at.gt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.gt.${cursor.id})`);
+        }
+
+        const { data, error } = await query
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Database error exporting orders: ${error.message}`);
+        }
+        if (data.length > 0) yield data;
+        if (data.length < BATCH_SIZE) return;
+
+        const last = data[data.length - 1];
+        cursor = { created_at: last.created_at, id: last.id };
+    }
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolve once the stream can take more data, or reject if the client went away
+const waitForDrain = (stream) => new Promise((resolve, reject) => {
+    const onDrain = () => { stream.off('close', onClose); resolve(); };
+    const onClose = () => { stream.off('drain', onDrain); reject(new Error('Client closed the connection during export.')); };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+});
+
+const writeCsv = async (output, filters, rowType) => {
+    const columns = rowType === 'items' ? ITEM_COLUMNS : ORDER_COLUMNS;
+    // BOM so Excel opens the file as UTF-8
+    output.write(`\uFEFF${columns.map(column => csvCell(column.header)).join(',')}\r\n`);
+
+    for await (const orders of fetchOrderBatches(filters)) {
+        const chunk = orders
+            .flatMap(order => toRows(order, rowType))
+            .map(row => `${row.map(csvCell).join(',')}\r\n`)
+            .join('');
+        if (!output.write(chunk)) await waitForDrain(output);
+    }
+    output.end();
+};
+
+const writeXlsx = async (output, filters, rowType) => {
+    const columns = rowType === 'items' ? ITEM_COLUMNS : ORDER_COLUMNS;
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    const worksheet = workbook.addWorksheet(rowType === 'items' ? 'Order items' : 'Orders', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    worksheet.columns = columns.map(({ header, key, width, money }) => ({
+        header,
+        key,
+        width,
+        ...(money ? { style: { numFmt: '#,##0.00' } } : {})
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const orders of fetchOrderBatches(filters)) {
+        orders.flatMap(order => toRows(order, rowType)).forEach(row => worksheet.addRow(row).commit());
+        if (output.writableNeedDrain) await waitForDrain(output);
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+};
+
+/**
+ * Stream an export of orders (one row per order) or their lines (one row per item or
+ * bundle) to a writable stream, such as an Express response. Orders are read in batches,
+ * so memory use does not grow with the size of the export. Times are in the restaurant's
+ * time zone.
+ * @param {object} params
+ * @param {import('stream').Writable} params.output
+ * @param {object} params.filters - From parseExportQuery.
+ * @param {string} params.format - 'csv' or 'xlsx'.
+ * @param {string} params.rowType - 'orders' or 'items'.
+ * @returns {Promise<void>} Resolves once everything has been written.
+ */
+export const writeOrderExport = ({ output, filters, format, rowType }) => (format === 'xlsx'
+    ? writeXlsx(output, filters, rowType)
+    : writeCsv(output, filters, rowType));
+
+/**
+ * Content type and file extension for an export format.
+ */
+export const getExportContentType = (format) => (format === 'xlsx'
+    ? { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+    : { contentType: 'text/csv; charset=utf-8', extension: 'csv' });
@@ -0,0 +1,185 @@
+// backend/src/services/orderLifecycle.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { publishOrderEvent, ORDER_EVENT_TYPES } from './orderEvents.js';
+import { restoreRedeemedPoints } from './loyaltyService.js';
+import { commitOrderStock, releaseOrderStock } from './inventoryService.js';
+import { DEFERRED_PAYMENT_PROVIDERS } from './payments/index.js';
+
+export const ORDER_STATUSES = [
+    'pending',
+    'confirmed',
+    'preparing',
+    'ready',
+    'out_for_delivery',
+    'picked_up',
+    'completed',
+    'cancelled',
+    'refunded'
+];
+
+// Transitions shared by every order type; the hand-off after 'ready' depends on the type.
+const SHARED_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    completed: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+const DELIVERY_TRANSITIONS = {
+    ...SHARED_TRANSITIONS,
+    ready: ['out_for_delivery'],
+    out_for_delivery: ['completed']
+};
+
+const PICKUP_TRANSITIONS = {
+    ...SHARED_TRANSITIONS,
+    ready: ['picked_up'],
+    picked_up: ['completed']
+};
+
+// Dine-in orders are complete once served at the table
+const DINE_IN_TRANSITIONS = {
+    ...SHARED_TRANSITIONS,
+    ready: ['completed']
+};
+
+// The kitchen only starts on paid orders. Pay-on-delivery and dine-in orders are paid at the
+// hand-off or with the table bill, so for them only completion needs the payment to have been collected.
+const PAYMENT_REQUIRED_STATUSES = ['preparing', 'ready', 'out_for_delivery', 'picked_up', 'completed'];
+const DEFERRED_PAYMENT_REQUIRED_STATUSES = ['completed'];
+
+// Customers may cancel their own order only before the kitchen has started on it
+export const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Minutes after creation during which a customer may cancel (ORDER_CANCELLATION_WINDOW_MINUTES, default 10).
+ * @returns {number}
+ */
+export const getCancellationWindowMinutes = () => {
+    const minutes = Number(process.env.ORDER_CANCELLATION_WINDOW_MINUTES);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : 10;
+};
+
+// Actor recorded for changes made by the system itself (payment webhooks, verification).
+export const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+const getOrderType = (order) => {
+    if (order.is_dine_in) return 'dine-in';
+    return order.is_pickup ? 'pickup' : 'delivery';
+};
+
+const TRANSITIONS_BY_ORDER_TYPE = {
+    'dine-in': DINE_IN_TRANSITIONS,
+    pickup: PICKUP_TRANSITIONS,
+    delivery: DELIVERY_TRANSITIONS
+};
+
+const getTransitions = (order) => TRANSITIONS_BY_ORDER_TYPE[getOrderType(order)];
+
+/**
+ * Statuses an order may move to next, given its type (pickup, delivery or dine-in).
+ * @param {object} order - The order row.
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (order) => getTransitions(order)[order.status] || [];
+
+/**
+ * Check whether an order may move to a status, without writing anything.
+ * @throws {Error} 400 with the reason if the transition is not allowed.
+ */
+export const assertTransitionAllowed = (order, toStatus) => {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        throw httpError(400, `Invalid status provided. Valid statuses are: ${ORDER_STATUSES.join(', ')}.`);
+    }
+
+    const allowed = getAllowedTransitions(order);
+    if (!allowed.includes(toStatus)) {
+        const options = allowed.length > 0 ? allowed.join(', ') : 'none';
+        throw httpError(400, `Cannot move a ${getOrderType(order)} order from '${order.status}' to '${toStatus}'. Allowed next statuses: ${options}.`);
+    }
+
+    const paymentRequired = DEFERRED_PAYMENT_PROVIDERS.includes(order.payment_provider)
+        ? DEFERRED_PAYMENT_REQUIRED_STATUSES
+        : PAYMENT_REQUIRED_STATUSES;
+    if (paymentRequired.includes(toStatus) && order.payment_status !== 'paid') {
+        throw httpError(400, `Order must be paid before it can be marked '${toStatus}'.`);
+    }
+
+    if (toStatus === 'refunded' && order.payment_status !== 'refunded') {
+        throw httpError(400, 'Order can only be marked refunded once its payment has been fully refunded.');
+    }
+};
+
+// Statuses in which a confirmed order's items should be out of stock
+const STOCK_COMMITTED_STATUSES = ['confirmed', 'preparing', 'ready', 'out_for_delivery', 'picked_up', 'completed'];
+
+/**
+ * Side effects of reaching a status. They run after the status is saved, each on its own, and
+ * a failure is logged rather than undoing the transition. The stock calls are idempotent and
+ * stock_committed_at records whether they took effect, so one that failed is tried again on
+ * the order's next transition.
+ * @param {object} order - The order as updated.
+ * @param {string} fromStatus - The status it left.
+ */
+const runTransitionSideEffects = async (order, fromStatus) => {
+    const attempt = async (description, effect) => {
+        try {
+            await effect();
+        } catch (error) {
+            console.error(`${description} for order ${order.order_number} (now '${order.status}') failed:`, error.message);
+        }
+    };
+
+    if (STOCK_COMMITTED_STATUSES.includes(order.status) && !order.stock_committed_at) {
+        await attempt('Committing stock', () => commitOrderStock(order));
+    }
+    // A cancelled order that is refunded later gets another chance to put its stock back
+    const isCancelled = order.status === 'cancelled' || (order.status === 'refunded' && fromStatus === 'cancelled');
+    if (isCancelled && order.stock_committed_at) {
+        await attempt('Releasing stock', () => releaseOrderStock(order));
+    }
+    if (order.status === 'cancelled') {
+        await attempt('Restoring redeemed points', () => restoreRedeemedPoints(order));
+    }
+};
+
+/**
+ * Move an order to a new status, enforcing the lifecycle and recording the change.
+ * The status and its history entry are written together (see transition_order_status),
+ * conditional on the status the caller saw, so two concurrent changes cannot both apply.
+ * Side effects run only once both are saved.
+ * @param {object} params
+ * @param {object} params.order - The current order row.
+ * @param {string} params.toStatus - The status to move to.
+ * @param {{ id: string|null, role: string }} params.actor - Who is making the change.
+ * @param {string} [params.note] - Optional note stored with the history entry.
+ * @returns {Promise<object>} The updated order.
+ * @throws {Error} 400 for illegal transitions, 409 if the order changed underneath us.
+ */
+export const transitionOrderStatus = async ({ order, toStatus, actor, note }) => {
+    assertTransitionAllowed(order, toStatus);
+
+    const { data: updatedOrders, error } = await supabase.rpc('transition_order_status', {
+        p_order_id: order.id,
+        p_from_status: order.status,
+        p_to_status: toStatus,
+        p_actor: actor.id,
+        p_actor_role: actor.role,
+        p_note: note || null
+    });
+
+    if (error) {
+        throw new Error(`Database error updating order status: ${error.message}`);
+    }
+    if (updatedOrders.length === 0) {
+        throw httpError(409, 'Order status was changed by someone else. Please refresh and try again.');
+    }
+
+    publishOrderEvent(ORDER_EVENT_TYPES.STATUS_CHANGED, updatedOrders[0]);
+    await runTransitionSideEffects(updatedOrders[0], order.status);
+
+    return updatedOrders[0];
+};
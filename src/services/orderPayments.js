@@ -0,0 +1,190 @@
+// backend/src/services/orderPayments.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { transitionOrderStatus, SYSTEM_ACTOR } from './orderLifecycle.js';
+import { publishOrderEvent, ORDER_EVENT_TYPES } from './orderEvents.js';
+import { awardPointsForOrder } from './loyaltyService.js';
+import { issueRefund } from './refundService.js';
+
+export const PAYMENT_STATUSES = ['pending', 'initiated', 'paid', 'failed', 'abandoned', 'partially_refunded', 'refunded'];
+
+// Payment statuses from which a gateway result may still move the order.
+// Anything else means the event was already applied (or superseded) and is ignored.
+export const SETTLEABLE_PAYMENT_STATUSES = ['pending', 'initiated', 'failed', 'abandoned'];
+
+// Order statuses in which no payment should be taken any more
+export const CLOSED_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+// A payment started before the order was cancelled can still settle afterwards. Send it back
+// rather than keep money for food that is not coming; if that fails, staff must refund it.
+const refundLatePayment = async (order) => {
+    try {
+        const { order: refundedOrder } = await issueRefund({
+            order,
+            amount: order.total_amount,
+            reason: `Payment received after the order was ${order.status}.`,
+            actorId: null
+        });
+        return refundedOrder;
+    } catch (refundError) {
+        console.error(`Order ${order.order_number} was paid after being ${order.status} and could not be refunded automatically. Refund it manually:`, refundError.message);
+        return order;
+    }
+};
+
+/**
+ * Apply a payment status change to an order, but only if the order is still in one of
+ * the expected payment states. The conditional update keeps repeated deliveries of the
+ * same gateway event from being applied twice.
+ * @param {object} order - The order row as last read.
+ * @param {string} paymentStatus - The new payment status.
+ * @param {string[]} fromStatuses - Payment statuses the order may currently be in.
+ * @param {object} [changes] - Other order columns to set with it (e.g. the settling payment_reference).
+ * @returns {Promise<object|null>} The updated order, or null if nothing was changed.
+ */
+export const applyPaymentStatus = async (order, paymentStatus, fromStatuses, changes = {}) => {
+    const { data: updatedOrders, error } = await supabase
+        .from('orders')
+        .update({ ...changes, payment_status: paymentStatus, updated_at: new Date().toISOString() })
+        .eq('id', order.id)
+        .in('payment_status', fromStatuses)
+        .select('*');
+
+    if (error) {
+        throw new Error(`Database error updating payment status: ${error.message}`);
+    }
+    if (updatedOrders.length === 0) {
+        return null;
+    }
+
+    const updatedOrder = updatedOrders[0];
+    publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT_UPDATED, updatedOrder);
+
+    if (paymentStatus === 'paid' && CLOSED_ORDER_STATUSES.includes(updatedOrder.status)) {
+        return refundLatePayment(updatedOrder);
+    }
+
+    if (paymentStatus === 'paid') {
+        // Points are a bonus: never let a loyalty failure undo a confirmed payment
+        try {
+            await awardPointsForOrder(updatedOrder);
+        } catch (loyaltyError) {
+            console.error(`Failed to award loyalty points for order ${updatedOrder.order_number}:`, loyaltyError.message);
+        }
+    }
+
+    // A paid order is confirmed automatically so the kitchen can start on it
+    if (paymentStatus === 'paid' && updatedOrder.status === 'pending') {
+        return transitionOrderStatus({
+            order: updatedOrder,
+            toStatus: 'confirmed',
+            actor: SYSTEM_ACTOR,
+            note: 'Payment received.'
+        });
+    }
+
+    return updatedOrder;
+};
+
+/**
+ * Store the reference and status returned when a payment is started with a provider.
+ * Only applies while the order is still unpaid, so a payment settled meanwhile is not reset.
+ * @returns {Promise<object>} The updated order.
+ * @throws {Error} 409 if the order's payment was settled or refunded meanwhile.
+ */
+export const recordPaymentInitiation = async (order, { providerName, reference, paymentStatus }) => {
+    // Kept before the order's reference is replaced, so events for this attempt always find the order
+    const { error: attemptError } = await supabase
+        .from('order_payment_attempts')
+        .upsert([{ order_id: order.id, payment_provider: providerName, reference }], {
+            onConflict: 'payment_provider,reference',
+            ignoreDuplicates: true
+        });
+
+    if (attemptError) {
+        throw new Error(`Database error saving payment attempt: ${attemptError.message}`);
+    }
+
+    const { data: updatedOrder, error } = await supabase
+        .from('orders')
+        .update({
+            payment_provider: providerName,
+            payment_reference: reference,
+            payment_status: paymentStatus,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', order.id)
+        .in('payment_status', SETTLEABLE_PAYMENT_STATUSES)
+        .select('*')
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error saving payment reference: ${error.message}`);
+    }
+    if (!updatedOrder) {
+        throw httpError(409, 'The payment status of this order changed meanwhile. Please refresh the order.');
+    }
+
+    publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT_UPDATED, updatedOrder);
+    return updatedOrder;
+};
+
+/**
+ * The payment attempt a reference identifies on an order: its current payment, or an earlier
+ * attempt the customer has since replaced.
+ * @param {object} order
+ * @param {string} reference
+ * @returns {Promise<{ providerName: string, reference: string, isCurrent: boolean }|null>}
+ *   null if the reference was never issued for this order.
+ */
+export const findOrderPaymentAttempt = async (order, reference) => {
+    if (order.payment_reference === reference) {
+        return { providerName: order.payment_provider, reference, isCurrent: true };
+    }
+
+    const { data: attempts, error } = await supabase
+        .from('order_payment_attempts')
+        .select('payment_provider, reference')
+        .eq('order_id', order.id)
+        .eq('reference', reference)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    if (error) {
+        throw new Error(`Database error fetching payment attempt: ${error.message}`);
+    }
+    return attempts[0] ? { providerName: attempts[0].payment_provider, reference, isCurrent: false } : null;
+};
+
+/**
+ * Find the order a gateway reference belongs to: the order's current payment, or an earlier
+ * attempt the customer has since replaced by retrying or switching provider.
+ * @param {string} providerName
+ * @param {string} reference
+ * @returns {Promise<object|null>} The order row, or null if the reference is not one of ours.
+ */
+export const findOrderByPaymentReference = async (providerName, reference) => {
+    const { data: order, error } = await supabase
+        .from('orders')
+        .select('*')
+        .eq('payment_reference', reference)
+        .eq('payment_provider', providerName)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching order by payment reference: ${error.message}`);
+    }
+    if (order) return order;
+
+    const { data: attempt, error: attemptError } = await supabase
+        .from('order_payment_attempts')
+        .select('orders ( * )')
+        .eq('payment_provider', providerName)
+        .eq('reference', reference)
+        .maybeSingle();
+
+    if (attemptError) {
+        throw new Error(`Database error fetching payment attempt: ${attemptError.message}`);
+    }
+    return attempt?.orders || null;
+};
@@ -0,0 +1,223 @@
+// backend/src/services/orderPlacement.js
+import supabase from '../config/supabase.js';
+import { v4 as uuidv4 } from 'uuid'; // For generating unique order numbers
+import { httpError } from '../utils/httpError.js';
+import { publishOrderEvent, ORDER_EVENT_TYPES } from './orderEvents.js';
+import { getPaymentProvider, assertProviderFitsOrderType, TABLE_PAYMENT_PROVIDER } from './payments/index.js';
+import { priceOrder } from './pricingService.js';
+import { resolveSlot } from './timeSlots.js';
+import { resolveTableToken } from './tableService.js';
+
+/**
+ * Insert an order together with its items (and initial status history) as one transaction,
+ * via the create_order_with_items database function. Either everything is written or nothing is.
+ * @param {object} params
+ * @param {object} params.order - Column values for the orders row.
+ * @param {object[]} params.items - Column values for each order_items row (without order_id).
+ *   Bundle components also carry the `bundle_line` of their bundle.
+ * @param {object[]} [params.bundles] - Column values for each order_bundles row, plus a `bundle_line` key.
+ * @param {{ id: string, role: string }} params.actor - The user placing the order.
+ * @param {{ start: string, end: string, capacity: number, fulfillment_type: string }} [params.slot] - Time slot being booked
+ *   by a scheduled order; the function rejects the order if the slot has filled up meanwhile.
+ * @returns {Promise<object>} The created order with its items under `items`.
+ * @throws {Error} 409 if the database rejected the order, 400 for invalid references.
+ */
+export const insertOrderWithItems = async ({ order, items, bundles = [], actor, slot = null }) => {
+    const { data: newOrder, error } = await supabase.rpc('create_order_with_items', {
+        p_order: order,
+        p_items: items,
+        p_actor_role: actor.role,
+        p_slot: slot,
+        p_bundles: bundles
+    });
+
+    if (error) {
+        console.error('Supabase error creating order transaction:', error.message);
+        console.error('   Code:', error.code);
+        console.error('   Details:', error.details);
+        console.error('   Hint:', error.hint);
+
+        if (error.code === 'P0001') { // Raised by the function itself (e.g. a failed business rule)
+            throw httpError(409, `Order was not placed: ${error.message}`);
+        }
+        if (error.code === '23503') { // Foreign key violation: item, bundle or address no longer exists
+            throw httpError(400, 'Order was not placed: it references a menu item, bundle or address that no longer exists.');
+        }
+        if (error.code === '23505') { // Unique violation: order number collision
+            throw httpError(409, 'Order was not placed because of a conflict. Please try again.');
+        }
+        throw httpError(500, 'Order was not placed due to a database error. No changes were saved.');
+    }
+
+    publishOrderEvent(ORDER_EVENT_TYPES.CREATED, newOrder);
+    return newOrder;
+};
+
+/**
+ * Turn priced cart lines into order_items and order_bundles rows.
+ */
+const buildOrderRows = (lines) => {
+    const items = [];
+    const bundles = [];
+
+    lines.forEach((line, lineIndex) => {
+        if (line.type === 'bundle') {
+            // The bundle carries the price; its components go to the kitchen as unpriced items
+            bundles.push({
+                bundle_line: lineIndex,
+                bundle_id: line.bundle_id,
+                name: line.name,
+                quantity: line.quantity,
+                price_at_order: line.unit_price,
+                selected_swaps: line.selected_swaps,
+                special_instructions: line.special_instructions
+            });
+            line.components.forEach(component => items.push({
+                bundle_line: lineIndex,
+                menu_item_id: component.menu_item_id,
+                quantity: component.quantity * line.quantity,
+                price_at_order: 0,
+                special_instructions: line.special_instructions
+            }));
+            return;
+        }
+
+        items.push({
+            menu_item_id: line.menu_item_id,
+            quantity: line.quantity,
+            price_at_order: line.unit_price, // Store the actual price at the time of order (options included)
+            special_instructions: line.special_instructions,
+            selected_options: line.selected_options // Snapshot of chosen options and their prices
+        });
+    });
+
+    return { items, bundles };
+};
+
+/**
+ * Price a cart and place it as an order. This is the checkout used by every way of ordering
+ * (new orders, reorders), so they all validate and price the same way.
+ * A table_token (from a table's QR code) makes it a dine-in order: nothing is delivered, it goes
+ * on the table's open bill and is paid when the bill is settled.
+ * @param {object} params
+ * @param {{ id: string, role: string }} params.user - The customer placing the order.
+ * @param {object[]} params.items - Cart items (see priceOrder).
+ * @param {string} [params.address_id]
+ * @param {boolean} [params.is_pickup]
+ * @param {string} [params.delivery_notes]
+ * @param {string} [params.payment_provider] - Defaults to DEFAULT_PAYMENT_PROVIDER.
+ * @param {string} [params.coupon_code]
+ * @param {number} [params.redeem_points]
+ * @param {string} [params.scheduled_for] - ISO time for a scheduled order; omitted means ASAP.
+ * @param {string} [params.table_token] - Signed token from a table's QR code, for dine-in orders.
+ * @returns {Promise<{ order: object|null, problems: object[] }>} The created order, or the
+ *   pricing problems that stopped it being placed (order is then null).
+ * @throws {Error} 400/404/409 for request-level problems (see priceOrder, resolveSlot, insertOrderWithItems).
+ */
+export const placeOrder = async ({ user, items, address_id, is_pickup, delivery_notes, payment_provider, coupon_code, redeem_points, scheduled_for, table_token }) => {
+    const table = table_token ? await resolveTableToken(table_token) : null;
+    if (table) {
+        if (scheduled_for) {
+            throw httpError(400, 'Dine-in orders cannot be scheduled.');
+        }
+        is_pickup = true; // Served at the table, so there is no address or delivery fee
+        address_id = null;
+    }
+
+    // Validate the chosen payment provider up front (defaults to DEFAULT_PAYMENT_PROVIDER, or
+    // paying with the table bill for dine-in orders)
+    const provider = getPaymentProvider(payment_provider || (table ? TABLE_PAYMENT_PROVIDER : undefined));
+    assertProviderFitsOrderType(provider, Boolean(table));
+
+    // Scheduled orders must land in an open slot with room left; omitted means ASAP
+    const slot = scheduled_for ? await resolveSlot({ scheduledFor: scheduled_for, isPickup: Boolean(is_pickup) }) : null;
+
+    // Prices come from menu_items (never the client), using the same engine as the quote endpoint
+    const pricing = await priceOrder({ userId: user.id, items, address_id, is_pickup: Boolean(is_pickup), coupon_code, redeem_points, is_dine_in: Boolean(table) });
+    if (pricing.problems.length > 0) {
+        return { order: null, problems: pricing.problems };
+    }
+
+    const rows = buildOrderRows(pricing.lines);
+    const order_number = `ORD-${uuidv4().substring(0, 8).toUpperCase()}`; // Generate a unique order number
+
+    // Order, items and initial status history are written in a single transaction
+    const order = await insertOrderWithItems({
+        order: {
+            user_id: user.id,
+            address_id: is_pickup ? null : address_id, // Store address_id only if it's a delivery
+            order_number: order_number,
+            subtotal: pricing.subtotal,
+            delivery_fee: pricing.delivery_fee, // Store the calculated delivery fee
+            discount_amount: pricing.discount_total,
+            coupon_id: pricing.coupon?.id || null, // The redemption is recorded in the same transaction
+            coupon_code: pricing.coupon?.code || null,
+            loyalty_points_redeemed: pricing.loyalty?.points || 0, // Points are deducted in the same transaction
+            loyalty_discount_amount: pricing.loyalty?.amount || 0,
+            charges: pricing.charges, // Service charge lines
+            charge_total: pricing.charge_total,
+            prices_include_tax: pricing.prices_include_tax,
+            taxes: pricing.taxes, // Tax lines by rate, as shown on the receipt
+            tax_total: pricing.tax_total,
+            total_amount: pricing.total,
+            payment_provider: provider.name,
+            delivery_notes: delivery_notes || null,
+            is_pickup: Boolean(is_pickup), // Store the pickup status
+            scheduled_for: slot ? slot.start : null,
+            table_id: table ? table.id : null // The order is put on the table's open bill in the same transaction
+        },
+        items: rows.items,
+        bundles: rows.bundles,
+        actor: user,
+        slot // Capacity is re-checked inside the transaction
+    });
+
+    return { order, problems: [] };
+};
+
+/**
+ * Rebuild a cart from a past order: loose items with the options chosen then, and bundles
+ * with their swaps. Bundle components are not listed separately.
+ * @param {object} order - Order with embedded order_items (with menu_items(name)) and order_bundles.
+ * @returns {{ items: object[], names: string[], missing: object[] }} Cart items in the shape
+ *   priceOrder accepts, the display name of each, and the entries whose menu item or bundle
+ *   has since been deleted ({ name, quantity }).
+ */
+export const buildCartFromOrder = (order) => {
+    const items = [];
+    const names = [];
+    const missing = [];
+
+    for (const item of order.order_items || []) {
+        if (item.order_bundle_id) continue;
+
+        const name = item.menu_items?.name || 'A menu item that is no longer on the menu';
+        if (!item.menu_item_id) {
+            missing.push({ name, quantity: item.quantity });
+            continue;
+        }
+        items.push({
+            id: item.menu_item_id,
+            quantity: item.quantity,
+            options: (item.selected_options || []).map(option => option.option_id),
+            special_instructions: item.special_instructions
+        });
+        names.push(name);
+    }
+
+    for (const bundle of order.order_bundles || []) {
+        if (!bundle.bundle_id) {
+            missing.push({ name: bundle.name, quantity: bundle.quantity });
+            continue;
+        }
+        items.push({
+            bundle_id: bundle.bundle_id,
+            quantity: bundle.quantity,
+            swaps: (bundle.selected_swaps || []).map(swap => ({ component_id: swap.component_id, menu_item_id: swap.menu_item_id })),
+            special_instructions: bundle.special_instructions
+        });
+        names.push(bundle.name);
+    }
+
+    return { items, names, missing };
+};
@@ -0,0 +1,202 @@
+// backend/src/services/orderQueries.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { getRestaurantTimeZone, zonedTimeToUtc } from '../utils/timezone.js';
+import { ORDER_STATUSES } from './orderLifecycle.js';
+import { PAYMENT_STATUSES } from './orderPayments.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const SORTABLE_COLUMNS = ['created_at', 'total_amount', 'scheduled_for'];
+const FULFILLMENT_FILTERS = ['pickup', 'delivery', 'dine_in'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// List projection: enough for a table row. Full detail comes from GET /api/orders/:id.
+const LIST_COLUMNS = `
+    id,
+    order_number,
+    user_id,
+    status,
+    payment_status,
+    payment_provider,
+    is_pickup,
+    is_dine_in,
+    table_id,
+    subtotal,
+    delivery_fee,
+    discount_amount,
+    charge_total,
+    tax_total,
+    total_amount,
+    scheduled_for,
+    created_at,
+    updated_at,
+    order_items ( count )
+`;
+
+const parseList = (value, allowed, name) => {
+    if (value === undefined || value === '') return null;
+    const values = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+    const invalid = values.filter(entry => !allowed.includes(entry));
+    if (invalid.length > 0) {
+        throw httpError(400, `Invalid ${name}: ${invalid.join(', ')}. Valid values are: ${allowed.join(', ')}.`);
+    }
+    return values;
+};
+
+const parseAmount = (value, name) => {
+    if (value === undefined || value === '') return null;
+    if (isNaN(value) || Number(value) < 0) {
+        throw httpError(400, `${name} must be a non-negative number.`);
+    }
+    return Number(value);
+};
+
+/**
+ * Parse a from/to query value into an ISO timestamp. A date without a time is a whole day in
+ * the restaurant's time zone; with endOfDay it means the end of that day, so `to` includes it.
+ * @returns {string|null} null when the value is absent.
+ * @throws {Error} 400 for an unparseable value.
+ */
+export const parseDateBoundary = (value, name, { endOfDay = false } = {}) => {
+    if (value === undefined || value === '') return null;
+    if (DATE_ONLY.test(value)) {
+        return zonedTimeToUtc(value, endOfDay ? 24 * 60 : 0, getRestaurantTimeZone()).toISOString();
+    }
+    const date = new Date(value);
+    if (isNaN(date)) {
+        throw httpError(400, `${name} must be a date (YYYY-MM-DD) or ISO date-time.`);
+    }
+    return date.toISOString();
+};
+
+// Characters that would break out of a PostgREST filter expression
+const sanitizeSearch = (value) => String(value).replace(/[,()*%\\]/g, ' ').trim();
+
+/**
+ * Validate order list query parameters.
+ * @param {object} query - req.query
+ * @param {object} [options]
+ * @param {boolean} [options.allowCustomerSearch=false] - Whether `customer` may be used (admins).
+ * @returns {object} Normalised filters, sort and paging.
+ * @throws {Error} 400 for invalid values.
+ */
+export const parseOrderListQuery = (query, { allowCustomerSearch = false } = {}) => {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) {
+        throw httpError(400, 'page must be a whole number of 1 or more.');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw httpError(400, `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+
+    const fulfillment = query.fulfillment || null;
+    if (fulfillment && !FULFILLMENT_FILTERS.includes(fulfillment)) {
+        throw httpError(400, `fulfillment must be one of: ${FULFILLMENT_FILTERS.join(', ')}.`);
+    }
+
+    const sort = query.sort || 'created_at';
+    if (!SORTABLE_COLUMNS.includes(sort)) {
+        throw httpError(400, `Invalid sort. Valid values are: ${SORTABLE_COLUMNS.join(', ')}.`);
+    }
+
+    if (query.customer && !allowCustomerSearch) {
+        throw httpError(400, 'Filtering by customer is only available to administrators.');
+    }
+
+    const filters = {
+        statuses: parseList(query.status, ORDER_STATUSES, 'status'),
+        paymentStatuses: parseList(query.payment_status, PAYMENT_STATUSES, 'payment_status'),
+        fulfillment,
+        from: parseDateBoundary(query.from, 'from'),
+        to: parseDateBoundary(query.to, 'to', { endOfDay: true }),
+        orderNumber: query.order_number ? sanitizeSearch(query.order_number) : null,
+        customer: query.customer ? sanitizeSearch(query.customer) : null,
+        minTotal: parseAmount(query.min_total, 'min_total'),
+        maxTotal: parseAmount(query.max_total, 'max_total')
+    };
+    if (filters.minTotal !== null && filters.maxTotal !== null && filters.minTotal > filters.maxTotal) {
+        throw httpError(400, 'min_total cannot be greater than max_total.');
+    }
+
+    return { filters, sort, ascending: query.order === 'asc', page, limit };
+};
+
+/**
+ * Apply parsed order list filters to a Supabase orders query.
+ * `customer` needs the query to embed users!inner.
+ */
+export const applyOrderFilters = (query, filters) => {
+    if (filters.statuses) query = query.in('status', filters.statuses);
+    if (filters.paymentStatuses) query = query.in('payment_status', filters.paymentStatuses);
+    // Dine-in orders are also is_pickup (nothing is delivered), so pickup excludes them
+    if (filters.fulfillment === 'delivery') query = query.eq('is_pickup', false);
+    if (filters.fulfillment === 'pickup') query = query.eq('is_pickup', true).eq('is_dine_in', false);
+    if (filters.fulfillment === 'dine_in') query = query.eq('is_dine_in', true);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lt('created_at', filters.to);
+    if (filters.orderNumber) query = query.ilike('order_number', `%${filters.orderNumber}%`);
+    if (filters.minTotal !== null) query = query.gte('total_amount', filters.minTotal);
+    if (filters.maxTotal !== null) query = query.lte('total_amount', filters.maxTotal);
+    if (filters.customer) {
+        query = query.or(`full_name.ilike.*${filters.customer}*,email.ilike.*${filters.customer}*`, { referencedTable: 'users' });
+    }
+    return query;
+};
+
+/**
+ * One page of orders in the list projection, with the total number of matches.
+ * @param {object} params
+ * @param {object} params.listQuery - Output of parseOrderListQuery.
+ * @param {string} [params.userId] - Restrict to one customer's orders.
+ * @param {boolean} [params.includeCustomer=false] - Embed the customer's name and email.
+ * @returns {Promise<{ orders: object[], pagination: object }>}
+ */
+export const listOrders = async ({ listQuery, userId, includeCustomer = false }) => {
+    const { filters, sort, ascending, page, limit } = listQuery;
+
+    // The inner join is what lets the customer filter drop non-matching orders
+    const customerEmbed = filters.customer ? 'users!inner ( full_name, email )' : 'users ( full_name, email )';
+    const columns = includeCustomer ? `${LIST_COLUMNS}, ${customerEmbed}` : LIST_COLUMNS;
+
+    const buildQuery = (select, options) => {
+        let query = supabase.from('orders').select(select, options);
+        if (userId) query = query.eq('user_id', userId);
+        return applyOrderFilters(query, filters);
+    };
+
+    const offset = (page - 1) * limit;
+    let { data, count, error } = await buildQuery(columns, { count: 'exact' })
+        .order(sort, { ascending, nullsFirst: false })
+        .order('id', { ascending }) // Stable order across pages
+        .range(offset, offset + limit - 1);
+
+    // PostgREST rejects a range past the last row; that is just an empty page
+    if (error?.code === 'PGRST103') {
+        ({ count, error } = await buildQuery(filters.customer ? `id, ${customerEmbed}` : 'id', { count: 'exact', head: true }));
+        data = [];
+    }
+
+    if (error) {
+        throw new Error(`Database error listing orders: ${error.message}`);
+    }
+
+    const total = count ?? 0;
+    const orders = data.map(({ order_items, ...order }) => ({
+        ...order,
+        item_count: order_items?.[0]?.count ?? 0
+    }));
+
+    return {
+        orders,
+        pagination: {
+            page,
+            limit,
+            total,
+            total_pages: Math.ceil(total / limit),
+            has_more: offset + orders.length < total
+        }
+    };
+};
@@ -0,0 +1,69 @@
+// backend/src/services/payments/index.js
+import paystackProvider from './paystackProvider.js';
+import payOnDeliveryProvider from './payOnDeliveryProvider.js';
+import payAtTableProvider from './payAtTableProvider.js';
+import mockProvider, { isMockPaymentEnabled } from './mockProvider.js';
+import { httpError } from '../../utils/httpError.js';
+
+/*
+ * Every payment provider implements the same interface, with amounts in naira:
+ *
+ *   initialize({ order, email, callbackUrl }) -> { reference, authorization_url, access_code, payment_status }
+ *   verify({ order, reference })              -> { status, amount, reference, order_id, message }
+ *   refund({ order, reference, amount, reason }) -> { status, refund_reference, amount }
+ *   parseWebhook(req)                         -> { event, reference, refund_reference, amount }
+ *
+ * `verify` reports Paystack-style statuses ('success', 'failed', 'abandoned', 'pending') and the id
+ * of the order the payment was started for, and `parseWebhook` normalises events to
+ * 'charge.success', 'charge.failed' and 'refund.processed'.
+ * parseWebhook must throw (with statusCode 401) when the request is not authentic.
+ */
+const providers = {
+    [paystackProvider.name]: paystackProvider,
+    [payOnDeliveryProvider.name]: payOnDeliveryProvider,
+    [payAtTableProvider.name]: payAtTableProvider,
+    [mockProvider.name]: mockProvider
+};
+
+/**
+ * Names of the providers that can be selected for an order in this environment.
+ * The mock provider is only offered when explicitly enabled (see isMockPaymentEnabled).
+ */
+export const getAvailablePaymentProviders = () =>
+    Object.keys(providers).filter(name => name !== mockProvider.name || isMockPaymentEnabled());
+
+export const getDefaultPaymentProvider = () => process.env.DEFAULT_PAYMENT_PROVIDER || paystackProvider.name;
+
+/**
+ * Look up a payment provider by name.
+ * @param {string} [name] - Provider name; defaults to DEFAULT_PAYMENT_PROVIDER (or 'paystack').
+ * @throws {Error} 400 if the provider is unknown or not available in this environment.
+ */
+export const getPaymentProvider = (name) => {
+    const providerName = name || getDefaultPaymentProvider();
+    if (!getAvailablePaymentProviders().includes(providerName)) {
+        throw httpError(400, `Unknown payment provider "${providerName}". Available providers are: ${getAvailablePaymentProviders().join(', ')}.`);
+    }
+    return providers[providerName];
+};
+
+// Providers whose money is collected by staff after the food is handed over, so the kitchen
+// does not wait for payment
+export const DEFERRED_PAYMENT_PROVIDERS = [payOnDeliveryProvider.name, payAtTableProvider.name];
+
+export const TABLE_PAYMENT_PROVIDER = payAtTableProvider.name;
+
+/**
+ * Dine-in orders are paid with their table's bill, and only they can be.
+ * @param {object} provider - From getPaymentProvider.
+ * @param {boolean} isDineIn
+ * @throws {Error} 400 if the provider does not fit the order type.
+ */
+export const assertProviderFitsOrderType = (provider, isDineIn) => {
+    if (isDineIn && provider.name !== payAtTableProvider.name) {
+        throw httpError(400, 'Dine-in orders are paid together when the table bill is settled.');
+    }
+    if (!isDineIn && provider.name === payAtTableProvider.name) {
+        throw httpError(400, 'Pay at table is only available for orders placed at a table.');
+    }
+};
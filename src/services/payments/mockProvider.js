@@ -0,0 +1,82 @@
+// backend/src/services/payments/mockProvider.js
+import crypto from 'crypto';
+import { httpError } from '../../utils/httpError.js';
+import { safeCompare } from '../../utils/safeCompare.js';
+
+const getWebhookSecret = () => {
+    const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error('MOCK_PAYMENT_WEBHOOK_SECRET is not set.');
+        throw httpError(500, 'Mock payment webhooks are not configured.');
+    }
+    return secret;
+};
+
+/**
+ * Whether the mock provider may be used. It settles orders without taking money, so it has to
+ * be switched on explicitly (ENABLE_MOCK_PAYMENTS=true) and is never available in production.
+ * @returns {boolean}
+ */
+export const isMockPaymentEnabled = () => process.env.ENABLE_MOCK_PAYMENTS === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Offline provider for development and tests, off unless ENABLE_MOCK_PAYMENTS=true. Every call is deterministic:
+ * references are derived from the order number and verification succeeds unless
+ * MOCK_PAYMENT_OUTCOME is set to another Paystack-style status (e.g. "failed").
+ * Webhooks are signed like Paystack's, with HMAC-SHA512 of the raw body (keyed with
+ * MOCK_PAYMENT_WEBHOOK_SECRET) in `x-mock-signature`.
+ */
+const mockProvider = {
+    name: 'mock',
+
+    async initialize({ order, callbackUrl }) {
+        const reference = `MOCK-${order.order_number}`;
+        return {
+            reference,
+            authorization_url: callbackUrl ? `${callbackUrl}?reference=${reference}` : null,
+            access_code: `mock_${order.id}`,
+            payment_status: 'initiated'
+        };
+    },
+
+    async verify({ order, reference }) {
+        const status = process.env.MOCK_PAYMENT_OUTCOME || 'success';
+        return {
+            status,
+            amount: status === 'success' ? Number(order.total_amount) : 0,
+            reference,
+            order_id: order.id,
+            message: `Mock payment ${status}.`
+        };
+    },
+
+    async refund({ reference, amount }) {
+        return { status: 'processed', refund_reference: `MOCK-RF-${reference}-${amount}`, amount };
+    },
+
+    parseWebhook(req) {
+        const signature = req.header('x-mock-signature');
+        if (!signature || !req.rawBody) {
+            throw httpError(401, 'Missing webhook signature.');
+        }
+
+        const expectedSignature = crypto
+            .createHmac('sha512', getWebhookSecret())
+            .update(req.rawBody)
+            .digest('hex');
+
+        if (!safeCompare(signature, expectedSignature)) {
+            throw httpError(401, 'Invalid webhook signature.');
+        }
+
+        const { event, data } = req.body;
+        return {
+            event,
+            reference: data?.reference,
+            refund_reference: data?.refund_reference || null,
+            amount: Number(data?.amount || 0)
+        };
+    }
+};
+
+export default mockProvider;
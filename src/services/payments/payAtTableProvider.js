@@ -0,0 +1,42 @@
+// backend/src/services/payments/payAtTableProvider.js
+import { httpError } from '../../utils/httpError.js';
+
+/**
+ * Dine-in orders are paid together when staff settle the table's bill (cash, card or transfer).
+ * Like pay on delivery, no money moves through a gateway for the individual order.
+ */
+const payAtTableProvider = {
+    name: 'pay_at_table',
+
+    async initialize({ order }) {
+        return {
+            reference: `TABLE-${order.order_number}`,
+            authorization_url: null,
+            access_code: null,
+            payment_status: 'pending'
+        };
+    },
+
+    async verify({ order, reference }) {
+        return {
+            status: order.payment_status === 'paid' ? 'success' : 'pending',
+            amount: order.payment_status === 'paid' ? Number(order.total_amount) : 0,
+            reference,
+            order_id: order.id,
+            message: order.payment_status === 'paid'
+                ? 'Paid with the table bill.'
+                : 'Payment will be taken when the table bill is settled.'
+        };
+    },
+
+    async refund({ amount }) {
+        // Refunded at the restaurant, so final as soon as it is recorded
+        return { status: 'processed', refund_reference: null, amount };
+    },
+
+    parseWebhook() {
+        throw httpError(404, 'Pay at table does not support webhooks.');
+    }
+};
+
+export default payAtTableProvider;
@@ -0,0 +1,42 @@
+// backend/src/services/payments/payOnDeliveryProvider.js
+import { httpError } from '../../utils/httpError.js';
+
+/**
+ * Cash or bank transfer collected by staff when the order is handed over.
+ * No money moves through a gateway, so verification only reflects what staff recorded.
+ */
+const payOnDeliveryProvider = {
+    name: 'pay_on_delivery',
+
+    async initialize({ order }) {
+        return {
+            reference: `POD-${order.order_number}`,
+            authorization_url: null,
+            access_code: null,
+            payment_status: 'pending'
+        };
+    },
+
+    async verify({ order, reference }) {
+        return {
+            status: order.payment_status === 'paid' ? 'success' : 'pending',
+            amount: order.payment_status === 'paid' ? Number(order.total_amount) : 0,
+            reference,
+            order_id: order.id,
+            message: order.payment_status === 'paid'
+                ? 'Payment collected on delivery.'
+                : 'Payment will be collected on delivery.'
+        };
+    },
+
+    async refund({ amount }) {
+        // Cash refunds are handed back by staff, so they are final as soon as they are recorded
+        return { status: 'processed', refund_reference: null, amount };
+    },
+
+    parseWebhook() {
+        throw httpError(404, 'Pay on delivery does not support webhooks.');
+    }
+};
+
+export default payOnDeliveryProvider;
@@ -0,0 +1,131 @@
+// backend/src/services/payments/paystackProvider.js
+import axios from 'axios';
+import crypto from 'crypto';
+import { httpError } from '../../utils/httpError.js';
+import { safeCompare } from '../../utils/safeCompare.js';
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+// Paystack works in the currency's minor unit (kobo for NGN)
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+const fromKobo = (amount) => Number(amount) / 100;
+
+const getSecretKey = () => {
+    const secretKey = process.env.PAYSTACK_SECRET_KEY;
+    if (!secretKey) {
+        console.error('PAYSTACK_SECRET_KEY is not set.');
+        throw httpError(500, 'Payment gateway not configured. Please contact support.');
+    }
+    return secretKey;
+};
+
+const paystackRequest = async (method, url, data) => {
+    try {
+        const response = await axios({
+            method,
+            url: `${PAYSTACK_BASE_URL}${url}`,
+            data,
+            headers: {
+                Authorization: `Bearer ${getSecretKey()}`,
+                'Content-Type': 'application/json',
+            },
+        });
+        return response.data;
+    } catch (error) {
+        if (error.response) {
+            console.error('Paystack API Error Response:', error.response.data);
+            throw httpError(error.response.status, error.response.data?.message || 'Paystack request failed.');
+        }
+        throw error;
+    }
+};
+
+const paystackProvider = {
+    name: 'paystack',
+
+    async initialize({ order, email, callbackUrl }) {
+        const response = await paystackRequest('post', '/transaction/initialize', {
+            email,
+            amount: toKobo(order.total_amount),
+            callback_url: callbackUrl,
+            metadata: {
+                order_id: order.id,
+                order_number: order.order_number,
+                // Breakdown of the amount charged, for reconciliation in the Paystack dashboard
+                subtotal: Number(order.subtotal),
+                delivery_fee: Number(order.delivery_fee || 0),
+                discount_amount: Number(order.discount_amount || 0),
+                service_charge: Number(order.charge_total || 0),
+                tax: Number(order.tax_total || 0),
+                tax_included: Boolean(order.prices_include_tax)
+            }
+        });
+
+        if (!response?.status) {
+            console.error('Paystack initialization failed:', response);
+            throw httpError(502, response?.message || 'Failed to initiate payment with Paystack.');
+        }
+
+        return {
+            reference: response.data.reference,
+            authorization_url: response.data.authorization_url,
+            access_code: response.data.access_code,
+            payment_status: 'initiated'
+        };
+    },
+
+    async verify({ reference }) {
+        const response = await paystackRequest('get', `/transaction/verify/${encodeURIComponent(reference)}`);
+
+        return {
+            status: response?.data?.status || 'failed',
+            amount: fromKobo(response?.data?.amount || 0),
+            reference,
+            order_id: response?.data?.metadata?.order_id ?? null, // Set by initialize
+            message: response?.message
+        };
+    },
+
+    async refund({ reference, amount, reason }) {
+        const response = await paystackRequest('post', '/refund', {
+            transaction: reference,
+            amount: toKobo(amount),
+            merchant_note: reason
+        });
+
+        return {
+            status: response?.data?.status || 'pending',
+            refund_reference: response?.data?.id ? String(response.data.id) : null,
+            amount
+        };
+    },
+
+    parseWebhook(req) {
+        const signature = req.header('x-paystack-signature');
+        if (!signature || !req.rawBody) {
+            throw httpError(401, 'Missing webhook signature.');
+        }
+
+        const expectedSignature = crypto
+            .createHmac('sha512', getSecretKey())
+            .update(req.rawBody)
+            .digest('hex');
+
+        if (!safeCompare(signature, expectedSignature)) {
+            throw httpError(401, 'Invalid webhook signature.');
+        }
+
+        const { event, data } = req.body;
+        const isRefund = event === 'refund.processed';
+
+        return {
+            event,
+            // Refund events carry the original charge reference separately from the refund's own id
+            reference: isRefund ? data?.transaction_reference : data?.reference,
+            refund_reference: isRefund && data?.id ? String(data.id) : null,
+            amount: fromKobo(data?.amount || 0)
+        };
+    }
+};
+
+export default paystackProvider;
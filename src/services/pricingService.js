@@ -0,0 +1,318 @@
+// backend/src/services/pricingService.js
+import supabase from '../config/supabase.js';
+import { calculateDeliveryFee } from './deliveryZones.js';
+import { evaluateCoupon } from './couponService.js';
+import { quoteRedemption } from './loyaltyService.js';
+import { OPTION_GROUPS_SELECT, resolveOptionSelections } from './menuOptions.js';
+import { fetchBundlesById, resolveBundleSelection } from './bundleService.js';
+import { calculateTaxesAndCharges } from './taxService.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+/**
+ * Validate the request-level shape of a cart; item-level issues are reported as problems instead.
+ * @throws {Error} 400 for an empty cart or a delivery order without an address.
+ */
+const assertCartShape = ({ items, address_id, is_pickup }) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, 'Order must contain at least one item.');
+    }
+    // Address ID is required only if it's a delivery order
+    if (!is_pickup && !address_id) {
+        throw httpError(400, 'Delivery address is required for delivery orders.');
+    }
+};
+
+const fetchMenuItems = async (itemIds) => {
+    const { data: menuItems, error } = await supabase
+        .from('menu_items')
+        .select(`id, name, price, is_available, category_id, stock_quantity, ${OPTION_GROUPS_SELECT}`)
+        .in('id', itemIds);
+
+    if (error) {
+        console.error('Supabase error fetching menu item prices:', error.message);
+        throw httpError(500, 'Database error fetching menu item prices.');
+    }
+
+    return new Map(menuItems.map(item => [item.id, item]));
+};
+
+const fetchDeliveryAddress = async ({ userId, addressId }) => {
+    const { data: address, error } = await supabase
+        .from('user_addresses')
+        .select('id, city, state, latitude, longitude')
+        .eq('id', addressId)
+        .eq('user_id', userId) // Security: Ensure address belongs to the current user
+        .maybeSingle();
+
+    if (error) {
+        console.error('Supabase error fetching delivery address for fee calculation:', error.message);
+        throw httpError(500, 'Database error fetching delivery address.');
+    }
+    if (!address) {
+        throw httpError(404, 'Delivery address not found or does not belong to your account.');
+    }
+
+    return address;
+};
+
+/**
+ * Compare what the cart needs of each stock-tracked item (bundle components included)
+ * with what is left, and report every item the cart asks for more of than remains.
+ */
+const findStockProblems = ({ lines, lineIndexes, menuItems, bundles }) => {
+    const stockItems = new Map();
+    for (const menuItem of menuItems.values()) stockItems.set(menuItem.id, menuItem);
+    for (const bundle of bundles.values()) {
+        for (const component of bundle.components) {
+            stockItems.set(component.menu_item.id, component.menu_item);
+            component.swaps.forEach(swap => stockItems.set(swap.menu_item.id, swap.menu_item));
+        }
+    }
+
+    const demand = new Map(); // menu_item_id -> { quantity, index }
+    const addDemand = (menuItemId, quantity, index) => {
+        const entry = demand.get(menuItemId) || { quantity: 0, index };
+        entry.quantity += quantity;
+        demand.set(menuItemId, entry);
+    };
+    lines.forEach((line, position) => {
+        if (line.type === 'bundle') {
+            line.components.forEach(component => addDemand(component.menu_item_id, component.quantity * line.quantity, lineIndexes[position]));
+        } else {
+            addDemand(line.menu_item_id, line.quantity, lineIndexes[position]);
+        }
+    });
+
+    const problems = [];
+    for (const [menuItemId, { quantity, index }] of demand) {
+        const stockItem = stockItems.get(menuItemId);
+        if (stockItem?.stock_quantity === null || stockItem?.stock_quantity === undefined) continue;
+        if (quantity > stockItem.stock_quantity) {
+            problems.push({
+                index,
+                menu_item_id: menuItemId,
+                code: 'insufficient_stock',
+                available_quantity: Math.max(0, stockItem.stock_quantity),
+                message: `Only ${Math.max(0, stockItem.stock_quantity)} ${stockItem.name} left; your order needs ${quantity}.`
+            });
+        }
+    }
+    return problems;
+};
+
+/**
+ * Price one bundle in a cart. Problems are appended to `problems` and null is returned.
+ * Bundle lines have no menu_item_id; their components are listed per bundle under `components`.
+ */
+const priceBundleLine = (bundle, item, index, problems) => {
+    const quantity = Number(item.quantity);
+    const report = (code, message) => {
+        problems.push({ index, menu_item_id: null, bundle_id: item.bundle_id, code, message });
+        return null;
+    };
+
+    if (!bundle) {
+        return report('unknown_item', `Bundle with ID ${item.bundle_id} not found or invalid.`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        return report('invalid_quantity', `Quantity for ${bundle.name} must be a positive whole number.`);
+    }
+    if (!bundle.is_available) {
+        return report('unavailable', `${bundle.name} is currently unavailable.`);
+    }
+
+    let selection;
+    try {
+        selection = resolveBundleSelection(bundle, item.swaps || []);
+    } catch (swapError) {
+        if (swapError.statusCode !== 400) throw swapError;
+        return report('invalid_options', swapError.message);
+    }
+
+    const unitPrice = roundMoney(Number(bundle.price) + selection.price_delta);
+    return {
+        type: 'bundle',
+        bundle_id: bundle.id,
+        menu_item_id: null,
+        name: bundle.name,
+        category_id: bundle.category_id,
+        quantity,
+        base_price: roundMoney(bundle.price),
+        selected_swaps: selection.selected_swaps,
+        components: selection.components,
+        unit_price: unitPrice,
+        line_total: roundMoney(unitPrice * quantity),
+        special_instructions: item.special_instructions || null
+    };
+};
+
+/**
+ * Price a cart using current menu prices and delivery rules. This is the single pricing engine
+ * behind both the checkout quote and order creation, so the two always agree. Nothing is written.
+ *
+ * Items whose price cannot be trusted (unknown, unavailable, bad quantity) are left out of the
+ * totals and reported in `problems`; an order must not be placed while there are any. Asking for
+ * more of a stock-tracked item than is left is also a problem.
+ *
+ * @param {object} params
+ * @param {string} params.userId - The customer the cart belongs to (addresses are scoped to them).
+ * @param {{ id: string, quantity: number, options?: string[], special_instructions?: string }[]} params.items
+ *   `options` are the chosen menu_options ids; their price deltas are added to the unit price.
+ *   Bundles are given as { bundle_id, quantity, swaps?: [{ component_id, menu_item_id }] } instead of `id`.
+ * @param {string} [params.address_id] - Delivery address (required unless is_pickup).
+ * @param {boolean} [params.is_pickup]
+ * @param {string} [params.coupon_code] - Optional promo code; an invalid code is reported in `problems`.
+ * @param {number} [params.redeem_points] - Optional loyalty points to spend, applied after the coupon.
+ * @param {boolean} [params.is_dine_in] - Eaten at the restaurant (may attract a service charge).
+ * @returns {Promise<{
+ *   lines: object[], problems: object[], subtotal: number, delivery_fee: number,
+ *   delivery_zone: object|null, coupon: object|null, loyalty: object|null, discounts: object[], discount_total: number,
+ *   charges: object[], charge_total: number, prices_include_tax: boolean, taxes: object[], tax_total: number, total: number
+ * }>}
+ *   Tax is only added to the total when prices do not already include it (see taxService).
+ * @throws {Error} 400/404 for request-level problems (empty cart, missing or foreign address).
+ */
+export const priceOrder = async ({ userId, items, address_id, is_pickup, coupon_code, redeem_points, is_dine_in = false }) => {
+    assertCartShape({ items, address_id, is_pickup });
+
+    const menuItems = await fetchMenuItems(items.filter(item => !item.bundle_id).map(item => item.id).filter(Boolean));
+    const bundles = await fetchBundlesById(items.map(item => item.bundle_id).filter(Boolean));
+    const lines = [];
+    const lineIndexes = []; // Cart index of each line, for stock problems
+    const problems = [];
+
+    items.forEach((item, index) => {
+        if (item.bundle_id) {
+            const line = priceBundleLine(bundles.get(item.bundle_id), item, index, problems);
+            if (line) {
+                lines.push(line);
+                lineIndexes.push(index);
+            }
+            return;
+        }
+
+        const menuItem = menuItems.get(item.id);
+        const quantity = Number(item.quantity);
+
+        if (!menuItem) {
+            problems.push({ index, menu_item_id: item.id ?? null, code: 'unknown_item', message: `Menu item with ID ${item.id} not found or invalid.` });
+            return;
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            problems.push({ index, menu_item_id: item.id, code: 'invalid_quantity', message: `Quantity for ${menuItem.name} must be a positive whole number.` });
+            return;
+        }
+        if (!menuItem.is_available) {
+            problems.push({ index, menu_item_id: item.id, code: 'unavailable', message: `${menuItem.name} is currently unavailable.` });
+            return;
+        }
+
+        let selection;
+        try {
+            selection = resolveOptionSelections(menuItem, item.options || []);
+        } catch (optionError) {
+            if (optionError.statusCode !== 400) throw optionError;
+            problems.push({ index, menu_item_id: item.id, code: 'invalid_options', message: optionError.message });
+            return;
+        }
+
+        const unitPrice = roundMoney(Number(menuItem.price) + selection.price_delta);
+        lines.push({
+            type: 'item',
+            menu_item_id: menuItem.id,
+            name: menuItem.name,
+            category_id: menuItem.category_id,
+            quantity,
+            base_price: roundMoney(menuItem.price),
+            selected_options: selection.selected_options,
+            unit_price: unitPrice,
+            line_total: roundMoney(unitPrice * quantity),
+            special_instructions: item.special_instructions || null
+        });
+        lineIndexes.push(index);
+    });
+
+    problems.push(...findStockProblems({ lines, lineIndexes, menuItems, bundles }));
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+
+    // Delivery fee from the admin-managed delivery zones; pickup orders pay none
+    let delivery_fee = 0;
+    let delivery_zone = null;
+    if (!is_pickup) {
+        const address = await fetchDeliveryAddress({ userId, addressId: address_id });
+        try {
+            const delivery = await calculateDeliveryFee({ address, subtotal });
+            delivery_fee = roundMoney(delivery.delivery_fee);
+            delivery_zone = { id: delivery.zone.id, name: delivery.zone.name };
+        } catch (deliveryError) {
+            if (deliveryError.statusCode !== 400) throw deliveryError;
+            // Outside every zone, or below the zone's minimum order
+            problems.push({ index: null, menu_item_id: null, code: 'delivery_unavailable', message: deliveryError.message });
+        }
+    }
+
+    const discounts = [];
+    let coupon = null;
+    if (coupon_code) {
+        try {
+            const evaluated = await evaluateCoupon({ code: coupon_code, userId, lines, subtotal, delivery_fee });
+            coupon = { id: evaluated.coupon.id, code: evaluated.coupon.code };
+            discounts.push({
+                type: 'coupon',
+                coupon_id: evaluated.coupon.id,
+                code: evaluated.coupon.code,
+                description: evaluated.coupon.description,
+                applies_to: evaluated.coupon.discount_type === 'free_delivery' ? 'delivery' : 'items',
+                amount: evaluated.discount_amount
+            });
+        } catch (couponError) {
+            if (couponError.statusCode !== 400) throw couponError;
+            problems.push({ index: null, menu_item_id: null, code: 'invalid_coupon', message: couponError.message });
+        }
+    }
+
+    // Loyalty points pay towards what is left of the food after an item coupon; a free-delivery
+    // coupon leaves the food untouched
+    let loyalty = null;
+    if (redeem_points) {
+        try {
+            const itemDiscount = discounts
+                .filter(discount => discount.applies_to === 'items')
+                .reduce((sum, discount) => sum + discount.amount, 0);
+            loyalty = await quoteRedemption({ userId, points: redeem_points, eligibleAmount: Math.max(0, subtotal - itemDiscount) });
+            discounts.push({ type: 'loyalty', points: loyalty.points, applies_to: 'items', amount: loyalty.amount });
+        } catch (loyaltyError) {
+            if (loyaltyError.statusCode !== 400) throw loyaltyError;
+            problems.push({ index: null, menu_item_id: null, code: 'invalid_loyalty_redemption', message: loyaltyError.message });
+        }
+    }
+
+    const discount_total = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+    const { prices_include_tax, taxes, tax_total, charges, charge_total } = await calculateTaxesAndCharges({
+        lines,
+        subtotal,
+        delivery_fee,
+        discounts,
+        is_dine_in
+    });
+
+    return {
+        lines,
+        problems,
+        subtotal,
+        delivery_fee,
+        delivery_zone,
+        coupon,
+        loyalty,
+        discounts,
+        discount_total,
+        charges,
+        charge_total,
+        prices_include_tax,
+        taxes,
+        tax_total,
+        total: roundMoney(subtotal + delivery_fee - discount_total + charge_total + (prices_include_tax ? 0 : tax_total))
+    };
+};
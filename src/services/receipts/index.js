@@ -0,0 +1,39 @@
+// backend/src/services/receipts/index.js
+import { buildReceipt, RECEIPT_ORDER_SELECT } from './receiptModel.js';
+import { renderTextReceipt, renderEscPosReceipt, PAPER_WIDTHS } from './textReceipt.js';
+import { renderPdfReceipt } from './pdfReceipt.js';
+import { httpError } from '../../utils/httpError.js';
+
+export { buildReceipt, RECEIPT_ORDER_SELECT };
+
+export const RECEIPT_FORMATS = ['pdf', 'text', 'escpos'];
+
+/**
+ * Render an order's receipt. Everything is generated in-process; nothing is sent to an
+ * outside service.
+ * @param {object} params
+ * @param {object} params.order - Order fetched with RECEIPT_ORDER_SELECT.
+ * @param {object} [params.customer] - { full_name, email, phone_number }.
+ * @param {string} [params.format='pdf'] - 'pdf' (A4, for customers), 'text' or 'escpos' (receipt printers).
+ * @param {number} [params.paperWidth=80] - 58 or 80 (mm); text and escpos only.
+ * @returns {Promise<{ body: Buffer|string, contentType: string, extension: string }>}
+ * @throws {Error} 400 for an unknown format or paper width.
+ */
+export const renderReceipt = async ({ order, customer, format = 'pdf', paperWidth = 80 }) => {
+    if (!RECEIPT_FORMATS.includes(format)) {
+        throw httpError(400, `Invalid receipt format. Valid formats are: ${RECEIPT_FORMATS.join(', ')}.`);
+    }
+    if (format !== 'pdf' && !PAPER_WIDTHS[paperWidth]) {
+        throw httpError(400, `Invalid paper width. Supported widths are: ${Object.keys(PAPER_WIDTHS).join(', ')} (mm).`);
+    }
+
+    const receipt = buildReceipt(order, customer);
+
+    if (format === 'text') {
+        return { body: renderTextReceipt(receipt, paperWidth), contentType: 'text/plain; charset=us-ascii', extension: 'txt' };
+    }
+    if (format === 'escpos') {
+        return { body: renderEscPosReceipt(receipt, paperWidth), contentType: 'application/octet-stream', extension: 'bin' };
+    }
+    return { body: await renderPdfReceipt(receipt), contentType: 'application/pdf', extension: 'pdf' };
+};
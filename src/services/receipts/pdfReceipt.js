@@ -0,0 +1,99 @@
+// backend/src/services/receipts/pdfReceipt.js
+import PDFDocument from 'pdfkit';
+import { formatMoney } from '../../utils/money.js';
+
+const MARGIN = 50;
+const COLUMNS = { item: MARGIN, quantity: 330, unit: 380, total: 470 };
+const TOTAL_WIDTH = 75;
+
+/**
+ * Render a receipt as an A4 PDF (for customers, e.g. expense claims).
+ * @param {object} receipt - See buildReceipt.
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdfReceipt = (receipt) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `${receipt.title} ${receipt.order_number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const pageWidth = doc.page.width - MARGIN * 2;
+    const amount = (value, y, options = {}) => doc.text(formatMoney(value), COLUMNS.total, y, { width: TOTAL_WIDTH, align: 'right', ...options });
+
+    // Restaurant header
+    doc.font('Helvetica-Bold').fontSize(18).text(receipt.restaurant.name);
+    doc.font('Helvetica').fontSize(9);
+    [receipt.restaurant.address, receipt.restaurant.phone, receipt.restaurant.email]
+        .filter(Boolean)
+        .forEach(line => doc.text(line));
+    if (receipt.restaurant.tax_id) doc.text(`Tax ID: ${receipt.restaurant.tax_id}`);
+
+    // Order details
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(14).text(receipt.title);
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Order number: ${receipt.order_number}`);
+    doc.text(`Date: ${receipt.placed_at}`);
+    doc.text(`Fulfilment: ${receipt.fulfillment}${receipt.scheduled_for ? ` (scheduled for ${receipt.scheduled_for})` : ''}`);
+    if (receipt.customer?.name) doc.text(`Customer: ${receipt.customer.name}`);
+    if (receipt.customer?.email) doc.text(`Email: ${receipt.customer.email}`);
+    if (receipt.delivery_address) doc.text(`Delivery address: ${receipt.delivery_address}`);
+
+    // Line items
+    doc.moveDown(1.5);
+    let y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10);
+    doc.text('Item', COLUMNS.item, y);
+    doc.text('Qty', COLUMNS.quantity, y);
+    doc.text('Unit price', COLUMNS.unit, y);
+    doc.text(`Total (${receipt.currency})`, COLUMNS.total, y, { width: TOTAL_WIDTH, align: 'right' });
+    doc.moveTo(MARGIN, doc.y + 4).lineTo(MARGIN + pageWidth, doc.y + 4).stroke();
+    doc.moveDown(0.8);
+
+    doc.font('Helvetica').fontSize(10);
+    for (const line of receipt.lines) {
+        y = doc.y;
+        doc.text(line.quantity, COLUMNS.quantity, y);
+        doc.text(formatMoney(line.unit_price), COLUMNS.unit, y);
+        amount(line.line_total, y);
+        doc.text(line.name, COLUMNS.item, y, { width: COLUMNS.quantity - COLUMNS.item - 10 });
+
+        doc.fontSize(8).fillColor('#555555');
+        line.details.forEach(detail => doc.text(detail, COLUMNS.item + 10, doc.y, { width: COLUMNS.quantity - COLUMNS.item - 20 }));
+        doc.fontSize(10).fillColor('black');
+        doc.moveDown(0.4);
+    }
+
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + pageWidth, doc.y).stroke();
+    doc.moveDown(0.6);
+
+    // Totals
+    const totalRow = (label, value, bold = false) => {
+        y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        doc.text(label, COLUMNS.unit - 100, y, { width: COLUMNS.total - COLUMNS.unit + 90 });
+        amount(value, y);
+        doc.moveDown(0.3);
+    };
+    totalRow('Subtotal', receipt.subtotal);
+    if (receipt.delivery_fee > 0) totalRow('Delivery fee', receipt.delivery_fee);
+    receipt.discounts.forEach(discount => totalRow(discount.label, -discount.amount));
+    receipt.charges.forEach(charge => totalRow(charge.label, charge.amount));
+    receipt.taxes.filter(tax => !tax.included).forEach(tax => totalRow(tax.label, tax.amount));
+    totalRow(`Total (${receipt.currency})`, receipt.total, true);
+    receipt.taxes.filter(tax => tax.included).forEach(tax => totalRow(tax.label, tax.amount));
+
+    // Payment
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(10).text('', MARGIN, doc.y);
+    doc.text(`Payment method: ${receipt.payment.provider || '-'}`);
+    doc.text(`Payment status: ${receipt.payment.status}`);
+    if (receipt.payment.reference) doc.text(`Payment reference: ${receipt.payment.reference}`);
+    receipt.refunds.forEach(refund => doc.text(`Refund of ${receipt.currency} ${formatMoney(refund.amount)} on ${refund.date} (${refund.status})`));
+
+    doc.moveDown(2);
+    doc.fontSize(9).fillColor('#555555').text('Thank you for your order.', { align: 'center' });
+
+    doc.end();
+});
@@ -0,0 +1,116 @@
+// backend/src/services/receipts/receiptModel.js
+import { roundMoney } from '../../utils/money.js';
+import { getRestaurantTimeZone } from '../../utils/timezone.js';
+
+// Columns a receipt needs; fetched with the order
+export const RECEIPT_ORDER_SELECT = `
+    *,
+    order_items ( *, menu_items ( name ) ),
+    order_bundles ( * ),
+    order_refunds ( amount, status, created_at ),
+    dining_tables ( name ),
+    user_addresses ( street_address, city, state, postal_code, country )
+`;
+
+/**
+ * Restaurant details printed on every receipt, from RESTAURANT_* environment variables.
+ */
+export const getRestaurantDetails = () => ({
+    name: process.env.RESTAURANT_NAME || 'Restaurant',
+    address: process.env.RESTAURANT_ADDRESS || null,
+    phone: process.env.RESTAURANT_PHONE || null,
+    email: process.env.RESTAURANT_EMAIL || null,
+    tax_id: process.env.RESTAURANT_TAX_ID || null
+});
+
+const formatDateTime = (value) => (value
+    ? new Intl.DateTimeFormat('en-GB', { timeZone: getRestaurantTimeZone(), dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value))
+    : null);
+
+const formatAddress = (address) => (address
+    ? [address.street_address, address.city, address.state, address.postal_code, address.country].filter(Boolean).join(', ')
+    : null);
+
+const formatDelta = (amount) => (Number(amount) ? ` (${Number(amount) > 0 ? '+' : '-'}${Math.abs(roundMoney(amount)).toFixed(2)})` : '');
+
+/**
+ * Build the format-independent content of a receipt from an order. Loose items list their
+ * chosen options; bundles list their components and swaps. All amounts are the ones stored
+ * on the order, so a receipt never changes when menu prices do.
+ * @param {object} order - Order fetched with RECEIPT_ORDER_SELECT.
+ * @param {object} [customer] - { full_name, email, phone_number }.
+ * @returns {object}
+ */
+export const buildReceipt = (order, customer = null) => {
+    const items = order.order_items || [];
+
+    const itemLines = items
+        .filter(item => !item.order_bundle_id)
+        .map(item => ({
+            name: item.menu_items?.name || 'Item',
+            quantity: item.quantity,
+            unit_price: roundMoney(item.price_at_order),
+            line_total: roundMoney(item.price_at_order * item.quantity),
+            details: [
+                ...(item.selected_options || []).map(option => `+ ${option.name}${formatDelta(option.price_delta)}`),
+                ...(item.special_instructions ? [`Note: ${item.special_instructions}`] : [])
+            ]
+        }));
+
+    const bundleLines = (order.order_bundles || []).map(bundle => ({
+        name: bundle.name,
+        quantity: bundle.quantity,
+        unit_price: roundMoney(bundle.price_at_order),
+        line_total: roundMoney(bundle.price_at_order * bundle.quantity),
+        details: [
+            ...items
+                .filter(item => item.order_bundle_id === bundle.id)
+                .map(item => `- ${item.quantity}x ${item.menu_items?.name || 'Item'}`),
+            ...(bundle.selected_swaps || [])
+                .filter(swap => Number(swap.price_delta))
+                .map(swap => `Swap to ${swap.name}${formatDelta(swap.price_delta)}`),
+            ...(bundle.special_instructions ? [`Note: ${bundle.special_instructions}`] : [])
+        ]
+    }));
+
+    const loyaltyDiscount = roundMoney(order.loyalty_discount_amount || 0);
+    const couponDiscount = roundMoney((order.discount_amount || 0) - loyaltyDiscount);
+    const discounts = [
+        ...(couponDiscount > 0 ? [{ label: order.coupon_code ? `Coupon ${order.coupon_code}` : 'Discount', amount: couponDiscount }] : []),
+        ...(loyaltyDiscount > 0 ? [{ label: `Loyalty points (${order.loyalty_points_redeemed})`, amount: loyaltyDiscount }] : [])
+    ];
+
+    const refunds = (order.order_refunds || []).filter(refund => refund.status !== 'failed');
+
+    return {
+        restaurant: getRestaurantDetails(),
+        // An unpaid order gets an invoice; a paid one a receipt
+        title: ['paid', 'refunded', 'partially_refunded'].includes(order.payment_status) ? 'Receipt' : 'Invoice',
+        order_number: order.order_number,
+        placed_at: formatDateTime(order.created_at),
+        scheduled_for: formatDateTime(order.scheduled_for),
+        status: order.status,
+        fulfillment: order.is_dine_in
+            ? `Dine-in${order.dining_tables?.name ? `, table ${order.dining_tables.name}` : ''}`
+            : (order.is_pickup ? 'Pickup' : 'Delivery'),
+        delivery_address: order.is_pickup ? null : formatAddress(order.user_addresses),
+        customer: customer
+            ? { name: customer.full_name || null, email: customer.email || null, phone: customer.phone_number || null }
+            : null,
+        lines: [...itemLines, ...bundleLines],
+        subtotal: roundMoney(order.subtotal),
+        delivery_fee: roundMoney(order.delivery_fee || 0),
+        discounts,
+        charges: (order.charges || []).map(charge => ({ label: charge.label, amount: roundMoney(charge.amount) })),
+        // Included taxes are shown for information; they are already part of the prices above
+        taxes: (order.taxes || []).map(tax => ({ label: tax.label, amount: roundMoney(tax.amount), included: Boolean(tax.included) })),
+        total: roundMoney(order.total_amount),
+        payment: {
+            provider: order.payment_provider || null,
+            status: order.payment_status || 'pending',
+            reference: order.payment_reference || null
+        },
+        refunds: refunds.map(refund => ({ amount: roundMoney(refund.amount), status: refund.status, date: formatDateTime(refund.created_at) })),
+        currency: 'NGN'
+    };
+};
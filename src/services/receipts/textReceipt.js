@@ -0,0 +1,147 @@
+// backend/src/services/receipts/textReceipt.js
+import { formatMoney } from '../../utils/money.js';
+
+// Characters per line in the printer's default font (Font A)
+export const PAPER_WIDTHS = { 58: 32, 80: 48 };
+
+// ESC/POS commands
+const ESC = 0x1b;
+const GS = 0x1d;
+const INIT = [ESC, 0x40];
+const ALIGN = { left: [ESC, 0x61, 0], center: [ESC, 0x61, 1] };
+const BOLD_ON = [ESC, 0x45, 1];
+const BOLD_OFF = [ESC, 0x45, 0];
+const FEED_AND_CUT = [ESC, 0x64, 4, GS, 0x56, 66, 0];
+
+// Thermal printers only have ASCII in their default code page
+const toAscii = (text) => String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+
+const wrap = (text, width, indent = '') => {
+    const words = toAscii(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let line = '';
+
+    for (const word of words) {
+        for (let start = 0; start < word.length; start += width - indent.length) {
+            const chunk = word.slice(start, start + width - indent.length);
+            if (!line) {
+                line = chunk;
+            } else if (indent.length + line.length + 1 + chunk.length <= width) {
+                line += ` ${chunk}`;
+            } else {
+                lines.push(indent + line);
+                line = chunk;
+            }
+        }
+    }
+    if (line) lines.push(indent + line);
+    return lines.length ? lines : [''];
+};
+
+// "left ......... right" on one line, wrapping the left side if it does not fit
+const leftRight = (left, right, width) => {
+    const rightText = toAscii(right);
+    const leftLines = wrap(left, width - rightText.length - 1);
+    const last = leftLines.pop();
+    return [...leftLines, last + ' '.repeat(Math.max(1, width - last.length - rightText.length)) + rightText];
+};
+
+/**
+ * Lay a receipt out as rows of at most `columns` characters. Each row is
+ * { text, align: 'left'|'center', bold }.
+ */
+const layoutReceipt = (receipt, columns) => {
+    const rows = [];
+    const add = (text, { align = 'left', bold = false } = {}) => rows.push({ text, align, bold });
+    const addWrapped = (text, options) => wrap(text, columns).forEach(line => add(line, options));
+    const rule = () => add('-'.repeat(columns));
+
+    addWrapped(receipt.restaurant.name, { align: 'center', bold: true });
+    [receipt.restaurant.address, receipt.restaurant.phone, receipt.restaurant.email]
+        .filter(Boolean)
+        .forEach(line => addWrapped(line, { align: 'center' }));
+    if (receipt.restaurant.tax_id) addWrapped(`Tax ID: ${receipt.restaurant.tax_id}`, { align: 'center' });
+    rule();
+
+    add(receipt.title.toUpperCase(), { align: 'center', bold: true });
+    addWrapped(`Order: ${receipt.order_number}`);
+    addWrapped(`Date: ${receipt.placed_at}`);
+    addWrapped(`${receipt.fulfillment}${receipt.scheduled_for ? ` for ${receipt.scheduled_for}` : ''}`);
+    if (receipt.customer?.name) addWrapped(`Customer: ${receipt.customer.name}`);
+    if (receipt.delivery_address) addWrapped(`Deliver to: ${receipt.delivery_address}`);
+    rule();
+
+    for (const line of receipt.lines) {
+        leftRight(`${line.quantity} x ${line.name}`, formatMoney(line.line_total), columns).forEach(text => add(text));
+        if (line.quantity > 1) add(`   @ ${formatMoney(line.unit_price)}`);
+        line.details.forEach(detail => wrap(detail, columns, '   ').forEach(text => add(text)));
+    }
+    rule();
+
+    const amountRow = (label, amount, options) => leftRight(label, formatMoney(amount), columns).forEach(text => add(text, options));
+    amountRow('Subtotal', receipt.subtotal);
+    if (receipt.delivery_fee > 0) amountRow('Delivery fee', receipt.delivery_fee);
+    receipt.discounts.forEach(discount => amountRow(discount.label, -discount.amount));
+    receipt.charges.forEach(charge => amountRow(charge.label, charge.amount));
+    receipt.taxes.filter(tax => !tax.included).forEach(tax => amountRow(tax.label, tax.amount));
+    amountRow(`TOTAL (${receipt.currency})`, receipt.total, { bold: true });
+    receipt.taxes.filter(tax => tax.included).forEach(tax => amountRow(tax.label, tax.amount));
+    rule();
+
+    addWrapped(`Payment: ${receipt.payment.provider || '-'} (${receipt.payment.status})`);
+    if (receipt.payment.reference) addWrapped(`Ref: ${receipt.payment.reference}`);
+    receipt.refunds.forEach(refund => amountRow(`Refund ${refund.date} (${refund.status})`, -refund.amount));
+
+    add('');
+    add('Thank you!', { align: 'center' });
+    return rows;
+};
+
+const resolveColumns = (paperWidth) => {
+    const columns = PAPER_WIDTHS[paperWidth];
+    if (!columns) {
+        throw new Error(`Unsupported paper width ${paperWidth}mm.`);
+    }
+    return columns;
+};
+
+/**
+ * Render a receipt as plain text for a 58mm or 80mm receipt printer.
+ * @param {object} receipt - See buildReceipt.
+ * @param {number} [paperWidth=80] - 58 or 80 (mm).
+ * @returns {string}
+ */
+export const renderTextReceipt = (receipt, paperWidth = 80) => {
+    const columns = resolveColumns(paperWidth);
+
+    return layoutReceipt(receipt, columns)
+        .map(({ text, align }) => (align === 'center'
+            ? ' '.repeat(Math.floor((columns - text.length) / 2)) + text
+            : text))
+        .join('\n') + '\n';
+};
+
+/**
+ * Render a receipt as ESC/POS bytes (alignment, bold, and a cut at the end) for sending
+ * straight to a thermal printer.
+ * @param {object} receipt - See buildReceipt.
+ * @param {number} [paperWidth=80] - 58 or 80 (mm).
+ * @returns {Buffer}
+ */
+export const renderEscPosReceipt = (receipt, paperWidth = 80) => {
+    const columns = resolveColumns(paperWidth);
+    const bytes = [...INIT];
+
+    for (const { text, align, bold } of layoutReceipt(receipt, columns)) {
+        bytes.push(...ALIGN[align]);
+        if (bold) bytes.push(...BOLD_ON);
+        bytes.push(...Buffer.from(`${text}\n`, 'ascii'));
+        if (bold) bytes.push(...BOLD_OFF);
+    }
+
+    bytes.push(...ALIGN.left, ...FEED_AND_CUT);
+    return Buffer.from(bytes);
+};
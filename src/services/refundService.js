@@ -0,0 +1,222 @@
+// backend/src/services/refundService.js
+import supabase from '../config/supabase.js';
+import { getPaymentProvider } from './payments/index.js';
+import { httpError } from '../utils/httpError.js';
+import { publishOrderEvent, ORDER_EVENT_TYPES } from './orderEvents.js';
+import { clawBackPointsForRefund } from './loyaltyService.js';
+
+// Payment statuses an order can be refunded from
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// Work in kobo to avoid floating point drift when summing partial refunds
+const toKobo = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Sum of all refunds recorded against an order that have not failed.
+ * @param {string} orderId
+ * @returns {Promise<number>} Refunded amount in naira.
+ */
+export const getRefundedTotal = async (orderId) => {
+    const { data: refunds, error } = await supabase
+        .from('order_refunds')
+        .select('amount, status')
+        .eq('order_id', orderId);
+
+    if (error) {
+        throw new Error(`Database error fetching refunds: ${error.message}`);
+    }
+
+    const refundedKobo = refunds
+        .filter(refund => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + toKobo(refund.amount), 0);
+
+    return refundedKobo / 100;
+};
+
+/**
+ * Set the order's payment_status to 'refunded' or 'partially_refunded' based on the ledger.
+ * @returns {Promise<object>} The updated order.
+ */
+const syncRefundPaymentStatus = async (order) => {
+    const refundedTotal = await getRefundedTotal(order.id);
+    const paymentStatus = toKobo(refundedTotal) >= toKobo(order.total_amount) ? 'refunded' : 'partially_refunded';
+
+    const { data: updatedOrder, error } = await supabase
+        .from('orders')
+        .update({ payment_status: paymentStatus, updated_at: new Date().toISOString() })
+        .eq('id', order.id)
+        .select('*')
+        .single();
+
+    if (error) {
+        throw new Error(`Database error updating payment status: ${error.message}`);
+    }
+
+    publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT_UPDATED, updatedOrder);
+
+    try {
+        await clawBackPointsForRefund(updatedOrder, refundedTotal);
+    } catch (loyaltyError) {
+        console.error(`Failed to claw back loyalty points for order ${updatedOrder.order_number}:`, loyaltyError.message);
+    }
+
+    return updatedOrder;
+};
+
+/**
+ * Refund part or all of a paid order through its payment provider and record it in the ledger.
+ * @param {object} params
+ * @param {object} params.order - The order row being refunded.
+ * @param {number} params.amount - Amount to refund in naira.
+ * @param {string} params.reason - Why the refund was issued (kept for finance).
+ * @param {string|null} params.actorId - The user issuing the refund.
+ * @returns {Promise<{ refund: object, order: object }>}
+ * @throws {Error} 400 if the order is not refundable or the amount exceeds what is left.
+ */
+export const issueRefund = async ({ order, amount, reason, actorId }) => {
+    const refundAmount = Number(amount);
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        throw httpError(400, 'Refund amount must be a positive number.');
+    }
+    if (!reason || !String(reason).trim()) {
+        throw httpError(400, 'A reason is required for every refund.');
+    }
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+        throw httpError(400, `Order cannot be refunded while payment status is '${order.payment_status}'.`);
+    }
+
+    const provider = getPaymentProvider(order.payment_provider);
+
+    // Reserve the amount first (see reserve_order_refund), so a concurrent refund sees it
+    const { data: reserved, error: reserveError } = await supabase.rpc('reserve_order_refund', {
+        p_order_id: order.id,
+        p_amount: refundAmount,
+        p_reason: String(reason).trim(),
+        p_payment_provider: provider.name,
+        p_actor: actorId
+    });
+
+    if (reserveError) {
+        if (reserveError.code === 'P0001') {
+            throw httpError(400, reserveError.message);
+        }
+        if (reserveError.code === 'P0002') {
+            throw httpError(404, 'Order not found.');
+        }
+        throw new Error(`Database error reserving refund: ${reserveError.message}`);
+    }
+
+    let result;
+    try {
+        result = await provider.refund({
+            order,
+            reference: order.payment_reference,
+            amount: refundAmount,
+            reason
+        });
+    } catch (gatewayError) {
+        // Release the reservation so the amount can be refunded again
+        const { error } = await supabase
+            .from('order_refunds')
+            .update({ status: 'failed', updated_at: new Date().toISOString() })
+            .eq('id', reserved.id);
+        if (error) {
+            console.error(`Failed to release refund reservation ${reserved.id}:`, error.message);
+        }
+        throw gatewayError;
+    }
+
+    const { data: refund, error: refundError } = await supabase
+        .from('order_refunds')
+        .update({
+            status: result.status,
+            provider_refund_reference: result.refund_reference,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', reserved.id)
+        .select('*')
+        .single();
+
+    if (refundError) {
+        // The gateway has already accepted the refund at this point, so make noise for finance
+        console.error(`Refund of ${refundAmount} for order ${order.order_number} was sent to ${provider.name} but could not be recorded:`, refundError.message);
+        throw new Error('Refund was submitted to the payment provider but could not be recorded. Please reconcile manually.');
+    }
+
+    const updatedOrder = await syncRefundPaymentStatus(order);
+
+    return { refund, order: updatedOrder };
+};
+
+/**
+ * Apply a refund confirmation from a payment gateway webhook. Refunds we issued are marked
+ * processed; refunds made directly on the gateway dashboard are added to the ledger.
+ * Repeated deliveries of the same event are ignored.
+ * @returns {Promise<object|null>} The updated order, or null if nothing changed.
+ */
+export const recordProcessedRefund = async ({ order, providerName, refundReference, amount }) => {
+    let existingRefund = null;
+    if (refundReference) {
+        const { data, error } = await supabase
+            .from('order_refunds')
+            .select('*')
+            .eq('payment_provider', providerName)
+            .eq('provider_refund_reference', refundReference)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Database error fetching refund: ${error.message}`);
+        }
+        existingRefund = data;
+    }
+
+    if (!existingRefund) {
+        // Fall back to the oldest outstanding refund we issued for the same amount
+        const { data, error } = await supabase
+            .from('order_refunds')
+            .select('*')
+            .eq('order_id', order.id)
+            .eq('amount', amount)
+            .in('status', ['pending', 'processing'])
+            .order('created_at', { ascending: true })
+            .limit(1);
+
+        if (error) {
+            throw new Error(`Database error fetching refund: ${error.message}`);
+        }
+        existingRefund = data[0] || null;
+    }
+
+    if (existingRefund?.status === 'processed') {
+        return null;
+    }
+
+    if (existingRefund) {
+        const { error } = await supabase
+            .from('order_refunds')
+            .update({ status: 'processed', updated_at: new Date().toISOString() })
+            .eq('id', existingRefund.id);
+
+        if (error) {
+            throw new Error(`Database error updating refund: ${error.message}`);
+        }
+    } else {
+        const { error } = await supabase
+            .from('order_refunds')
+            .insert([{
+                order_id: order.id,
+                amount,
+                reason: 'Refunded from the payment provider dashboard.',
+                status: 'processed',
+                payment_provider: providerName,
+                provider_refund_reference: refundReference,
+                created_by: null
+            }]);
+
+        if (error) {
+            throw new Error(`Database error recording refund: ${error.message}`);
+        }
+    }
+
+    return syncRefundPaymentStatus(order);
+};
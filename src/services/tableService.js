@@ -0,0 +1,225 @@
+// backend/src/services/tableService.js
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+import { safeCompare } from '../utils/safeCompare.js';
+import { transitionOrderStatus } from './orderLifecycle.js';
+import { publishOrderEvent, ORDER_EVENT_TYPES } from './orderEvents.js';
+import { awardPointsForOrder } from './loyaltyService.js';
+
+export const QR_FORMATS = ['png', 'svg'];
+export const BILL_PAYMENT_METHODS = ['cash', 'card', 'transfer'];
+
+const BILL_ORDER_SELECT = `
+    id, order_number, user_id, status, payment_status, subtotal, discount_amount, charge_total,
+    tax_total, prices_include_tax, total_amount, created_at,
+    order_items ( quantity, price_at_order, selected_options, order_bundle_id, menu_items ( name ) ),
+    order_bundles ( id, name, quantity, price_at_order )
+`;
+
+// Tokens are signed with their own key (TABLE_QR_SECRET), or one derived from JWT_SECRET, so a
+// table token can never pass as a login token or the other way round.
+const getSigningKey = () => {
+    if (process.env.TABLE_QR_SECRET) return process.env.TABLE_QR_SECRET;
+    if (!process.env.JWT_SECRET) {
+        console.error('Neither TABLE_QR_SECRET nor JWT_SECRET is set.');
+        throw httpError(500, 'Table ordering is not configured. Please ask a member of staff for help.');
+    }
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('dining-table-qr').digest();
+};
+
+const sign = (tableId, version) => crypto
+    .createHmac('sha256', getSigningKey())
+    .update(`${tableId}:${version}`)
+    .digest('base64url');
+
+/**
+ * The token printed in a table's QR code: `<table id>.<qr version>.<signature>`. It does not
+ * expire; rotating the table's QR code (bumping qr_version) revokes it.
+ * @param {{ id: string, qr_version: number }} table
+ * @returns {string}
+ */
+export const createTableToken = (table) => `${table.id}.${table.qr_version}.${sign(table.id, table.qr_version)}`;
+
+/**
+ * The link a table's QR code opens (FRONTEND_URL/table/<token>).
+ */
+export const getTableUrl = (table) => `${process.env.FRONTEND_URL}/table/${createTableToken(table)}`;
+
+/**
+ * Check a scanned table token and return its table.
+ * @param {string} token
+ * @returns {Promise<object>} The dining_tables row.
+ * @throws {Error} 400 for a forged, outdated or malformed token; 409 if the table is closed.
+ */
+export const resolveTableToken = async (token) => {
+    const [tableId, version, signature] = String(token || '').split('.');
+    if (!tableId || !version || !safeCompare(signature, sign(tableId, version))) {
+        throw httpError(400, 'This table code is not valid. Please scan the QR code on your table again.');
+    }
+
+    const { data: table, error } = await supabase
+        .from('dining_tables')
+        .select('*')
+        .eq('id', tableId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching table: ${error.message}`);
+    }
+    if (!table || String(table.qr_version) !== version) {
+        throw httpError(400, 'This table code is no longer valid. Please ask a member of staff for help.');
+    }
+    if (!table.is_active) {
+        throw httpError(409, `Table ${table.name} is not taking orders right now.`);
+    }
+    return table;
+};
+
+/**
+ * Render a table's QR code locally (nothing is sent to an outside service).
+ * @param {object} table
+ * @param {string} [format='png'] - 'png' or 'svg'.
+ * @returns {Promise<{ body: Buffer|string, contentType: string, extension: string }>}
+ * @throws {Error} 400 for an unknown format.
+ */
+export const renderTableQr = async (table, format = 'png') => {
+    if (!QR_FORMATS.includes(format)) {
+        throw httpError(400, `Invalid QR code format. Valid formats are: ${QR_FORMATS.join(', ')}.`);
+    }
+
+    const url = getTableUrl(table);
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+    if (format === 'svg') {
+        return { body: await QRCode.toString(url, { ...options, type: 'svg' }), contentType: 'image/svg+xml', extension: 'svg' };
+    }
+    return { body: await QRCode.toBuffer(url, { ...options, type: 'png', width: 512 }), contentType: 'image/png', extension: 'png' };
+};
+
+/**
+ * A bill with its orders and running totals. Cancelled orders are listed but not counted.
+ * @param {object} bill - table_bills row.
+ * @returns {Promise<object>}
+ */
+export const buildBillSummary = async (bill) => {
+    const { data: orders, error } = await supabase
+        .from('orders')
+        .select(BILL_ORDER_SELECT)
+        .eq('table_bill_id', bill.id)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Database error fetching bill orders: ${error.message}`);
+    }
+
+    const counted = orders.filter(order => order.status !== 'cancelled');
+    const sum = (key) => roundMoney(counted.reduce((total, order) => total + Number(order[key] || 0), 0));
+    const paid = roundMoney(counted
+        .filter(order => order.payment_status === 'paid')
+        .reduce((total, order) => total + Number(order.total_amount), 0));
+
+    return {
+        ...bill,
+        orders,
+        totals: {
+            subtotal: sum('subtotal'),
+            discount_amount: sum('discount_amount'),
+            charge_total: sum('charge_total'),
+            tax_total: sum('tax_total'),
+            total_amount: sum('total_amount'),
+            amount_paid: paid,
+            amount_due: roundMoney(sum('total_amount') - paid)
+        }
+    };
+};
+
+/**
+ * The open bill of a table, if anyone has ordered since it was last settled.
+ * @param {string} tableId
+ * @returns {Promise<object|null>} The bill summary (see buildBillSummary), or null.
+ */
+export const getOpenBill = async (tableId) => {
+    const { data: bill, error } = await supabase
+        .from('table_bills')
+        .select('*')
+        .eq('table_id', tableId)
+        .eq('status', 'open')
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error fetching open bill: ${error.message}`);
+    }
+    return bill ? buildBillSummary(bill) : null;
+};
+
+/**
+ * Settle a table's bill: every order on it is marked paid with the bill, and orders already
+ * served ('ready') are then completed. Orders still waiting to be confirmed must be confirmed or
+ * cancelled first.
+ * @param {object} params
+ * @param {string} params.billId
+ * @param {string} params.paymentMethod - cash, card or transfer.
+ * @param {string} [params.paymentReference] - e.g. the card terminal or transfer reference.
+ * @param {{ id: string, role: string }} params.actor
+ * @returns {Promise<object>} The settled bill summary.
+ * @throws {Error} 400 for an invalid payment method, 404 if not found, 409 if already settled or orders are pending.
+ */
+export const settleBill = async ({ billId, paymentMethod, paymentReference, actor }) => {
+    if (!BILL_PAYMENT_METHODS.includes(paymentMethod)) {
+        throw httpError(400, `Invalid payment method. Valid methods are: ${BILL_PAYMENT_METHODS.join(', ')}.`);
+    }
+
+    // settle_table_bill totals the bill, marks its orders paid and closes it under the same lock
+    // that puts new orders on it, so exactly the orders it returns are covered by the settled total
+    const { data: settled, error: settleError } = await supabase.rpc('settle_table_bill', {
+        p_bill_id: billId,
+        p_payment_method: paymentMethod,
+        p_payment_reference: paymentReference || null,
+        p_actor: actor.id
+    });
+
+    if (settleError) {
+        if (settleError.code === 'P0002' || settleError.code === '22P02') {
+            throw httpError(404, 'Bill not found.');
+        }
+        if (settleError.code === 'P0001') {
+            throw httpError(409, settleError.message);
+        }
+        throw new Error(`Database error settling bill: ${settleError.message}`);
+    }
+
+    const { order_ids: orderIds, paid_order_ids: paidOrderIds, ...bill } = settled;
+    const { data: orders, error: ordersError } = await supabase
+        .from('orders')
+        .select('*')
+        .in('id', orderIds);
+
+    if (ordersError) {
+        throw new Error(`Database error fetching bill orders: ${ordersError.message}`);
+    }
+
+    for (const order of orders) {
+        if (paidOrderIds.includes(order.id)) {
+            publishOrderEvent(ORDER_EVENT_TYPES.PAYMENT_UPDATED, order);
+            try {
+                await awardPointsForOrder(order);
+            } catch (loyaltyError) {
+                console.error(`Failed to award loyalty points for order ${order.order_number}:`, loyaltyError.message);
+            }
+        }
+
+        if (order.status === 'ready') {
+            try {
+                await transitionOrderStatus({ order, toStatus: 'completed', actor, note: `Table bill settled (${paymentMethod}).` });
+            } catch (error) {
+                // The bill is settled and paid; staff can complete the order from the order screen
+                console.error(`Settling bill ${bill.id}: could not complete order ${order.order_number}:`, error.message);
+            }
+        }
+    }
+
+    return buildBillSummary(bill);
+};
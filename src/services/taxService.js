@@ -0,0 +1,122 @@
+// backend/src/services/taxService.js
+import supabase from '../config/supabase.js';
+import { roundMoney } from '../utils/money.js';
+
+/**
+ * The tax and service charge configuration (single row).
+ * @returns {Promise<object>}
+ */
+export const getTaxSettings = async () => {
+    const { data: settings, error } = await supabase
+        .from('tax_settings')
+        .select('*')
+        .eq('id', 1)
+        .single();
+
+    if (error) {
+        throw new Error(`Database error fetching tax settings: ${error.message}`);
+    }
+    return settings;
+};
+
+/**
+ * Categories with their own tax rate, as category_id -> rate (percent).
+ * @returns {Promise<Map<string, number>>}
+ */
+export const getCategoryTaxRates = async () => {
+    const { data: rates, error } = await supabase
+        .from('category_tax_rates')
+        .select('category_id, rate');
+
+    if (error) {
+        throw new Error(`Database error fetching category tax rates: ${error.message}`);
+    }
+    return new Map(rates.map(entry => [entry.category_id, Number(entry.rate)]));
+};
+
+// Tax contained in (inclusive) or due on top of (exclusive) an amount
+const taxOn = (amount, rate, inclusive) => (inclusive ? amount * rate / (100 + rate) : amount * rate / 100);
+
+/**
+ * Work out the service charge and taxes for a priced cart.
+ *
+ * Discounts on items are spread over the lines in proportion to their totals, so every line is
+ * taxed on what the customer actually pays for it; a free-delivery discount reduces the delivery
+ * fee instead. Each line is taxed at its category's rate (or the default rate), and the delivery
+ * fee and service charge at the default rate when they are taxable. Taxes are grouped by rate.
+ *
+ * With prices_include_tax the tax is the part of each amount that is tax, and is not added to
+ * the total; otherwise it is added on top.
+ *
+ * @param {object} params
+ * @param {object[]} params.lines - Priced cart lines (see pricingService).
+ * @param {number} params.subtotal
+ * @param {number} params.delivery_fee
+ * @param {object[]} params.discounts - Discounts with `amount` and `applies_to` ('items' or 'delivery').
+ * @param {boolean} [params.is_dine_in=false]
+ * @returns {Promise<{ prices_include_tax: boolean, taxes: object[], tax_total: number, charges: object[], charge_total: number }>}
+ *   Amounts to add to the total are charge_total, and tax_total unless prices_include_tax.
+ */
+export const calculateTaxesAndCharges = async ({ lines, subtotal, delivery_fee, discounts, is_dine_in = false }) => {
+    const settings = await getTaxSettings();
+    const inclusive = settings.is_enabled && settings.prices_include_tax;
+
+    const discountOn = (target) => discounts
+        .filter(discount => (discount.applies_to || 'items') === target)
+        .reduce((sum, discount) => sum + discount.amount, 0);
+    const itemsPaid = Math.max(0, subtotal - discountOn('items'));
+    const deliveryPaid = Math.max(0, delivery_fee - discountOn('delivery'));
+
+    const charges = [];
+    const serviceChargeApplies = settings.service_charge_enabled && Number(settings.service_charge_rate) > 0 && (
+        (is_dine_in && settings.service_charge_dine_in)
+        || (settings.service_charge_min_subtotal !== null && subtotal >= Number(settings.service_charge_min_subtotal))
+    );
+    if (serviceChargeApplies) {
+        charges.push({
+            code: 'service_charge',
+            label: settings.service_charge_label,
+            rate: Number(settings.service_charge_rate),
+            amount: roundMoney(itemsPaid * Number(settings.service_charge_rate) / 100)
+        });
+    }
+    const charge_total = roundMoney(charges.reduce((sum, charge) => sum + charge.amount, 0));
+
+    if (!settings.is_enabled) {
+        return { prices_include_tax: false, taxes: [], tax_total: 0, charges, charge_total };
+    }
+
+    const defaultRate = Number(settings.default_rate);
+    const categoryRates = await getCategoryTaxRates();
+    const byRate = new Map(); // rate -> taxable amount
+    const addTaxable = (rate, amount) => {
+        if (rate > 0 && amount > 0) byRate.set(rate, (byRate.get(rate) || 0) + amount);
+    };
+
+    const itemShare = subtotal > 0 ? itemsPaid / subtotal : 0;
+    for (const line of lines) {
+        const rate = categoryRates.has(line.category_id) ? categoryRates.get(line.category_id) : defaultRate;
+        addTaxable(rate, line.line_total * itemShare);
+    }
+    if (settings.tax_delivery) addTaxable(defaultRate, deliveryPaid);
+    if (settings.service_charge_taxable) addTaxable(defaultRate, charge_total);
+
+    const taxes = [...byRate.entries()]
+        .sort(([rateA], [rateB]) => rateB - rateA)
+        .map(([rate, taxable]) => ({
+            code: 'vat',
+            label: `${settings.label} ${rate}%${inclusive ? ' (included)' : ''}`,
+            rate,
+            taxable_amount: roundMoney(taxable),
+            amount: roundMoney(taxOn(taxable, rate, inclusive)),
+            included: inclusive
+        }));
+
+    return {
+        prices_include_tax: inclusive,
+        taxes,
+        tax_total: roundMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+        charges,
+        charge_total
+    };
+};
@@ -0,0 +1,175 @@
+// backend/src/services/timeSlots.js
+import supabase from '../config/supabase.js';
+import { httpError } from '../utils/httpError.js';
+import { getRestaurantTimeZone, toZonedDateString, zonedTimeToUtc } from '../utils/timezone.js';
+
+export const FULFILLMENT_TYPES = ['any', 'pickup', 'delivery'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How soon a scheduled order can be due, and how far ahead customers can book.
+export const getMinLeadMinutes = () => parseInt(process.env.SCHEDULING_MIN_LEAD_MINUTES, 10) || 30;
+export const getMaxDaysAhead = () => parseInt(process.env.SCHEDULING_MAX_DAYS_AHEAD, 10) || 7;
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes after midnight
+const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Build the slots a set of rules produces for one local date. Where rules overlap,
+ * the first rule to claim a start time wins.
+ */
+const buildSlots = (rules, dateString, timeZone) => {
+    const slotsByStart = new Map();
+
+    for (const rule of rules) {
+        const opensAt = timeToMinutes(rule.opens_at);
+        const closesAt = timeToMinutes(rule.closes_at);
+
+        for (let minute = opensAt; minute + rule.slot_minutes <= closesAt; minute += rule.slot_minutes) {
+            const start = zonedTimeToUtc(dateString, minute, timeZone);
+            if (slotsByStart.has(start.getTime())) continue;
+
+            slotsByStart.set(start.getTime(), {
+                start,
+                end: zonedTimeToUtc(dateString, minute + rule.slot_minutes, timeZone),
+                capacity: rule.max_orders_per_slot,
+                fulfillment_type: rule.fulfillment_type
+            });
+        }
+    }
+
+    return [...slotsByStart.values()].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Whether an order takes up room in a slot: it is live and due within the slot (ASAP orders
+ * by when they were placed), and of the kind the slot's rule is for. Must match the count in
+ * create_order_with_items.
+ * @param {{ start: Date, end: Date, fulfillment_type: string }} slot
+ * @param {{ scheduled_for: string|null, created_at: string, is_pickup: boolean, status: string }} order
+ * @returns {boolean}
+ */
+export const countsTowardsSlot = (slot, order) => {
+    if (['cancelled', 'refunded'].includes(order.status)) return false;
+    const dueAt = new Date(order.scheduled_for || order.created_at);
+    if (dueAt < slot.start || dueAt >= slot.end) return false;
+    return slot.fulfillment_type === 'any' || order.is_pickup === (slot.fulfillment_type === 'pickup');
+};
+
+/**
+ * Every slot on a local date with how many orders it already holds.
+ * A slot is available when it is open for booking (inside the lead time and booking
+ * window) and still has room.
+ * @param {object} params
+ * @param {string} params.date - Local date in the restaurant's time zone, YYYY-MM-DD.
+ * @param {boolean} [params.isPickup=false]
+ * @returns {Promise<object[]>} [{ start, end, capacity, fulfillment_type, booked, remaining, available }]
+ * @throws {Error} 400 for a malformed date.
+ */
+export const getSlotsForDate = async ({ date, isPickup = false, now = new Date() }) => {
+    if (!DATE_PATTERN.test(date || '') || isNaN(new Date(`${date}T00:00:00Z`))) {
+        throw httpError(400, 'date must be in YYYY-MM-DD format.');
+    }
+
+    const timeZone = getRestaurantTimeZone();
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    const { data: rules, error } = await supabase
+        .from('time_slot_rules')
+        .select('*')
+        .eq('day_of_week', weekday)
+        .eq('is_active', true)
+        .in('fulfillment_type', ['any', isPickup ? 'pickup' : 'delivery'])
+        .order('opens_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Database error fetching time slot rules: ${error.message}`);
+    }
+
+    const slots = buildSlots(rules, date, timeZone);
+    if (slots.length === 0) {
+        return [];
+    }
+
+    const from = slots[0].start.toISOString();
+    const to = slots[slots.length - 1].end.toISOString();
+    const { data: bookings, error: bookingsError } = await supabase
+        .from('orders')
+        .select('scheduled_for, created_at, is_pickup, status')
+        .or(`and(scheduled_for.gte.${from},scheduled_for.lt.${to}),and(scheduled_for.is.null,created_at.gte.${from},created_at.lt.${to})`)
+        .not('status', 'in', '(cancelled,refunded)');
+
+    if (bookingsError) {
+        throw new Error(`Database error counting slot bookings: ${bookingsError.message}`);
+    }
+
+    const earliestStart = new Date(now.getTime() + getMinLeadMinutes() * 60 * 1000);
+    const lastBookableDate = addDays(toZonedDateString(now, timeZone), getMaxDaysAhead());
+    const withinWindow = date <= lastBookableDate;
+
+    return slots.map(slot => {
+        const booked = bookings.filter(order => countsTowardsSlot(slot, order)).length;
+        const remaining = Math.max(0, slot.capacity - booked);
+
+        return {
+            start: slot.start.toISOString(),
+            end: slot.end.toISOString(),
+            capacity: slot.capacity,
+            fulfillment_type: slot.fulfillment_type,
+            booked,
+            remaining,
+            available: withinWindow && slot.start >= earliestStart && remaining > 0
+        };
+    });
+};
+
+/**
+ * Find the slot a requested time falls in and check it can still be booked.
+ * @param {object} params
+ * @param {string} params.scheduledFor - ISO date-time the customer asked for.
+ * @param {boolean} [params.isPickup=false]
+ * @returns {Promise<{ start: string, end: string, capacity: number, fulfillment_type: string, remaining: number }>}
+ * @throws {Error} 400 if the time is invalid, outside opening hours or outside the booking
+ *   window; 409 if the slot is full.
+ */
+export const resolveSlot = async ({ scheduledFor, isPickup = false, now = new Date() }) => {
+    const requested = new Date(scheduledFor);
+    if (!scheduledFor || isNaN(requested)) {
+        throw httpError(400, 'scheduled_for must be a valid ISO date-time.');
+    }
+
+    const earliestStart = new Date(now.getTime() + getMinLeadMinutes() * 60 * 1000);
+    if (requested < earliestStart) {
+        throw httpError(400, `Scheduled orders must be at least ${getMinLeadMinutes()} minutes from now.`);
+    }
+
+    const timeZone = getRestaurantTimeZone();
+    const date = toZonedDateString(requested, timeZone);
+    if (date > addDays(toZonedDateString(now, timeZone), getMaxDaysAhead())) {
+        throw httpError(400, `Orders can only be scheduled up to ${getMaxDaysAhead()} days ahead.`);
+    }
+
+    const slots = await getSlotsForDate({ date, isPickup, now });
+    const slot = slots.find(candidate => requested >= new Date(candidate.start) && requested < new Date(candidate.end));
+
+    if (!slot) {
+        throw httpError(400, `We are not taking ${isPickup ? 'pickup' : 'delivery'} orders at that time. Please choose a time within opening hours.`);
+    }
+    if (slot.start < earliestStart.toISOString()) {
+        throw httpError(400, `That time slot has closed for booking. Please choose a later time.`);
+    }
+    if (slot.remaining <= 0) {
+        throw httpError(409, 'The selected time slot is fully booked. Please choose another time.');
+    }
+
+    return { start: slot.start, end: slot.end, capacity: slot.capacity, fulfillment_type: slot.fulfillment_type, remaining: slot.remaining };
+};
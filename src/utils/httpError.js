@@ -0,0 +1,14 @@
+// backend/src/utils/httpError.js
+
+/**
+ * Creates an Error carrying an HTTP status code, so service-level code can signal
+ * client errors that controllers (or errorMiddleware) turn into the right response.
+ * @param {number} statusCode - The HTTP status code to respond with.
+ * @param {string} message - The error message to send to the client.
+ * @returns {Error}
+ */
+export const httpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
@@ -0,0 +1,15 @@
+// backend/src/utils/money.js
+
+/**
+ * Round an amount to 2 decimal places (kobo), avoiding floating point drift in totals.
+ * @param {number} amount
+ * @returns {number}
+ */
+export const roundMoney = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Format an amount for display with thousands separators and 2 decimals, e.g. 1234.5 -> "1,234.50".
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatMoney = (amount) => roundMoney(amount).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
@@ -0,0 +1,17 @@
+// backend/src/utils/safeCompare.js
+import crypto from 'crypto';
+
+/**
+ * Compare a received secret (e.g. a webhook signature) with the expected one in constant time.
+ * Lengths are compared in bytes, so multibyte input is rejected rather than making
+ * timingSafeEqual throw.
+ * @param {string} received
+ * @param {string} expected
+ * @returns {boolean}
+ */
+export const safeCompare = (received, expected) => {
+    if (typeof received !== 'string' || typeof expected !== 'string') return false;
+    const receivedBuffer = Buffer.from(received);
+    const expectedBuffer = Buffer.from(expected);
+    return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
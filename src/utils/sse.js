@@ -0,0 +1,32 @@
+// backend/src/utils/sse.js
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Keeps proxies (e.g. Render's) from closing idle streams
+
+/**
+ * Turn a response into a Server-Sent Events stream.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {() => void} onClose - Called once when the client disconnects.
+ * @returns {(event: string, data: object) => void} Function that sends one event to the client.
+ */
+export const openEventStream = (req, res, onClose) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable response buffering in nginx-style proxies
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n'); // Tell EventSource how long to wait before reconnecting
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        onClose();
+    });
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+};
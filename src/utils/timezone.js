@@ -0,0 +1,69 @@
+// backend/src/utils/timezone.js
+
+/**
+ * The restaurant's IANA time zone (RESTAURANT_TIMEZONE, default Africa/Lagos).
+ * Opening hours and time slots are defined in this zone.
+ */
+export const getRestaurantTimeZone = () => process.env.RESTAURANT_TIMEZONE || 'Africa/Lagos';
+
+/**
+ * Calendar parts of an instant as seen in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ *   weekday is 0 (Sunday) to 6 (Saturday).
+ */
+export const getZonedParts = (date, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+};
+
+/**
+ * The local calendar date (YYYY-MM-DD) of an instant in a time zone.
+ */
+export const toZonedDateString = (date, timeZone) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant.
+ * @param {string} dateString - Local date, YYYY-MM-DD.
+ * @param {number} minutesIntoDay - Local time as minutes after midnight.
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (dateString, minutesIntoDay, timeZone) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const asIfUtc = Date.UTC(year, month - 1, day, 0, minutesIntoDay);
+
+    // Find the zone's offset at that moment, then correct once more in case the first
+    // guess landed on the other side of a DST change.
+    let guess = asIfUtc;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(guess), timeZone);
+        const seenAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        guess += asIfUtc - seenAsUtc;
+    }
+
+    return new Date(guess);
+};
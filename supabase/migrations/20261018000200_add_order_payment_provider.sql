@@ -0,0 +1,26 @@
+-- Payment provider selected per order (see src/services/payments)
+alter table public.orders
+    add column if not exists payment_provider text not null default 'paystack';
+
+-- Webhooks look orders up by the gateway reference
+create index if not exists orders_payment_reference_idx on public.orders (payment_reference);
+
+-- Every reference a payment was started with. Orders only keep the latest in payment_reference,
+-- so this is how a gateway event for an earlier attempt (e.g. one the customer abandoned before
+-- retrying or switching provider) is still matched to its order.
+create table if not exists public.order_payment_attempts (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references public.orders (id) on delete cascade,
+    payment_provider text not null,
+    reference text not null,
+    created_at timestamptz not null default now(),
+    unique (payment_provider, reference)
+);
+
+create index if not exists order_payment_attempts_order_idx on public.order_payment_attempts (order_id);
+
+insert into public.order_payment_attempts (order_id, payment_provider, reference)
+select id, payment_provider, payment_reference
+from public.orders
+where payment_reference is not null
+on conflict do nothing;
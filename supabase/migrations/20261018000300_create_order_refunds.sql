@@ -0,0 +1,56 @@
+-- Refunds ledger: one row per refund issued against an order (full or partial)
+create table if not exists public.order_refunds (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references public.orders (id) on delete cascade,
+    amount numeric(12, 2) not null check (amount > 0),
+    reason text not null,
+    status text not null default 'pending', -- pending | processing | processed | failed (as reported by the provider)
+    payment_provider text not null,
+    provider_refund_reference text,
+    created_by uuid references public.users (id) on delete set null, -- null when the refund came from the gateway dashboard
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists order_refunds_order_id_idx on public.order_refunds (order_id);
+create unique index if not exists order_refunds_provider_reference_idx
+    on public.order_refunds (payment_provider, provider_refund_reference)
+    where provider_refund_reference is not null;
+
+-- Reserve a refund against an order before it is sent to the payment provider. The order row
+-- is locked while the balance is checked and the pending ledger row inserted, so concurrent
+-- refunds (e.g. an admin refund racing a customer cancellation) cannot together refund more
+-- than was paid. The caller marks the row failed if the provider then rejects the refund.
+create or replace function public.reserve_order_refund(p_order_id uuid, p_amount numeric, p_reason text, p_payment_provider text, p_actor uuid)
+returns public.order_refunds
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_refunded numeric;
+    v_refund public.order_refunds;
+begin
+    select * into v_order from public.orders where id = p_order_id for update;
+    if not found then
+        raise exception using errcode = 'P0002', message = 'Order not found.';
+    end if;
+
+    if v_order.payment_status not in ('paid', 'partially_refunded') then
+        raise exception 'Order cannot be refunded while payment status is ''%''.', v_order.payment_status;
+    end if;
+
+    select coalesce(sum(amount), 0) into v_refunded
+    from public.order_refunds
+    where order_id = v_order.id and status <> 'failed';
+
+    if p_amount > v_order.total_amount - v_refunded then
+        raise exception 'Refund amount exceeds the refundable balance of %.', to_char(v_order.total_amount - v_refunded, 'FM999999999990.00');
+    end if;
+
+    insert into public.order_refunds (order_id, amount, reason, status, payment_provider, created_by)
+    values (v_order.id, p_amount, p_reason, 'pending', p_payment_provider, p_actor)
+    returning * into v_refund;
+
+    return v_refund;
+end;
+$$;
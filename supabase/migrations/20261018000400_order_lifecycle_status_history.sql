@@ -0,0 +1,61 @@
+-- Restaurant order lifecycle (see src/services/orderLifecycle.js)
+update public.orders set status = 'confirmed' where status = 'processing';
+update public.orders set status = 'out_for_delivery' where status = 'shipped';
+update public.orders set status = 'completed' where status = 'delivered';
+
+alter table public.orders drop constraint if exists orders_status_check;
+alter table public.orders
+    add constraint orders_status_check check (status in (
+        'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery',
+        'picked_up', 'completed', 'cancelled', 'refunded'
+    ));
+
+-- One row per status change, including the initial 'pending'
+create table if not exists public.order_status_history (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references public.orders (id) on delete cascade,
+    from_status text, -- null for the row written when the order is created
+    to_status text not null,
+    changed_by uuid references public.users (id) on delete set null, -- null for system changes (e.g. payment webhooks)
+    actor_role text not null, -- the actor's role at the time, or 'system'
+    note text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx on public.order_status_history (order_id, created_at);
+
+-- Moves an order to a new status and records the change in one transaction, so the history
+-- cannot miss a status change. The update only applies while the order is still in
+-- p_from_status, so two concurrent changes cannot both apply. Which transitions are allowed
+-- is checked by the caller (see src/services/orderLifecycle.js).
+--
+-- Returns the updated order, or no rows if its status was changed meanwhile.
+create or replace function public.transition_order_status(
+    p_order_id uuid,
+    p_from_status text,
+    p_to_status text,
+    p_actor uuid,
+    p_actor_role text,
+    p_note text default null
+)
+returns setof public.orders
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+begin
+    update public.orders
+    set status = p_to_status, updated_at = now()
+    where id = p_order_id and status = p_from_status
+    returning * into v_order;
+
+    if not found then
+        return;
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, p_from_status, p_to_status, p_actor, p_actor_role, p_note);
+
+    return next v_order;
+end;
+$$;
@@ -0,0 +1,50 @@
+-- Creates an order, its items and its initial status history entry in one transaction.
+-- Any failure (including a raised exception from a side effect) rolls back everything,
+-- so an order can never exist without its items.
+--
+-- p_order:      one orders row as JSON (columns not provided fall back to their defaults)
+-- p_items:      array of order_items rows as JSON, without order_id
+-- p_actor_role: role of the user placing the order, for order_status_history
+--
+-- Returns the new order as JSON with its items under "items".
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_items jsonb;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false)
+    )
+    returning * into v_order;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions
+    from jsonb_populate_recordset(null::public.order_items, p_items) as item;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items);
+end;
+$$;
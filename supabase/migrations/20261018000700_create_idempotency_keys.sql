@@ -0,0 +1,17 @@
+-- Stored responses for requests sent with an Idempotency-Key header (see idempotencyMiddleware)
+create table if not exists public.idempotency_keys (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users (id) on delete cascade,
+    idempotency_key text not null,
+    method text not null,
+    path text not null,
+    request_fingerprint text not null, -- sha256 of method, path and body
+    status text not null default 'processing', -- processing | completed
+    response_status integer,
+    response_body jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (user_id, idempotency_key)
+);
+
+create index if not exists idempotency_keys_created_at_idx on public.idempotency_keys (created_at);
@@ -0,0 +1,24 @@
+-- Kitchen display system: stations, category routing and per-item bump state
+create table if not exists public.kitchen_stations (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique,
+    sort_order integer not null default 0,
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Items are routed to a station through their menu category
+alter table public.categories
+    add column if not exists station_id uuid references public.kitchen_stations (id) on delete set null;
+
+alter table public.order_items
+    add column if not exists prep_status text not null default 'queued',
+    add column if not exists bumped_at timestamptz,
+    add column if not exists bumped_by uuid references public.users (id) on delete set null;
+
+alter table public.order_items drop constraint if exists order_items_prep_status_check;
+alter table public.order_items
+    add constraint order_items_prep_status_check check (prep_status in ('queued', 'bumped'));
+
+create index if not exists orders_status_idx on public.orders (status);
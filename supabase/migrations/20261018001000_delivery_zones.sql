@@ -0,0 +1,31 @@
+-- Admin-managed delivery zones (see src/services/deliveryZones.js)
+create table if not exists public.delivery_zones (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique,
+    match_type text not null check (match_type in ('area', 'radius')),
+    cities text[] not null default '{}', -- area zones: matched case-insensitively against user_addresses.city
+    states text[] not null default '{}', -- area zones: matched case-insensitively against user_addresses.state
+    radius_km numeric(8, 2), -- radius zones: distance from the restaurant (RESTAURANT_LATITUDE/LONGITUDE)
+    base_fee numeric(12, 2) not null default 0 check (base_fee >= 0),
+    free_delivery_threshold numeric(12, 2) check (free_delivery_threshold >= 0), -- null: delivery is never free
+    min_order_value numeric(12, 2) not null default 0 check (min_order_value >= 0),
+    is_serviceable boolean not null default true, -- false carves out an area we do not deliver to
+    priority integer not null default 0, -- when several zones match, the highest priority wins
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (match_type <> 'radius' or radius_km > 0)
+);
+
+-- Coordinates are optional and only needed for radius zones
+alter table public.user_addresses
+    add column if not exists latitude numeric(9, 6),
+    add column if not exists longitude numeric(9, 6);
+
+-- Carry over the rules that used to be hardcoded in createOrder
+insert into public.delivery_zones (name, match_type, cities, base_fee, free_delivery_threshold, priority)
+values ('Zaria', 'area', array['zaria'], 500, 5000, 20)
+on conflict (name) do nothing;
+
+insert into public.delivery_zones (name, match_type, states, base_fee, priority)
+values ('Kaduna State', 'area', array['kaduna'], 1000, 10)
+on conflict (name) do nothing;
@@ -0,0 +1,120 @@
+-- Promo codes / coupons applied at checkout (see src/services/couponService.js)
+create table if not exists public.coupons (
+    id uuid primary key default gen_random_uuid(),
+    code text not null unique, -- stored upper-case
+    description text,
+    discount_type text not null check (discount_type in ('percentage', 'fixed_amount', 'free_delivery')),
+    discount_value numeric(12, 2) not null default 0 check (discount_value >= 0), -- percent for 'percentage', naira for 'fixed_amount'
+    max_discount_amount numeric(12, 2) check (max_discount_amount >= 0), -- optional cap for percentage coupons
+    min_order_value numeric(12, 2) not null default 0 check (min_order_value >= 0),
+    starts_at timestamptz,
+    expires_at timestamptz,
+    usage_limit integer check (usage_limit > 0), -- total redemptions across all customers; null = unlimited
+    usage_limit_per_user integer check (usage_limit_per_user > 0), -- null = unlimited
+    applicable_category_ids uuid[] not null default '{}', -- empty = no category restriction
+    applicable_menu_item_ids uuid[] not null default '{}', -- empty = no item restriction
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (discount_type <> 'percentage' or discount_value <= 100),
+    check (expires_at is null or starts_at is null or expires_at > starts_at)
+);
+
+create table if not exists public.coupon_redemptions (
+    id uuid primary key default gen_random_uuid(),
+    coupon_id uuid not null references public.coupons (id) on delete restrict,
+    order_id uuid not null unique references public.orders (id) on delete cascade,
+    user_id uuid not null references public.users (id) on delete cascade,
+    discount_amount numeric(12, 2) not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists coupon_redemptions_coupon_user_idx on public.coupon_redemptions (coupon_id, user_id);
+
+alter table public.orders
+    add column if not exists coupon_id uuid references public.coupons (id) on delete set null,
+    add column if not exists coupon_code text,
+    add column if not exists discount_amount numeric(12, 2) not null default 0;
+
+-- Same as before, plus the coupon redemption. Usage limits are re-checked here with the coupon
+-- row locked, so concurrent checkouts cannot redeem a coupon past its limits.
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_coupon public.coupons;
+    v_items jsonb;
+    v_used integer;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    if v_input.coupon_id is not null then
+        select * into v_coupon from public.coupons where id = v_input.coupon_id for update;
+
+        if not found or not v_coupon.is_active then
+            raise exception 'Coupon % is no longer available.', v_input.coupon_code;
+        end if;
+
+        if v_coupon.usage_limit is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit then
+                raise exception 'Coupon % has reached its usage limit.', v_coupon.code;
+            end if;
+        end if;
+
+        if v_coupon.usage_limit_per_user is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and r.user_id = v_input.user_id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit_per_user then
+                raise exception 'You have already used coupon % the maximum number of times.', v_coupon.code;
+            end if;
+        end if;
+    end if;
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup,
+        coupon_id, coupon_code, discount_amount
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false),
+        v_input.coupon_id, v_input.coupon_code, coalesce(v_input.discount_amount, 0)
+    )
+    returning * into v_order;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions
+    from jsonb_populate_recordset(null::public.order_items, p_items) as item;
+
+    if v_order.coupon_id is not null then
+        insert into public.coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+        values (v_order.coupon_id, v_order.id, v_order.user_id, v_order.discount_amount);
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items);
+end;
+$$;
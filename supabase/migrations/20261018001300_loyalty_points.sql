@@ -0,0 +1,139 @@
+-- Customer loyalty points (see src/services/loyaltyService.js)
+
+-- Single-row settings table
+create table if not exists public.loyalty_settings (
+    id integer primary key default 1 check (id = 1),
+    is_enabled boolean not null default true,
+    points_per_naira numeric(10, 4) not null default 0.01 check (points_per_naira >= 0), -- earn rate: 0.01 = 1 point per 100 naira spent
+    naira_per_point numeric(10, 2) not null default 1 check (naira_per_point > 0), -- burn rate: discount value of one point
+    min_redeem_points integer not null default 100 check (min_redeem_points >= 0),
+    max_redeem_percent numeric(5, 2) not null default 50 check (max_redeem_percent between 0 and 100), -- share of the order points may pay for
+    updated_by uuid references public.users (id) on delete set null,
+    updated_at timestamptz not null default now()
+);
+
+insert into public.loyalty_settings (id) values (1) on conflict (id) do nothing;
+
+-- Points ledger: the balance is the sum of points per user
+create table if not exists public.loyalty_transactions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users (id) on delete cascade,
+    order_id uuid references public.orders (id) on delete set null,
+    points integer not null check (points <> 0), -- positive earns, negative spends
+    type text not null check (type in ('earn', 'redeem', 'redeem_reversal', 'clawback', 'adjustment')),
+    reason text,
+    created_by uuid references public.users (id) on delete set null, -- set for manual adjustments
+    created_at timestamptz not null default now()
+);
+
+create index if not exists loyalty_transactions_user_idx on public.loyalty_transactions (user_id, created_at desc);
+-- An order earns, spends and gets its spent points back at most once
+create unique index if not exists loyalty_transactions_order_once_idx
+    on public.loyalty_transactions (order_id, type)
+    where order_id is not null and type in ('earn', 'redeem', 'redeem_reversal');
+
+alter table public.orders
+    add column if not exists loyalty_points_redeemed integer not null default 0,
+    add column if not exists loyalty_discount_amount numeric(12, 2) not null default 0;
+
+-- Same as before, plus spending loyalty points. The balance is checked under a per-user lock
+-- so two checkouts cannot spend the same points.
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_coupon public.coupons;
+    v_items jsonb;
+    v_used integer;
+    v_balance integer;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    if v_input.coupon_id is not null then
+        select * into v_coupon from public.coupons where id = v_input.coupon_id for update;
+
+        if not found or not v_coupon.is_active then
+            raise exception 'Coupon % is no longer available.', v_input.coupon_code;
+        end if;
+
+        if v_coupon.usage_limit is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit then
+                raise exception 'Coupon % has reached its usage limit.', v_coupon.code;
+            end if;
+        end if;
+
+        if v_coupon.usage_limit_per_user is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and r.user_id = v_input.user_id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit_per_user then
+                raise exception 'You have already used coupon % the maximum number of times.', v_coupon.code;
+            end if;
+        end if;
+    end if;
+
+    if coalesce(v_input.loyalty_points_redeemed, 0) > 0 then
+        perform pg_advisory_xact_lock(hashtext('loyalty:' || v_input.user_id::text));
+
+        select coalesce(sum(points), 0) into v_balance
+        from public.loyalty_transactions
+        where user_id = v_input.user_id;
+
+        if v_balance < v_input.loyalty_points_redeemed then
+            raise exception 'Not enough loyalty points: % available, % requested.', v_balance, v_input.loyalty_points_redeemed;
+        end if;
+    end if;
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup,
+        coupon_id, coupon_code, discount_amount, loyalty_points_redeemed, loyalty_discount_amount
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false),
+        v_input.coupon_id, v_input.coupon_code, coalesce(v_input.discount_amount, 0),
+        coalesce(v_input.loyalty_points_redeemed, 0), coalesce(v_input.loyalty_discount_amount, 0)
+    )
+    returning * into v_order;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions
+    from jsonb_populate_recordset(null::public.order_items, p_items) as item;
+
+    if v_order.coupon_id is not null then
+        insert into public.coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+        values (v_order.coupon_id, v_order.id, v_order.user_id, v_order.discount_amount - v_order.loyalty_discount_amount);
+    end if;
+
+    if v_order.loyalty_points_redeemed > 0 then
+        insert into public.loyalty_transactions (user_id, order_id, points, type, reason)
+        values (v_order.user_id, v_order.id, -v_order.loyalty_points_redeemed, 'redeem', 'Redeemed on order ' || v_order.order_number);
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items);
+end;
+$$;
@@ -0,0 +1,150 @@
+-- Scheduled pre-orders with time slots and per-slot capacity (see src/services/timeSlots.js)
+
+-- Opening hours per weekday, split into bookable slots. Times are in RESTAURANT_TIMEZONE.
+create table if not exists public.time_slot_rules (
+    id uuid primary key default gen_random_uuid(),
+    day_of_week smallint not null check (day_of_week between 0 and 6), -- 0 = Sunday
+    opens_at time not null,
+    closes_at time not null,
+    slot_minutes integer not null default 15 check (slot_minutes between 5 and 240),
+    max_orders_per_slot integer not null check (max_orders_per_slot > 0),
+    fulfillment_type text not null default 'any' check (fulfillment_type in ('any', 'pickup', 'delivery')),
+    is_active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (closes_at > opens_at)
+);
+
+-- null means ASAP
+alter table public.orders add column if not exists scheduled_for timestamptz;
+create index if not exists orders_scheduled_for_idx on public.orders (scheduled_for) where scheduled_for is not null;
+-- When an order is due: its slot, or when it was placed for ASAP orders (slot capacity counts both)
+create index if not exists orders_due_at_idx on public.orders ((coalesce(scheduled_for, created_at)));
+
+-- Same as before, plus the slot capacity check for scheduled orders. p_slot is
+-- { "start", "end", "capacity", "fulfillment_type" } for the slot being booked, or null for
+-- ASAP orders; bookings for one slot are serialised so it cannot be overfilled.
+drop function if exists public.create_order_with_items(jsonb, jsonb, text);
+
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text, p_slot jsonb default null)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_coupon public.coupons;
+    v_items jsonb;
+    v_used integer;
+    v_balance integer;
+    v_slot_start timestamptz;
+    v_slot_end timestamptz;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    if v_input.coupon_id is not null then
+        select * into v_coupon from public.coupons where id = v_input.coupon_id for update;
+
+        if not found or not v_coupon.is_active then
+            raise exception 'Coupon % is no longer available.', v_input.coupon_code;
+        end if;
+
+        if v_coupon.usage_limit is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit then
+                raise exception 'Coupon % has reached its usage limit.', v_coupon.code;
+            end if;
+        end if;
+
+        if v_coupon.usage_limit_per_user is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and r.user_id = v_input.user_id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit_per_user then
+                raise exception 'You have already used coupon % the maximum number of times.', v_coupon.code;
+            end if;
+        end if;
+    end if;
+
+    if coalesce(v_input.loyalty_points_redeemed, 0) > 0 then
+        perform pg_advisory_xact_lock(hashtext('loyalty:' || v_input.user_id::text));
+
+        select coalesce(sum(points), 0) into v_balance
+        from public.loyalty_transactions
+        where user_id = v_input.user_id;
+
+        if v_balance < v_input.loyalty_points_redeemed then
+            raise exception 'Not enough loyalty points: % available, % requested.', v_balance, v_input.loyalty_points_redeemed;
+        end if;
+    end if;
+
+    if p_slot is not null then
+        v_slot_start := (p_slot ->> 'start')::timestamptz;
+        v_slot_end := (p_slot ->> 'end')::timestamptz;
+        perform pg_advisory_xact_lock(hashtext('slot:' || v_slot_start::text));
+
+        -- Live orders due in the slot, ASAP ones by when they were placed; a pickup-only or
+        -- delivery-only rule counts only orders of its own kind
+        select count(*) into v_used
+        from public.orders
+        where coalesce(scheduled_for, created_at) >= v_slot_start
+            and coalesce(scheduled_for, created_at) < v_slot_end
+            and status not in ('cancelled', 'refunded')
+            and (coalesce(p_slot ->> 'fulfillment_type', 'any') = 'any' or is_pickup = (p_slot ->> 'fulfillment_type' = 'pickup'));
+
+        if v_used >= (p_slot ->> 'capacity')::integer then
+            raise exception 'The selected time slot is fully booked. Please choose another time.';
+        end if;
+    end if;
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup,
+        coupon_id, coupon_code, discount_amount, loyalty_points_redeemed, loyalty_discount_amount,
+        scheduled_for
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false),
+        v_input.coupon_id, v_input.coupon_code, coalesce(v_input.discount_amount, 0),
+        coalesce(v_input.loyalty_points_redeemed, 0), coalesce(v_input.loyalty_discount_amount, 0),
+        v_input.scheduled_for
+    )
+    returning * into v_order;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions
+    from jsonb_populate_recordset(null::public.order_items, p_items) as item;
+
+    if v_order.coupon_id is not null then
+        insert into public.coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+        values (v_order.coupon_id, v_order.id, v_order.user_id, v_order.discount_amount - v_order.loyalty_discount_amount);
+    end if;
+
+    if v_order.loyalty_points_redeemed > 0 then
+        insert into public.loyalty_transactions (user_id, order_id, points, type, reason)
+        values (v_order.user_id, v_order.id, -v_order.loyalty_points_redeemed, 'redeem', 'Redeemed on order ' || v_order.order_number);
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items);
+end;
+$$;
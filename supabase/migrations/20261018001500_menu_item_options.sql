@@ -0,0 +1,295 @@
+-- Menu item modifiers: option groups (size, add-ons, "choose a drink") with priced options
+
+create table if not exists public.menu_option_groups (
+    id uuid primary key default gen_random_uuid(),
+    menu_item_id uuid not null references public.menu_items(id) on delete cascade,
+    name text not null,
+    is_required boolean not null default false,
+    min_selections integer not null default 0 check (min_selections >= 0),
+    max_selections integer not null default 1 check (max_selections >= 1),
+    sort_order integer not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (min_selections <= max_selections),
+    check (not is_required or min_selections >= 1)
+);
+
+create index if not exists menu_option_groups_menu_item_idx on public.menu_option_groups (menu_item_id);
+
+create table if not exists public.menu_options (
+    id uuid primary key default gen_random_uuid(),
+    group_id uuid not null references public.menu_option_groups(id) on delete cascade,
+    name text not null,
+    price_delta numeric(10, 2) not null default 0, -- Added to the item price; may be negative
+    is_available boolean not null default true,
+    sort_order integer not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists menu_options_group_idx on public.menu_options (group_id);
+
+-- Snapshot of the options chosen for an order item:
+-- [{ group_id, group_name, option_id, name, price_delta }]. price_at_order already includes the deltas.
+alter table public.order_items add column if not exists selected_options jsonb not null default '[]'::jsonb;
+
+-- Replace a menu item's option groups with p_groups in one transaction. Groups and options
+-- that carry an id are updated in place (so saved carts keep pointing at them), new ones are
+-- inserted, and anything no longer listed is deleted. Array position becomes sort_order.
+create or replace function public.set_menu_item_option_groups(p_menu_item_id uuid, p_groups jsonb)
+returns void
+language plpgsql
+as $$
+declare
+    v_group jsonb;
+    v_group_position bigint;
+    v_group_id uuid;
+    v_option jsonb;
+    v_option_position bigint;
+    v_option_id uuid;
+    v_keep_groups uuid[] := '{}';
+    v_keep_options uuid[];
+begin
+    for v_group, v_group_position in
+        select value, ordinality from jsonb_array_elements(coalesce(p_groups, '[]'::jsonb)) with ordinality
+    loop
+        if v_group ->> 'id' is not null then
+            update public.menu_option_groups
+            set name = v_group ->> 'name',
+                is_required = (v_group ->> 'is_required')::boolean,
+                min_selections = (v_group ->> 'min_selections')::integer,
+                max_selections = (v_group ->> 'max_selections')::integer,
+                sort_order = v_group_position,
+                updated_at = now()
+            where id = (v_group ->> 'id')::uuid and menu_item_id = p_menu_item_id
+            returning id into v_group_id;
+
+            if not found then
+                raise exception 'Option group % does not belong to this menu item.', v_group ->> 'id';
+            end if;
+        else
+            insert into public.menu_option_groups (menu_item_id, name, is_required, min_selections, max_selections, sort_order)
+            values (
+                p_menu_item_id, v_group ->> 'name', (v_group ->> 'is_required')::boolean,
+                (v_group ->> 'min_selections')::integer, (v_group ->> 'max_selections')::integer, v_group_position
+            )
+            returning id into v_group_id;
+        end if;
+
+        v_keep_groups := v_keep_groups || v_group_id;
+        v_keep_options := '{}';
+
+        for v_option, v_option_position in
+            select value, ordinality from jsonb_array_elements(coalesce(v_group -> 'options', '[]'::jsonb)) with ordinality
+        loop
+            if v_option ->> 'id' is not null then
+                update public.menu_options
+                set name = v_option ->> 'name',
+                    price_delta = (v_option ->> 'price_delta')::numeric,
+                    is_available = (v_option ->> 'is_available')::boolean,
+                    sort_order = v_option_position,
+                    updated_at = now()
+                where id = (v_option ->> 'id')::uuid and group_id = v_group_id
+                returning id into v_option_id;
+
+                if not found then
+                    raise exception 'Option % does not belong to option group %.', v_option ->> 'id', v_group ->> 'name';
+                end if;
+            else
+                insert into public.menu_options (group_id, name, price_delta, is_available, sort_order)
+                values (
+                    v_group_id, v_option ->> 'name', (v_option ->> 'price_delta')::numeric,
+                    (v_option ->> 'is_available')::boolean, v_option_position
+                )
+                returning id into v_option_id;
+            end if;
+
+            v_keep_options := v_keep_options || v_option_id;
+        end loop;
+
+        delete from public.menu_options where group_id = v_group_id and not (id = any(v_keep_options));
+    end loop;
+
+    delete from public.menu_option_groups where menu_item_id = p_menu_item_id and not (id = any(v_keep_groups));
+end;
+$$;
+
+-- Same as before, plus the selected_options snapshot on each order item.
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text, p_slot jsonb default null)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_coupon public.coupons;
+    v_items jsonb;
+    v_used integer;
+    v_balance integer;
+    v_slot_start timestamptz;
+    v_slot_end timestamptz;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    if v_input.coupon_id is not null then
+        select * into v_coupon from public.coupons where id = v_input.coupon_id for update;
+
+        if not found or not v_coupon.is_active then
+            raise exception 'Coupon % is no longer available.', v_input.coupon_code;
+        end if;
+
+        if v_coupon.usage_limit is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit then
+                raise exception 'Coupon % has reached its usage limit.', v_coupon.code;
+            end if;
+        end if;
+
+        if v_coupon.usage_limit_per_user is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and r.user_id = v_input.user_id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit_per_user then
+                raise exception 'You have already used coupon % the maximum number of times.', v_coupon.code;
+            end if;
+        end if;
+    end if;
+
+    if coalesce(v_input.loyalty_points_redeemed, 0) > 0 then
+        perform pg_advisory_xact_lock(hashtext('loyalty:' || v_input.user_id::text));
+
+        select coalesce(sum(points), 0) into v_balance
+        from public.loyalty_transactions
+        where user_id = v_input.user_id;
+
+        if v_balance < v_input.loyalty_points_redeemed then
+            raise exception 'Not enough loyalty points: % available, % requested.', v_balance, v_input.loyalty_points_redeemed;
+        end if;
+    end if;
+
+    if p_slot is not null then
+        v_slot_start := (p_slot ->> 'start')::timestamptz;
+        v_slot_end := (p_slot ->> 'end')::timestamptz;
+        perform pg_advisory_xact_lock(hashtext('slot:' || v_slot_start::text));
+
+        -- Live orders due in the slot, ASAP ones by when they were placed; a pickup-only or
+        -- delivery-only rule counts only orders of its own kind
+        select count(*) into v_used
+        from public.orders
+        where coalesce(scheduled_for, created_at) >= v_slot_start
+            and coalesce(scheduled_for, created_at) < v_slot_end
+            and status not in ('cancelled', 'refunded')
+            and (coalesce(p_slot ->> 'fulfillment_type', 'any') = 'any' or is_pickup = (p_slot ->> 'fulfillment_type' = 'pickup'));
+
+        if v_used >= (p_slot ->> 'capacity')::integer then
+            raise exception 'The selected time slot is fully booked. Please choose another time.';
+        end if;
+    end if;
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup,
+        coupon_id, coupon_code, discount_amount, loyalty_points_redeemed, loyalty_discount_amount,
+        scheduled_for
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false),
+        v_input.coupon_id, v_input.coupon_code, coalesce(v_input.discount_amount, 0),
+        coalesce(v_input.loyalty_points_redeemed, 0), coalesce(v_input.loyalty_discount_amount, 0),
+        v_input.scheduled_for
+    )
+    returning * into v_order;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions, selected_options)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions, coalesce(item.selected_options, '[]'::jsonb)
+    from jsonb_populate_recordset(null::public.order_items, p_items) as item;
+
+    if v_order.coupon_id is not null then
+        insert into public.coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+        values (v_order.coupon_id, v_order.id, v_order.user_id, v_order.discount_amount - v_order.loyalty_discount_amount);
+    end if;
+
+    if v_order.loyalty_points_redeemed > 0 then
+        insert into public.loyalty_transactions (user_id, order_id, points, type, reason)
+        values (v_order.user_id, v_order.id, -v_order.loyalty_points_redeemed, 'redeem', 'Redeemed on order ' || v_order.order_number);
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items);
+end;
+$$;
+
+-- Update a menu item and, when p_groups is given, replace its option groups, in one
+-- transaction so a rejected option payload leaves the item as it was. Only the columns
+-- present in p_item are changed.
+create or replace function public.update_menu_item_with_option_groups(p_menu_item_id uuid, p_item jsonb, p_groups jsonb default null)
+returns void
+language plpgsql
+as $$
+begin
+    update public.menu_items
+    set category_id = case when p_item ? 'category_id' then (p_item ->> 'category_id')::uuid else category_id end,
+        name = case when p_item ? 'name' then p_item ->> 'name' else name end,
+        description = case when p_item ? 'description' then p_item ->> 'description' else description end,
+        price = case when p_item ? 'price' then (p_item ->> 'price')::numeric else price end,
+        image_url = case when p_item ? 'image_url' then p_item ->> 'image_url' else image_url end,
+        is_available = case when p_item ? 'is_available' then (p_item ->> 'is_available')::boolean else is_available end,
+        updated_at = now()
+    where id = p_menu_item_id;
+
+    if not found then
+        raise exception using errcode = 'P0002', message = 'Menu item not found.';
+    end if;
+
+    if p_groups is not null then
+        perform public.set_menu_item_option_groups(p_menu_item_id, p_groups);
+    end if;
+end;
+$$;
+
+-- Create a menu item together with its option groups in one transaction, so an item is never
+-- left behind without the options it was created with. Returns the new item's id.
+create or replace function public.create_menu_item_with_option_groups(p_item jsonb, p_groups jsonb default null)
+returns uuid
+language plpgsql
+as $$
+declare
+    v_menu_item_id uuid;
+begin
+    insert into public.menu_items (category_id, name, description, price, image_url, is_available)
+    values (
+        (p_item ->> 'category_id')::uuid,
+        p_item ->> 'name',
+        p_item ->> 'description',
+        (p_item ->> 'price')::numeric,
+        p_item ->> 'image_url',
+        coalesce((p_item ->> 'is_available')::boolean, true)
+    )
+    returning id into v_menu_item_id;
+
+    if p_groups is not null then
+        perform public.set_menu_item_option_groups(v_menu_item_id, p_groups);
+    end if;
+
+    return v_menu_item_id;
+end;
+$$;
@@ -0,0 +1,234 @@
+-- Combo meals: bundles of menu items sold at their own price, with optional swap choices
+
+create table if not exists public.bundles (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique,
+    description text,
+    price numeric(10, 2) not null check (price > 0),
+    image_url text,
+    category_id uuid references public.categories(id) on delete set null,
+    is_active boolean not null default true, -- Availability is also derived from the components
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists public.bundle_components (
+    id uuid primary key default gen_random_uuid(),
+    bundle_id uuid not null references public.bundles(id) on delete cascade,
+    menu_item_id uuid not null references public.menu_items(id) on delete restrict,
+    quantity integer not null default 1 check (quantity > 0),
+    is_required boolean not null default true, -- Optional components are left out when unavailable
+    sort_order integer not null default 0,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists bundle_components_bundle_idx on public.bundle_components (bundle_id);
+
+-- Alternatives a customer may pick instead of a component's default item
+create table if not exists public.bundle_component_swaps (
+    id uuid primary key default gen_random_uuid(),
+    component_id uuid not null references public.bundle_components(id) on delete cascade,
+    menu_item_id uuid not null references public.menu_items(id) on delete cascade,
+    price_delta numeric(10, 2) not null default 0,
+    created_at timestamptz not null default now(),
+    unique (component_id, menu_item_id)
+);
+
+-- A bundle as ordered. It carries the price; its components are order_items rows with
+-- order_bundle_id set and price_at_order 0, so the kitchen sees them like any other item.
+create table if not exists public.order_bundles (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references public.orders(id) on delete cascade,
+    bundle_id uuid references public.bundles(id) on delete set null,
+    name text not null,
+    quantity integer not null check (quantity > 0),
+    price_at_order numeric(10, 2) not null, -- Per bundle, swap surcharges included
+    selected_swaps jsonb not null default '[]'::jsonb, -- [{ component_id, from_menu_item_id, menu_item_id, name, price_delta }]
+    special_instructions text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists order_bundles_order_idx on public.order_bundles (order_id);
+
+alter table public.order_items add column if not exists order_bundle_id uuid references public.order_bundles(id) on delete cascade;
+
+-- Replace a bundle's components (and their swaps) with p_components in one transaction.
+-- Array position becomes sort_order.
+create or replace function public.set_bundle_components(p_bundle_id uuid, p_components jsonb)
+returns void
+language plpgsql
+as $$
+declare
+    v_component jsonb;
+    v_position bigint;
+    v_component_id uuid;
+begin
+    delete from public.bundle_components where bundle_id = p_bundle_id;
+
+    for v_component, v_position in
+        select value, ordinality from jsonb_array_elements(coalesce(p_components, '[]'::jsonb)) with ordinality
+    loop
+        insert into public.bundle_components (bundle_id, menu_item_id, quantity, is_required, sort_order)
+        values (
+            p_bundle_id, (v_component ->> 'menu_item_id')::uuid, (v_component ->> 'quantity')::integer,
+            (v_component ->> 'is_required')::boolean, v_position
+        )
+        returning id into v_component_id;
+
+        insert into public.bundle_component_swaps (component_id, menu_item_id, price_delta)
+        select v_component_id, (swap ->> 'menu_item_id')::uuid, (swap ->> 'price_delta')::numeric
+        from jsonb_array_elements(coalesce(v_component -> 'swaps', '[]'::jsonb)) as swap;
+    end loop;
+end;
+$$;
+
+-- Same as before, plus ordered bundles. p_bundles entries carry a bundle_line key that the
+-- component entries in p_items reference, linking each component to its order_bundles row.
+drop function if exists public.create_order_with_items(jsonb, jsonb, text, jsonb);
+
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text, p_slot jsonb default null, p_bundles jsonb default '[]'::jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_coupon public.coupons;
+    v_items jsonb;
+    v_bundles jsonb;
+    v_bundle jsonb;
+    v_bundle_id uuid;
+    v_bundle_ids jsonb := '{}'::jsonb;
+    v_used integer;
+    v_balance integer;
+    v_slot_start timestamptz;
+    v_slot_end timestamptz;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    if v_input.coupon_id is not null then
+        select * into v_coupon from public.coupons where id = v_input.coupon_id for update;
+
+        if not found or not v_coupon.is_active then
+            raise exception 'Coupon % is no longer available.', v_input.coupon_code;
+        end if;
+
+        if v_coupon.usage_limit is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit then
+                raise exception 'Coupon % has reached its usage limit.', v_coupon.code;
+            end if;
+        end if;
+
+        if v_coupon.usage_limit_per_user is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and r.user_id = v_input.user_id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit_per_user then
+                raise exception 'You have already used coupon % the maximum number of times.', v_coupon.code;
+            end if;
+        end if;
+    end if;
+
+    if coalesce(v_input.loyalty_points_redeemed, 0) > 0 then
+        perform pg_advisory_xact_lock(hashtext('loyalty:' || v_input.user_id::text));
+
+        select coalesce(sum(points), 0) into v_balance
+        from public.loyalty_transactions
+        where user_id = v_input.user_id;
+
+        if v_balance < v_input.loyalty_points_redeemed then
+            raise exception 'Not enough loyalty points: % available, % requested.', v_balance, v_input.loyalty_points_redeemed;
+        end if;
+    end if;
+
+    if p_slot is not null then
+        v_slot_start := (p_slot ->> 'start')::timestamptz;
+        v_slot_end := (p_slot ->> 'end')::timestamptz;
+        perform pg_advisory_xact_lock(hashtext('slot:' || v_slot_start::text));
+
+        -- Live orders due in the slot, ASAP ones by when they were placed; a pickup-only or
+        -- delivery-only rule counts only orders of its own kind
+        select count(*) into v_used
+        from public.orders
+        where coalesce(scheduled_for, created_at) >= v_slot_start
+            and coalesce(scheduled_for, created_at) < v_slot_end
+            and status not in ('cancelled', 'refunded')
+            and (coalesce(p_slot ->> 'fulfillment_type', 'any') = 'any' or is_pickup = (p_slot ->> 'fulfillment_type' = 'pickup'));
+
+        if v_used >= (p_slot ->> 'capacity')::integer then
+            raise exception 'The selected time slot is fully booked. Please choose another time.';
+        end if;
+    end if;
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup,
+        coupon_id, coupon_code, discount_amount, loyalty_points_redeemed, loyalty_discount_amount,
+        scheduled_for
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false),
+        v_input.coupon_id, v_input.coupon_code, coalesce(v_input.discount_amount, 0),
+        coalesce(v_input.loyalty_points_redeemed, 0), coalesce(v_input.loyalty_discount_amount, 0),
+        v_input.scheduled_for
+    )
+    returning * into v_order;
+
+    -- Bundles first, so their component items can point at them via bundle_line
+    for v_bundle in select value from jsonb_array_elements(coalesce(p_bundles, '[]'::jsonb))
+    loop
+        insert into public.order_bundles (order_id, bundle_id, name, quantity, price_at_order, selected_swaps, special_instructions)
+        values (
+            v_order.id, (v_bundle ->> 'bundle_id')::uuid, v_bundle ->> 'name', (v_bundle ->> 'quantity')::integer,
+            (v_bundle ->> 'price_at_order')::numeric, coalesce(v_bundle -> 'selected_swaps', '[]'::jsonb), v_bundle ->> 'special_instructions'
+        )
+        returning id into v_bundle_id;
+
+        v_bundle_ids := v_bundle_ids || jsonb_build_object(v_bundle ->> 'bundle_line', v_bundle_id);
+    end loop;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions, selected_options, order_bundle_id)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions, coalesce(item.selected_options, '[]'::jsonb),
+        (v_bundle_ids ->> (entry.value ->> 'bundle_line'))::uuid
+    from jsonb_array_elements(p_items) as entry,
+        lateral jsonb_populate_record(null::public.order_items, entry.value) as item;
+
+    if v_order.coupon_id is not null then
+        insert into public.coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+        values (v_order.coupon_id, v_order.id, v_order.user_id, v_order.discount_amount - v_order.loyalty_discount_amount);
+    end if;
+
+    if v_order.loyalty_points_redeemed > 0 then
+        insert into public.loyalty_transactions (user_id, order_id, points, type, reason)
+        values (v_order.user_id, v_order.id, -v_order.loyalty_points_redeemed, 'redeem', 'Redeemed on order ' || v_order.order_number);
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    select coalesce(jsonb_agg(to_jsonb(ob) order by ob.created_at), '[]'::jsonb)
+    into v_bundles
+    from public.order_bundles ob
+    where ob.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items, 'bundles', v_bundles);
+end;
+$$;
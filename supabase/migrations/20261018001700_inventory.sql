@@ -0,0 +1,175 @@
+-- Stock tracking per menu item (see src/services/inventoryService.js)
+
+-- null stock_quantity means the item is not stock-tracked
+alter table public.menu_items add column if not exists stock_quantity integer;
+alter table public.menu_items add column if not exists low_stock_threshold integer check (low_stock_threshold >= 0);
+-- Set when the item was switched off because it ran out, so a restock can switch it back on
+alter table public.menu_items add column if not exists stock_auto_disabled boolean not null default false;
+
+-- When the order's items were taken out of stock (on confirmation); cleared when put back
+alter table public.orders add column if not exists stock_committed_at timestamptz;
+
+-- Every stock change, from orders and from admin adjustments
+create table if not exists public.stock_movements (
+    id uuid primary key default gen_random_uuid(),
+    menu_item_id uuid not null references public.menu_items (id) on delete cascade,
+    order_id uuid references public.orders (id) on delete set null,
+    change integer not null,
+    quantity_after integer not null,
+    reason text not null check (reason in ('order_confirmed', 'order_cancelled', 'restock', 'waste', 'correction', 'stocktake')),
+    note text,
+    created_by uuid references public.users (id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_menu_item_idx on public.stock_movements (menu_item_id, created_at desc);
+
+-- Apply a stock change to one tracked item, keeping is_available in step: an item that runs
+-- out is switched off, and one that was switched off for running out comes back when restocked.
+-- Returns the updated item, or null if the item is not stock-tracked.
+create or replace function public.apply_stock_change(
+    p_menu_item_id uuid,
+    p_change integer,
+    p_reason text,
+    p_order_id uuid default null,
+    p_note text default null,
+    p_actor uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_item public.menu_items;
+begin
+    update public.menu_items
+    set stock_quantity = stock_quantity + p_change,
+        is_available = case
+            when stock_quantity + p_change <= 0 then false
+            when stock_auto_disabled then true
+            else is_available
+        end,
+        stock_auto_disabled = case
+            when stock_quantity + p_change <= 0 then (is_available or stock_auto_disabled)
+            else false
+        end,
+        updated_at = now()
+    where id = p_menu_item_id and stock_quantity is not null
+    returning * into v_item;
+
+    if not found then
+        return null;
+    end if;
+
+    insert into public.stock_movements (menu_item_id, order_id, change, quantity_after, reason, note, created_by)
+    values (p_menu_item_id, p_order_id, p_change, v_item.stock_quantity, p_reason, p_note, p_actor);
+
+    return to_jsonb(v_item);
+end;
+$$;
+
+-- Take an order's items out of stock (bundle components included). Safe to call twice:
+-- the order is locked and only committed once. Returns the tracked items that changed.
+create or replace function public.commit_order_stock(p_order_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_line record;
+    v_item jsonb;
+    v_items jsonb := '[]'::jsonb;
+begin
+    select * into v_order from public.orders where id = p_order_id for update;
+    if not found or v_order.stock_committed_at is not null then
+        return v_items;
+    end if;
+
+    for v_line in
+        select menu_item_id, sum(quantity)::integer as quantity
+        from public.order_items
+        where order_id = p_order_id
+        group by menu_item_id
+        order by menu_item_id -- Consistent lock order across concurrent orders
+    loop
+        v_item := public.apply_stock_change(v_line.menu_item_id, -v_line.quantity, 'order_confirmed', p_order_id);
+        if v_item is not null then
+            v_items := v_items || jsonb_build_array(v_item);
+        end if;
+    end loop;
+
+    update public.orders set stock_committed_at = now() where id = p_order_id;
+    return v_items;
+end;
+$$;
+
+-- Put a committed order's items back into stock (on cancellation). Safe to call twice.
+create or replace function public.release_order_stock(p_order_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_line record;
+    v_item jsonb;
+    v_items jsonb := '[]'::jsonb;
+begin
+    select * into v_order from public.orders where id = p_order_id for update;
+    if not found or v_order.stock_committed_at is null then
+        return v_items;
+    end if;
+
+    for v_line in
+        select menu_item_id, sum(quantity)::integer as quantity
+        from public.order_items
+        where order_id = p_order_id
+        group by menu_item_id
+        order by menu_item_id
+    loop
+        v_item := public.apply_stock_change(v_line.menu_item_id, v_line.quantity, 'order_cancelled', p_order_id);
+        if v_item is not null then
+            v_items := v_items || jsonb_build_array(v_item);
+        end if;
+    end loop;
+
+    update public.orders set stock_committed_at = null where id = p_order_id;
+    return v_items;
+end;
+$$;
+
+-- Admin adjustment: either a relative p_change or an absolute p_set_to (stocktake).
+-- Adjusting an untracked item starts tracking it from zero.
+create or replace function public.adjust_menu_item_stock(
+    p_menu_item_id uuid,
+    p_change integer,
+    p_set_to integer,
+    p_reason text,
+    p_note text,
+    p_actor uuid
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_current integer;
+begin
+    select coalesce(stock_quantity, 0) into v_current
+    from public.menu_items
+    where id = p_menu_item_id
+    for update;
+
+    if not found then
+        raise exception 'Menu item not found.';
+    end if;
+
+    update public.menu_items set stock_quantity = v_current where id = p_menu_item_id and stock_quantity is null;
+
+    return public.apply_stock_change(
+        p_menu_item_id,
+        coalesce(p_set_to - v_current, p_change),
+        p_reason,
+        null,
+        p_note,
+        p_actor
+    );
+end;
+$$;
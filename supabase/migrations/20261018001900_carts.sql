@@ -0,0 +1,30 @@
+-- Server-side carts, one per user, shared across devices (see src/services/cartService.js)
+
+create table if not exists public.carts (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null unique references public.users (id) on delete cascade,
+    -- Checkout choices, remembered between devices
+    address_id uuid references public.user_addresses (id) on delete set null,
+    is_pickup boolean not null default false,
+    coupon_code text,
+    delivery_notes text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now() -- Last activity; old carts with items are abandoned
+);
+
+create table if not exists public.cart_items (
+    id uuid primary key default gen_random_uuid(),
+    cart_id uuid not null references public.carts (id) on delete cascade,
+    menu_item_id uuid references public.menu_items (id) on delete cascade,
+    bundle_id uuid references public.bundles (id) on delete cascade,
+    quantity integer not null check (quantity > 0),
+    options jsonb not null default '[]'::jsonb, -- menu_options ids
+    swaps jsonb not null default '[]'::jsonb, -- [{ component_id, menu_item_id }] for bundles
+    special_instructions text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check ((menu_item_id is null) <> (bundle_id is null))
+);
+
+create index if not exists cart_items_cart_idx on public.cart_items (cart_id);
+create index if not exists carts_updated_at_idx on public.carts (updated_at);
@@ -0,0 +1,189 @@
+-- Tax (VAT) and service charge configuration, and the computed amounts stored on each order
+-- (see src/services/taxService.js)
+
+-- Single-row settings table. Taxes are off until an admin turns them on.
+create table if not exists public.tax_settings (
+    id integer primary key default 1 check (id = 1),
+    is_enabled boolean not null default false,
+    label text not null default 'VAT',
+    default_rate numeric(5, 2) not null default 7.5 check (default_rate between 0 and 100), -- percent
+    prices_include_tax boolean not null default false, -- menu prices and delivery fees already include tax
+    tax_delivery boolean not null default false, -- whether the delivery fee is taxed
+    service_charge_enabled boolean not null default false,
+    service_charge_label text not null default 'Service charge',
+    service_charge_rate numeric(5, 2) not null default 0 check (service_charge_rate between 0 and 100), -- percent of the food after discounts
+    service_charge_dine_in boolean not null default true, -- charge dine-in orders
+    service_charge_min_subtotal numeric(12, 2) check (service_charge_min_subtotal >= 0), -- also charge any order at least this large; null = never
+    service_charge_taxable boolean not null default true,
+    updated_by uuid references public.users (id) on delete set null,
+    updated_at timestamptz not null default now()
+);
+
+insert into public.tax_settings (id) values (1) on conflict (id) do nothing;
+
+-- Categories taxed at a rate other than the default (0 = exempt, e.g. unprocessed food)
+create table if not exists public.category_tax_rates (
+    category_id uuid primary key references public.categories (id) on delete cascade,
+    rate numeric(5, 2) not null check (rate between 0 and 100),
+    updated_at timestamptz not null default now()
+);
+
+-- taxes: [{ code, label, rate, taxable_amount, amount, included }]
+-- charges: [{ code, label, rate, amount }]
+-- When prices_include_tax is set, tax_total is already part of the prices and is not added to total_amount.
+alter table public.orders
+    add column if not exists prices_include_tax boolean not null default false,
+    add column if not exists taxes jsonb not null default '[]'::jsonb,
+    add column if not exists tax_total numeric(12, 2) not null default 0,
+    add column if not exists charges jsonb not null default '[]'::jsonb,
+    add column if not exists charge_total numeric(12, 2) not null default 0;
+
+-- Same as before, plus the tax and service charge columns.
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text, p_slot jsonb default null, p_bundles jsonb default '[]'::jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_coupon public.coupons;
+    v_items jsonb;
+    v_bundles jsonb;
+    v_bundle jsonb;
+    v_bundle_id uuid;
+    v_bundle_ids jsonb := '{}'::jsonb;
+    v_used integer;
+    v_balance integer;
+    v_slot_start timestamptz;
+    v_slot_end timestamptz;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    if v_input.coupon_id is not null then
+        select * into v_coupon from public.coupons where id = v_input.coupon_id for update;
+
+        if not found or not v_coupon.is_active then
+            raise exception 'Coupon % is no longer available.', v_input.coupon_code;
+        end if;
+
+        if v_coupon.usage_limit is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit then
+                raise exception 'Coupon % has reached its usage limit.', v_coupon.code;
+            end if;
+        end if;
+
+        if v_coupon.usage_limit_per_user is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and r.user_id = v_input.user_id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit_per_user then
+                raise exception 'You have already used coupon % the maximum number of times.', v_coupon.code;
+            end if;
+        end if;
+    end if;
+
+    if coalesce(v_input.loyalty_points_redeemed, 0) > 0 then
+        perform pg_advisory_xact_lock(hashtext('loyalty:' || v_input.user_id::text));
+
+        select coalesce(sum(points), 0) into v_balance
+        from public.loyalty_transactions
+        where user_id = v_input.user_id;
+
+        if v_balance < v_input.loyalty_points_redeemed then
+            raise exception 'Not enough loyalty points: % available, % requested.', v_balance, v_input.loyalty_points_redeemed;
+        end if;
+    end if;
+
+    if p_slot is not null then
+        v_slot_start := (p_slot ->> 'start')::timestamptz;
+        v_slot_end := (p_slot ->> 'end')::timestamptz;
+        perform pg_advisory_xact_lock(hashtext('slot:' || v_slot_start::text));
+
+        -- Live orders due in the slot, ASAP ones by when they were placed; a pickup-only or
+        -- delivery-only rule counts only orders of its own kind
+        select count(*) into v_used
+        from public.orders
+        where coalesce(scheduled_for, created_at) >= v_slot_start
+            and coalesce(scheduled_for, created_at) < v_slot_end
+            and status not in ('cancelled', 'refunded')
+            and (coalesce(p_slot ->> 'fulfillment_type', 'any') = 'any' or is_pickup = (p_slot ->> 'fulfillment_type' = 'pickup'));
+
+        if v_used >= (p_slot ->> 'capacity')::integer then
+            raise exception 'The selected time slot is fully booked. Please choose another time.';
+        end if;
+    end if;
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup,
+        coupon_id, coupon_code, discount_amount, loyalty_points_redeemed, loyalty_discount_amount,
+        scheduled_for, prices_include_tax, taxes, tax_total, charges, charge_total
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false),
+        v_input.coupon_id, v_input.coupon_code, coalesce(v_input.discount_amount, 0),
+        coalesce(v_input.loyalty_points_redeemed, 0), coalesce(v_input.loyalty_discount_amount, 0),
+        v_input.scheduled_for, coalesce(v_input.prices_include_tax, false),
+        coalesce(v_input.taxes, '[]'::jsonb), coalesce(v_input.tax_total, 0),
+        coalesce(v_input.charges, '[]'::jsonb), coalesce(v_input.charge_total, 0)
+    )
+    returning * into v_order;
+
+    -- Bundles first, so their component items can point at them via bundle_line
+    for v_bundle in select value from jsonb_array_elements(coalesce(p_bundles, '[]'::jsonb))
+    loop
+        insert into public.order_bundles (order_id, bundle_id, name, quantity, price_at_order, selected_swaps, special_instructions)
+        values (
+            v_order.id, (v_bundle ->> 'bundle_id')::uuid, v_bundle ->> 'name', (v_bundle ->> 'quantity')::integer,
+            (v_bundle ->> 'price_at_order')::numeric, coalesce(v_bundle -> 'selected_swaps', '[]'::jsonb), v_bundle ->> 'special_instructions'
+        )
+        returning id into v_bundle_id;
+
+        v_bundle_ids := v_bundle_ids || jsonb_build_object(v_bundle ->> 'bundle_line', v_bundle_id);
+    end loop;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions, selected_options, order_bundle_id)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions, coalesce(item.selected_options, '[]'::jsonb),
+        (v_bundle_ids ->> (entry.value ->> 'bundle_line'))::uuid
+    from jsonb_array_elements(p_items) as entry,
+        lateral jsonb_populate_record(null::public.order_items, entry.value) as item;
+
+    if v_order.coupon_id is not null then
+        insert into public.coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+        values (v_order.coupon_id, v_order.id, v_order.user_id, v_order.discount_amount - v_order.loyalty_discount_amount);
+    end if;
+
+    if v_order.loyalty_points_redeemed > 0 then
+        insert into public.loyalty_transactions (user_id, order_id, points, type, reason)
+        values (v_order.user_id, v_order.id, -v_order.loyalty_points_redeemed, 'redeem', 'Redeemed on order ' || v_order.order_number);
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    select coalesce(jsonb_agg(to_jsonb(ob) order by ob.created_at), '[]'::jsonb)
+    into v_bundles
+    from public.order_bundles ob
+    where ob.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items, 'bundles', v_bundles);
+end;
+$$;
@@ -0,0 +1,33 @@
+-- Riders and delivery assignments (see src/services/deliveryService.js)
+
+-- The old, unused 'driver' role becomes 'rider'
+update public.users set role = 'rider' where role = 'driver';
+
+-- One row per time an order is given to a rider. Reassigning closes the previous row as
+-- 'unassigned', so the table is also each rider's delivery history.
+create table if not exists public.delivery_assignments (
+    id uuid primary key default gen_random_uuid(),
+    order_id uuid not null references public.orders (id) on delete cascade,
+    rider_id uuid not null references public.users (id) on delete restrict,
+    assigned_by uuid references public.users (id) on delete set null,
+    status text not null default 'assigned' check (status in ('assigned', 'picked_up', 'delivered', 'unassigned')),
+    delivery_fee numeric(12, 2) not null default 0, -- the order's delivery fee when assigned, for rider payouts
+    delivery_pin text not null check (delivery_pin ~ '^[0-9]{4}$'), -- shown to the customer, never to the rider
+    pin_attempts integer not null default 0,
+    proof_note text,
+    proof_photo_url text,
+    proof_pin_verified boolean not null default false,
+    assigned_at timestamptz not null default now(),
+    picked_up_at timestamptz,
+    delivered_at timestamptz,
+    unassigned_at timestamptz,
+    updated_at timestamptz not null default now()
+);
+
+-- At most one rider is carrying an order at a time
+create unique index if not exists delivery_assignments_active_order_idx
+    on public.delivery_assignments (order_id)
+    where status in ('assigned', 'picked_up');
+
+create index if not exists delivery_assignments_rider_idx on public.delivery_assignments (rider_id, status, assigned_at desc);
+create index if not exists delivery_assignments_delivered_idx on public.delivery_assignments (rider_id, delivered_at) where status = 'delivered';
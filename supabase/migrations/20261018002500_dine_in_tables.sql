@@ -0,0 +1,271 @@
+-- Dine-in ordering from per-table QR codes, with one bill per table visit
+-- (see src/services/tableService.js)
+
+create table if not exists public.dining_tables (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique, -- as printed on the table, e.g. 'T12' or 'Patio 3'
+    seats integer check (seats > 0),
+    is_active boolean not null default true,
+    qr_version integer not null default 1, -- bumping it invalidates the table's printed QR codes
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Orders placed at a table go on its open bill until staff settle it
+create table if not exists public.table_bills (
+    id uuid primary key default gen_random_uuid(),
+    table_id uuid not null references public.dining_tables (id) on delete restrict,
+    status text not null default 'open' check (status in ('open', 'settled')),
+    total_amount numeric(12, 2), -- set when settled
+    payment_method text check (payment_method in ('cash', 'card', 'transfer')),
+    payment_reference text,
+    settled_by uuid references public.users (id) on delete set null,
+    opened_at timestamptz not null default now(),
+    settled_at timestamptz
+);
+
+create unique index if not exists table_bills_open_idx on public.table_bills (table_id) where status = 'open';
+
+-- Dine-in orders have is_pickup = true (nothing is delivered) and is_dine_in = true
+alter table public.orders
+    add column if not exists is_dine_in boolean not null default false,
+    add column if not exists table_id uuid references public.dining_tables (id) on delete restrict,
+    add column if not exists table_bill_id uuid references public.table_bills (id) on delete restrict;
+
+create index if not exists orders_table_bill_idx on public.orders (table_bill_id) where table_bill_id is not null;
+
+-- Same as before, plus dine-in orders: an order with a table_id is put on the table's open
+-- bill, which is opened if there is none.
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_actor_role text, p_slot jsonb default null, p_bundles jsonb default '[]'::jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_input public.orders;
+    v_coupon public.coupons;
+    v_items jsonb;
+    v_bundles jsonb;
+    v_bundle jsonb;
+    v_bundle_id uuid;
+    v_bundle_ids jsonb := '{}'::jsonb;
+    v_used integer;
+    v_balance integer;
+    v_slot_start timestamptz;
+    v_slot_end timestamptz;
+    v_table public.dining_tables;
+    v_bill_id uuid;
+begin
+    if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+        raise exception 'Order must contain at least one item.';
+    end if;
+
+    v_input := jsonb_populate_record(null::public.orders, p_order);
+
+    if v_input.coupon_id is not null then
+        select * into v_coupon from public.coupons where id = v_input.coupon_id for update;
+
+        if not found or not v_coupon.is_active then
+            raise exception 'Coupon % is no longer available.', v_input.coupon_code;
+        end if;
+
+        if v_coupon.usage_limit is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit then
+                raise exception 'Coupon % has reached its usage limit.', v_coupon.code;
+            end if;
+        end if;
+
+        if v_coupon.usage_limit_per_user is not null then
+            select count(*) into v_used
+            from public.coupon_redemptions r
+            join public.orders o on o.id = r.order_id
+            where r.coupon_id = v_coupon.id and r.user_id = v_input.user_id and o.status <> 'cancelled';
+
+            if v_used >= v_coupon.usage_limit_per_user then
+                raise exception 'You have already used coupon % the maximum number of times.', v_coupon.code;
+            end if;
+        end if;
+    end if;
+
+    if coalesce(v_input.loyalty_points_redeemed, 0) > 0 then
+        perform pg_advisory_xact_lock(hashtext('loyalty:' || v_input.user_id::text));
+
+        select coalesce(sum(points), 0) into v_balance
+        from public.loyalty_transactions
+        where user_id = v_input.user_id;
+
+        if v_balance < v_input.loyalty_points_redeemed then
+            raise exception 'Not enough loyalty points: % available, % requested.', v_balance, v_input.loyalty_points_redeemed;
+        end if;
+    end if;
+
+    if p_slot is not null then
+        v_slot_start := (p_slot ->> 'start')::timestamptz;
+        v_slot_end := (p_slot ->> 'end')::timestamptz;
+        perform pg_advisory_xact_lock(hashtext('slot:' || v_slot_start::text));
+
+        -- Live orders due in the slot, ASAP ones by when they were placed; a pickup-only or
+        -- delivery-only rule counts only orders of its own kind
+        select count(*) into v_used
+        from public.orders
+        where coalesce(scheduled_for, created_at) >= v_slot_start
+            and coalesce(scheduled_for, created_at) < v_slot_end
+            and status not in ('cancelled', 'refunded')
+            and (coalesce(p_slot ->> 'fulfillment_type', 'any') = 'any' or is_pickup = (p_slot ->> 'fulfillment_type' = 'pickup'));
+
+        if v_used >= (p_slot ->> 'capacity')::integer then
+            raise exception 'The selected time slot is fully booked. Please choose another time.';
+        end if;
+    end if;
+
+    if v_input.table_id is not null then
+        -- One open bill per table; the lock stops two diners at the same table opening one each
+        perform pg_advisory_xact_lock(hashtext('table:' || v_input.table_id::text));
+
+        select * into v_table from public.dining_tables where id = v_input.table_id;
+        if not found or not v_table.is_active then
+            raise exception 'This table is not taking orders.';
+        end if;
+
+        select id into v_bill_id from public.table_bills where table_id = v_table.id and status = 'open';
+        if v_bill_id is null then
+            insert into public.table_bills (table_id) values (v_table.id) returning id into v_bill_id;
+        end if;
+    end if;
+
+    insert into public.orders (
+        user_id, address_id, order_number, status, subtotal, delivery_fee, total_amount,
+        payment_status, payment_provider, delivery_notes, is_pickup,
+        coupon_id, coupon_code, discount_amount, loyalty_points_redeemed, loyalty_discount_amount,
+        scheduled_for, prices_include_tax, taxes, tax_total, charges, charge_total,
+        is_dine_in, table_id, table_bill_id
+    )
+    values (
+        v_input.user_id, v_input.address_id, v_input.order_number, 'pending', v_input.subtotal,
+        v_input.delivery_fee, v_input.total_amount, 'pending', v_input.payment_provider,
+        v_input.delivery_notes, coalesce(v_input.is_pickup, false),
+        v_input.coupon_id, v_input.coupon_code, coalesce(v_input.discount_amount, 0),
+        coalesce(v_input.loyalty_points_redeemed, 0), coalesce(v_input.loyalty_discount_amount, 0),
+        v_input.scheduled_for, coalesce(v_input.prices_include_tax, false),
+        coalesce(v_input.taxes, '[]'::jsonb), coalesce(v_input.tax_total, 0),
+        coalesce(v_input.charges, '[]'::jsonb), coalesce(v_input.charge_total, 0),
+        v_input.table_id is not null, v_input.table_id, v_bill_id
+    )
+    returning * into v_order;
+
+    -- Bundles first, so their component items can point at them via bundle_line
+    for v_bundle in select value from jsonb_array_elements(coalesce(p_bundles, '[]'::jsonb))
+    loop
+        insert into public.order_bundles (order_id, bundle_id, name, quantity, price_at_order, selected_swaps, special_instructions)
+        values (
+            v_order.id, (v_bundle ->> 'bundle_id')::uuid, v_bundle ->> 'name', (v_bundle ->> 'quantity')::integer,
+            (v_bundle ->> 'price_at_order')::numeric, coalesce(v_bundle -> 'selected_swaps', '[]'::jsonb), v_bundle ->> 'special_instructions'
+        )
+        returning id into v_bundle_id;
+
+        v_bundle_ids := v_bundle_ids || jsonb_build_object(v_bundle ->> 'bundle_line', v_bundle_id);
+    end loop;
+
+    insert into public.order_items (order_id, menu_item_id, quantity, price_at_order, special_instructions, selected_options, order_bundle_id)
+    select v_order.id, item.menu_item_id, item.quantity, item.price_at_order, item.special_instructions, coalesce(item.selected_options, '[]'::jsonb),
+        (v_bundle_ids ->> (entry.value ->> 'bundle_line'))::uuid
+    from jsonb_array_elements(p_items) as entry,
+        lateral jsonb_populate_record(null::public.order_items, entry.value) as item;
+
+    if v_order.coupon_id is not null then
+        insert into public.coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+        values (v_order.coupon_id, v_order.id, v_order.user_id, v_order.discount_amount - v_order.loyalty_discount_amount);
+    end if;
+
+    if v_order.loyalty_points_redeemed > 0 then
+        insert into public.loyalty_transactions (user_id, order_id, points, type, reason)
+        values (v_order.user_id, v_order.id, -v_order.loyalty_points_redeemed, 'redeem', 'Redeemed on order ' || v_order.order_number);
+    end if;
+
+    insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+    values (v_order.id, null, v_order.status, v_order.user_id, p_actor_role, 'Order placed.');
+
+    select coalesce(jsonb_agg(to_jsonb(oi) order by oi.created_at), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    where oi.order_id = v_order.id;
+
+    select coalesce(jsonb_agg(to_jsonb(ob) order by ob.created_at), '[]'::jsonb)
+    into v_bundles
+    from public.order_bundles ob
+    where ob.order_id = v_order.id;
+
+    return to_jsonb(v_order) || jsonb_build_object('items', v_items, 'bundles', v_bundles);
+end;
+$$;
+
+-- Close a table's open bill, total it and mark its orders paid. Takes the same table lock as
+-- create_order_with_items, so no order can join the bill between totalling and closing it, and
+-- a settled bill never has unpaid orders. Returns the settled bill with the ids of the orders
+-- it covers (order_ids) and of those this call marked paid (paid_order_ids).
+create or replace function public.settle_table_bill(p_bill_id uuid, p_payment_method text, p_payment_reference text, p_actor uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_bill public.table_bills;
+    v_pending text;
+    v_order_ids jsonb;
+    v_paid_order_ids jsonb;
+begin
+    select * into v_bill from public.table_bills where id = p_bill_id;
+    if not found then
+        raise exception using errcode = 'P0002', message = 'Bill not found.';
+    end if;
+
+    perform pg_advisory_xact_lock(hashtext('table:' || v_bill.table_id::text));
+
+    select * into v_bill from public.table_bills where id = p_bill_id for update;
+    if v_bill.status <> 'open' then
+        raise exception 'This bill has already been settled.';
+    end if;
+
+    select string_agg(order_number, ', ' order by created_at) into v_pending
+    from public.orders
+    where table_bill_id = v_bill.id and status = 'pending';
+
+    if v_pending is not null then
+        raise exception 'Confirm or cancel these orders before settling the bill: %.', v_pending;
+    end if;
+
+    select coalesce(jsonb_agg(id order by created_at), '[]'::jsonb) into v_order_ids
+    from public.orders
+    where table_bill_id = v_bill.id and status <> 'cancelled';
+
+    with paid as (
+        update public.orders
+        set payment_status = 'paid', updated_at = now()
+        where table_bill_id = v_bill.id
+          and status <> 'cancelled'
+          and payment_status in ('pending', 'initiated', 'failed', 'abandoned')
+        returning id
+    )
+    select coalesce(jsonb_agg(id), '[]'::jsonb) into v_paid_order_ids from paid;
+
+    update public.table_bills
+    set status = 'settled',
+        total_amount = (
+            select coalesce(sum(total_amount), 0)
+            from public.orders
+            where table_bill_id = v_bill.id and status <> 'cancelled'
+        ),
+        payment_method = p_payment_method,
+        payment_reference = p_payment_reference,
+        settled_by = p_actor,
+        settled_at = now()
+    where id = v_bill.id
+    returning * into v_bill;
+
+    return to_jsonb(v_bill) || jsonb_build_object('order_ids', v_order_ids, 'paid_order_ids', v_paid_order_ids);
+end;
+$$;
@@ -0,0 +1,185 @@
+// backend/test/controllers/orderController.test.js
+import { seed, rows, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { stubTransitionOrderStatus } from '../helpers/orderRpcs.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { handlePaymentWebhook, verifyPayment } from '../../src/controllers/orderController.js';
+import mockProvider from '../../src/services/payments/mockProvider.js';
+
+const CUSTOMER = { id: 'user-1', role: 'customer' };
+
+const order = (changes) => ({
+    id: 'order-1',
+    order_number: 'ORD-1',
+    user_id: 'user-1',
+    status: 'pending',
+    payment_status: 'initiated',
+    payment_provider: 'paystack',
+    payment_reference: 'ORD-1-REF',
+    total_amount: '5000',
+    ...changes
+});
+
+const fakeResponse = () => ({
+    statusCode: null,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+// A Paystack webhook request, signed with the secret key unless another signature is given
+const webhook = async (payload, signature) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    const headers = {
+        'x-paystack-signature': signature === undefined
+            ? crypto.createHmac('sha512', 'sk_test_paystack').update(rawBody).digest('hex')
+            : signature
+    };
+    const res = fakeResponse();
+    await handlePaymentWebhook({
+        params: { provider: 'paystack' },
+        rawBody,
+        body: payload,
+        header: (name) => headers[name.toLowerCase()]
+    }, res);
+    return res;
+};
+
+const verify = async (reference) => {
+    const res = fakeResponse();
+    await verifyPayment({ params: { id: 'order-1' }, query: { reference }, user: CUSTOMER }, res);
+    return res;
+};
+
+// An order paying with the mock provider, which it has already retried once
+const mockOrders = () => {
+    seed('orders', [
+        order({ payment_provider: 'mock', payment_reference: 'MOCK-ORD-1-RETRY' }),
+        order({ id: 'order-2', order_number: 'ORD-2', user_id: 'user-2', payment_provider: 'mock', payment_status: 'paid', payment_reference: 'MOCK-ORD-2' })
+    ]);
+    seed('order_payment_attempts', [
+        { order_id: 'order-1', payment_provider: 'mock', reference: 'MOCK-ORD-1', created_at: '2026-10-18T12:00:00.000Z' },
+        { order_id: 'order-2', payment_provider: 'mock', reference: 'MOCK-ORD-2-OLD', created_at: '2026-10-18T12:00:00.000Z' }
+    ]);
+};
+
+const originalVerify = mockProvider.verify;
+
+beforeEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test_paystack';
+    process.env.ENABLE_MOCK_PAYMENTS = 'true';
+    resetFakeSupabase();
+    seed('orders', [order()]);
+    seed('order_payment_attempts', []);
+    seed('order_status_history', []);
+    stubTransitionOrderStatus();
+});
+
+afterEach(() => {
+    mockProvider.verify = originalVerify;
+});
+
+test('webhooks without a valid signature are rejected', async () => {
+    const payload = { event: 'charge.success', data: { reference: 'ORD-1-REF', amount: 500000 } };
+
+    assert.equal((await webhook(payload, null)).statusCode, 401);
+    assert.equal((await webhook(payload, 'f'.repeat(128))).statusCode, 401);
+    assert.equal((await webhook(payload, 'short')).statusCode, 401);
+    assert.equal(rows('orders')[0].payment_status, 'initiated');
+});
+
+test('a signed successful charge settles the order', async () => {
+    const res = await webhook({ event: 'charge.success', data: { reference: 'ORD-1-REF', amount: 500000 } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(rows('orders')[0].payment_status, 'paid');
+});
+
+test('a charge for less than the order total does not settle it', async () => {
+    const res = await webhook({ event: 'charge.success', data: { reference: 'ORD-1-REF', amount: 499999 } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(rows('orders')[0].payment_status, 'initiated');
+});
+
+test('a late failure event does not undo a payment', async () => {
+    seed('orders', [order({ payment_status: 'paid' })]);
+
+    const res = await webhook({ event: 'charge.failed', data: { reference: 'ORD-1-REF' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(rows('orders')[0].payment_status, 'paid');
+});
+
+test('events for unknown references are acknowledged and ignored', async () => {
+    const res = await webhook({ event: 'charge.success', data: { reference: 'SOMEONE-ELSE', amount: 500000 } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { received: true });
+    assert.equal(rows('orders')[0].payment_status, 'initiated');
+});
+
+test('the order\'s current payment reference settles it', async () => {
+    mockOrders();
+
+    const res = await verify();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(rows('orders')[0].payment_status, 'paid');
+    assert.equal(rows('orders')[0].status, 'confirmed');
+});
+
+test('another order\'s payment cannot settle this order', async () => {
+    mockOrders();
+
+    for (const reference of ['MOCK-ORD-2', 'MOCK-ORD-2-OLD', 'MOCK-UNKNOWN']) {
+        const res = await verify(reference);
+
+        assert.equal(res.statusCode, 400, reference);
+        assert.equal(res.body.error, 'This payment reference does not belong to this order.');
+    }
+    assert.equal(rows('orders')[0].payment_status, 'initiated');
+    assert.equal(rows('orders')[0].payment_reference, 'MOCK-ORD-1-RETRY');
+});
+
+test('a payment the provider made for another order is refused', async () => {
+    mockOrders();
+    mockProvider.verify = async (params) => ({ ...await originalVerify(params), order_id: 'order-2' });
+
+    const res = await verify();
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(rows('orders')[0].payment_status, 'initiated');
+});
+
+test('paying through an earlier attempt makes it the order\'s payment', async () => {
+    mockOrders();
+
+    const res = await verify('MOCK-ORD-1');
+
+    assert.equal(res.statusCode, 200);
+    const [paid] = rows('orders');
+    assert.equal(paid.payment_status, 'paid');
+    assert.equal(paid.payment_reference, 'MOCK-ORD-1');
+    assert.equal(paid.payment_provider, 'mock');
+});
+
+test('an earlier attempt failing leaves the current payment alone', async () => {
+    mockOrders();
+    process.env.MOCK_PAYMENT_OUTCOME = 'failed';
+    try {
+        const res = await verify('MOCK-ORD-1');
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(rows('orders')[0].payment_status, 'initiated');
+    } finally {
+        delete process.env.MOCK_PAYMENT_OUTCOME;
+    }
+});
@@ -0,0 +1,274 @@
+// backend/test/helpers/fakeSupabase.js
+//
+// In-memory stand-in for the Supabase REST API, so services can be tested without a database.
+// It answers the PostgREST requests supabase-js makes through fetch: table reads and writes with
+// simple column filters, .single()/.maybeSingle(), counts, and RPC calls (stubbed per test).
+// Embedded resources are not joined and filters on them (e.g. `orders.status`) are ignored, so
+// seed rows with whatever embedded data the code under test reads.
+//
+// Import this before anything from src: the Supabase client keeps the fetch it finds when it
+// is created.
+import crypto from 'crypto';
+
+const SUPABASE_URL = 'http://supabase.test';
+
+process.env.SUPABASE_URL = SUPABASE_URL;
+process.env.SUPABASE_KEY = 'test-service-key';
+process.env.JWT_SECRET ||= 'test-jwt-secret';
+
+const tables = new Map();
+const uniqueKeys = new Map();
+const columnDefaults = new Map();
+const failingTables = new Map();
+const rpcs = new Map();
+
+/**
+ * Clear every table, unique key and RPC stub.
+ */
+export const resetFakeSupabase = () => {
+    tables.clear();
+    uniqueKeys.clear();
+    columnDefaults.clear();
+    failingTables.clear();
+    rpcs.clear();
+};
+
+/**
+ * The rows of a table; tests may read and change them directly.
+ * @param {string} table
+ * @returns {object[]}
+ */
+export const rows = (table) => {
+    if (!tables.has(table)) tables.set(table, []);
+    return tables.get(table);
+};
+
+/**
+ * Replace the rows of a table.
+ * @param {string} table
+ * @param {object[]} data
+ */
+export const seed = (table, data) => {
+    tables.set(table, data.map(row => ({ ...row })));
+};
+
+/**
+ * Make inserts into a table fail with 23505 when these columns match an existing row.
+ * @param {string} table
+ * @param {string[]} columns
+ */
+export const uniqueOn = (table, columns) => {
+    uniqueKeys.set(table, [...(uniqueKeys.get(table) || []), columns]);
+};
+
+/**
+ * Values inserted rows of a table get for columns the insert leaves out, like column defaults.
+ * Every table already defaults id, created_at and updated_at.
+ * @param {string} table
+ * @param {object} defaults
+ */
+export const defaultColumns = (table, defaults) => {
+    columnDefaults.set(table, defaults);
+};
+
+/**
+ * Make every request to a table fail, as if the database had an error.
+ * @param {string} table
+ * @param {string} [message]
+ */
+export const failTable = (table, message = 'simulated database failure') => {
+    failingTables.set(table, message);
+};
+
+/**
+ * Answer calls to a Postgres function. The handler receives the call's arguments and returns
+ * the result, or throws `{ code, message }` to fail the call like a raised exception.
+ * @param {string} name
+ * @param {(args: object) => any} handler
+ */
+export const stubRpc = (name, handler) => {
+    rpcs.set(name, handler);
+};
+
+// PostgREST filter value, e.g. `eq.5` or `in.(a,b)`
+const parseFilter = (expression) => {
+    const negated = expression.startsWith('not.');
+    const [operator, ...rest] = (negated ? expression.slice(4) : expression).split('.');
+    return { negated, operator, value: rest.join('.') };
+};
+
+const compare = (left, right) => {
+    if (typeof left === 'number') return left - Number(right);
+    return String(left) < right ? -1 : String(left) > right ? 1 : 0;
+};
+
+const matchesFilter = (row, column, { negated, operator, value }) => {
+    const field = row[column];
+    let result;
+    switch (operator) {
+    case 'eq': result = field !== null && field !== undefined && String(field) === value; break;
+    case 'neq': result = field !== null && field !== undefined && String(field) !== value; break;
+    case 'in': result = value.replace(/^\(|\)$/g, '').split(',').map(entry => entry.replace(/^"|"$/g, '')).includes(String(field)); break;
+    case 'is': result = value === 'null' ? field === null || field === undefined : String(field) === value; break;
+    case 'gt': result = field !== null && field !== undefined && compare(field, value) > 0; break;
+    case 'gte': result = field !== null && field !== undefined && compare(field, value) >= 0; break;
+    case 'lt': result = field !== null && field !== undefined && compare(field, value) < 0; break;
+    case 'lte': result = field !== null && field !== undefined && compare(field, value) <= 0; break;
+    default: return true; // Unsupported operators do not filter
+    }
+    return negated ? !result : result;
+};
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns', 'or', 'and'];
+
+const applyFilters = (data, params) => {
+    let result = data;
+    for (const [column, expression] of params) {
+        if (RESERVED_PARAMS.includes(column) || column.includes('.')) continue;
+        const filter = parseFilter(expression);
+        result = result.filter(row => matchesFilter(row, column, filter));
+    }
+    return result;
+};
+
+const applyOrderAndRange = (data, params) => {
+    let result = [...data];
+    const order = params.get('order');
+    if (order) {
+        const sorts = order.split(',').map(entry => entry.split('.'));
+        result.sort((a, b) => {
+            for (const [column, direction = 'asc'] of sorts) {
+                const difference = compare(a[column], String(b[column]));
+                if (difference !== 0) return direction === 'desc' ? -difference : difference;
+            }
+            return 0;
+        });
+    }
+    const offset = Number(params.get('offset') || 0);
+    const limit = params.has('limit') ? Number(params.get('limit')) : Infinity;
+    return result.slice(offset, offset + limit);
+};
+
+const jsonResponse = (status, body, headers = {}) => new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+const errorResponse = (status, { code, message, details = null }) => jsonResponse(status, { code, message, details, hint: null });
+
+const withDefaults = (table, row) => {
+    const now = new Date().toISOString();
+    return { id: crypto.randomUUID(), created_at: now, updated_at: now, ...columnDefaults.get(table), ...row };
+};
+
+const findDuplicate = (table, row) => (uniqueKeys.get(table) || [])
+    .find(columns => rows(table).some(existing => columns.every(column => existing[column] === row[column])));
+
+const insertRows = (table, params, prefer, body) => {
+    const inserted = [];
+    const conflictColumns = params.get('on_conflict')?.split(',');
+    for (const values of Array.isArray(body) ? body : [body]) {
+        if (conflictColumns) {
+            const existing = rows(table).find(row => conflictColumns.every(column => row[column] === values[column]));
+            if (existing) {
+                if (!prefer.includes('ignore-duplicates')) inserted.push(Object.assign(existing, values));
+                continue;
+            }
+        }
+        if (findDuplicate(table, values)) {
+            return { error: { code: '23505', message: `duplicate key value violates unique constraint on "${table}"` } };
+        }
+        const row = withDefaults(table, values);
+        rows(table).push(row);
+        inserted.push(row);
+    }
+    return { data: inserted };
+};
+
+const handleTableRequest = (table, method, params, prefer, body) => {
+    const matching = () => applyFilters(rows(table), params);
+
+    switch (method) {
+    case 'GET':
+    case 'HEAD':
+        return { data: applyOrderAndRange(matching(), params), total: matching().length };
+    case 'POST':
+        return insertRows(table, params, prefer, body);
+    case 'PATCH': {
+        const updated = matching();
+        updated.forEach(row => Object.assign(row, body));
+        return { data: updated };
+    }
+    case 'DELETE': {
+        const deleted = matching();
+        tables.set(table, rows(table).filter(row => !deleted.includes(row)));
+        return { data: deleted };
+    }
+    default:
+        return { error: { code: 'PGRST000', message: `Unsupported method ${method}` } };
+    }
+};
+
+const handleRpc = async (name, body) => {
+    const handler = rpcs.get(name);
+    if (!handler) {
+        return errorResponse(404, { code: 'PGRST202', message: `No stub for function public.${name}` });
+    }
+    try {
+        return jsonResponse(200, await handler(body || {}));
+    } catch (error) {
+        return errorResponse(400, { code: error.code || 'P0001', message: error.message });
+    }
+};
+
+const realFetch = globalThis.fetch;
+
+globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    if (url.origin !== SUPABASE_URL) {
+        return realFetch(input, init);
+    }
+
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = new Headers(init.headers);
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    const path = url.pathname.replace(/^\/rest\/v1\//, '');
+
+    if (path.startsWith('rpc/')) {
+        return handleRpc(path.slice(4), body);
+    }
+
+    if (failingTables.has(path)) {
+        return errorResponse(500, { code: 'XX000', message: failingTables.get(path) });
+    }
+
+    const prefer = headers.get('Prefer') || '';
+    const result = handleTableRequest(path, method, url.searchParams, prefer, body);
+    if (result.error) {
+        return errorResponse(result.error.code === '23505' ? 409 : 400, result.error);
+    }
+
+    const responseHeaders = {};
+    if (/count=/.test(prefer)) {
+        const total = result.total ?? result.data.length;
+        responseHeaders['Content-Range'] = `0-${Math.max(0, result.data.length - 1)}/${total}`;
+    }
+    if (method === 'HEAD') {
+        return new Response(null, { status: 200, headers: responseHeaders });
+    }
+    if (method !== 'GET' && !prefer.includes('return=representation')) {
+        return new Response(null, { status: method === 'POST' ? 201 : 204, headers: responseHeaders });
+    }
+
+    if (headers.get('Accept') === 'application/vnd.pgrst.object+json') {
+        if (result.data.length !== 1) {
+            return errorResponse(406, {
+                code: 'PGRST116',
+                message: 'JSON object requested, multiple (or no) rows returned',
+                details: `The result contains ${result.data.length} rows`
+            });
+        }
+        return jsonResponse(200, result.data[0], responseHeaders);
+    }
+    return jsonResponse(200, result.data, responseHeaders);
+};
@@ -0,0 +1,24 @@
+// backend/test/helpers/orderRpcs.js
+//
+// Stubs for the order Postgres functions that behave like their SQL, against the fake tables.
+import { rows, stubRpc } from './fakeSupabase.js';
+
+/**
+ * public.transition_order_status: conditional status update plus its history entry.
+ */
+export const stubTransitionOrderStatus = () => stubRpc('transition_order_status', ({ p_order_id, p_from_status, p_to_status, p_actor, p_actor_role, p_note }) => {
+    const order = rows('orders').find(row => row.id === p_order_id && row.status === p_from_status);
+    if (!order) return [];
+
+    Object.assign(order, { status: p_to_status, updated_at: new Date().toISOString() });
+    rows('order_status_history').push({
+        order_id: order.id,
+        from_status: p_from_status,
+        to_status: p_to_status,
+        changed_by: p_actor,
+        actor_role: p_actor_role,
+        note: p_note,
+        created_at: new Date().toISOString()
+    });
+    return [{ ...order }];
+});
@@ -0,0 +1,168 @@
+// backend/test/middlewares/idempotencyMiddleware.test.js
+import { seed, rows, uniqueOn, defaultColumns, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { idempotencyMiddleware } from '../../src/middlewares/idempotencyMiddleware.js';
+
+let server;
+let baseUrl;
+let handled; // Requests that reached the route handler
+let nextResponse; // How the route handler answers
+
+before(async () => {
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use((req, res, next) => {
+        req.user = { id: 'user-1' };
+        next();
+    });
+    app.post('/api/orders', idempotencyMiddleware, (req, res) => {
+        handled += 1;
+        nextResponse(req, res);
+    });
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    resetFakeSupabase();
+    seed('idempotency_keys', []);
+    uniqueOn('idempotency_keys', ['user_id', 'idempotency_key']);
+    defaultColumns('idempotency_keys', { status: 'processing', response_status: null, response_body: null });
+    handled = 0;
+    nextResponse = (req, res) => res.status(201).json({ order_number: `ORD-${handled}`, items: req.body.items });
+});
+
+const placeOrder = (body, key = 'key-1') => fetch(`${baseUrl}/api/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify(body)
+});
+
+// The middleware stores responses after sending them
+const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 50 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'condition not met in time');
+};
+
+const storedKey = () => rows('idempotency_keys')[0];
+
+// What the middleware stores for a POST /api/orders with this body
+const fingerprint = (body) => crypto.createHash('sha256').update(`POST\n/api/orders\n${JSON.stringify(body)}`).digest('hex');
+
+const heldKey = (changes) => ({
+    id: 'held',
+    user_id: 'user-1',
+    idempotency_key: 'key-1',
+    status: 'processing',
+    request_fingerprint: fingerprint({ items: [1] }),
+    response_status: null,
+    response_body: null,
+    ...changes
+});
+
+test('a retry with the same key and body gets the first response replayed', async () => {
+    const first = await placeOrder({ items: [1, 2] });
+    assert.equal(first.status, 201);
+    assert.deepEqual(await first.json(), { order_number: 'ORD-1', items: [1, 2] });
+    await waitFor(() => storedKey()?.status === 'completed');
+
+    const retry = await placeOrder({ items: [1, 2] });
+
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepEqual(await retry.json(), { order_number: 'ORD-1', items: [1, 2] });
+    assert.equal(handled, 1);
+});
+
+test('reusing a key for a different body is refused', async () => {
+    await placeOrder({ items: [1] });
+    await waitFor(() => storedKey()?.status === 'completed');
+
+    const response = await placeOrder({ items: [2] });
+
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error, 'Idempotency-Key has already been used for a different request.');
+    assert.equal(handled, 1);
+});
+
+test('a retry while the first request is still running is refused', async () => {
+    const now = new Date().toISOString();
+    seed('idempotency_keys', [heldKey({ created_at: now, updated_at: now })]);
+
+    const response = await placeOrder({ items: [1] });
+
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error, 'A request with this Idempotency-Key is still being processed.');
+    assert.equal(handled, 0);
+});
+
+test('a key stuck in processing past the timeout is taken over by the retry', async () => {
+    const stale = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    seed('idempotency_keys', [heldKey({ created_at: stale, updated_at: stale })]);
+
+    const response = await placeOrder({ items: [1] });
+
+    assert.equal(response.status, 201);
+    assert.equal(handled, 1);
+    await waitFor(() => storedKey()?.status === 'completed');
+    assert.notEqual(storedKey().id, 'held');
+});
+
+test('a stuck key still refuses a different body', async () => {
+    const stale = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    seed('idempotency_keys', [heldKey({ created_at: stale, updated_at: stale })]);
+
+    const response = await placeOrder({ items: [2] });
+
+    assert.equal(response.status, 409);
+    assert.equal(handled, 0);
+});
+
+test('a key older than its TTL is forgotten and the request runs again', async () => {
+    const expired = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    seed('idempotency_keys', [heldKey({
+        status: 'completed', request_fingerprint: 'other', response_status: 201, response_body: {}, created_at: expired, updated_at: expired
+    })]);
+
+    const response = await placeOrder({ items: [3] });
+
+    assert.equal(response.status, 201);
+    assert.equal(handled, 1);
+});
+
+test('server errors are not stored, so the retry runs again', async () => {
+    nextResponse = (req, res) => res.status(500).json({ error: 'Database error creating order.' });
+    assert.equal((await placeOrder({ items: [1] })).status, 500);
+    await waitFor(() => rows('idempotency_keys').length === 0);
+
+    nextResponse = (req, res) => res.status(201).json({ order_number: 'ORD-2' });
+    const retry = await placeOrder({ items: [1] });
+
+    assert.equal(retry.status, 201);
+    assert.equal(handled, 2);
+});
+
+test('a key is released when the response was not sent with res.json', async () => {
+    nextResponse = (req, res) => res.status(204).end();
+    assert.equal((await placeOrder({ items: [1] })).status, 204);
+    await waitFor(() => rows('idempotency_keys').length === 0);
+
+    assert.equal((await placeOrder({ items: [1] })).status, 204);
+    assert.equal(handled, 2);
+});
+
+test('requests without a key are processed every time', async () => {
+    await placeOrder({ items: [1] }, null);
+    await placeOrder({ items: [1] }, null);
+
+    assert.equal(handled, 2);
+    assert.deepEqual(rows('idempotency_keys'), []);
+});
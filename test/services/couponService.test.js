@@ -0,0 +1,110 @@
+// backend/test/services/couponService.test.js
+import { seed, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateCoupon, normalizeCouponCode } from '../../src/services/couponService.js';
+
+const coupon = (changes) => ({
+    id: `coupon-${changes.code}`,
+    is_active: true,
+    starts_at: null,
+    expires_at: null,
+    min_order_value: '0',
+    usage_limit: null,
+    usage_limit_per_user: null,
+    discount_type: 'percentage',
+    discount_value: '10',
+    max_discount_amount: null,
+    applicable_category_ids: [],
+    applicable_menu_item_ids: [],
+    ...changes
+});
+
+const lines = [
+    { menu_item_id: 'jollof', category_id: 'mains', line_total: 6000 },
+    { menu_item_id: 'zobo', category_id: 'drinks', line_total: 1500 }
+];
+
+const evaluate = (code, { subtotal = 7500, delivery_fee = 1000 } = {}) =>
+    evaluateCoupon({ code, userId: 'user-1', lines, subtotal, delivery_fee });
+
+beforeEach(() => {
+    resetFakeSupabase();
+    seed('coupon_redemptions', []);
+});
+
+test('coupon codes are matched case-insensitively', async () => {
+    seed('coupons', [coupon({ code: 'SAVE10' })]);
+
+    assert.equal(normalizeCouponCode('  save10 '), 'SAVE10');
+    const { coupon: found, discount_amount } = await evaluate(' save10');
+    assert.equal(found.code, 'SAVE10');
+    assert.equal(discount_amount, 750);
+});
+
+test('a percentage discount is capped at max_discount_amount', async () => {
+    seed('coupons', [coupon({ code: 'HALF', discount_value: '50', max_discount_amount: '2000' })]);
+
+    assert.equal((await evaluate('HALF')).discount_amount, 2000);
+});
+
+test('a coupon restricted to a category only discounts those lines', async () => {
+    seed('coupons', [coupon({ code: 'DRINKS', discount_value: '20', applicable_category_ids: ['drinks'] })]);
+
+    assert.equal((await evaluate('DRINKS')).discount_amount, 300);
+});
+
+test('a fixed discount never exceeds what it applies to', async () => {
+    seed('coupons', [coupon({ code: 'ZOBO5K', discount_type: 'fixed_amount', discount_value: '5000', applicable_menu_item_ids: ['zobo'] })]);
+
+    assert.equal((await evaluate('ZOBO5K')).discount_amount, 1500);
+});
+
+test('a free-delivery coupon takes off the delivery fee and needs one', async () => {
+    seed('coupons', [coupon({ code: 'FREESHIP', discount_type: 'free_delivery', discount_value: '0' })]);
+
+    assert.equal((await evaluate('FREESHIP')).discount_amount, 1000);
+    await assert.rejects(evaluate('FREESHIP', { delivery_fee: 0 }), { statusCode: 400, message: 'Coupon FREESHIP only applies to orders with a delivery fee.' });
+});
+
+test('unknown, inactive, expired and not-yet-started coupons are rejected', async () => {
+    seed('coupons', [
+        coupon({ code: 'OFF', is_active: false }),
+        coupon({ code: 'OLD', expires_at: new Date(Date.now() - 60000).toISOString() }),
+        coupon({ code: 'SOON', starts_at: new Date(Date.now() + 60000).toISOString() })
+    ]);
+
+    await assert.rejects(evaluate('NOPE'), { statusCode: 400, message: 'Coupon NOPE is not valid.' });
+    await assert.rejects(evaluate('OFF'), { statusCode: 400, message: 'Coupon OFF is not valid.' });
+    await assert.rejects(evaluate('OLD'), { statusCode: 400, message: 'Coupon OLD has expired.' });
+    await assert.rejects(evaluate('SOON'), { statusCode: 400, message: 'Coupon SOON is not active yet.' });
+});
+
+test('a coupon below its minimum order is rejected', async () => {
+    seed('coupons', [coupon({ code: 'BIG', min_order_value: '10000' })]);
+
+    await assert.rejects(evaluate('BIG'), { statusCode: 400, message: 'Coupon BIG requires a minimum order of 10000.00.' });
+});
+
+test('a coupon that has reached its usage limit is rejected', async () => {
+    seed('coupons', [coupon({ code: 'ONCE', usage_limit: 2 })]);
+    seed('coupon_redemptions', [
+        { coupon_id: 'coupon-ONCE', user_id: 'user-2' },
+        { coupon_id: 'coupon-ONCE', user_id: 'user-3' }
+    ]);
+
+    await assert.rejects(evaluate('ONCE'), { statusCode: 400, message: 'Coupon ONCE has reached its usage limit.' });
+});
+
+test('a customer cannot use a coupon more often than allowed per user', async () => {
+    seed('coupons', [coupon({ code: 'WELCOME', usage_limit_per_user: 1 })]);
+    seed('coupon_redemptions', [{ coupon_id: 'coupon-WELCOME', user_id: 'user-1' }]);
+
+    await assert.rejects(evaluate('WELCOME'), { statusCode: 400, message: 'You have already used coupon WELCOME the maximum number of times.' });
+});
+
+test('a coupon that applies to nothing in the cart is rejected', async () => {
+    seed('coupons', [coupon({ code: 'DESSERT', applicable_category_ids: ['desserts'] })]);
+
+    await assert.rejects(evaluate('DESSERT'), { statusCode: 400, message: 'Coupon DESSERT does not apply to any item in your order.' });
+});
@@ -0,0 +1,202 @@
+// backend/test/services/deliveryService.test.js
+import { seed, rows, uniqueOn, defaultColumns, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { stubTransitionOrderStatus } from '../helpers/orderRpcs.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_PIN_ATTEMPTS,
+    RIDER_ASSIGNMENT_SELECT,
+    assignRider,
+    markPickedUp,
+    markDelivered
+} from '../../src/services/deliveryService.js';
+import { pickUpDelivery, completeDelivery } from '../../src/controllers/deliveryController.js';
+
+const ADMIN = { id: 'admin-1', role: 'admin' };
+const RIDER = { id: 'rider-1', role: 'rider' };
+const OTHER_RIDER = { id: 'rider-2', role: 'rider' };
+
+const ORDER = {
+    id: 'order-1',
+    order_number: 'ORD-1',
+    user_id: 'user-1',
+    status: 'out_for_delivery',
+    payment_status: 'paid',
+    payment_provider: 'paystack',
+    is_pickup: false,
+    is_dine_in: false,
+    delivery_fee: '1500',
+    stock_committed_at: '2026-10-18T12:00:00.000Z',
+    loyalty_points_redeemed: 0
+};
+
+const assignment = (changes) => ({
+    id: 'assignment-1',
+    order_id: 'order-1',
+    rider_id: 'rider-1',
+    status: 'picked_up',
+    delivery_fee: 1500,
+    delivery_pin: '4821',
+    pin_attempts: 0,
+    assigned_at: '2026-10-18T12:10:00.000Z',
+    ...changes
+});
+
+const fakeResponse = () => ({
+    statusCode: null,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+beforeEach(() => {
+    resetFakeSupabase();
+    seed('orders', [ORDER]);
+    seed('users', [
+        { id: 'rider-1', role: 'rider' },
+        { id: 'rider-2', role: 'rider' },
+        { id: 'rider-3', role: 'rider' },
+        { id: 'user-1', role: 'customer' }
+    ]);
+    seed('delivery_assignments', [assignment()]);
+    seed('order_status_history', []);
+    seed('loyalty_settings', [{ id: 1, is_enabled: false }]);
+    seed('loyalty_transactions', []);
+    defaultColumns('delivery_assignments', { status: 'assigned', pin_attempts: 0 });
+    stubTransitionOrderStatus();
+});
+
+test('the right PIN completes the delivery', async () => {
+    const { assignment: delivered, order } = await markDelivered({ assignmentId: 'assignment-1', rider: RIDER, pin: ' 4821 ' });
+
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.proof_pin_verified, true);
+    assert.equal(order.status, 'completed');
+});
+
+test('a wrong PIN is refused and counts as an attempt', async () => {
+    await assert.rejects(
+        markDelivered({ assignmentId: 'assignment-1', rider: RIDER, pin: '0000' }),
+        { statusCode: 400, message: `Incorrect delivery PIN. ${MAX_PIN_ATTEMPTS - 1} attempts left.` }
+    );
+
+    const [stored] = rows('delivery_assignments');
+    assert.equal(stored.pin_attempts, 1);
+    assert.equal(stored.status, 'picked_up');
+    assert.equal(rows('orders')[0].status, 'out_for_delivery');
+});
+
+test('after too many wrong PINs even the right one is refused', async () => {
+    for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS; attempt++) {
+        await assert.rejects(markDelivered({ assignmentId: 'assignment-1', rider: RIDER, pin: '0000' }), { statusCode: 400 });
+    }
+
+    await assert.rejects(markDelivered({ assignmentId: 'assignment-1', rider: RIDER, pin: '4821' }), { statusCode: 429 });
+    assert.equal(rows('delivery_assignments')[0].pin_attempts, MAX_PIN_ATTEMPTS);
+    assert.equal(rows('delivery_assignments')[0].status, 'picked_up');
+});
+
+test('PINs sent at the same time cannot share one attempt', async () => {
+    const results = await Promise.allSettled([
+        markDelivered({ assignmentId: 'assignment-1', rider: RIDER, pin: '0000' }),
+        markDelivered({ assignmentId: 'assignment-1', rider: RIDER, pin: '1111' })
+    ]);
+
+    assert.deepEqual(results.map(result => result.reason.statusCode).sort(), [400, 409]);
+    assert.equal(rows('delivery_assignments')[0].pin_attempts, 1);
+});
+
+test('a note is enough proof once the PIN attempts are used up', async () => {
+    seed('delivery_assignments', [assignment({ pin_attempts: MAX_PIN_ATTEMPTS })]);
+
+    const { order } = await markDelivered({ assignmentId: 'assignment-1', rider: RIDER, note: 'Left with the gate guard.' });
+
+    assert.equal(order.status, 'completed');
+});
+
+test('riders cannot act on deliveries assigned to someone else', async () => {
+    seed('delivery_assignments', [assignment({ status: 'assigned' })]);
+    seed('orders', [{ ...ORDER, status: 'ready' }]);
+
+    await assert.rejects(markPickedUp({ assignmentId: 'assignment-1', rider: OTHER_RIDER }), { statusCode: 404 });
+    assert.equal(rows('delivery_assignments')[0].status, 'assigned');
+
+    rows('delivery_assignments')[0].status = 'picked_up';
+    rows('orders')[0].status = 'out_for_delivery';
+    await assert.rejects(
+        markDelivered({ assignmentId: 'assignment-1', rider: OTHER_RIDER, pin: '4821' }),
+        { statusCode: 404 }
+    );
+    assert.equal(rows('delivery_assignments')[0].pin_attempts, 0);
+});
+
+test('riders never get the PIN back', async () => {
+    seed('delivery_assignments', [assignment({ status: 'assigned' })]);
+    seed('orders', [{ ...ORDER, status: 'ready' }]);
+    const req = { params: { id: 'assignment-1' }, user: RIDER, body: {} };
+
+    const pickUp = fakeResponse();
+    await pickUpDelivery(req, pickUp);
+    const complete = fakeResponse();
+    await completeDelivery({ ...req, body: { pin: '4821' } }, complete);
+
+    for (const res of [pickUp, complete]) {
+        assert.equal(res.statusCode, 200);
+        assert.ok(!('delivery_pin' in res.body.assignment));
+        assert.ok(!('pin_attempts' in res.body.assignment));
+    }
+    assert.doesNotMatch(RIDER_ASSIGNMENT_SELECT, /delivery_pin|pin_attempts/);
+});
+
+test('reassigning an order closes the old assignment and keeps the PIN', async () => {
+    seed('delivery_assignments', [assignment({ status: 'assigned' })]);
+
+    const reassigned = await assignRider({ orderId: 'order-1', riderId: 'rider-2', actor: ADMIN });
+
+    const [previous] = rows('delivery_assignments');
+    assert.equal(previous.status, 'unassigned');
+    assert.equal(reassigned.rider_id, 'rider-2');
+    assert.equal(reassigned.delivery_pin, '4821');
+});
+
+test('an order cannot be assigned twice to the same rider', async () => {
+    seed('delivery_assignments', [assignment({ status: 'assigned' })]);
+
+    await assert.rejects(assignRider({ orderId: 'order-1', riderId: 'rider-1', actor: ADMIN }), { statusCode: 409 });
+    assert.equal(rows('delivery_assignments').length, 1);
+});
+
+test('of two reassignments at the same time only one goes through', async () => {
+    seed('delivery_assignments', [assignment({ status: 'assigned' })]);
+
+    const results = await Promise.allSettled([
+        assignRider({ orderId: 'order-1', riderId: 'rider-2', actor: ADMIN }),
+        assignRider({ orderId: 'order-1', riderId: 'rider-3', actor: ADMIN })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+    assert.equal(rows('delivery_assignments').filter(row => row.status === 'assigned').length, 1);
+});
+
+test('of two first assignments at the same time only one goes through', async () => {
+    seed('delivery_assignments', []);
+    seed('orders', [{ ...ORDER, status: 'ready' }]);
+    // Like the unique index on an order's open assignment (no closed ones exist here)
+    uniqueOn('delivery_assignments', ['order_id']);
+
+    const results = await Promise.allSettled([
+        assignRider({ orderId: 'order-1', riderId: 'rider-1', actor: ADMIN }),
+        assignRider({ orderId: 'order-1', riderId: 'rider-2', actor: ADMIN })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+    assert.equal(rows('delivery_assignments').length, 1);
+});
@@ -0,0 +1,159 @@
+// backend/test/services/inventoryService.test.js
+import { seed, rows, stubRpc, failTable, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { stubTransitionOrderStatus } from '../helpers/orderRpcs.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { transitionOrderStatus } from '../../src/services/orderLifecycle.js';
+import { priceOrder } from '../../src/services/pricingService.js';
+
+const STAFF = { id: 'staff-1', role: 'staff' };
+
+let stockCalls; // [rpc name, order id] in call order
+let failNextCommit;
+
+const order = (changes) => ({
+    id: 'order-1',
+    order_number: 'ORD-1',
+    user_id: 'user-1',
+    status: 'pending',
+    payment_status: 'paid',
+    payment_provider: 'paystack',
+    is_pickup: true,
+    is_dine_in: false,
+    stock_committed_at: null,
+    loyalty_points_redeemed: 0,
+    ...changes
+});
+
+// Like commit_order_stock / release_order_stock: idempotent, tracked by stock_committed_at
+const stubStockRpcs = () => {
+    stubRpc('commit_order_stock', ({ p_order_id }) => {
+        stockCalls.push(['commit_order_stock', p_order_id]);
+        if (failNextCommit) {
+            failNextCommit = false;
+            throw { code: '40P01', message: 'deadlock detected' };
+        }
+        rows('orders').find(row => row.id === p_order_id).stock_committed_at = new Date().toISOString();
+        return [];
+    });
+    stubRpc('release_order_stock', ({ p_order_id }) => {
+        stockCalls.push(['release_order_stock', p_order_id]);
+        rows('orders').find(row => row.id === p_order_id).stock_committed_at = null;
+        return [];
+    });
+};
+
+beforeEach(() => {
+    resetFakeSupabase();
+    seed('order_status_history', []);
+    seed('loyalty_transactions', []);
+    stubTransitionOrderStatus();
+    stubStockRpcs();
+    stockCalls = [];
+    failNextCommit = false;
+});
+
+test('confirming an order takes its items out of stock', async () => {
+    seed('orders', [order()]);
+
+    const confirmed = await transitionOrderStatus({ order: order(), toStatus: 'confirmed', actor: STAFF });
+
+    assert.equal(confirmed.status, 'confirmed');
+    assert.deepEqual(stockCalls, [['commit_order_stock', 'order-1']]);
+});
+
+test('stock is not taken out twice for the same order', async () => {
+    const committed = order({ status: 'confirmed', stock_committed_at: new Date().toISOString() });
+    seed('orders', [committed]);
+
+    await transitionOrderStatus({ order: committed, toStatus: 'preparing', actor: STAFF });
+
+    assert.deepEqual(stockCalls, []);
+});
+
+test('a failed stock commit does not undo the confirmation and is retried on the next transition', async () => {
+    seed('orders', [order()]);
+    failNextCommit = true;
+
+    const confirmed = await transitionOrderStatus({ order: order(), toStatus: 'confirmed', actor: STAFF });
+    assert.equal(confirmed.status, 'confirmed');
+    assert.equal(rows('orders')[0].stock_committed_at, null);
+
+    await transitionOrderStatus({ order: confirmed, toStatus: 'preparing', actor: STAFF });
+
+    assert.deepEqual(stockCalls, [['commit_order_stock', 'order-1'], ['commit_order_stock', 'order-1']]);
+    assert.notEqual(rows('orders')[0].stock_committed_at, null);
+});
+
+test('cancelling puts the stock back and restores spent points', async () => {
+    const confirmed = order({ status: 'confirmed', stock_committed_at: new Date().toISOString(), loyalty_points_redeemed: 200 });
+    seed('orders', [confirmed]);
+
+    await transitionOrderStatus({ order: confirmed, toStatus: 'cancelled', actor: STAFF });
+
+    assert.deepEqual(stockCalls, [['release_order_stock', 'order-1']]);
+    assert.equal(rows('loyalty_transactions')[0].type, 'redeem_reversal');
+    assert.equal(rows('loyalty_transactions')[0].points, 200);
+});
+
+test('a loyalty failure does not stop the stock from being put back', async () => {
+    const confirmed = order({ status: 'confirmed', stock_committed_at: new Date().toISOString(), loyalty_points_redeemed: 200 });
+    seed('orders', [confirmed]);
+    failTable('loyalty_transactions');
+
+    const cancelled = await transitionOrderStatus({ order: confirmed, toStatus: 'cancelled', actor: STAFF });
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.deepEqual(stockCalls, [['release_order_stock', 'order-1']]);
+    assert.equal(rows('orders')[0].stock_committed_at, null);
+});
+
+test('stock a cancelled order still holds is put back when it is refunded', async () => {
+    const cancelled = order({ status: 'cancelled', payment_status: 'refunded', stock_committed_at: new Date().toISOString() });
+    seed('orders', [cancelled]);
+
+    await transitionOrderStatus({ order: cancelled, toStatus: 'refunded', actor: STAFF });
+
+    assert.deepEqual(stockCalls, [['release_order_stock', 'order-1']]);
+});
+
+test('refunding a completed order leaves its stock alone', async () => {
+    const completed = order({ status: 'completed', payment_status: 'refunded', stock_committed_at: new Date().toISOString() });
+    seed('orders', [completed]);
+
+    await transitionOrderStatus({ order: completed, toStatus: 'refunded', actor: STAFF });
+
+    assert.deepEqual(stockCalls, []);
+});
+
+test('a cart asking for more than is left of an item is reported, bundle components included', async () => {
+    const menuItem = (changes) => ({ is_available: true, category_id: 'mains', stock_quantity: null, menu_option_groups: [], ...changes });
+    const plantain = menuItem({ id: 'plantain', name: 'Plantain', price: '500', stock_quantity: 3 });
+    seed('menu_items', [plantain, menuItem({ id: 'rice', name: 'Rice', price: '1500', stock_quantity: 10 })]);
+    seed('bundles', [{
+        id: 'combo',
+        name: 'Rice combo',
+        price: '1800',
+        category_id: 'mains',
+        is_active: true,
+        bundle_components: [
+            { id: 'component-rice', quantity: 1, is_required: true, sort_order: 0, menu_items: menuItem({ id: 'rice', name: 'Rice', price: '1500', stock_quantity: 10 }), bundle_component_swaps: [] },
+            { id: 'component-plantain', quantity: 1, is_required: true, sort_order: 1, menu_items: plantain, bundle_component_swaps: [] }
+        ]
+    }]);
+    seed('tax_settings', [{ id: 1, is_enabled: false, service_charge_enabled: false }]);
+
+    // 2 loose plantains + 2 in combos = 4, with 3 left
+    const quote = await priceOrder({
+        userId: 'user-1',
+        items: [{ id: 'plantain', quantity: 2 }, { bundle_id: 'combo', quantity: 2 }],
+        is_pickup: true
+    });
+
+    assert.deepEqual(quote.problems.map(problem => [problem.index, problem.menu_item_id, problem.code, problem.available_quantity]), [
+        [0, 'plantain', 'insufficient_stock', 3]
+    ]);
+
+    const withinStock = await priceOrder({ userId: 'user-1', items: [{ id: 'plantain', quantity: 1 }, { bundle_id: 'combo', quantity: 2 }], is_pickup: true });
+    assert.deepEqual(withinStock.problems, []);
+});
@@ -0,0 +1,89 @@
+// backend/test/services/loyaltyService.test.js
+import { seed, rows, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNetGoodsAmount, quoteRedemption, awardPointsForOrder } from '../../src/services/loyaltyService.js';
+
+const LOYALTY_SETTINGS = {
+    id: 1,
+    is_enabled: true,
+    points_per_naira: '0.01',
+    naira_per_point: '1',
+    min_redeem_points: 100,
+    max_redeem_percent: '50'
+};
+
+beforeEach(() => {
+    resetFakeSupabase();
+    seed('loyalty_settings', [LOYALTY_SETTINGS]);
+    seed('loyalty_transactions', [{ user_id: 'user-1', points: 3000 }, { user_id: 'user-1', points: -500 }]);
+    seed('coupons', [
+        { id: 'coupon-item', discount_type: 'percentage' },
+        { id: 'coupon-delivery', discount_type: 'free_delivery' }
+    ]);
+});
+
+test('net goods value is the subtotal less item discounts', () => {
+    const order = { subtotal: '10000', discount_amount: '1500', loyalty_discount_amount: '500' };
+
+    assert.equal(getNetGoodsAmount(order), 8500);
+    assert.equal(getNetGoodsAmount(order, 'percentage'), 8500);
+});
+
+test('a free-delivery coupon does not reduce the net goods value', () => {
+    // discount_amount holds the 1000 delivery discount plus 500 paid with points
+    const order = { subtotal: '10000', discount_amount: '1500', loyalty_discount_amount: '500' };
+
+    assert.equal(getNetGoodsAmount(order, 'free_delivery'), 9500);
+});
+
+test('points are capped at max_redeem_percent of the eligible amount', async () => {
+    const quote = await quoteRedemption({ userId: 'user-1', points: 2500, eligibleAmount: 3000 });
+
+    assert.deepEqual(quote, { points: 1500, amount: 1500 });
+});
+
+test('redeeming needs the minimum number of points and enough balance', async () => {
+    await assert.rejects(
+        quoteRedemption({ userId: 'user-1', points: 50, eligibleAmount: 10000 }),
+        { statusCode: 400, message: 'A minimum of 100 points is required to redeem.' }
+    );
+    await assert.rejects(
+        quoteRedemption({ userId: 'user-1', points: 3000, eligibleAmount: 10000 }),
+        { statusCode: 400, message: 'Not enough loyalty points: 2500 available, 3000 requested.' }
+    );
+    await assert.rejects(
+        quoteRedemption({ userId: 'user-1', points: 1.5, eligibleAmount: 10000 }),
+        { statusCode: 400 }
+    );
+});
+
+test('points cannot be redeemed while loyalty is disabled', async () => {
+    seed('loyalty_settings', [{ ...LOYALTY_SETTINGS, is_enabled: false }]);
+
+    await assert.rejects(
+        quoteRedemption({ userId: 'user-1', points: 200, eligibleAmount: 10000 }),
+        { statusCode: 400, message: 'Loyalty points cannot be redeemed at the moment.' }
+    );
+});
+
+test('paid orders earn points on their net goods value', async () => {
+    const order = {
+        id: 'order-1',
+        order_number: 'ORD-1',
+        user_id: 'user-2',
+        subtotal: '10000',
+        delivery_fee: '1000',
+        discount_amount: '1000',
+        loyalty_discount_amount: '0',
+        coupon_id: 'coupon-delivery'
+    };
+
+    const earned = await awardPointsForOrder(order);
+
+    assert.equal(earned.points, 100); // 10000 of food; the free delivery is not deducted
+    assert.equal(earned.type, 'earn');
+
+    await awardPointsForOrder({ ...order, coupon_id: 'coupon-item', id: 'order-2' });
+    assert.equal(rows('loyalty_transactions').find(entry => entry.order_id === 'order-2').points, 90);
+});
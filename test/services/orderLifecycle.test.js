@@ -0,0 +1,93 @@
+// backend/test/services/orderLifecycle.test.js
+import { seed, rows, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { stubTransitionOrderStatus } from '../helpers/orderRpcs.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertTransitionAllowed, getAllowedTransitions, transitionOrderStatus } from '../../src/services/orderLifecycle.js';
+
+const order = (changes) => ({
+    id: 'order-1',
+    order_number: 'ORD-1',
+    status: 'pending',
+    payment_status: 'paid',
+    payment_provider: 'paystack',
+    is_pickup: false,
+    is_dine_in: false,
+    ...changes
+});
+
+const STAFF = { id: 'staff-1', role: 'staff' };
+
+beforeEach(() => {
+    resetFakeSupabase();
+    seed('order_status_history', []);
+    stubTransitionOrderStatus();
+});
+
+test('the hand-off after ready depends on the order type', () => {
+    assert.deepEqual(getAllowedTransitions(order({ status: 'ready' })), ['out_for_delivery']);
+    assert.deepEqual(getAllowedTransitions(order({ status: 'ready', is_pickup: true })), ['picked_up']);
+    assert.deepEqual(getAllowedTransitions(order({ status: 'ready', is_pickup: true, is_dine_in: true })), ['completed']);
+    assert.deepEqual(getAllowedTransitions(order({ status: 'refunded' })), []);
+});
+
+test('statuses cannot be skipped or used on the wrong order type', () => {
+    assert.throws(
+        () => assertTransitionAllowed(order({ status: 'pending' }), 'ready'),
+        { statusCode: 400, message: "Cannot move a delivery order from 'pending' to 'ready'. Allowed next statuses: confirmed, cancelled." }
+    );
+    assert.throws(() => assertTransitionAllowed(order({ status: 'ready', is_pickup: true }), 'out_for_delivery'), { statusCode: 400 });
+    assert.throws(() => assertTransitionAllowed(order({ status: 'ready' }), 'delivered'), { statusCode: 400 });
+    assert.doesNotThrow(() => assertTransitionAllowed(order({ status: 'ready' }), 'out_for_delivery'));
+});
+
+test('the kitchen only starts on paid orders', () => {
+    assert.throws(
+        () => assertTransitionAllowed(order({ status: 'confirmed', payment_status: 'pending' }), 'preparing'),
+        { statusCode: 400, message: "Order must be paid before it can be marked 'preparing'." }
+    );
+    assert.doesNotThrow(() => assertTransitionAllowed(order({ status: 'pending', payment_status: 'pending' }), 'confirmed'));
+});
+
+test('pay-on-delivery and dine-in orders only need payment to complete', () => {
+    const payOnDelivery = order({ status: 'confirmed', payment_status: 'pending', payment_provider: 'pay_on_delivery' });
+    assert.doesNotThrow(() => assertTransitionAllowed(payOnDelivery, 'preparing'));
+    assert.throws(() => assertTransitionAllowed({ ...payOnDelivery, status: 'out_for_delivery' }, 'completed'), { statusCode: 400 });
+
+    const dineIn = order({ status: 'ready', payment_status: 'pending', payment_provider: 'pay_at_table', is_pickup: true, is_dine_in: true });
+    assert.throws(() => assertTransitionAllowed(dineIn, 'completed'), { statusCode: 400 });
+});
+
+test('an order is only marked refunded once its payment is fully refunded', () => {
+    assert.throws(
+        () => assertTransitionAllowed(order({ status: 'completed', payment_status: 'partially_refunded' }), 'refunded'),
+        { statusCode: 400 }
+    );
+    assert.doesNotThrow(() => assertTransitionAllowed(order({ status: 'completed', payment_status: 'refunded' }), 'refunded'));
+});
+
+test('a transition saves the status and records who made it', async () => {
+    seed('orders', [order({ status: 'preparing' })]);
+
+    const updated = await transitionOrderStatus({ order: order({ status: 'preparing' }), toStatus: 'ready', actor: STAFF, note: 'Plated' });
+
+    assert.equal(updated.status, 'ready');
+    assert.equal(rows('orders')[0].status, 'ready');
+    const [history] = rows('order_status_history');
+    assert.equal(history.from_status, 'preparing');
+    assert.equal(history.to_status, 'ready');
+    assert.equal(history.changed_by, 'staff-1');
+    assert.equal(history.actor_role, 'staff');
+    assert.equal(history.note, 'Plated');
+});
+
+test('a transition from a status the order has already left is refused with 409', async () => {
+    seed('orders', [order({ status: 'cancelled' })]);
+
+    await assert.rejects(
+        transitionOrderStatus({ order: order({ status: 'preparing' }), toStatus: 'ready', actor: STAFF }),
+        { statusCode: 409 }
+    );
+    assert.equal(rows('orders')[0].status, 'cancelled');
+    assert.deepEqual(rows('order_status_history'), []);
+});
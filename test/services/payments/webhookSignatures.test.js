@@ -0,0 +1,103 @@
+// backend/test/services/payments/webhookSignatures.test.js
+import '../../helpers/fakeSupabase.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import paystackProvider from '../../../src/services/payments/paystackProvider.js';
+import mockProvider from '../../../src/services/payments/mockProvider.js';
+import { getPaymentProvider } from '../../../src/services/payments/index.js';
+
+const sign = (body, secret) => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+// The parts of an Express request parseWebhook reads
+const webhookRequest = (payload, headers) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return {
+        rawBody,
+        body: payload,
+        header: (name) => headers[name.toLowerCase()]
+    };
+};
+
+beforeEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test_paystack';
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'mock-secret';
+    delete process.env.ENABLE_MOCK_PAYMENTS;
+    delete process.env.NODE_ENV;
+});
+
+test('Paystack webhooks signed with the secret key are accepted and normalised', () => {
+    const payload = { event: 'charge.success', data: { reference: 'ORD-1', amount: 250050 } };
+    const body = JSON.stringify(payload);
+
+    const event = paystackProvider.parseWebhook(webhookRequest(payload, { 'x-paystack-signature': sign(body, 'sk_test_paystack') }));
+
+    assert.deepEqual(event, { event: 'charge.success', reference: 'ORD-1', refund_reference: null, amount: 2500.5 });
+});
+
+test('Paystack refund webhooks carry the original charge reference', () => {
+    const payload = { event: 'refund.processed', data: { id: 77, transaction_reference: 'ORD-1', amount: 10000 } };
+    const body = JSON.stringify(payload);
+
+    const event = paystackProvider.parseWebhook(webhookRequest(payload, { 'x-paystack-signature': sign(body, 'sk_test_paystack') }));
+
+    assert.equal(event.reference, 'ORD-1');
+    assert.equal(event.refund_reference, '77');
+    assert.equal(event.amount, 100);
+});
+
+test('Paystack webhooks with a wrong or missing signature are rejected with 401', () => {
+    const payload = { event: 'charge.success', data: { reference: 'ORD-1', amount: 100 } };
+    const body = JSON.stringify(payload);
+
+    assert.throws(
+        () => paystackProvider.parseWebhook(webhookRequest(payload, { 'x-paystack-signature': sign(body, 'another-key') })),
+        { statusCode: 401, message: 'Invalid webhook signature.' }
+    );
+    assert.throws(
+        () => paystackProvider.parseWebhook(webhookRequest(payload, {})),
+        { statusCode: 401, message: 'Missing webhook signature.' }
+    );
+});
+
+test('Paystack webhooks whose body was changed after signing are rejected', () => {
+    const signature = sign(JSON.stringify({ event: 'charge.success', data: { reference: 'ORD-1', amount: 100 } }), 'sk_test_paystack');
+    const tampered = { event: 'charge.success', data: { reference: 'ORD-1', amount: 100000 } };
+
+    assert.throws(() => paystackProvider.parseWebhook(webhookRequest(tampered, { 'x-paystack-signature': signature })), { statusCode: 401 });
+});
+
+test('mock webhooks are verified with MOCK_PAYMENT_WEBHOOK_SECRET', () => {
+    const payload = { event: 'charge.success', data: { reference: 'MOCK-ORD-1', amount: 1500 } };
+    const body = JSON.stringify(payload);
+
+    const event = mockProvider.parseWebhook(webhookRequest(payload, { 'x-mock-signature': sign(body, 'mock-secret') }));
+    assert.equal(event.reference, 'MOCK-ORD-1');
+    assert.equal(event.amount, 1500);
+
+    assert.throws(
+        () => mockProvider.parseWebhook(webhookRequest(payload, { 'x-mock-signature': sign(body, 'wrong-secret') })),
+        { statusCode: 401 }
+    );
+});
+
+test('mock webhooks are refused when no secret is configured', () => {
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    const payload = { event: 'charge.success', data: { reference: 'MOCK-ORD-1' } };
+    const body = JSON.stringify(payload);
+
+    assert.throws(
+        () => mockProvider.parseWebhook(webhookRequest(payload, { 'x-mock-signature': sign(body, '') })),
+        { statusCode: 500 }
+    );
+});
+
+test('the mock provider is only available when enabled outside production', () => {
+    assert.throws(() => getPaymentProvider('mock'), { statusCode: 400 });
+
+    process.env.ENABLE_MOCK_PAYMENTS = 'true';
+    assert.equal(getPaymentProvider('mock').name, 'mock');
+
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => getPaymentProvider('mock'), { statusCode: 400 });
+});
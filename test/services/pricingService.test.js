@@ -0,0 +1,161 @@
+// backend/test/services/pricingService.test.js
+import { seed, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { priceOrder } from '../../src/services/pricingService.js';
+
+const menuItem = (changes) => ({
+    is_available: true,
+    category_id: 'mains',
+    stock_quantity: null,
+    menu_option_groups: [],
+    ...changes
+});
+
+const coupon = (changes) => ({
+    is_active: true,
+    starts_at: null,
+    expires_at: null,
+    min_order_value: '0',
+    usage_limit: null,
+    usage_limit_per_user: null,
+    max_discount_amount: null,
+    applicable_category_ids: [],
+    applicable_menu_item_ids: [],
+    ...changes
+});
+
+const CART = [
+    { id: 'jollof', quantity: 2 },
+    { id: 'zobo', quantity: 1 }
+];
+
+beforeEach(() => {
+    resetFakeSupabase();
+    seed('menu_items', [
+        menuItem({ id: 'jollof', name: 'Jollof rice', price: '3000' }),
+        menuItem({ id: 'zobo', name: 'Zobo', price: '1500', category_id: 'drinks' }),
+        menuItem({ id: 'suya', name: 'Suya', price: '2000', is_available: false }),
+        menuItem({ id: 'moimoi', name: 'Moi moi', price: '800', stock_quantity: 1 })
+    ]);
+    seed('user_addresses', [{ id: 'address-1', user_id: 'user-1', city: 'Lagos', state: 'Lagos' }]);
+    seed('delivery_zones', [{
+        id: 'zone-1',
+        name: 'Lagos',
+        match_type: 'area',
+        cities: ['Lagos'],
+        states: [],
+        is_serviceable: true,
+        min_order_value: '0',
+        free_delivery_threshold: null,
+        base_fee: '1000',
+        priority: 0
+    }]);
+    seed('coupons', [
+        coupon({ id: 'coupon-save', code: 'SAVE10', discount_type: 'percentage', discount_value: '10' }),
+        coupon({ id: 'coupon-ship', code: 'FREESHIP', discount_type: 'free_delivery', discount_value: '0' })
+    ]);
+    seed('coupon_redemptions', []);
+    seed('loyalty_settings', [{
+        id: 1, is_enabled: true, points_per_naira: '0.01', naira_per_point: '1', min_redeem_points: 100, max_redeem_percent: '50'
+    }]);
+    seed('loyalty_transactions', [{ user_id: 'user-1', points: 5000 }]);
+    seed('tax_settings', [{
+        id: 1,
+        is_enabled: true,
+        label: 'VAT',
+        default_rate: '7.5',
+        prices_include_tax: false,
+        tax_delivery: false,
+        service_charge_enabled: false,
+        service_charge_rate: '0',
+        service_charge_min_subtotal: null
+    }]);
+    seed('category_tax_rates', []);
+});
+
+test('a pickup cart is priced from current menu prices with tax added on top', async () => {
+    const quote = await priceOrder({ userId: 'user-1', items: CART, is_pickup: true });
+
+    assert.deepEqual(quote.problems, []);
+    assert.deepEqual(quote.lines.map(line => [line.menu_item_id, line.unit_price, line.line_total]), [['jollof', 3000, 6000], ['zobo', 1500, 1500]]);
+    assert.equal(quote.subtotal, 7500);
+    assert.equal(quote.delivery_fee, 0);
+    assert.equal(quote.tax_total, 562.5);
+    assert.equal(quote.total, 8062.5);
+});
+
+test('points pay towards the food left after an item coupon', async () => {
+    const quote = await priceOrder({ userId: 'user-1', items: CART, is_pickup: true, coupon_code: 'save10', redeem_points: 5000 });
+
+    assert.deepEqual(quote.coupon, { id: 'coupon-save', code: 'SAVE10' });
+    // 50% of 7500 - 750
+    assert.deepEqual(quote.loyalty, { points: 3375, amount: 3375 });
+    assert.equal(quote.discount_total, 4125);
+    assert.equal(quote.tax_total, 253.13);
+    assert.equal(quote.total, 3628.13);
+});
+
+test('a free-delivery coupon does not shrink what points can pay for', async () => {
+    const quote = await priceOrder({
+        userId: 'user-1',
+        items: CART,
+        address_id: 'address-1',
+        is_pickup: false,
+        coupon_code: 'FREESHIP',
+        redeem_points: 5000
+    });
+
+    assert.equal(quote.delivery_fee, 1000);
+    assert.deepEqual(quote.delivery_zone, { id: 'zone-1', name: 'Lagos' });
+    assert.deepEqual(quote.discounts.map(discount => [discount.type, discount.applies_to, discount.amount]), [
+        ['coupon', 'delivery', 1000],
+        ['loyalty', 'items', 3750]
+    ]);
+    assert.equal(quote.tax_total, 281.25);
+    assert.equal(quote.total, 4031.25);
+});
+
+test('inclusive tax is not added to the total', async () => {
+    seed('tax_settings', [{ id: 1, is_enabled: true, label: 'VAT', default_rate: '7.5', prices_include_tax: true, service_charge_enabled: false }]);
+
+    const quote = await priceOrder({ userId: 'user-1', items: CART, is_pickup: true });
+
+    assert.equal(quote.prices_include_tax, true);
+    assert.equal(quote.tax_total, 523.26);
+    assert.equal(quote.total, 7500);
+});
+
+test('items that cannot be priced and an invalid coupon are reported as problems', async () => {
+    const quote = await priceOrder({
+        userId: 'user-1',
+        items: [
+            { id: 'jollof', quantity: 1 },
+            { id: 'missing', quantity: 1 },
+            { id: 'suya', quantity: 1 },
+            { id: 'zobo', quantity: 0 },
+            { id: 'moimoi', quantity: 2 }
+        ],
+        is_pickup: true,
+        coupon_code: 'NOPE'
+    });
+
+    assert.deepEqual(quote.problems.map(problem => [problem.index, problem.code]), [
+        [1, 'unknown_item'],
+        [2, 'unavailable'],
+        [3, 'invalid_quantity'],
+        [4, 'insufficient_stock'],
+        [null, 'invalid_coupon']
+    ]);
+    assert.equal(quote.coupon, null);
+    assert.equal(quote.subtotal, 4600);
+});
+
+test('an empty cart or a delivery without an address is rejected', async () => {
+    await assert.rejects(priceOrder({ userId: 'user-1', items: [], is_pickup: true }), { statusCode: 400 });
+    await assert.rejects(priceOrder({ userId: 'user-1', items: CART, is_pickup: false }), { statusCode: 400 });
+    await assert.rejects(
+        priceOrder({ userId: 'user-1', items: CART, is_pickup: false, address_id: 'someone-elses' }),
+        { statusCode: 404 }
+    );
+});
@@ -0,0 +1,125 @@
+// backend/test/services/refundService.test.js
+import { seed, rows, stubRpc, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { issueRefund, getRefundedTotal } from '../../src/services/refundService.js';
+import mockProvider from '../../src/services/payments/mockProvider.js';
+
+const ORDER = {
+    id: 'order-1',
+    order_number: 'ORD-1',
+    user_id: 'user-1',
+    total_amount: '5000',
+    payment_status: 'paid',
+    payment_provider: 'mock',
+    payment_reference: 'MOCK-ORD-1'
+};
+
+const raise = (message, code = 'P0001') => {
+    throw { code, message };
+};
+
+// Same checks as public.reserve_order_refund, against the fake tables
+const reserveOrderRefund = ({ p_order_id, p_amount, p_reason, p_payment_provider, p_actor }) => {
+    const order = rows('orders').find(row => row.id === p_order_id);
+    if (!order) raise('Order not found.', 'P0002');
+    if (!['paid', 'partially_refunded'].includes(order.payment_status)) {
+        raise(`Order cannot be refunded while payment status is '${order.payment_status}'.`);
+    }
+    const refunded = rows('order_refunds')
+        .filter(refund => refund.order_id === order.id && refund.status !== 'failed')
+        .reduce((sum, refund) => sum + Number(refund.amount), 0);
+    if (p_amount > Number(order.total_amount) - refunded) {
+        raise(`Refund amount exceeds the refundable balance of ${(Number(order.total_amount) - refunded).toFixed(2)}.`);
+    }
+
+    const refund = {
+        id: `refund-${rows('order_refunds').length + 1}`,
+        order_id: order.id,
+        amount: p_amount,
+        reason: p_reason,
+        status: 'pending',
+        payment_provider: p_payment_provider,
+        created_by: p_actor,
+        created_at: new Date().toISOString()
+    };
+    rows('order_refunds').push(refund);
+    return refund;
+};
+
+const originalRefund = mockProvider.refund;
+
+beforeEach(() => {
+    process.env.ENABLE_MOCK_PAYMENTS = 'true';
+    resetFakeSupabase();
+    seed('orders', [ORDER]);
+    seed('order_refunds', []);
+    seed('loyalty_transactions', []);
+    stubRpc('reserve_order_refund', reserveOrderRefund);
+});
+
+afterEach(() => {
+    mockProvider.refund = originalRefund;
+});
+
+const refund = (amount, order = ORDER) => issueRefund({ order, amount, reason: 'Cold food', actorId: 'admin-1' });
+
+test('a partial refund is recorded and marks the order partially refunded', async () => {
+    const { refund: recorded, order } = await refund(2000);
+
+    assert.equal(recorded.status, 'processed');
+    assert.equal(recorded.provider_refund_reference, 'MOCK-RF-MOCK-ORD-1-2000');
+    assert.equal(order.payment_status, 'partially_refunded');
+    assert.equal(await getRefundedTotal('order-1'), 2000);
+});
+
+test('refunds up to the amount paid mark the order refunded', async () => {
+    await refund(2000);
+    const { order } = await refund(3000, { ...ORDER, payment_status: 'partially_refunded' });
+
+    assert.equal(order.payment_status, 'refunded');
+    assert.equal(await getRefundedTotal('order-1'), 5000);
+});
+
+test('a refund cannot exceed what is left to refund', async () => {
+    await refund(4000.5);
+
+    await assert.rejects(
+        refund(1000, { ...ORDER, payment_status: 'partially_refunded' }),
+        { statusCode: 400, message: 'Refund amount exceeds the refundable balance of 999.50.' }
+    );
+    assert.equal(rows('order_refunds').length, 1);
+});
+
+test('refunds need a positive amount, a reason and a paid order', async () => {
+    await assert.rejects(refund(0), { statusCode: 400, message: 'Refund amount must be a positive number.' });
+    await assert.rejects(refund('abc'), { statusCode: 400 });
+    await assert.rejects(
+        issueRefund({ order: ORDER, amount: 100, reason: '  ', actorId: 'admin-1' }),
+        { statusCode: 400, message: 'A reason is required for every refund.' }
+    );
+    await assert.rejects(
+        refund(100, { ...ORDER, payment_status: 'pending' }),
+        { statusCode: 400, message: "Order cannot be refunded while payment status is 'pending'." }
+    );
+});
+
+test('a refund the gateway rejects releases its reservation', async () => {
+    mockProvider.refund = async () => {
+        throw new Error('Gateway unavailable');
+    };
+
+    await assert.rejects(refund(5000), { message: 'Gateway unavailable' });
+    assert.equal(rows('order_refunds')[0].status, 'failed');
+    assert.equal(await getRefundedTotal('order-1'), 0);
+
+    mockProvider.refund = originalRefund;
+    const { order } = await refund(5000);
+    assert.equal(order.payment_status, 'refunded');
+});
+
+test('a refund for an order that no longer exists is a 404', async () => {
+    seed('orders', []);
+
+    await assert.rejects(refund(100), { statusCode: 404 });
+});
@@ -0,0 +1,154 @@
+// backend/test/services/tableService.test.js
+import { seed, rows, stubRpc, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { stubTransitionOrderStatus } from '../helpers/orderRpcs.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTableToken, resolveTableToken, settleBill } from '../../src/services/tableService.js';
+import { getScannedTableBill } from '../../src/controllers/tableController.js';
+
+const STAFF = { id: 'staff-1', role: 'staff' };
+
+const TABLE = { id: 'table-1', name: 'T1', qr_version: 1, is_active: true };
+
+const BILL = { id: 'bill-1', table_id: 'table-1', status: 'open', opened_at: '2026-10-18T12:00:00.000Z' };
+
+const order = (changes) => ({
+    id: 'order-1',
+    order_number: 'ORD-1',
+    user_id: 'user-1',
+    table_bill_id: 'bill-1',
+    status: 'ready',
+    payment_status: 'pending',
+    payment_provider: 'pay_at_table',
+    is_pickup: false,
+    is_dine_in: true,
+    subtotal: '3000',
+    discount_amount: '0',
+    charge_total: '0',
+    tax_total: '0',
+    total_amount: '3000',
+    stock_committed_at: '2026-10-18T12:05:00.000Z',
+    loyalty_points_redeemed: 0,
+    created_at: '2026-10-18T12:05:00.000Z',
+    ...changes
+});
+
+// Same as public.settle_table_bill: orders are marked paid together with the bill
+const settleTableBill = ({ p_bill_id, p_payment_method, p_payment_reference, p_actor }) => {
+    const bill = rows('table_bills').find(row => row.id === p_bill_id);
+    if (!bill) throw { code: 'P0002', message: 'Bill not found.' };
+    if (bill.status !== 'open') throw { code: 'P0001', message: 'This bill has already been settled.' };
+
+    const orders = rows('orders').filter(row => row.table_bill_id === bill.id);
+    const paid = orders.filter(row => row.status !== 'cancelled'
+        && ['pending', 'initiated', 'failed', 'abandoned'].includes(row.payment_status));
+    paid.forEach(row => Object.assign(row, { payment_status: 'paid' }));
+    Object.assign(bill, {
+        status: 'settled',
+        payment_method: p_payment_method,
+        payment_reference: p_payment_reference,
+        settled_by: p_actor
+    });
+
+    return { ...bill, order_ids: orders.map(row => row.id), paid_order_ids: paid.map(row => row.id) };
+};
+
+const fakeResponse = () => ({
+    statusCode: null,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+beforeEach(() => {
+    process.env.TABLE_QR_SECRET = 'table-secret';
+    resetFakeSupabase();
+    seed('dining_tables', [{ ...TABLE }]);
+    seed('table_bills', [{ ...BILL }]);
+    seed('orders', []);
+    seed('order_status_history', []);
+    seed('loyalty_settings', [{ id: 1, is_enabled: false }]);
+    seed('loyalty_transactions', []);
+    stubTransitionOrderStatus();
+    stubRpc('settle_table_bill', settleTableBill);
+});
+
+test('a table token resolves to its table', async () => {
+    const table = await resolveTableToken(createTableToken(TABLE));
+
+    assert.equal(table.id, 'table-1');
+});
+
+test('a token with a forged signature is refused', async () => {
+    const [tableId, version] = createTableToken(TABLE).split('.');
+
+    await assert.rejects(resolveTableToken(`${tableId}.${version}.forged`), { statusCode: 400 });
+});
+
+test('a token signed for another table is refused', async () => {
+    const signature = createTableToken({ id: 'table-2', qr_version: 1 }).split('.')[2];
+
+    await assert.rejects(resolveTableToken(`table-1.1.${signature}`), { statusCode: 400 });
+});
+
+test('malformed tokens are refused', async () => {
+    for (const token of [undefined, '', 'table-1', 'table-1.1', '..', 'table-1..sig']) {
+        await assert.rejects(resolveTableToken(token), { statusCode: 400 }, `token ${token}`);
+    }
+});
+
+test('rotating the QR code revokes the old token', async () => {
+    const oldToken = createTableToken(TABLE);
+    rows('dining_tables')[0].qr_version = 2;
+
+    await assert.rejects(resolveTableToken(oldToken), { statusCode: 400 });
+    const table = await resolveTableToken(createTableToken({ ...TABLE, qr_version: 2 }));
+    assert.equal(table.qr_version, 2);
+});
+
+test('an inactive table does not take orders', async () => {
+    rows('dining_tables')[0].is_active = false;
+
+    await assert.rejects(resolveTableToken(createTableToken(TABLE)), { statusCode: 409 });
+});
+
+test('the scanned bill does not say who placed each order', async () => {
+    seed('orders', [order({ user_id: 'user-1' }), order({ id: 'order-2', order_number: 'ORD-2', user_id: 'user-2' })]);
+    const res = fakeResponse();
+
+    await getScannedTableBill({ params: { token: createTableToken(TABLE) } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.orders.length, 2);
+    assert.ok(res.body.orders.every(billOrder => !('user_id' in billOrder)));
+    assert.deepEqual(res.body.table, { id: 'table-1', name: 'T1' });
+});
+
+test('settling a bill pays its orders and completes the served ones', async () => {
+    seed('orders', [
+        order(),
+        order({ id: 'order-2', order_number: 'ORD-2', status: 'preparing' }),
+        order({ id: 'order-3', order_number: 'ORD-3', status: 'cancelled' })
+    ]);
+
+    const settled = await settleBill({ billId: 'bill-1', paymentMethod: 'cash', actor: STAFF });
+
+    const [served, cooking, cancelled] = rows('orders');
+    assert.equal(settled.status, 'settled');
+    assert.deepEqual([served.status, served.payment_status], ['completed', 'paid']);
+    assert.deepEqual([cooking.status, cooking.payment_status], ['preparing', 'paid']);
+    assert.deepEqual([cancelled.status, cancelled.payment_status], ['cancelled', 'pending']);
+    assert.equal(settled.totals.amount_due, 0);
+});
+
+test('a settled bill cannot be settled again', async () => {
+    rows('table_bills')[0].status = 'settled';
+
+    await assert.rejects(settleBill({ billId: 'bill-1', paymentMethod: 'cash', actor: STAFF }), { statusCode: 409 });
+});
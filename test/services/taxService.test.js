@@ -0,0 +1,135 @@
+// backend/test/services/taxService.test.js
+import { seed, resetFakeSupabase } from '../helpers/fakeSupabase.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTaxesAndCharges } from '../../src/services/taxService.js';
+
+const TAX_SETTINGS = {
+    id: 1,
+    is_enabled: true,
+    label: 'VAT',
+    default_rate: '7.5',
+    prices_include_tax: false,
+    tax_delivery: false,
+    service_charge_enabled: false,
+    service_charge_label: 'Service charge',
+    service_charge_rate: '0',
+    service_charge_dine_in: true,
+    service_charge_min_subtotal: null,
+    service_charge_taxable: true
+};
+
+const setTaxSettings = (changes = {}) => seed('tax_settings', [{ ...TAX_SETTINGS, ...changes }]);
+
+const lines = [
+    { category_id: 'mains', line_total: 8000 },
+    { category_id: 'drinks', line_total: 2000 }
+];
+
+beforeEach(() => {
+    resetFakeSupabase();
+    setTaxSettings();
+    seed('category_tax_rates', []);
+});
+
+test('no tax is worked out while tax is disabled', async () => {
+    setTaxSettings({ is_enabled: false });
+
+    const result = await calculateTaxesAndCharges({ lines, subtotal: 10000, delivery_fee: 1000, discounts: [] });
+
+    assert.deepEqual(result, { prices_include_tax: false, taxes: [], tax_total: 0, charges: [], charge_total: 0 });
+});
+
+test('exclusive tax is charged at the default rate on the food only', async () => {
+    const result = await calculateTaxesAndCharges({ lines, subtotal: 10000, delivery_fee: 1000, discounts: [] });
+
+    assert.equal(result.prices_include_tax, false);
+    assert.equal(result.tax_total, 750);
+    assert.deepEqual(result.taxes, [{
+        code: 'vat', label: 'VAT 7.5%', rate: 7.5, taxable_amount: 10000, amount: 750, included: false
+    }]);
+});
+
+test('category rates override the default and tax is grouped by rate', async () => {
+    seed('category_tax_rates', [{ category_id: 'drinks', rate: '10' }, { category_id: 'produce', rate: '0' }]);
+
+    const result = await calculateTaxesAndCharges({
+        lines: [...lines, { category_id: 'produce', line_total: 500 }],
+        subtotal: 10500,
+        delivery_fee: 0,
+        discounts: []
+    });
+
+    assert.deepEqual(result.taxes.map(tax => [tax.rate, tax.taxable_amount, tax.amount]), [[10, 2000, 200], [7.5, 8000, 600]]);
+    assert.equal(result.tax_total, 800);
+});
+
+test('item discounts are spread over the lines before tax', async () => {
+    const result = await calculateTaxesAndCharges({
+        lines,
+        subtotal: 10000,
+        delivery_fee: 0,
+        discounts: [{ amount: 2000, applies_to: 'items' }]
+    });
+
+    assert.equal(result.taxes[0].taxable_amount, 8000);
+    assert.equal(result.tax_total, 600);
+});
+
+test('a free-delivery discount reduces the taxable delivery fee, not the food', async () => {
+    setTaxSettings({ tax_delivery: true });
+
+    const result = await calculateTaxesAndCharges({
+        lines,
+        subtotal: 10000,
+        delivery_fee: 1000,
+        discounts: [{ amount: 1000, applies_to: 'delivery' }]
+    });
+
+    assert.equal(result.taxes[0].taxable_amount, 10000);
+    assert.equal(result.tax_total, 750);
+});
+
+test('inclusive tax is the tax part of the prices', async () => {
+    setTaxSettings({ prices_include_tax: true });
+
+    const result = await calculateTaxesAndCharges({
+        lines: [{ category_id: 'mains', line_total: 10750 }],
+        subtotal: 10750,
+        delivery_fee: 0,
+        discounts: []
+    });
+
+    assert.equal(result.prices_include_tax, true);
+    assert.equal(result.tax_total, 750);
+    assert.equal(result.taxes[0].label, 'VAT 7.5% (included)');
+    assert.equal(result.taxes[0].included, true);
+});
+
+test('dine-in orders pay a service charge on the food after discounts, and it is taxed', async () => {
+    setTaxSettings({ service_charge_enabled: true, service_charge_rate: '10' });
+
+    const dineIn = await calculateTaxesAndCharges({
+        lines,
+        subtotal: 10000,
+        delivery_fee: 0,
+        discounts: [{ amount: 1000, applies_to: 'items' }],
+        is_dine_in: true
+    });
+
+    assert.deepEqual(dineIn.charges, [{ code: 'service_charge', label: 'Service charge', rate: 10, amount: 900 }]);
+    assert.equal(dineIn.charge_total, 900);
+    assert.equal(dineIn.taxes[0].taxable_amount, 9900);
+
+    const takeaway = await calculateTaxesAndCharges({ lines, subtotal: 10000, delivery_fee: 0, discounts: [] });
+    assert.equal(takeaway.charge_total, 0);
+});
+
+test('orders over the minimum subtotal pay the service charge whatever their type', async () => {
+    setTaxSettings({ service_charge_enabled: true, service_charge_rate: '5', service_charge_min_subtotal: '10000', service_charge_taxable: false });
+
+    const result = await calculateTaxesAndCharges({ lines, subtotal: 10000, delivery_fee: 0, discounts: [] });
+
+    assert.equal(result.charge_total, 500);
+    assert.equal(result.taxes[0].taxable_amount, 10000);
+});
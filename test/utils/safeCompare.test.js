@@ -0,0 +1,19 @@
+// backend/test/utils/safeCompare.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { safeCompare } from '../../src/utils/safeCompare.js';
+
+test('safeCompare accepts only an identical string', () => {
+    assert.equal(safeCompare('abc123', 'abc123'), true);
+    assert.equal(safeCompare('abc124', 'abc123'), false);
+    assert.equal(safeCompare('abc12', 'abc123'), false);
+});
+
+test('safeCompare rejects missing values', () => {
+    assert.equal(safeCompare(undefined, 'abc'), false);
+    assert.equal(safeCompare(['abc'], 'abc'), false);
+});
+
+test('safeCompare rejects multibyte input of the same character length without throwing', () => {
+    assert.equal(safeCompare('é', 'e'), false);
+});